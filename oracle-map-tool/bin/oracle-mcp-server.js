@@ -1,6 +1,47 @@
 #!/usr/bin/env node
 
 import { OracleMcpServer } from '../src/mcp/server.js';
+import { resolveConfigPath } from '../src/config/loader.js';
+import { isOracleMapError, ExitCode } from '../src/utils/errors.js';
 
-const server = new OracleMcpServer();
-server.start().catch(console.error);
+const server = new OracleMcpServer({ configPath: resolveConfigPath(process.argv.slice(2)) });
+
+/**
+ * 输出错误并以对应的退出码退出
+ * @param {Error} error - 错误对象
+ */
+function exitWithError(error) {
+  if (isOracleMapError(error)) {
+    console.error(error.toUserMessage());
+    process.exit(error.exitCode);
+  }
+  console.error(error);
+  process.exit(ExitCode.UNKNOWN_ERROR);
+}
+
+let stopping = false;
+
+/**
+ * 优雅关闭，再次收到信号时立即退出
+ * @param {string} reason - 关闭原因
+ * @param {boolean} [force] - 已在关闭中时是否立即退出
+ */
+function stop(reason, force = true) {
+  if (stopping) {
+    if (force) {
+      console.error(`[oracle-mcp-server] 再次收到 ${reason}，立即退出`);
+      process.exit(ExitCode.UNKNOWN_ERROR);
+    }
+    return;
+  }
+  stopping = true;
+  console.error(`[oracle-mcp-server] 收到 ${reason}，正在关闭...`);
+  server.shutdown().then(() => process.exit(ExitCode.SUCCESS), exitWithError);
+}
+
+process.on('SIGINT', () => stop('SIGINT'));
+process.on('SIGTERM', () => stop('SIGTERM'));
+// MCP 客户端退出时会关闭 stdin
+process.stdin.on('end', () => stop('stdin 关闭', false));
+
+server.start().catch(exitWithError);
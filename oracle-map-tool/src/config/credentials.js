@@ -0,0 +1,186 @@
+/**
+ * 凭据解析模块
+ * 支持明文密码、密码文件、外部命令（凭据助手）、代理认证（user[proxyUser]）和外部认证
+ */
+
+import { readFile } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 密码来源字段，只能指定其中一种
+ * - password: 明文密码
+ * - passwordFile: 密码文件路径（去掉末尾换行后的文件内容即为密码）
+ * - passwordCommand: 输出密码的命令，如 `pass show oracle/prod` 或云厂商的凭据助手
+ */
+export const PASSWORD_SOURCE_KEYS = ['password', 'passwordFile', 'passwordCommand'];
+
+/**
+ * 密码命令的执行超时（毫秒）
+ */
+const PASSWORD_COMMAND_TIMEOUT = 10000;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * 脱敏时替换密码的占位符
+ */
+const REDACTED = '******';
+
+/**
+ * 过短的字符串不做脱敏替换，避免把错误消息中的普通字符一并替换掉
+ */
+const MIN_REDACT_LENGTH = 4;
+
+/**
+ * 构建登录用户名
+ * 代理认证时为 `user[proxyUser]`：以 user 的密码认证，会话以 proxyUser 身份运行
+ * @param {string} [user] - 登录（代理）用户
+ * @param {string} [proxyUser] - 代理的目标用户
+ * @returns {string|undefined}
+ */
+export function buildUserName(user, proxyUser) {
+  if (!proxyUser) {
+    return user;
+  }
+  return `${user || ''}[${proxyUser}]`;
+}
+
+/**
+ * 解析连接配置中的凭据，供 createPool() 使用
+ * 密码文件和密码命令在每次创建连接池时重新读取，自动重连后可以拿到轮换后的密码
+ * @param {Object} config - 连接配置
+ * @returns {Promise<{ user?: string, password?: string, externalAuth?: boolean }>}
+ */
+export async function resolveCredentials(config) {
+  // 外部认证（OS 认证或钱包中的凭据）不需要密码，代理认证时用户名写作 [proxyUser]
+  if (config.externalAuth) {
+    const user = buildUserName(undefined, config.proxyUser);
+    return user ? { user, externalAuth: true } : { externalAuth: true };
+  }
+
+  if (!config.user) {
+    throw new OracleMapError(
+      ErrorCode.MISSING_REQUIRED_PARAM,
+      '缺少用户名',
+      { field: 'user', suggestion: '请提供 user，或设置 externalAuth 使用外部认证' }
+    );
+  }
+
+  return {
+    user: buildUserName(config.user, config.proxyUser),
+    password: await resolvePassword(config)
+  };
+}
+
+/**
+ * 按配置的来源读取密码
+ * @param {Object} config - 连接配置
+ * @returns {Promise<string>}
+ */
+export async function resolvePassword(config) {
+  const sources = PASSWORD_SOURCE_KEYS.filter(key => config[key] !== undefined && config[key] !== null && config[key] !== '');
+
+  if (sources.length === 0) {
+    throw new OracleMapError(
+      ErrorCode.MISSING_REQUIRED_PARAM,
+      '缺少密码',
+      {
+        field: 'password',
+        suggestion: '请提供 password、passwordFile 或 passwordCommand 其中一种，或设置 externalAuth 使用外部认证'
+      }
+    );
+  }
+  if (sources.length > 1) {
+    throw new OracleMapError(
+      ErrorCode.CONFIG_PARSE_ERROR,
+      `password、passwordFile、passwordCommand 只能指定其中一种，当前指定了 ${sources.join(', ')}`
+    );
+  }
+
+  if (config.password) {
+    return config.password;
+  }
+  if (config.passwordFile) {
+    return readPasswordFile(config.passwordFile);
+  }
+  return runPasswordCommand(config.passwordCommand);
+}
+
+/**
+ * 从文件读取密码
+ * @param {string} file - 密码文件路径
+ * @returns {Promise<string>}
+ */
+async function readPasswordFile(file) {
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (error) {
+    throw new OracleMapError(
+      ErrorCode.CONFIG_NOT_FOUND,
+      `无法读取密码文件 ${file}: ${error.code || error.message}`,
+      { file, suggestion: '请确认文件存在，且运行 MCP Server 的用户有读取权限（建议权限 600）' }
+    );
+  }
+
+  // 只去掉末尾换行，密码本身可能包含空格
+  const password = content.replace(/\r?\n$/, '');
+  if (password === '') {
+    throw new OracleMapError(ErrorCode.MISSING_REQUIRED_PARAM, `密码文件 ${file} 为空`, { file });
+  }
+  return password;
+}
+
+/**
+ * 执行外部命令获取密码（命令的标准输出即为密码）
+ * 命令经 shell 执行（支持管道等写法），异步等待输出，超时后终止子进程
+ * @param {string} command - 命令
+ * @returns {Promise<string>}
+ */
+async function runPasswordCommand(command) {
+  let output;
+  try {
+    const execution = execFileAsync(command, {
+      shell: true,
+      encoding: 'utf8',
+      timeout: PASSWORD_COMMAND_TIMEOUT,
+      windowsHide: true
+    });
+    // 不向命令提供输入，读取标准输入的命令会立即收到 EOF
+    execution.child.stdin.end();
+    ({ stdout: output } = await execution);
+  } catch (error) {
+    // 标准输出和错误输出可能包含凭据，只报告退出状态
+    const reason = typeof error.code === 'number'
+      ? `退出码 ${error.code}`
+      : (error.signal ? `被信号 ${error.signal} 终止（可能超过 ${PASSWORD_COMMAND_TIMEOUT / 1000} 秒超时）` : error.code);
+    throw new OracleMapError(
+      ErrorCode.AUTH_FAILED,
+      `密码命令执行失败（${reason}）`,
+      { suggestion: '请在终端中手动执行 passwordCommand 确认其能输出密码' }
+    );
+  }
+
+  const password = output.replace(/\r?\n$/, '');
+  if (password === '') {
+    throw new OracleMapError(ErrorCode.AUTH_FAILED, '密码命令没有输出密码');
+  }
+  return password;
+}
+
+/**
+ * 从文本中移除密码等敏感信息
+ * @param {string} text - 原始文本
+ * @param {Array<string|undefined>} secrets - 需要隐藏的值
+ * @returns {string}
+ */
+export function redactSecrets(text, secrets) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return secrets
+    .filter(secret => typeof secret === 'string' && secret.length >= MIN_REDACT_LENGTH)
+    .reduce((result, secret) => result.split(secret).join(REDACTED), text);
+}
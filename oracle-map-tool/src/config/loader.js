@@ -0,0 +1,963 @@
+/**
+ * 配置文件加载模块
+ * 支持 JSON / YAML 格式的配置文件，定义连接配置、连接池参数、行数/LOB 限制和表访问策略
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { parseDocument, LineCounter } from 'yaml';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+import { PASSWORD_SOURCE_KEYS } from './credentials.js';
+import { compileTablePattern, normalizeTablePattern } from './security.js';
+import { MaskStrategy, compileDataPattern } from '../mapper/masking.js';
+
+/**
+ * 指定配置文件路径的环境变量
+ */
+export const CONFIG_ENV_VAR = 'ORACLE_MCP_CONFIG';
+
+/**
+ * 指定配置文件路径的命令行参数
+ */
+export const CONFIG_CLI_FLAG = '--config';
+
+/**
+ * 配置文件允许的顶层字段
+ */
+const ROOT_KEYS = ['defaultConnection', 'connections', 'limits', 'security', 'timeouts', 'masking', 'audit', 'budgets', 'roles'];
+
+/**
+ * 连接配置允许的字段
+ */
+const CONNECTION_KEYS = [
+  'host', 'port', 'protocol', 'serviceName', 'sid', 'connectString', 'tnsAlias', 'tnsAdmin',
+  'user', 'password', 'passwordFile', 'passwordCommand', 'proxyUser', 'externalAuth',
+  'pool', 'reconnect', 'session', 'readonly', 'confirmDml', 'role', 'rowFilters', 'limits',
+  'walletLocation', 'walletPassword', 'sslServerDNMatch', 'sslServerCertDN'
+];
+
+/**
+ * host 方式连接支持的协议
+ */
+const CONNECTION_PROTOCOLS = ['tcp', 'tcps'];
+
+
+/**
+ * 连接池允许配置的参数
+ */
+export const POOL_CONFIG_KEYS = ['poolMin', 'poolMax', 'poolIncrement', 'poolTimeout', 'poolPingInterval', 'queueTimeout', 'queueMax'];
+
+/**
+ * 自动重连允许配置的参数
+ */
+const RECONNECT_KEYS = ['maxAttempts', 'initialDelayMs', 'maxDelayMs'];
+
+/**
+ * 会话标记允许配置的字段
+ */
+export const SESSION_TAG_KEYS = ['module', 'clientIdentifier', 'clientInfo'];
+
+/**
+ * 会话初始化（ALTER SESSION）允许配置的字段
+ */
+export const SESSION_INIT_KEYS = ['currentSchema', 'nlsDateFormat', 'timeZone', 'nlsLanguage'];
+
+/**
+ * 限制配置允许的字段（顶层 limits 和连接中的 limits 相同）
+ */
+const LIMIT_KEYS = [
+  'maxRows', 'clobMaxLength', 'blobMaxLength', 'maxSampleSize', 'maxSearchResults', 'maxRowsAffected',
+  'maxRowsAffectedByTable', 'precountRowsAffected'
+];
+
+/**
+ * 取值为正整数的限制项
+ */
+const INTEGER_LIMIT_KEYS = ['maxRows', 'clobMaxLength', 'blobMaxLength', 'maxSampleSize', 'maxSearchResults', 'maxRowsAffected'];
+
+/**
+ * 安全配置允许的字段
+ */
+const SECURITY_KEYS = ['tableWhitelist', 'tableBlacklist', 'tableReadWhitelist', 'tableWriteWhitelist', 'readonly'];
+
+/**
+ * 行级过滤规则允许的字段
+ */
+const ROW_FILTER_KEYS = ['column', 'value', 'tables'];
+
+/**
+ * 脱敏配置允许的字段
+ */
+const MASKING_KEYS = ['hashSalt', 'rules'];
+
+/**
+ * 单条脱敏规则允许的字段
+ */
+const MASKING_RULE_KEYS = ['table', 'column', 'detect', 'strategy', 'keepStart', 'keepEnd', 'maskChar'];
+
+/**
+ * 审计日志配置允许的字段
+ */
+const AUDIT_KEYS = ['file', 'maxSize', 'maxFiles'];
+
+/**
+ * 策略角色允许的字段
+ */
+const ROLE_KEYS = [
+  'readonly', 'tools', 'tableWhitelist', 'tableBlacklist', 'tableReadWhitelist', 'tableWriteWhitelist', 'masking'
+];
+
+/**
+ * 角色脱敏配置允许的字段
+ */
+const ROLE_MASKING_KEYS = ['rules', 'includeGlobalRules'];
+
+/**
+ * 调用预算配置允许的字段
+ */
+const BUDGET_KEYS = ['callsPerMinute', 'maxSessionRows', 'maxConcurrentStatements', 'maxQueryCost'];
+
+/**
+ * 安全配置中的表名单字段（元素为表名、glob 或 /正则/ 模式）
+ */
+const TABLE_LIST_KEYS = ['tableWhitelist', 'tableBlacklist', 'tableReadWhitelist', 'tableWriteWhitelist'];
+
+/**
+ * 从命令行参数和环境变量解析配置文件路径
+ * 支持 `--config path` 和 `--config=path` 两种写法，命令行参数优先于环境变量
+ * @param {string[]} [argv] - 命令行参数（不含 node 和脚本路径）
+ * @param {Object} [env] - 环境变量
+ * @returns {string|null}
+ */
+export function resolveConfigPath(argv = [], env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === CONFIG_CLI_FLAG && argv[i + 1]) {
+      return path.resolve(argv[i + 1]);
+    }
+    if (arg.startsWith(`${CONFIG_CLI_FLAG}=`)) {
+      return path.resolve(arg.slice(CONFIG_CLI_FLAG.length + 1));
+    }
+  }
+
+  const fromEnv = env[CONFIG_ENV_VAR];
+  if (fromEnv && fromEnv.trim() !== '') {
+    return path.resolve(fromEnv.trim());
+  }
+  return null;
+}
+
+/**
+ * 读取并校验配置文件
+ * @param {string} filePath - 配置文件路径
+ * @returns {Object} 规范化后的配置
+ */
+export function loadConfig(filePath) {
+  if (!existsSync(filePath)) {
+    throw new OracleMapError(
+      ErrorCode.CONFIG_NOT_FOUND,
+      `配置文件未找到: ${filePath}`,
+      { file: filePath, suggestion: `请检查 ${CONFIG_CLI_FLAG} 参数或 ${CONFIG_ENV_VAR} 环境变量` }
+    );
+  }
+
+  let text;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new OracleMapError(
+      ErrorCode.CONFIG_PARSE_ERROR,
+      `无法读取配置文件: ${error.message}`,
+      { file: filePath }
+    );
+  }
+
+  return parseConfig(text, filePath);
+}
+
+/**
+ * 解析并校验配置文本（JSON 是 YAML 的子集，统一使用 YAML 解析器以获取行号）
+ * @param {string} text - 配置文件内容
+ * @param {string} [file] - 文件名（用于错误提示）
+ * @returns {Object} 规范化后的配置
+ */
+export function parseConfig(text, file = '<config>') {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { lineCounter, prettyErrors: false });
+
+  if (doc.errors.length > 0) {
+    const first = doc.errors[0];
+    throw new OracleMapError(
+      ErrorCode.CONFIG_PARSE_ERROR,
+      `配置文件解析错误: ${first.message.split('\n')[0]}`,
+      { file, line: first.pos ? lineCounter.linePos(first.pos[0]).line : undefined }
+    );
+  }
+
+  const context = {
+    file,
+    lineOf(keyPath) {
+      return locateLine(doc, lineCounter, keyPath);
+    }
+  };
+
+  return validateConfig(doc.toJS() ?? {}, context);
+}
+
+/**
+ * 校验配置对象并返回规范化结果
+ * @param {Object} raw - 原始配置对象
+ * @param {Object} [context] - 校验上下文（文件名、行号定位）
+ * @returns {Object}
+ */
+export function validateConfig(raw, context = { file: '<config>', lineOf: () => undefined }) {
+  expectMapping(raw, [], context);
+  expectKnownKeys(raw, ROOT_KEYS, [], context);
+
+  const roles = {};
+  if (raw.roles !== undefined) {
+    expectMapping(raw.roles, ['roles'], context);
+    for (const [name, role] of Object.entries(raw.roles)) {
+      roles[name] = validateRole(role, ['roles', name], context);
+    }
+  }
+
+  const connections = {};
+  if (raw.connections !== undefined) {
+    expectMapping(raw.connections, ['connections'], context);
+    for (const [name, profile] of Object.entries(raw.connections)) {
+      connections[name] = validateConnection(profile, ['connections', name], context);
+      if (connections[name].role !== undefined && !roles[connections[name].role]) {
+        throw configError(`角色 ${connections[name].role} 未在 roles 中定义`, ['connections', name, 'role'], context);
+      }
+    }
+  }
+
+  let defaultConnection = null;
+  if (raw.defaultConnection !== undefined) {
+    defaultConnection = expectString(raw.defaultConnection, ['defaultConnection'], context);
+    if (!connections[defaultConnection]) {
+      throw configError(
+        `defaultConnection 指向不存在的连接: ${defaultConnection}`,
+        ['defaultConnection'],
+        context
+      );
+    }
+  }
+
+  const limits = raw.limits === undefined ? {} : validateLimits(raw.limits, ['limits'], context);
+
+  const security = {
+    tableWhitelist: null,
+    tableBlacklist: null,
+    tableReadWhitelist: null,
+    tableWriteWhitelist: null,
+    readonly: false
+  };
+  if (raw.security !== undefined) {
+    expectMapping(raw.security, ['security'], context);
+    expectKnownKeys(raw.security, SECURITY_KEYS, ['security'], context);
+    for (const key of TABLE_LIST_KEYS) {
+      if (raw.security[key] !== undefined) {
+        security[key] = expectTablePatterns(raw.security[key], ['security', key], context);
+      }
+    }
+    if (raw.security.readonly !== undefined) {
+      security.readonly = expectBoolean(raw.security.readonly, ['security', 'readonly'], context);
+    }
+  }
+
+  const timeouts = {};
+  if (raw.timeouts !== undefined) {
+    expectMapping(raw.timeouts, ['timeouts'], context);
+    for (const [key, value] of Object.entries(raw.timeouts)) {
+      // default 为所有工具的默认值，其余字段为工具名（如 oracle_query）
+      if (key !== 'default' && !key.startsWith('oracle_')) {
+        throw configError('应为 default 或工具名（如 oracle_query）', ['timeouts', key], context);
+      }
+      timeouts[key] = expectInteger(value, ['timeouts', key], context, { min: 0 });
+    }
+  }
+
+  const masking = { hashSalt: null, rules: [] };
+  if (raw.masking !== undefined) {
+    expectMapping(raw.masking, ['masking'], context);
+    expectKnownKeys(raw.masking, MASKING_KEYS, ['masking'], context);
+    if (raw.masking.hashSalt !== undefined) {
+      masking.hashSalt = expectString(raw.masking.hashSalt, ['masking', 'hashSalt'], context);
+    }
+    if (raw.masking.rules !== undefined) {
+      if (!Array.isArray(raw.masking.rules)) {
+        throw configError('应为规则数组', ['masking', 'rules'], context);
+      }
+      masking.rules = raw.masking.rules.map((rule, index) =>
+        validateMaskingRule(rule, ['masking', 'rules', index], context));
+    }
+  }
+
+  const audit = { file: null, maxSize: null, maxFiles: null };
+  if (raw.audit !== undefined) {
+    expectMapping(raw.audit, ['audit'], context);
+    expectKnownKeys(raw.audit, AUDIT_KEYS, ['audit'], context);
+    if (raw.audit.file !== undefined) {
+      const file = expectString(raw.audit.file, ['audit', 'file'], context);
+      audit.file = context.file ? path.resolve(path.dirname(context.file), file) : path.resolve(file);
+    }
+    if (raw.audit.maxSize !== undefined) {
+      audit.maxSize = expectInteger(raw.audit.maxSize, ['audit', 'maxSize'], context, { min: 1 });
+    }
+    if (raw.audit.maxFiles !== undefined) {
+      audit.maxFiles = expectInteger(raw.audit.maxFiles, ['audit', 'maxFiles'], context, { min: 0 });
+    }
+  }
+
+  const budgets = { callsPerMinute: {}, maxSessionRows: null, maxConcurrentStatements: null, maxQueryCost: null };
+  if (raw.budgets !== undefined) {
+    expectMapping(raw.budgets, ['budgets'], context);
+    expectKnownKeys(raw.budgets, BUDGET_KEYS, ['budgets'], context);
+    if (raw.budgets.callsPerMinute !== undefined) {
+      expectMapping(raw.budgets.callsPerMinute, ['budgets', 'callsPerMinute'], context);
+      for (const [key, value] of Object.entries(raw.budgets.callsPerMinute)) {
+        // 与 timeouts 相同：default 为所有工具的默认值，其余字段为工具名
+        if (key !== 'default' && !key.startsWith('oracle_')) {
+          throw configError('应为 default 或工具名（如 oracle_query）', ['budgets', 'callsPerMinute', key], context);
+        }
+        budgets.callsPerMinute[key] = expectInteger(value, ['budgets', 'callsPerMinute', key], context, { min: 1 });
+      }
+    }
+    for (const key of ['maxSessionRows', 'maxConcurrentStatements', 'maxQueryCost']) {
+      if (raw.budgets[key] !== undefined) {
+        budgets[key] = expectInteger(raw.budgets[key], ['budgets', key], context, { min: 1 });
+      }
+    }
+  }
+
+  return {
+    file: context.file,
+    defaultConnection,
+    connections,
+    limits,
+    timeouts,
+    security,
+    masking,
+    audit,
+    budgets,
+    roles
+  };
+}
+
+/**
+ * 校验策略角色
+ * 表名单与 security 中的同名字段格式相同，masking.rules 与顶层脱敏规则格式相同
+ * @param {Object} role - 角色定义
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateRole(role, keyPath, context) {
+  expectMapping(role, keyPath, context);
+  expectKnownKeys(role, ROLE_KEYS, keyPath, context);
+
+  const result = { readonly: false };
+  if (role.readonly !== undefined) {
+    result.readonly = expectBoolean(role.readonly, [...keyPath, 'readonly'], context);
+  }
+  if (role.tools !== undefined) {
+    result.tools = expectStringList(role.tools, [...keyPath, 'tools'], context);
+    const invalid = result.tools.find(tool => !tool.startsWith('oracle_'));
+    if (invalid) {
+      throw configError(`应为工具名（如 oracle_query），发现 ${invalid}`, [...keyPath, 'tools'], context);
+    }
+  }
+  for (const key of TABLE_LIST_KEYS) {
+    if (role[key] !== undefined) {
+      result[key] = expectTablePatterns(role[key], [...keyPath, key], context);
+    }
+  }
+  if (role.masking !== undefined) {
+    const maskingPath = [...keyPath, 'masking'];
+    expectMapping(role.masking, maskingPath, context);
+    expectKnownKeys(role.masking, ROLE_MASKING_KEYS, maskingPath, context);
+    result.masking = { rules: [], includeGlobalRules: true };
+    if (role.masking.includeGlobalRules !== undefined) {
+      result.masking.includeGlobalRules = expectBoolean(role.masking.includeGlobalRules, [...maskingPath, 'includeGlobalRules'], context);
+    }
+    if (role.masking.rules !== undefined) {
+      if (!Array.isArray(role.masking.rules)) {
+        throw configError('应为规则数组', [...maskingPath, 'rules'], context);
+      }
+      result.masking.rules = role.masking.rules.map((rule, index) =>
+        validateMaskingRule(rule, [...maskingPath, 'rules', index], context));
+    }
+  }
+  return result;
+}
+
+/**
+ * 校验单条行级过滤规则
+ * @param {Object} filter - 过滤规则
+ * @param {Array<string|number>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {{ column: string, value: string|number, tables: string[] }}
+ */
+function validateRowFilter(filter, keyPath, context) {
+  expectMapping(filter, keyPath, context);
+  expectKnownKeys(filter, ROW_FILTER_KEYS, keyPath, context);
+
+  for (const key of ['column', 'value']) {
+    if (filter[key] === undefined) {
+      throw new OracleMapError(
+        ErrorCode.MISSING_REQUIRED_PARAM,
+        `行级过滤规则缺少必填字段 ${key}`,
+        { field: [...keyPath, key].join('.'), file: context.file, line: context.lineOf(keyPath) }
+      );
+    }
+  }
+  const column = expectString(filter.column, [...keyPath, 'column'], context);
+  if (!/^[A-Za-z][A-Za-z0-9_$#]*$/.test(column)) {
+    throw configError('应为列名', [...keyPath, 'column'], context);
+  }
+  if (typeof filter.value !== 'number' && (typeof filter.value !== 'string' || filter.value === '')) {
+    throw configError('应为字符串或数字', [...keyPath, 'value'], context);
+  }
+  return {
+    column: column.toUpperCase(),
+    value: filter.value,
+    tables: filter.tables === undefined ? ['*'] : expectTablePatterns(filter.tables, [...keyPath, 'tables'], context)
+  };
+}
+
+/**
+ * 校验单条脱敏规则
+ * 按列匹配（column，可加 table 限定表）和按数据内容匹配（detect）二选一
+ * @param {Object} rule - 脱敏规则
+ * @param {Array<string|number>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateMaskingRule(rule, keyPath, context) {
+  expectMapping(rule, keyPath, context);
+  expectKnownKeys(rule, MASKING_RULE_KEYS, keyPath, context);
+
+  if ((rule.column === undefined) === (rule.detect === undefined)) {
+    throw configError('column 和 detect 必须且只能指定其中一个', keyPath, context);
+  }
+  if (rule.table !== undefined && rule.column === undefined) {
+    throw configError('table 只能与 column 一起使用', [...keyPath, 'table'], context);
+  }
+
+  const result = {
+    strategy: rule.strategy === undefined
+      ? MaskStrategy.REDACT
+      : expectEnum(rule.strategy, Object.values(MaskStrategy), [...keyPath, 'strategy'], context)
+  };
+  for (const key of ['table', 'column']) {
+    if (rule[key] !== undefined) {
+      result[key] = expectTablePattern(expectString(rule[key], [...keyPath, key], context), [...keyPath, key], context);
+      if (result[key].startsWith('!')) {
+        throw configError('脱敏规则不支持 ! 排除写法', [...keyPath, key], context);
+      }
+    }
+  }
+  if (rule.detect !== undefined) {
+    result.detect = expectString(rule.detect, [...keyPath, 'detect'], context);
+    try {
+      compileDataPattern(result.detect);
+    } catch (error) {
+      throw configError(error.message, [...keyPath, 'detect'], context);
+    }
+  }
+  for (const key of ['keepStart', 'keepEnd']) {
+    if (rule[key] !== undefined) {
+      result[key] = expectInteger(rule[key], [...keyPath, key], context, { min: 0 });
+    }
+  }
+  if (rule.maskChar !== undefined) {
+    if (typeof rule.maskChar !== 'string' || Array.from(rule.maskChar).length !== 1) {
+      throw configError('应为单个字符', [...keyPath, 'maskChar'], context);
+    }
+    result.maskChar = rule.maskChar;
+  }
+  return result;
+}
+
+/**
+ * 校验单个连接配置
+ * @param {Object} profile - 连接配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateConnection(profile, keyPath, context) {
+  expectMapping(profile, keyPath, context);
+  expectKnownKeys(profile, CONNECTION_KEYS, keyPath, context);
+
+  const connection = {
+    ...validateConnectionTarget(profile, keyPath, context),
+    ...validateCredentials(profile, keyPath, context)
+  };
+
+  if (profile.pool !== undefined) {
+    connection.pool = validatePool(profile.pool, [...keyPath, 'pool'], context);
+  }
+
+  if (profile.readonly !== undefined) {
+    connection.readonly = expectBoolean(profile.readonly, [...keyPath, 'readonly'], context);
+  }
+
+  if (profile.confirmDml !== undefined) {
+    connection.confirmDml = expectBoolean(profile.confirmDml, [...keyPath, 'confirmDml'], context);
+  }
+
+  if (profile.role !== undefined) {
+    connection.role = expectString(profile.role, [...keyPath, 'role'], context);
+  }
+
+  if (profile.session !== undefined) {
+    connection.session = validateSession(profile.session, [...keyPath, 'session'], context);
+  }
+
+  if (profile.rowFilters !== undefined) {
+    if (!Array.isArray(profile.rowFilters)) {
+      throw configError('应为规则数组', [...keyPath, 'rowFilters'], context);
+    }
+    connection.rowFilters = profile.rowFilters.map((filter, index) =>
+      validateRowFilter(filter, [...keyPath, 'rowFilters', index], context));
+  }
+
+  if (profile.reconnect !== undefined) {
+    connection.reconnect = validateReconnect(profile.reconnect, [...keyPath, 'reconnect'], context);
+  }
+
+  if (profile.limits !== undefined) {
+    connection.limits = validateLimits(profile.limits, [...keyPath, 'limits'], context);
+  }
+
+  Object.assign(connection, validateTls(profile, keyPath, context));
+
+  return connection;
+}
+
+/**
+ * 校验凭据：未启用 externalAuth 时需要 user 和一种密码来源（password、passwordFile、passwordCommand）
+ * 相对路径的 passwordFile 按配置文件所在目录解析
+ * @param {Object} profile - 连接配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateCredentials(profile, keyPath, context) {
+  const credentials = {};
+  if (profile.externalAuth !== undefined) {
+    credentials.externalAuth = expectBoolean(profile.externalAuth, [...keyPath, 'externalAuth'], context);
+  }
+
+  const missing = (key) => new OracleMapError(
+    ErrorCode.MISSING_REQUIRED_PARAM,
+    `连接 ${keyPath[keyPath.length - 1]} 缺少必填字段`,
+    { field: [...keyPath, key].join('.'), file: context.file, line: context.lineOf(keyPath) }
+  );
+  const isSet = (key) => profile[key] !== undefined && profile[key] !== null && profile[key] !== '';
+  const sources = PASSWORD_SOURCE_KEYS.filter(isSet);
+
+  if (credentials.externalAuth) {
+    // 外部认证由操作系统或钱包提供凭据，不应再配置密码
+    if (sources.length > 0) {
+      throw configError('启用 externalAuth 时不能同时配置密码', [...keyPath, sources[0]], context);
+    }
+  } else {
+    if (!isSet('user')) {
+      throw missing('user');
+    }
+    if (sources.length === 0) {
+      throw missing('password');
+    }
+    if (sources.length > 1) {
+      throw configError(
+        `${PASSWORD_SOURCE_KEYS.join('、')} 只能指定其中一种`,
+        [...keyPath, sources[1]],
+        context
+      );
+    }
+  }
+
+  for (const key of ['user', 'proxyUser', 'password', 'passwordCommand']) {
+    if (profile[key] !== undefined) {
+      credentials[key] = expectString(profile[key], [...keyPath, key], context);
+    }
+  }
+  if (profile.passwordFile !== undefined) {
+    const file = expectString(profile.passwordFile, [...keyPath, 'passwordFile'], context);
+    credentials.passwordFile = context.file ? path.resolve(path.dirname(context.file), file) : path.resolve(file);
+  }
+
+  return credentials;
+}
+
+/**
+ * 校验连接目标：connectString、tnsAlias、host（+ serviceName 或 sid）三者必须且只能指定一种
+ * @param {Object} profile - 连接配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateConnectionTarget(profile, keyPath, context) {
+  const targets = ['connectString', 'tnsAlias', 'host'].filter(key => profile[key] !== undefined);
+
+  if (targets.length === 0) {
+    throw new OracleMapError(
+      ErrorCode.MISSING_REQUIRED_PARAM,
+      `连接 ${keyPath[keyPath.length - 1]} 缺少连接目标`,
+      {
+        field: [...keyPath, 'host'].join('.'),
+        file: context.file,
+        line: context.lineOf(keyPath),
+        suggestion: '请提供 host + serviceName、host + sid、connectString 或 tnsAlias 其中一种'
+      }
+    );
+  }
+  if (targets.length > 1) {
+    throw configError(`${targets.join('、')} 只能指定其中一种`, [...keyPath, targets[1]], context);
+  }
+
+  if (profile.connectString !== undefined) {
+    return { connectString: expectString(profile.connectString, [...keyPath, 'connectString'], context) };
+  }
+
+  if (profile.tnsAlias !== undefined) {
+    const target = { tnsAlias: expectString(profile.tnsAlias, [...keyPath, 'tnsAlias'], context) };
+    if (profile.tnsAdmin !== undefined) {
+      target.tnsAdmin = expectString(profile.tnsAdmin, [...keyPath, 'tnsAdmin'], context);
+    }
+    return target;
+  }
+
+  const target = {
+    host: expectString(profile.host, [...keyPath, 'host'], context),
+    port: profile.port === undefined
+      ? 1521
+      : expectInteger(profile.port, [...keyPath, 'port'], context, { min: 1, max: 65535 })
+  };
+  if (profile.protocol !== undefined) {
+    target.protocol = expectEnum(String(profile.protocol).toLowerCase(), CONNECTION_PROTOCOLS, [...keyPath, 'protocol'], context);
+  }
+  if ((profile.serviceName === undefined) === (profile.sid === undefined)) {
+    throw configError('serviceName 和 sid 必须且只能指定其中一个', [...keyPath, 'host'], context);
+  }
+  if (profile.serviceName !== undefined) {
+    target.serviceName = expectString(profile.serviceName, [...keyPath, 'serviceName'], context);
+  } else {
+    target.sid = expectString(profile.sid, [...keyPath, 'sid'], context);
+  }
+  return target;
+}
+
+/**
+ * 校验 TLS (TCPS) 钱包配置
+ * @param {Object} profile - 连接配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateTls(profile, keyPath, context) {
+  const tls = {};
+  for (const key of ['walletLocation', 'walletPassword', 'sslServerCertDN']) {
+    if (profile[key] !== undefined) {
+      tls[key] = expectString(profile[key], [...keyPath, key], context);
+    }
+  }
+  if (profile.sslServerDNMatch !== undefined) {
+    tls.sslServerDNMatch = expectBoolean(profile.sslServerDNMatch, [...keyPath, 'sslServerDNMatch'], context);
+  }
+  return tls;
+}
+
+/**
+ * 校验连接池配置（供环境变量和 oracle_connect 参数复用）
+ * @param {Object} pool - 连接池配置
+ * @param {string} [source] - 配置来源（用于错误提示）
+ * @returns {Object}
+ */
+export function validatePoolConfig(pool, source = 'pool') {
+  return validatePool(pool, [source], { file: undefined, lineOf: () => undefined });
+}
+
+/**
+ * 校验连接池配置
+ * @param {Object} pool - 连接池配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validatePool(pool, keyPath, context) {
+  expectMapping(pool, keyPath, context);
+  expectKnownKeys(pool, POOL_CONFIG_KEYS, keyPath, context);
+
+  const result = {};
+  for (const key of POOL_CONFIG_KEYS) {
+    if (pool[key] !== undefined) {
+      // queueMax 为 -1 表示不限制排队长度
+      result[key] = expectInteger(pool[key], [...keyPath, key], context, { min: key === 'queueMax' ? -1 : 0 });
+    }
+  }
+
+  if (result.poolMin !== undefined && result.poolMax !== undefined && result.poolMin > result.poolMax) {
+    throw configError('poolMin 不能大于 poolMax', [...keyPath, 'poolMin'], context);
+  }
+  if (result.poolMax === 0) {
+    throw configError('poolMax 必须大于 0', [...keyPath, 'poolMax'], context);
+  }
+
+  return result;
+}
+
+/**
+ * 校验会话配置（供环境变量和 oracle_connect 参数复用）
+ * @param {Object} session - 会话配置
+ * @param {string} [source] - 配置来源（用于错误提示）
+ * @returns {Object}
+ */
+export function validateSessionConfig(session, source = 'session') {
+  return validateSession(session, [source], { file: undefined, lineOf: () => undefined });
+}
+
+/**
+ * 校验会话配置（会话标记和会话初始化参数）
+ * MODULE、ACTION、CLIENT_IDENTIFIER 和 CLIENT_INFO 在数据库中最长 64 字节
+ * @param {Object} session - 会话配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateSession(session, keyPath, context) {
+  expectMapping(session, keyPath, context);
+  expectKnownKeys(session, [...SESSION_TAG_KEYS, ...SESSION_INIT_KEYS], keyPath, context);
+
+  const result = {};
+  for (const key of SESSION_TAG_KEYS) {
+    if (session[key] !== undefined) {
+      const value = expectString(session[key], [...keyPath, key], context);
+      if (Buffer.byteLength(value, 'utf8') > 64) {
+        throw configError('长度不能超过 64 字节', [...keyPath, key], context);
+      }
+      result[key] = value;
+    }
+  }
+
+  for (const key of SESSION_INIT_KEYS) {
+    if (session[key] !== undefined) {
+      result[key] = expectString(session[key], [...keyPath, key], context).trim();
+    }
+  }
+  // ALTER SESSION SET CURRENT_SCHEMA 不支持绑定变量，只允许普通标识符
+  if (result.currentSchema !== undefined && !/^[A-Za-z][A-Za-z0-9_$#]*$/.test(result.currentSchema)) {
+    throw configError('应为不带引号的 schema 名', [...keyPath, 'currentSchema'], context);
+  }
+
+  return result;
+}
+
+/**
+ * 校验自动重连配置
+ * @param {Object} reconnect - 自动重连配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateReconnect(reconnect, keyPath, context) {
+  expectMapping(reconnect, keyPath, context);
+  expectKnownKeys(reconnect, RECONNECT_KEYS, keyPath, context);
+
+  const result = {};
+  for (const key of RECONNECT_KEYS) {
+    if (reconnect[key] !== undefined) {
+      // maxAttempts 为 0 表示关闭自动重连
+      result[key] = expectInteger(reconnect[key], [...keyPath, key], context, { min: 0 });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 校验行数/LOB/采样/搜索/DML 影响行数限制
+ * maxRowsAffectedByTable 的键为表名模式（glob 或 /正则/），值为该表允许影响的最大行数
+ * @param {Object} limits - 限制配置
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {Object}
+ */
+function validateLimits(limits, keyPath, context) {
+  expectMapping(limits, keyPath, context);
+  expectKnownKeys(limits, LIMIT_KEYS, keyPath, context);
+
+  const result = {};
+  for (const key of INTEGER_LIMIT_KEYS) {
+    if (limits[key] !== undefined) {
+      result[key] = expectInteger(limits[key], [...keyPath, key], context, { min: 1 });
+    }
+  }
+
+  if (limits.maxRowsAffectedByTable !== undefined) {
+    const tablesPath = [...keyPath, 'maxRowsAffectedByTable'];
+    expectMapping(limits.maxRowsAffectedByTable, tablesPath, context);
+    result.maxRowsAffectedByTable = {};
+    for (const [pattern, limit] of Object.entries(limits.maxRowsAffectedByTable)) {
+      result.maxRowsAffectedByTable[expectTablePattern(pattern, [...tablesPath, pattern], context)] = expectInteger(limit, [...tablesPath, pattern], context, { min: 1 });
+    }
+  }
+
+  if (limits.precountRowsAffected !== undefined) {
+    result.precountRowsAffected = expectBoolean(limits.precountRowsAffected, [...keyPath, 'precountRowsAffected'], context);
+  }
+
+  return result;
+}
+
+/**
+ * 构建带文件位置的配置错误
+ * @param {string} message - 错误消息
+ * @param {Array<string>} keyPath - 配置路径
+ * @param {Object} context - 校验上下文
+ * @returns {OracleMapError}
+ */
+function configError(message, keyPath, context) {
+  const location = keyPath.length > 0 ? `${keyPath.join('.')}: ` : '';
+  return new OracleMapError(
+    ErrorCode.CONFIG_PARSE_ERROR,
+    `${location}${message}`,
+    { file: context.file, line: context.lineOf(keyPath) }
+  );
+}
+
+/**
+ * 校验值为对象
+ */
+function expectMapping(value, keyPath, context) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw configError('应为对象', keyPath, context);
+  }
+}
+
+/**
+ * 校验对象不包含未知字段（防止拼写错误的配置项被静默忽略）
+ */
+function expectKnownKeys(value, allowedKeys, keyPath, context) {
+  for (const key of Object.keys(value)) {
+    if (!allowedKeys.includes(key)) {
+      throw configError(`未知的配置项 ${key}，允许的配置项: ${allowedKeys.join(', ')}`, [...keyPath, key], context);
+    }
+  }
+}
+
+/**
+ * 校验值为非空字符串
+ * @returns {string}
+ */
+function expectString(value, keyPath, context) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw configError('应为非空字符串', keyPath, context);
+  }
+  return value;
+}
+
+/**
+ * 校验值为指定范围内的整数
+ * @returns {number}
+ */
+function expectInteger(value, keyPath, context, { min, max } = {}) {
+  if (!Number.isInteger(value)) {
+    throw configError('应为整数', keyPath, context);
+  }
+  if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+    const range = max !== undefined ? `${min} ~ ${max}` : `>= ${min}`;
+    throw configError(`取值超出范围（${range}）`, keyPath, context);
+  }
+  return value;
+}
+
+/**
+ * 校验值为布尔值
+ * @returns {boolean}
+ */
+function expectBoolean(value, keyPath, context) {
+  if (typeof value !== 'boolean') {
+    throw configError('应为 true 或 false', keyPath, context);
+  }
+  return value;
+}
+
+/**
+ * 校验值为允许的枚举值之一
+ * @returns {string}
+ */
+function expectEnum(value, allowed, keyPath, context) {
+  if (!allowed.includes(value)) {
+    throw configError(`取值应为 ${allowed.join(' / ')}`, keyPath, context);
+  }
+  return value;
+}
+
+/**
+ * 校验值为字符串数组
+ * @returns {string[]}
+ */
+function expectStringList(value, keyPath, context) {
+  // 兼容与 ORACLE_TABLE_WHITELIST 相同的逗号分隔写法
+  if (typeof value === 'string') {
+    return value.split(',').map(v => v.trim()).filter(v => v.length > 0);
+  }
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw configError('应为字符串数组', keyPath, context);
+  }
+  return value.map(v => v.trim()).filter(v => v.length > 0);
+}
+
+/**
+ * 校验表名模式列表：普通名称和 glob 转为大写，正则表达式必须能编译
+ */
+function expectTablePatterns(value, keyPath, context) {
+  return expectStringList(value, keyPath, context).map(pattern => expectTablePattern(pattern, keyPath, context));
+}
+
+/**
+ * 校验单个表名（列名）模式
+ * @returns {string}
+ */
+function expectTablePattern(pattern, keyPath, context) {
+  try {
+    compileTablePattern(pattern);
+  } catch (error) {
+    throw configError(error.message, keyPath, context);
+  }
+  return normalizeTablePattern(pattern);
+}
+
+/**
+ * 定位配置路径所在行号，路径不存在时回退到最近的父节点
+ * @param {import('yaml').Document} doc - YAML 文档
+ * @param {LineCounter} lineCounter - 行号计数器
+ * @param {Array<string|number>} keyPath - 配置路径
+ * @returns {number|undefined}
+ */
+function locateLine(doc, lineCounter, keyPath) {
+  for (let depth = keyPath.length; depth > 0; depth--) {
+    const parent = depth > 1 ? doc.getIn(keyPath.slice(0, depth - 1), true) : doc.contents;
+    const key = keyPath[depth - 1];
+    // 数组元素按下标定位
+    if (typeof key === 'number') {
+      const item = parent && Array.isArray(parent.items) ? parent.items[key] : null;
+      if (item && item.range) {
+        return lineCounter.linePos(item.range[0]).line;
+      }
+      continue;
+    }
+    const pair = parent && Array.isArray(parent.items)
+      ? parent.items.find(item => item.key && item.key.value === key)
+      : null;
+    if (pair && pair.key.range) {
+      return lineCounter.linePos(pair.key.range[0]).line;
+    }
+  }
+  return doc.contents && doc.contents.range ? lineCounter.linePos(doc.contents.range[0]).line : undefined;
+}
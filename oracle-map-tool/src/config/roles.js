@@ -0,0 +1,127 @@
+/**
+ * 策略角色
+ * 同一个服务进程可以按连接（连接配置中的 role）或按操作人（ORACLE_ROLE 环境变量）应用不同的权限：
+ * 角色决定可用的工具、可访问的表和适用的脱敏规则。两者同时指定时都生效，权限取交集
+ */
+
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+import { buildTablePolicy, WRITE_TOOLS } from './security.js';
+import { compileMaskingRules } from '../mapper/masking.js';
+
+/**
+ * 指定操作人角色的环境变量
+ */
+export const ROLE_ENV = 'ORACLE_ROLE';
+
+/**
+ * 配置文件中的角色定义（通过 configureRoles 注入）
+ */
+let configuredRoles = {};
+
+/**
+ * 已编译的角色缓存，configureRoles 时重建
+ * @type {Map<string, Object>}
+ */
+let compiledRoles = new Map();
+
+/**
+ * 应用配置文件中的角色定义
+ * @param {Object<string, Object>} [roles] - 角色名到角色定义的映射，每个角色包含 readonly、tools、
+ *   tableWhitelist、tableBlacklist、tableReadWhitelist、tableWriteWhitelist 和 masking（rules、includeGlobalRules）
+ */
+export function configureRoles(roles = {}) {
+  configuredRoles = { ...roles };
+  compiledRoles = new Map(Object.entries(configuredRoles).map(([name, role]) => [name, compileRole(name, role)]));
+}
+
+/**
+ * 编译单个角色
+ * @param {string} name - 角色名
+ * @param {Object} role - 角色定义
+ * @returns {Object}
+ */
+function compileRole(name, role) {
+  const masking = role.masking || {};
+  return {
+    name,
+    readonly: role.readonly === true,
+    tools: role.tools ? new Set(role.tools) : null,
+    tables: buildTablePolicy({
+      whitelist: role.tableWhitelist || null,
+      blacklist: role.tableBlacklist || null,
+      read: role.tableReadWhitelist || null,
+      write: role.tableWriteWhitelist || null
+    }),
+    maskingRules: compileMaskingRules(masking.rules || []),
+    includeGlobalMasking: masking.includeGlobalRules !== false
+  };
+}
+
+/**
+ * 解析连接生效的角色策略
+ * 连接配置中的角色和 ORACLE_ROLE 同时生效：任一角色只读即只读，工具取交集，表需要被每个角色允许，
+ * 脱敏规则合并（任一角色使用全局规则时保留全局规则）
+ * @param {string|null} [profileRole] - 连接配置中的角色
+ * @param {Object} [env] - 环境变量
+ * @returns {{ names: string[], readonly: boolean, tools: Set<string>|null, tables: Array<{ name: string, policy: Object }>,
+ *   masking: { rules: Array<Object>, includeGlobalRules: boolean } }|null} 未指定任何角色时返回 null
+ */
+export function resolveRolePolicy(profileRole = null, env = process.env) {
+  const envRole = (env[ROLE_ENV] || '').trim() || null;
+  const names = Array.from(new Set([profileRole, envRole].filter(Boolean)));
+  if (names.length === 0) {
+    return null;
+  }
+
+  const roles = names.map(name => {
+    const role = compiledRoles.get(name);
+    if (!role) {
+      throw new OracleMapError(ErrorCode.CONFIG_PARSE_ERROR, `未定义的角色 ${name}`, {
+        roles: Array.from(compiledRoles.keys()),
+        suggestion: `请在配置文件的 roles 中定义该角色，或修改 ${ROLE_ENV} / 连接配置中的 role`
+      });
+    }
+    return role;
+  });
+
+  const toolLists = roles.filter(role => role.tools !== null).map(role => role.tools);
+  return {
+    names,
+    readonly: roles.some(role => role.readonly),
+    tools: toolLists.length === 0
+      ? null
+      : new Set([...toolLists[0]].filter(tool => toolLists.every(list => list.has(tool)))),
+    tables: roles.filter(role => role.tables !== null).map(role => ({ name: role.name, policy: role.tables })),
+    masking: {
+      rules: roles.flatMap(role => role.maskingRules),
+      includeGlobalRules: roles.some(role => role.includeGlobalMasking)
+    }
+  };
+}
+
+/**
+ * 角色是否允许使用工具（只读角色不允许写操作工具）
+ * @param {Object|null} role - 角色策略，null 表示未启用角色
+ * @param {string} tool - 工具名
+ * @returns {boolean}
+ */
+export function isToolAllowed(role, tool) {
+  if (!role) {
+    return true;
+  }
+  if (role.readonly && WRITE_TOOLS.includes(tool)) {
+    return false;
+  }
+  return role.tools === null || role.tools.has(tool);
+}
+
+/**
+ * 获取角色配置（用于展示）
+ * @returns {{ active: string|null, roles: Object<string, Object> }} active 为 ORACLE_ROLE 指定的角色
+ */
+export function getRolesConfig() {
+  return {
+    active: (process.env[ROLE_ENV] || '').trim() || null,
+    roles: Object.fromEntries(Object.entries(configuredRoles).map(([name, role]) => [name, { ...role }]))
+  };
+}
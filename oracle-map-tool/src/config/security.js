@@ -3,8 +3,11 @@
  * 处理表白名单、行数限制等安全相关配置
  */
 
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+import { tokenize, splitStatements, isKeyword, findKeyword, formatPosition, TokenType } from '../query/lexer.js';
+
 /**
- * 硬性最大行数限制，防止意外请求过多数据
+ * 默认最大行数限制，防止意外请求过多数据（可通过配置文件 limits.maxRows 调整）
  */
 export const MAX_ROWS_LIMIT = 1000;
 
@@ -19,46 +22,355 @@ export const CLOB_MAX_LENGTH = 4000;
 export const BLOB_MAX_LENGTH = 1024;
 
 /**
- * 从环境变量获取表白名单
- * 环境变量格式: ORACLE_TABLE_WHITELIST=TABLE1,TABLE2,TABLE3
+ * oracle_describe_table 最多采样的行数
+ */
+export const MAX_SAMPLE_SIZE = 10;
+
+/**
+ * oracle_search_metadata 每类结果最多返回的条数
+ */
+export const MAX_SEARCH_RESULTS = 200;
+
+/**
+ * 限制项与环境变量、内置默认值的对应关系
+ * 键为配置文件 limits 中的字段，name 为 getSecurityLimits() 返回的字段
+ */
+const LIMIT_SOURCES = {
+  maxRows: { name: 'maxRowsLimit', env: 'ORACLE_MAX_ROWS', defaultValue: MAX_ROWS_LIMIT },
+  clobMaxLength: { name: 'clobMaxLength', env: 'ORACLE_CLOB_MAX_LENGTH', defaultValue: CLOB_MAX_LENGTH },
+  blobMaxLength: { name: 'blobMaxLength', env: 'ORACLE_BLOB_MAX_LENGTH', defaultValue: BLOB_MAX_LENGTH },
+  maxSampleSize: { name: 'maxSampleSize', env: 'ORACLE_MAX_SAMPLE_SIZE', defaultValue: MAX_SAMPLE_SIZE },
+  maxSearchResults: { name: 'maxSearchResults', env: 'ORACLE_MAX_SEARCH_RESULTS', defaultValue: MAX_SEARCH_RESULTS },
+  maxRowsAffected: { name: 'maxRowsAffected', env: 'ORACLE_MAX_ROWS_AFFECTED', defaultValue: null }
+};
+
+/**
+ * 默认单次数据库调用超时（毫秒），超时后正在执行的语句会被中断
+ */
+export const DEFAULT_CALL_TIMEOUT = 60000;
+
+/**
+ * 配置文件中的安全设置（通过 configureSecurity 注入）
+ */
+let configuredSettings = {
+  limits: {},
+  tableWhitelist: null,
+  tableBlacklist: null,
+  tableReadWhitelist: null,
+  tableWriteWhitelist: null,
+  readonly: false,
+  timeouts: {}
+};
+
+/**
+ * 应用配置文件中的安全设置
+ * @param {Object} [settings] - 安全设置
+ * @param {Object} [settings.limits] - 行数/LOB/采样/搜索/DML 影响行数限制（maxRows、clobMaxLength、blobMaxLength、maxSampleSize、
+ *   maxSearchResults、maxRowsAffected、maxRowsAffectedByTable、precountRowsAffected）
+ * @param {string[]|null} [settings.tableWhitelist] - 表白名单（读写均适用）
+ * @param {string[]|null} [settings.tableBlacklist] - 禁止访问的表
+ * @param {string[]|null} [settings.tableReadWhitelist] - 只允许读取的表
+ * @param {string[]|null} [settings.tableWriteWhitelist] - 允许写入的表
+ * @param {boolean} [settings.readonly] - 是否启用全局只读模式
+ * @param {Object} [settings.timeouts] - 调用超时（default 和按工具名配置的毫秒数）
+ */
+export function configureSecurity(settings = {}) {
+  configuredSettings = {
+    limits: { ...(settings.limits || {}) },
+    tableWhitelist: settings.tableWhitelist || null,
+    tableBlacklist: settings.tableBlacklist || null,
+    tableReadWhitelist: settings.tableReadWhitelist || null,
+    tableWriteWhitelist: settings.tableWriteWhitelist || null,
+    readonly: settings.readonly === true,
+    timeouts: { ...(settings.timeouts || {}) }
+  };
+}
+
+/**
+ * 获取工具的单次数据库调用超时（毫秒，0 表示不限制）
+ * 优先级: 调用参数 timeout > 配置文件中该工具的超时 > ORACLE_CALL_TIMEOUT > 配置文件 timeouts.default > 默认值
+ * @param {string} tool - 工具名
+ * @param {number} [override] - 调用参数中指定的超时
+ * @returns {number}
+ */
+export function getCallTimeout(tool, override) {
+  if (override !== undefined && override !== null) {
+    return override;
+  }
+  const { timeouts } = configuredSettings;
+  if (timeouts[tool] !== undefined) {
+    return timeouts[tool];
+  }
+  const fromEnv = parseInt(process.env.ORACLE_CALL_TIMEOUT || '', 10);
+  if (Number.isInteger(fromEnv) && fromEnv >= 0) {
+    return fromEnv;
+  }
+  return timeouts.default ?? DEFAULT_CALL_TIMEOUT;
+}
+
+/**
+ * 写操作工具（只读模式下从工具列表中移除并拒绝调用）
+ */
+export const WRITE_TOOLS = ['oracle_execute_dml', 'oracle_insert_record'];
+
+/**
+ * 是否启用全局只读模式
+ * 环境变量 ORACLE_READONLY 优先于配置文件中的 security.readonly
+ * @returns {boolean}
+ */
+export function isReadonlyMode() {
+  const value = process.env.ORACLE_READONLY;
+  if (value !== undefined && value.trim() !== '') {
+    return ['true', '1', 'yes'].includes(value.trim().toLowerCase());
+  }
+  return configuredSettings.readonly;
+}
+
+/**
+ * 获取生效的行数/LOB/采样/搜索/DML 影响行数限制
+ * 优先级: 连接配置中的 limits > 环境变量（如 ORACLE_MAX_ROWS）> 配置文件顶层 limits > 内置默认值；
+ * maxRowsAffectedByTable 按表名模式合并，连接配置中的同名模式覆盖顶层配置并优先匹配
+ * @param {Object} [profileLimits] - 连接配置中的 limits
+ * @returns {{ maxRowsLimit: number, clobMaxLength: number, blobMaxLength: number, maxSampleSize: number, maxSearchResults: number,
+ *   maxRowsAffected: number|null, maxRowsAffectedByTable: Object<string, number>, precountRowsAffected: boolean }}
+ */
+export function getSecurityLimits(profileLimits = {}) {
+  const { limits } = configuredSettings;
+  const resolved = Object.fromEntries(Object.entries(LIMIT_SOURCES).map(([key, source]) => {
+    if (profileLimits[key] !== undefined) {
+      return [source.name, profileLimits[key]];
+    }
+    const fromEnv = parseInt(process.env[source.env] || '', 10);
+    if (Number.isInteger(fromEnv) && fromEnv >= 1) {
+      return [source.name, fromEnv];
+    }
+    return [source.name, limits[key] ?? source.defaultValue];
+  }));
+  const profileTables = profileLimits.maxRowsAffectedByTable || {};
+  resolved.maxRowsAffectedByTable = Object.fromEntries([
+    ...Object.entries(profileTables),
+    ...Object.entries(limits.maxRowsAffectedByTable || {}).filter(([pattern]) => profileTables[pattern] === undefined)
+  ]);
+  resolved.precountRowsAffected = profileLimits.precountRowsAffected ?? limits.precountRowsAffected ?? false;
+  return resolved;
+}
+
+/**
+ * 获取 DML 写入指定表时允许影响的最大行数
+ * 按 maxRowsAffectedByTable 中第一个匹配的表名模式，未匹配时使用 maxRowsAffected
+ * @param {string} tableName - 目标表名
+ * @param {Object} [limits] - 生效的限制（getSecurityLimits 的返回值）
+ * @returns {{ limit: number, source: string }|null} source 为生效的配置项，null 表示不限制
+ */
+export function getRowsAffectedLimit(tableName, limits = getSecurityLimits()) {
+  for (const [pattern, limit] of Object.entries(limits.maxRowsAffectedByTable || {})) {
+    if (compileTablePattern(pattern).test(tableName)) {
+      return { limit, source: `maxRowsAffectedByTable.${pattern}` };
+    }
+  }
+  return limits.maxRowsAffected === null || limits.maxRowsAffected === undefined
+    ? null
+    : { limit: limits.maxRowsAffected, source: 'maxRowsAffected' };
+}
+
+/**
+ * 表访问操作
+ */
+export const TableOperation = {
+  READ: 'read',
+  WRITE: 'write'
+};
+
+/**
+ * 表名单与环境变量、配置文件字段的对应关系（环境变量优先）
+ */
+const TABLE_LIST_SOURCES = {
+  whitelist: { env: 'ORACLE_TABLE_WHITELIST', setting: 'tableWhitelist' },
+  blacklist: { env: 'ORACLE_TABLE_BLACKLIST', setting: 'tableBlacklist' },
+  read: { env: 'ORACLE_TABLE_READ_WHITELIST', setting: 'tableReadWhitelist' },
+  write: { env: 'ORACLE_TABLE_WRITE_WHITELIST', setting: 'tableWriteWhitelist' }
+};
+
+/**
+ * 不受白名单限制的表（只读）
+ */
+export const ALWAYS_ALLOWED_TABLES = ['DUAL'];
+
+/**
+ * 规范化表名模式：普通名称和 glob 转为大写，正则表达式保持原样
+ * @param {string} pattern - 表名模式
+ * @returns {string}
+ */
+export function normalizeTablePattern(pattern) {
+  const trimmed = pattern.trim();
+  const body = trimmed.replace(/^!\s*/, '');
+  return body.startsWith('/') ? trimmed : trimmed.toUpperCase();
+}
+
+/**
+ * 编译表名模式
+ * - 普通名称或 glob：* 匹配任意个字符，? 匹配单个字符，如 ORDER_*
+ * - /正则表达式/：如 /^RPT_\d{4}$/
+ * - 以 ! 开头表示排除，如 !*_AUDIT
+ * 匹配均不区分大小写
+ * @param {string} pattern - 表名模式
+ * @returns {{ source: string, negated: boolean, test: (name: string) => boolean }}
+ */
+export function compileTablePattern(pattern) {
+  const source = pattern.trim();
+  const negated = source.startsWith('!');
+  const body = negated ? source.slice(1).trim() : source;
+
+  let regex;
+  if (body.length > 2 && body.startsWith('/') && body.endsWith('/')) {
+    try {
+      regex = new RegExp(body.slice(1, -1), 'i');
+    } catch (error) {
+      throw new OracleMapError(ErrorCode.CONFIG_PARSE_ERROR, `无效的表名正则表达式 ${body}: ${error.message}`);
+    }
+  } else {
+    const glob = body.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    regex = new RegExp(`^${glob}$`, 'i');
+  }
+
+  return { source, negated, test: (name) => regex.test(name) };
+}
+
+/**
+ * 读取表名单：环境变量（逗号分隔）优先于配置文件
+ * @param {string} key - TABLE_LIST_SOURCES 中的名单
+ * @returns {string[]|null} null 表示未配置
+ */
+function getTableList(key) {
+  const { env, setting } = TABLE_LIST_SOURCES[key];
+  const value = process.env[env];
+  if (value !== undefined && value.trim() !== '') {
+    return value
+      .split(',')
+      .map(t => t.trim())
+      .filter(t => t.length > 0)
+      .map(normalizeTablePattern);
+  }
+  return configuredSettings[setting];
+}
+
+/**
+ * 获取表白名单
+ * 环境变量格式: ORACLE_TABLE_WHITELIST=TABLE1,TABLE2,ORDER_*,!*_AUDIT
+ * 环境变量优先于配置文件中的 security.tableWhitelist
  * @returns {Set<string>|null} 白名单集合，null 表示不启用白名单
  */
 export function getTableWhitelist() {
-  const whitelist = process.env.ORACLE_TABLE_WHITELIST;
-  if (!whitelist || whitelist.trim() === '') {
-    return null; // 不启用白名单
+  const whitelist = getTableList('whitelist');
+  return whitelist ? new Set(whitelist) : null;
+}
+
+/**
+ * 获取生效的表访问策略（环境变量和配置文件 security 中的表名单）
+ * @returns {Object|null} 未配置任何名单时返回 null
+ */
+export function getTablePolicy() {
+  return buildTablePolicy(Object.fromEntries(
+    Object.keys(TABLE_LIST_SOURCES).map(key => [key, getTableList(key)])
+  ));
+}
+
+/**
+ * 由表名单构建访问策略（全局名单和策略角色中的名单使用同样的规则）
+ * - deny: 黑名单和白名单中的排除项，对读写都生效
+ * - read / write: allow 为允许的模式（null 表示不限制），deny 为该操作名单中的排除项
+ * 操作的允许范围为 tableWhitelist 与该操作专属名单的并集
+ * @param {{ whitelist?: string[]|null, blacklist?: string[]|null, read?: string[]|null, write?: string[]|null }} lists - 表名单
+ * @returns {Object|null} 未配置任何名单时返回 null
+ */
+export function buildTablePolicy(lists) {
+  if (Object.keys(TABLE_LIST_SOURCES).every(key => !lists[key])) {
+    return null;
   }
-  
-  const tables = whitelist
-    .split(',')
-    .map(t => t.trim().toUpperCase())
-    .filter(t => t.length > 0);
-  
-  return new Set(tables);
+
+  const compile = (list) => (list || []).map(compileTablePattern);
+  const whitelist = compile(lists.whitelist);
+  const buildRule = (key) => {
+    const patterns = compile(lists[key]);
+    const allow = [...whitelist, ...patterns].filter(p => !p.negated);
+    return {
+      allow: allow.length > 0 ? allow : null,
+      deny: patterns.filter(p => p.negated)
+    };
+  };
+
+  return {
+    deny: [
+      ...compile(lists.blacklist).map(p => ({ ...p, negated: true })),
+      ...whitelist.filter(p => p.negated)
+    ],
+    read: buildRule('read'),
+    write: buildRule('write')
+  };
 }
 
 /**
- * 检查表是否在白名单中
+ * 检查表的访问权限
+ * 表需要同时被全局名单和角色的名单允许；排除规则优先于允许规则；DUAL 始终允许读取
  * @param {string} tableName - 表名
- * @returns {{ allowed: boolean, message: string|null }}
+ * @param {string} [operation] - 操作（TableOperation.READ / WRITE），默认读取
+ * @param {Object|null} [role] - 连接生效的策略角色（见 resolveRolePolicy）
+ * @returns {{ allowed: boolean, message: string|null, deniedBy: string|null, role?: string }}
+ *   deniedBy 为命中的排除规则，不在允许范围内时为 null；被角色拒绝时 role 为角色名
  */
-export function checkTableAccess(tableName) {
-  const whitelist = getTableWhitelist();
-  
-  // 白名单未启用，允许所有表
-  if (whitelist === null) {
-    return { allowed: true, message: null };
+export function checkTableAccess(tableName, operation = TableOperation.READ, role = null) {
+  const access = checkPolicyAccess(getTablePolicy(), tableName, operation);
+  if (!access.allowed || !role) {
+    return access;
+  }
+  for (const { name, policy } of role.tables) {
+    const roleAccess = checkPolicyAccess(policy, tableName, operation);
+    if (!roleAccess.allowed) {
+      return { ...roleAccess, message: `角色 ${name}: ${roleAccess.message}`, role: name };
+    }
+  }
+  return access;
+}
+
+/**
+ * 按单个访问策略检查表的访问权限
+ * @param {Object|null} policy - 访问策略（见 buildTablePolicy）
+ * @param {string} tableName - 表名
+ * @param {string} operation - 操作
+ * @returns {{ allowed: boolean, message: string|null, deniedBy: string|null }}
+ */
+function checkPolicyAccess(policy, tableName, operation) {
+  // 未配置任何名单，允许所有表
+  if (policy === null) {
+    return { allowed: true, message: null, deniedBy: null };
   }
   
   const upperTableName = tableName.toUpperCase();
+  const rule = policy[operation];
   
-  if (whitelist.has(upperTableName)) {
-    return { allowed: true, message: null };
+  if (operation === TableOperation.READ && ALWAYS_ALLOWED_TABLES.includes(upperTableName)) {
+    return { allowed: true, message: null, deniedBy: null };
+  }
+  
+  const denied = [...policy.deny, ...rule.deny].find(p => p.test(upperTableName));
+  if (denied) {
+    return {
+      allowed: false,
+      message: `表 ${tableName} 被禁止${operation === TableOperation.WRITE ? '写入' : '访问'}（匹配排除规则 ${denied.source}）`,
+      deniedBy: denied.source
+    };
+  }
+  
+  if (rule.allow === null || rule.allow.some(p => p.test(upperTableName))) {
+    return { allowed: true, message: null, deniedBy: null };
   }
   
   return {
     allowed: false,
-    message: `表 ${tableName} 不在允许访问的白名单中。允许的表: ${Array.from(whitelist).join(', ')}`
+    message: operation === TableOperation.WRITE
+      ? `表 ${tableName} 不在允许写入的白名单中。允许写入的表: ${rule.allow.map(p => p.source).join(', ')}`
+      : `表 ${tableName} 不在允许访问的白名单中。允许的表: ${rule.allow.map(p => p.source).join(', ')}`,
+    deniedBy: null
   };
 }
 
@@ -66,14 +378,17 @@ export function checkTableAccess(tableName) {
  * 强制限制行数在安全范围内
  * @param {number|undefined} requestedLimit - 请求的行数限制
  * @param {number} defaultLimit - 默认限制
+ * @param {Object} [limits] - 生效的限制（getSecurityLimits() 的结果），默认为全局限制
  * @returns {number}
  */
-export function enforceRowLimit(requestedLimit, defaultLimit = 100) {
+export function enforceRowLimit(requestedLimit, defaultLimit = 100, limits = getSecurityLimits()) {
+  const { maxRowsLimit } = limits;
+  
   if (requestedLimit === undefined || requestedLimit === null) {
-    return Math.min(defaultLimit, MAX_ROWS_LIMIT);
+    return Math.min(defaultLimit, maxRowsLimit);
   }
   
-  return Math.min(Math.max(1, requestedLimit), MAX_ROWS_LIMIT);
+  return Math.min(Math.max(1, requestedLimit), maxRowsLimit);
 }
 
 /**
@@ -84,11 +399,17 @@ export function getSecurityConfig() {
   const whitelist = getTableWhitelist();
   
   return {
-    maxRowsLimit: MAX_ROWS_LIMIT,
-    clobMaxLength: CLOB_MAX_LENGTH,
-    blobMaxLength: BLOB_MAX_LENGTH,
+    ...getSecurityLimits(),
+    readonly: isReadonlyMode(),
+    callTimeout: getCallTimeout(),
+    toolCallTimeouts: Object.fromEntries(
+      Object.entries(configuredSettings.timeouts).filter(([tool]) => tool !== 'default')
+    ),
     tableWhitelistEnabled: whitelist !== null,
-    tableWhitelist: whitelist ? Array.from(whitelist) : null
+    tableWhitelist: whitelist ? Array.from(whitelist) : null,
+    tableBlacklist: getTableList('blacklist'),
+    tableReadWhitelist: getTableList('read'),
+    tableWriteWhitelist: getTableList('write')
   };
 }
 
@@ -104,58 +425,71 @@ export const DML_BLACKLIST_KEYWORDS = ['DELETE', 'TRUNCATE', 'DROP', 'ALTER', 'C
 
 /**
  * 验证 DML SQL 语句的安全性
+ * 基于词法分析：字符串、注释和双引号标识符中的内容不会被当作关键字，错误消息带有行列位置
  * @param {string} sql - SQL 语句
- * @returns {{ valid: boolean, error: string|null, verb: string|null }}
+ * @returns {{ valid: boolean, error: string|null, verb: string|null, position: { line: number, column: number }|null }}
  */
 export function validateDmlSql(sql) {
   if (!sql || typeof sql !== 'string') {
-    return { valid: false, error: 'SQL 语句不能为空', verb: null };
+    return { valid: false, error: 'SQL 语句不能为空', verb: null, position: null };
   }
   
-  const trimmedSql = sql.trim();
-  const upperSql = trimmedSql.toUpperCase();
+  let statements;
+  try {
+    statements = splitStatements(tokenize(sql));
+  } catch (error) {
+    return { valid: false, error: error.message, verb: null, position: error.details || null };
+  }
+  if (statements.length === 0) {
+    return { valid: false, error: 'SQL 语句不能为空', verb: null, position: null };
+  }
+  
+  const tokens = statements[0];
+  const invalid = (error, token, verb = null) => ({
+    valid: false,
+    error: `${error}（${formatPosition(token)}）`,
+    verb,
+    position: { line: token.line, column: token.column }
+  });
   
   // 1. 检查是否以允许的动词开头
-  let matchedVerb = null;
-  for (const verb of DML_ALLOWED_VERBS) {
-    if (upperSql.startsWith(verb)) {
-      matchedVerb = verb;
-      break;
-    }
+  const matchedVerb = isKeyword(tokens[0], ...DML_ALLOWED_VERBS) ? tokens[0].name : null;
+  if (!matchedVerb) {
+    return invalid(`只允许执行 ${DML_ALLOWED_VERBS.join('/')} 语句`, tokens[0]);
   }
   
-  if (!matchedVerb) {
-    return { 
-      valid: false, 
-      error: `只允许执行 ${DML_ALLOWED_VERBS.join('/')} 语句`, 
-      verb: null 
-    };
+  // 2. 只允许单条语句
+  if (statements.length > 1) {
+    const next = statements[1][0];
+    return invalid(`只允许执行单条语句，发现第二条语句 ${next.value}`, next, matchedVerb);
   }
   
-  // 2. 检查黑名单关键字（独立单词匹配，避免误杀列名如 DELETED_FLAG）
-  for (const keyword of DML_BLACKLIST_KEYWORDS) {
-    const regex = new RegExp(`(^|\\s|\\()${keyword}(\\s|\\(|$)`, 'i');
-    if (regex.test(trimmedSql)) {
-      return { 
-        valid: false, 
-        error: `SQL 中包含禁止的关键字: ${keyword}`, 
-        verb: matchedVerb 
-      };
-    }
+  // 3. 检查黑名单关键字（按完整单词匹配，不会误杀列名如 DELETED_FLAG）
+  const blocked = findKeyword(tokens, DML_BLACKLIST_KEYWORDS);
+  if (blocked) {
+    return invalid(`SQL 中包含禁止的关键字: ${blocked.name}`, blocked, matchedVerb);
   }
   
-  // 3. UPDATE 语句必须包含 WHERE 子句
+  // 4. UPDATE 语句必须包含顶层 WHERE 子句（子查询中的 WHERE 不限制更新范围）
   if (matchedVerb === 'UPDATE') {
-    // 检查是否包含 WHERE（作为独立关键字）
-    const whereRegex = /\bWHERE\b/i;
-    if (!whereRegex.test(trimmedSql)) {
+    let depth = 0;
+    const hasWhere = tokens.some(token => {
+      if (token.type === TokenType.PUNCTUATION && token.value === '(') {
+        depth++;
+      } else if (token.type === TokenType.PUNCTUATION && token.value === ')') {
+        depth--;
+      }
+      return depth === 0 && isKeyword(token, 'WHERE');
+    });
+    if (!hasWhere) {
       return { 
         valid: false, 
         error: 'UPDATE 语句必须包含 WHERE 子句，防止全表更新', 
-        verb: matchedVerb 
+        verb: matchedVerb,
+        position: null
       };
     }
   }
   
-  return { valid: true, error: null, verb: matchedVerb };
+  return { valid: true, error: null, verb: matchedVerb, position: null };
 }
@@ -1,5 +1,8 @@
 import oracledb from 'oracledb';
-import { OracleMapError, ErrorCode } from '../utils/errors.js';
+import { OracleMapError, ErrorCode, isOracleMapError } from '../utils/errors.js';
+import { resolveCredentials, redactSecrets } from '../config/credentials.js';
+import { getSecurityLimits } from '../config/security.js';
+import { resolveRolePolicy } from '../config/roles.js';
 
 /**
  * 连接池配置默认值
@@ -12,9 +15,109 @@ const DEFAULT_POOL_CONFIG = {
   // 启用连接池 ping，在获取连接前检查连接有效性
   poolPingInterval: 60, // 每 60 秒 ping 一次空闲连接
   // 连接获取超时
-  queueTimeout: 60000 // 60 秒
+  queueTimeout: 60000, // 60 秒
+  // 启用连接池统计（供 oracle_pool_status 使用）
+  enableStatistics: true
 };
 
+/**
+ * 会话标记默认值
+ * 写入 V$SESSION 的 MODULE 等字段，便于 DBA 在 AWR 和审计记录中区分 MCP 流量
+ */
+export const DEFAULT_SESSION_TAGS = {
+  module: 'oracle-mcp-server'
+};
+
+/**
+ * 会话初始化参数与 ALTER SESSION 参数名的对应关系
+ */
+const SESSION_INIT_PARAMETERS = {
+  currentSchema: 'CURRENT_SCHEMA',
+  nlsDateFormat: 'NLS_DATE_FORMAT',
+  timeZone: 'TIME_ZONE',
+  nlsLanguage: 'NLS_LANGUAGE'
+};
+
+/**
+ * 不带引号的 schema 名（CURRENT_SCHEMA 不支持绑定变量，只接受普通标识符）
+ */
+const SCHEMA_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_$#]*$/;
+
+/**
+ * 获取连接时最多验证（ping）的连接数，全部失败时放弃本次获取
+ */
+const MAX_PING_ATTEMPTS = 3;
+
+/**
+ * 自动重连默认参数
+ * - maxAttempts: 最多重建连接池的次数
+ * - initialDelayMs: 首次重试前的等待时间，之后每次翻倍
+ * - maxDelayMs: 单次等待的上限
+ */
+export const DEFAULT_RECONNECT_CONFIG = {
+  maxAttempts: 5,
+  initialDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+/**
+ * 表示连接已失效（数据库重启、会话被杀、网络中断）的错误码
+ * 出现这些错误时连接池中的连接通常已全部不可用，需要重建连接池
+ */
+const FATAL_CONNECTION_ERRORS = [
+  'ORA-00028', // 会话已被终止
+  'ORA-01012', // 未登录
+  'ORA-01033', // 数据库正在启动或关闭
+  'ORA-01034', // 数据库不可用
+  'ORA-01089', // 数据库正在关闭
+  'ORA-03113', // 通信通道文件结束
+  'ORA-03114', // 未连接到数据库
+  'ORA-03135', // 连接丢失
+  'ORA-12537', // TNS 连接已关闭
+  'ORA-12547', // TNS 失去联系
+  'DPI-1010', // 连接未打开
+  'DPI-1080', // 连接被 ORA 错误关闭
+  'NJS-003', // 连接无效或已关闭
+  'NJS-500', // 连接被数据库关闭
+  'NJS-501', // 与数据库失去联系
+  'NJS-503', // 连接中断
+  'NJS-521' // 连接意外结束
+];
+
+/**
+ * 判断错误是否表示数据库连接已失效
+ * 同时检查原始错误消息和 OracleMapError 中保留的 oracleError
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+export function isFatalConnectionError(error) {
+  if (!error) {
+    return false;
+  }
+  const messages = [error.message, error.details && error.details.oracleError]
+    .filter(message => typeof message === 'string');
+  return messages.some(message => FATAL_CONNECTION_ERRORS.some(code => message.includes(code)));
+}
+
+/**
+ * 连接池状态名称
+ */
+const POOL_STATUS_NAMES = {
+  [oracledb.POOL_STATUS_OPEN]: 'OPEN',
+  [oracledb.POOL_STATUS_DRAINING]: 'DRAINING',
+  [oracledb.POOL_STATUS_CLOSED]: 'CLOSED',
+  [oracledb.POOL_STATUS_RECONFIGURING]: 'RECONFIGURING'
+};
+
+/**
+ * 透传给 oracledb 的 TLS (TCPS) 连接参数
+ * - walletLocation: 钱包目录（Thin 模式读取 ewallet.pem）
+ * - walletPassword: 钱包密码
+ * - sslServerDNMatch: 是否校验服务器证书 DN
+ * - sslServerCertDN: 期望的服务器证书 DN
+ */
+export const TLS_OPTION_KEYS = ['walletLocation', 'walletPassword', 'sslServerDNMatch', 'sslServerCertDN'];
+
 /**
  * 数据库连接管理器
  * 负责创建连接池、获取连接和关闭连接
@@ -23,16 +126,77 @@ export class ConnectionManager {
   constructor() {
     this.pool = null;
     this.config = null;
+    this.reconnecting = null;
+    this.reconnectStats = { count: 0, lastReconnect: null, lastError: null };
+    /** @type {WeakMap<oracledb.Connection, Function>} 连接上注册的取消监听，释放连接时移除 */
+    this.abortListeners = new WeakMap();
+    /** @type {Set<oracledb.Connection>} 已借出、尚未归还的连接，关闭服务时用于中断语句和回滚事务 */
+    this.activeConnections = new Set();
+    this.resetStats();
+  }
+
+  /**
+   * 重置连接获取统计
+   */
+  resetStats() {
+    this.stats = {
+      acquireCount: 0,
+      acquireFailures: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      lastWaitMs: null,
+      pingFailures: 0,
+      lastPingFailure: null
+    };
   }
 
   /**
    * 构建 Oracle 连接字符串
+   * 按优先级支持以下几种连接方式：
+   * - connectString: 原样使用，支持 Easy Connect Plus（如 tcp://host:1521/svc?connect_timeout=10）
+   *   和完整连接描述符（如 RAC SCAN 的 (DESCRIPTION=(FAILOVER=ON)(ADDRESS_LIST=...)...)）
+   * - tnsAlias: tnsnames.ora 中的别名，配合 tnsAdmin 或 TNS_ADMIN 环境变量定位配置目录
+   * - host + sid: 老式 SID 数据库，生成连接描述符
+   * - host + serviceName: 默认的 host:port/serviceName 格式
+   * host 方式下 protocol 为 tcps 时使用 TLS 连接
    * @param {Object} config - 连接配置
    * @returns {string}
    */
   buildConnectionString(config) {
-    const { host, port = 1521, serviceName } = config;
-    return `${host}:${port}/${serviceName}`;
+    const { host, port = 1521, serviceName, sid, connectString, tnsAlias } = config;
+    const protocol = (config.protocol || 'tcp').toLowerCase();
+    
+    if (connectString) {
+      return connectString;
+    }
+    if (tnsAlias) {
+      return tnsAlias;
+    }
+    if (host && sid) {
+      return `(DESCRIPTION=(ADDRESS=(PROTOCOL=${protocol.toUpperCase()})(HOST=${host})(PORT=${port}))(CONNECT_DATA=(SID=${sid})))`;
+    }
+    if (host && serviceName) {
+      return protocol === 'tcps'
+        ? `tcps://${host}:${port}/${serviceName}`
+        : `${host}:${port}/${serviceName}`;
+    }
+    
+    throw new OracleMapError(
+      ErrorCode.MISSING_REQUIRED_PARAM,
+      '缺少连接目标',
+      {
+        field: 'host/serviceName',
+        suggestion: '请提供 host + serviceName、host + sid、connectString 或 tnsAlias 其中一种'
+      }
+    );
+  }
+
+  /**
+   * 获取连接目标描述（用于展示，不含凭据）
+   * @returns {string|null}
+   */
+  describeTarget() {
+    return this.config ? this.buildConnectionString(this.config) : null;
   }
 
   /**
@@ -42,50 +206,358 @@ export class ConnectionManager {
    */
   async createPool(config) {
     this.config = config;
+    let credentials = {};
     
     try {
+      // 密码文件和密码命令在每次创建连接池时重新读取
+      credentials = await resolveCredentials(config);
       const poolConfig = {
-        user: config.user,
-        password: config.password,
+        ...credentials,
         connectString: this.buildConnectionString(config),
-        ...DEFAULT_POOL_CONFIG
+        ...DEFAULT_POOL_CONFIG,
+        // 连接配置中的连接池参数（来自配置文件）覆盖默认值
+        ...(config.pool || {})
       };
+      
+      // TNS 别名需要知道 tnsnames.ora 所在目录
+      const configDir = config.tnsAdmin || process.env.TNS_ADMIN;
+      if (configDir) {
+        poolConfig.configDir = configDir;
+      }
+      
+      // 新建会话时执行 ALTER SESSION（CURRENT_SCHEMA、NLS 设置等）
+      const initStatements = buildSessionInitStatements(config.session);
+      if (initStatements.length > 0) {
+        poolConfig.sessionCallback = (conn, requestedTag, callback) => {
+          initializeSession(conn, initStatements).then(() => callback(), callback);
+        };
+      }
+      
+      // TLS (TCPS) 钱包与服务器证书 DN 校验
+      for (const key of TLS_OPTION_KEYS) {
+        if (config[key] !== undefined && config[key] !== null && config[key] !== '') {
+          poolConfig[key] = config[key];
+        }
+      }
 
       this.pool = await oracledb.createPool(poolConfig);
+      this.resetStats();
     } catch (error) {
-      throw this.handleConnectionError(error);
+      throw this.handleConnectionError(error, [credentials.password, config.password, config.walletPassword]);
     }
   }
 
   /**
    * 获取连接（带健康检查）
+   * @param {Object} [context] - 调用上下文
+   * @param {string} [context.tool] - 当前处理的工具名，写入会话的 ACTION
+   * @param {boolean} [context.readOnly] - 是否在只读事务中执行（SET TRANSACTION READ ONLY）
+   * @param {number} [context.callTimeout] - 单次数据库调用超时毫秒数，0 表示不限制
+   * @param {AbortSignal} [context.signal] - 取消信号，触发时中断正在执行的语句
    * @returns {Promise<oracledb.Connection>}
    */
-  async getConnection() {
+  async getConnection(context = {}) {
+    // 正在重建连接池时等待重建完成，避免并发请求拿到已关闭的连接池
+    if (this.reconnecting) {
+      await this.reconnecting;
+    }
     if (!this.pool) {
       throw new OracleMapError(
         ErrorCode.CONNECTION_FAILED,
         '连接池未初始化，请先调用 createPool()'
       );
     }
+    if (context.signal && context.signal.aborted) {
+      throw cancelledError();
+    }
 
+    const startTime = Date.now();
+    let conn;
     try {
-      const conn = await this.pool.getConnection();
+      conn = await this.pool.getConnection();
+      this.recordAcquire(Date.now() - startTime);
       
-      // 执行简单查询验证连接有效性
-      try {
-        await conn.execute('SELECT 1 FROM DUAL');
-      } catch (pingError) {
-        // 连接无效，关闭并重新获取
-        console.error('[oracle-mcp-server] 连接 ping 失败，重新获取连接:', pingError.message);
-        try { await conn.close(); } catch { /* 忽略关闭错误 */ }
-        return await this.pool.getConnection();
+      // 执行简单查询验证连接有效性，无效时关闭并重新获取，重新获取的连接同样需要验证
+      for (let attempt = 1; ; attempt++) {
+        this.tagSession(conn, context);
+        try {
+          await conn.execute('SELECT 1 FROM DUAL');
+          break;
+        } catch (pingError) {
+          this.stats.pingFailures++;
+          this.stats.lastPingFailure = { time: new Date().toISOString(), error: pingError.message };
+          try { await conn.close(); } catch { /* 忽略关闭错误 */ }
+          if (attempt >= MAX_PING_ATTEMPTS) {
+            throw pingError;
+          }
+          console.error('[oracle-mcp-server] 连接 ping 失败，重新获取连接:', pingError.message);
+          conn = await this.pool.getConnection();
+        }
       }
-      
-      return conn;
     } catch (error) {
+      this.stats.acquireFailures++;
       throw this.handleConnectionError(error);
     }
+    
+    this.activeConnections.add(conn);
+    this.bindCall(conn, context);
+    // 获取连接期间已被取消
+    if (context.signal && context.signal.aborted) {
+      await this.releaseConnection(conn);
+      throw cancelledError();
+    }
+    
+    if (context.readOnly) {
+      try {
+        await this.beginReadOnlyTransaction(conn);
+      } catch (error) {
+        throw this.handleConnectionError(error);
+      }
+    }
+    return conn;
+  }
+
+  /**
+   * 设置单次调用的超时，并在取消信号触发时中断正在执行的语句
+   * @param {oracledb.Connection} conn - 数据库连接
+   * @param {Object} [context] - 调用上下文
+   */
+  bindCall(conn, context = {}) {
+    conn.callTimeout = context.callTimeout || 0;
+    
+    const { signal } = context;
+    if (!signal) {
+      return;
+    }
+    const onAbort = () => {
+      // break() 使正在执行的语句以 ORA-01013 结束，连接仍可归还连接池
+      Promise.resolve()
+        .then(() => conn.break())
+        .catch(error => console.error('[oracle-mcp-server] 中断语句失败:', error.message));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    this.abortListeners.set(conn, () => signal.removeEventListener('abort', onAbort));
+  }
+
+  /**
+   * 开启只读事务
+   * 事务内任何写操作（包括 SELECT 中调用的有副作用的函数）都会报 ORA-01456；
+   * 连接释放回连接池时 oracledb 会自动回滚，只读事务随之结束
+   * @param {oracledb.Connection} conn - 数据库连接
+   * @returns {Promise<void>}
+   */
+  async beginReadOnlyTransaction(conn) {
+    try {
+      await conn.execute('SET TRANSACTION READ ONLY');
+    } catch (error) {
+      await this.releaseConnection(conn);
+      throw error;
+    }
+  }
+
+  /**
+   * 设置会话标记（MODULE、ACTION、CLIENT_IDENTIFIER、CLIENT_INFO）
+   * 连接池中的连接会被复用，因此每次获取时都要覆盖上一次调用留下的值
+   * @param {oracledb.Connection} conn - 数据库连接
+   * @param {Object} [context] - 调用上下文
+   */
+  tagSession(conn, context = {}) {
+    const session = { ...DEFAULT_SESSION_TAGS, ...((this.config && this.config.session) || {}) };
+    conn.module = session.module;
+    conn.action = context.tool || '';
+    conn.clientId = session.clientIdentifier || '';
+    conn.clientInfo = session.clientInfo || '';
+  }
+
+  /**
+   * 是否启用了自动重连（reconnect.maxAttempts 为 0 时关闭）
+   * @returns {boolean}
+   */
+  isReconnectEnabled() {
+    const reconnect = (this.config && this.config.reconnect) || {};
+    return reconnect.maxAttempts !== 0;
+  }
+
+  /**
+   * 连接配置的行级过滤规则（如按 TENANT_ID 限定租户）
+   * @returns {Array<Object>}
+   */
+  getRowFilters() {
+    return (this.config && this.config.rowFilters) || [];
+  }
+
+  /**
+   * 连接生效的行数/LOB/采样/搜索限制（连接配置中的 limits 优先于全局设置）
+   * @returns {Object}
+   */
+  getLimits() {
+    return getSecurityLimits((this.config && this.config.limits) || {});
+  }
+
+  /**
+   * 连接生效的策略角色（连接配置中的 role 和 ORACLE_ROLE 同时生效）
+   * @returns {Object|null} 未指定角色时返回 null
+   */
+  getRolePolicy() {
+    return resolveRolePolicy((this.config && this.config.role) || null);
+  }
+
+  /**
+   * 重建连接池（数据库重启或连接失效后调用）
+   * 按指数退避重试，并发调用共享同一次重建过程
+   * @returns {Promise<void>}
+   */
+  async reconnect() {
+    if (!this.config) {
+      throw new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '连接池未初始化，请先调用 createPool()'
+      );
+    }
+    if (!this.reconnecting) {
+      this.reconnecting = this.recreatePool().finally(() => {
+        this.reconnecting = null;
+      });
+    }
+    return this.reconnecting;
+  }
+
+  /**
+   * 关闭旧连接池并按指数退避重建，直到成功或达到最大次数
+   * @returns {Promise<void>}
+   */
+  async recreatePool() {
+    const { maxAttempts, initialDelayMs, maxDelayMs } = {
+      ...DEFAULT_RECONNECT_CONFIG,
+      ...(this.config.reconnect || {})
+    };
+    const target = this.describeTarget();
+
+    const oldPool = this.pool;
+    this.pool = null;
+    if (oldPool) {
+      try {
+        await oldPool.close(0);
+      } catch {
+        // 旧连接池中的连接已失效，关闭失败可以忽略
+      }
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await this.createPool(this.config);
+        await this.verifyPool();
+        this.reconnectStats.count++;
+        this.reconnectStats.lastReconnect = new Date().toISOString();
+        this.reconnectStats.lastError = null;
+        console.error(`[oracle-mcp-server] 第 ${attempt} 次重连 ${target} 成功`);
+        return;
+      } catch (error) {
+        lastError = error;
+        await this.close();
+        if (attempt < maxAttempts) {
+          const delay = Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+          console.error(`[oracle-mcp-server] 第 ${attempt} 次重连 ${target} 失败，${delay}ms 后重试: ${error.message}`);
+          await sleep(delay);
+        }
+      }
+    }
+
+    this.reconnectStats.lastError = lastError.message;
+    throw new OracleMapError(
+      ErrorCode.CONNECTION_FAILED,
+      `自动重连失败（已尝试 ${maxAttempts} 次）: ${lastError.message}`,
+      {
+        oracleError: lastError.details ? lastError.details.oracleError : lastError.message,
+        suggestion: '请确认数据库已恢复后使用 oracle_connect 重新连接'
+      }
+    );
+  }
+
+  /**
+   * 验证新建的连接池可以获取到有效连接
+   * Thin 模式下 createPool 不一定立即建立连接，需要实际取一次连接确认数据库已可用
+   * @returns {Promise<void>}
+   */
+  async verifyPool() {
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.execute('SELECT 1 FROM DUAL');
+    } finally {
+      await this.releaseConnection(conn);
+    }
+  }
+
+  /**
+   * 记录一次连接获取的等待时间
+   * @param {number} waitMs - 等待毫秒数
+   */
+  recordAcquire(waitMs) {
+    this.stats.acquireCount++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.lastWaitMs = waitMs;
+    if (waitMs > this.stats.maxWaitMs) {
+      this.stats.maxWaitMs = waitMs;
+    }
+  }
+
+  /**
+   * 获取连接池状态和统计信息
+   * @returns {Object}
+   */
+  getPoolStatus() {
+    if (!this.pool) {
+      throw new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '连接池未初始化，请先调用 createPool()'
+      );
+    }
+    
+    const pool = this.pool;
+    const poolStats = typeof pool.getStatistics === 'function' ? pool.getStatistics() : null;
+    const { stats } = this;
+    
+    const status = {
+      target: this.describeTarget(),
+      status: POOL_STATUS_NAMES[pool.status] || pool.status,
+      config: {
+        poolMin: pool.poolMin,
+        poolMax: pool.poolMax,
+        poolIncrement: pool.poolIncrement,
+        poolTimeout: pool.poolTimeout,
+        poolPingInterval: pool.poolPingInterval,
+        queueTimeout: pool.queueTimeout,
+        queueMax: pool.queueMax
+      },
+      connections: {
+        open: pool.connectionsOpen,
+        inUse: pool.connectionsInUse,
+        idle: pool.connectionsOpen - pool.connectionsInUse
+      },
+      queue: poolStats ? {
+        current: poolStats.currentQueueLength,
+        maximum: poolStats.maximumQueueLength,
+        totalEnqueued: poolStats.requestsEnqueued,
+        timeouts: poolStats.requestTimeouts,
+        rejected: poolStats.rejectedRequests,
+        averageWaitMs: poolStats.averageTimeInQueue,
+        maximumWaitMs: poolStats.maximumTimeInQueue
+      } : null,
+      acquire: {
+        count: stats.acquireCount,
+        failures: stats.acquireFailures,
+        averageWaitMs: stats.acquireCount > 0 ? Math.round(stats.totalWaitMs / stats.acquireCount) : null,
+        maximumWaitMs: stats.maxWaitMs,
+        lastWaitMs: stats.lastWaitMs
+      },
+      pingFailures: stats.pingFailures,
+      lastPingFailure: stats.lastPingFailure,
+      reconnects: { ...this.reconnectStats }
+    };
+    
+    status.warnings = analyzePoolStatus(status);
+    return status;
   }
 
   /**
@@ -95,7 +567,15 @@ export class ConnectionManager {
    */
   async releaseConnection(connection) {
     if (connection) {
+      this.activeConnections.delete(connection);
+      const detach = this.abortListeners.get(connection);
+      if (detach) {
+        detach();
+        this.abortListeners.delete(connection);
+      }
       try {
+        // 连接会被连接池复用，归还前清除单次调用的超时设置
+        connection.callTimeout = 0;
         await connection.close();
       } catch (error) {
         // 释放连接失败不抛出错误，只记录
@@ -104,8 +584,31 @@ export class ConnectionManager {
     }
   }
 
+  /**
+   * 中断所有已借出连接上正在执行的语句，并回滚未提交的事务
+   * 用于关闭服务时等待超时后仍未完成的调用；连接仍由调用方归还
+   * @returns {Promise<number>} 被中断的连接数
+   */
+  async interruptActive() {
+    const connections = Array.from(this.activeConnections);
+    await Promise.all(connections.map(async (conn) => {
+      try {
+        await conn.break();
+      } catch (error) {
+        console.error('[oracle-mcp-server] 中断语句失败:', error.message);
+      }
+      try {
+        await conn.rollback();
+      } catch (error) {
+        console.error('[oracle-mcp-server] 回滚事务失败:', error.message);
+      }
+    }));
+    return connections.length;
+  }
+
   /**
    * 关闭连接池
+   * 仍未归还的连接会被强制关闭，需要等待调用完成时先使用 interruptActive() 或在上层等待
    * @returns {Promise<void>}
    */
   async close() {
@@ -113,6 +616,7 @@ export class ConnectionManager {
       try {
         await this.pool.close(0);
         this.pool = null;
+        this.activeConnections.clear();
       } catch (error) {
         console.error('关闭连接池失败:', error.message);
       }
@@ -122,10 +626,15 @@ export class ConnectionManager {
   /**
    * 处理连接错误，转换为 OracleMapError
    * @param {Error} error - 原始错误
+   * @param {Array<string|undefined>} [secrets] - 需要从错误信息中隐藏的密码
    * @returns {OracleMapError}
    */
-  handleConnectionError(error) {
-    const oraError = error.message || '';
+  handleConnectionError(error, secrets = []) {
+    if (isOracleMapError(error)) {
+      return error;
+    }
+    
+    const oraError = redactSecrets(error.message || '', secrets);
     
     // ORA-01017: 用户名/密码无效
     if (oraError.includes('ORA-01017') || oraError.includes('invalid username/password')) {
@@ -135,7 +644,19 @@ export class ConnectionManager {
         { oracleError: oraError }
       );
     }
-    
+
+    // ORA-28150: 代理用户未被授权以目标用户身份连接
+    if (oraError.includes('ORA-28150')) {
+      return new OracleMapError(
+        ErrorCode.AUTH_FAILED,
+        '代理认证失败，代理用户无权以目标用户身份连接',
+        {
+          oracleError: oraError,
+          suggestion: '请让 DBA 执行 ALTER USER <目标用户> GRANT CONNECT THROUGH <代理用户>'
+        }
+      );
+    }
+
     // ORA-12170: 连接超时
     if (oraError.includes('ORA-12170') || oraError.includes('TNS:Connect timeout')) {
       return new OracleMapError(
@@ -160,8 +681,8 @@ export class ConnectionManager {
       );
     }
     
-    // ORA-12514: 服务名不存在
-    if (oraError.includes('ORA-12514') || oraError.includes('TNS:listener does not currently know of service')) {
+    // ORA-12514 / NJS-518: 服务名不存在
+    if (oraError.includes('ORA-12514') || oraError.includes('NJS-518') || oraError.includes('TNS:listener does not currently know of service')) {
       return new OracleMapError(
         ErrorCode.CONNECTION_FAILED,
         '服务名不存在',
@@ -172,6 +693,114 @@ export class ConnectionManager {
       );
     }
     
+    // ORA-12505 / NJS-519: SID 不存在
+    if (oraError.includes('ORA-12505') || oraError.includes('NJS-519') || oraError.includes('TNS:listener does not currently know of SID')) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        'SID 不存在',
+        { 
+          oracleError: oraError,
+          suggestion: '请检查 SID 是否正确，12c 以后的数据库建议改用 serviceName 连接'
+        }
+      );
+    }
+    
+    // ORA-12154 / NJS-517: TNS 别名无法解析
+    if (oraError.includes('ORA-12154') || oraError.includes('NJS-517') || oraError.includes('TNS:could not resolve the connect identifier')) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '无法解析 TNS 别名',
+        { 
+          oracleError: oraError,
+          suggestion: '请确认别名已在 tnsnames.ora 中定义，且 tnsAdmin 或 TNS_ADMIN 指向正确的目录'
+        }
+      );
+    }
+    
+    // NJS-516 / NJS-520: 找不到 tnsnames.ora
+    if (oraError.includes('NJS-516') || oraError.includes('NJS-520')) {
+      return new OracleMapError(
+        ErrorCode.CONFIG_NOT_FOUND,
+        '找不到 tnsnames.ora',
+        { 
+          oracleError: oraError,
+          suggestion: '使用 TNS 别名时请设置 tnsAdmin 参数或 TNS_ADMIN 环境变量'
+        }
+      );
+    }
+    
+    // NJS-514 / NJS-515 / ORA-12153 / ORA-12162: 连接字符串语法错误
+    if (['NJS-514', 'NJS-515', 'ORA-12153', 'ORA-12162'].some(code => oraError.includes(code))) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '连接字符串格式错误',
+        { 
+          oracleError: oraError,
+          suggestion: '请检查 Easy Connect 字符串或连接描述符的括号和参数是否完整'
+        }
+      );
+    }
+    
+    // 钱包无法打开：ORA-28759（无法打开文件）、ORA-28365（钱包未打开）、NJS-505/NJS-529（Thin 模式钱包错误）
+    if (['ORA-28759', 'ORA-28365', 'NJS-505', 'NJS-529'].some(code => oraError.includes(code))) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '无法打开 Oracle 钱包',
+        { 
+          oracleError: oraError,
+          suggestion: '请检查 walletLocation 目录和 walletPassword 是否正确，Thin 模式需要 PEM 格式的 ewallet.pem'
+        }
+      );
+    }
+    
+    // 服务器证书 DN 不匹配：ORA-29003、NJS-507、NJS-508
+    if (['ORA-29003', 'NJS-507', 'NJS-508'].some(code => oraError.includes(code))) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '服务器证书与期望的 DN 或主机名不匹配',
+        { 
+          oracleError: oraError,
+          suggestion: '请检查 sslServerCertDN 是否与服务器证书一致，或确认连接的主机名出现在证书中'
+        }
+      );
+    }
+    
+    // 证书校验失败：ORA-29024、ORA-28791、NJS-506
+    if (['ORA-29024', 'ORA-28791', 'NJS-506'].some(code => oraError.includes(code))) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '服务器证书校验失败',
+        { 
+          oracleError: oraError,
+          suggestion: '请确认钱包中包含签发服务器证书的 CA 证书，且证书未过期'
+        }
+      );
+    }
+    
+    // TLS 握手失败：ORA-28860（致命 SSL 错误）、ORA-28865（SSL 连接关闭）
+    if (oraError.includes('ORA-28860') || oraError.includes('ORA-28865')) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        'TLS 握手失败',
+        { 
+          oracleError: oraError,
+          suggestion: '请确认端口为数据库的 TCPS 监听端口，且 protocol 设置为 tcps'
+        }
+      );
+    }
+    
+    // ORA-12545 / NJS-530: 主机名无法解析
+    if (oraError.includes('ORA-12545') || oraError.includes('NJS-530')) {
+      return new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '数据库主机不存在或无法解析',
+        { 
+          oracleError: oraError,
+          suggestion: '请检查主机名、SCAN 地址或 DNS 配置'
+        }
+      );
+    }
+    
     // 其他连接错误
     return new OracleMapError(
       ErrorCode.CONNECTION_FAILED,
@@ -198,6 +827,146 @@ export class ConnectionManager {
   }
 }
 
+/**
+ * 根据连接配置的 session 生成会话初始化语句
+ * ALTER SESSION 不支持绑定变量，因此 schema 名只接受普通标识符，其余值按字符串字面量转义
+ * @param {Object} [session] - 会话配置
+ * @returns {string[]}
+ */
+export function buildSessionInitStatements(session = {}) {
+  const statements = [];
+  for (const [key, parameter] of Object.entries(SESSION_INIT_PARAMETERS)) {
+    const value = session[key];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    statements.push(`ALTER SESSION SET ${parameter} = ${formatSessionValue(key, String(value))}`);
+  }
+  return statements;
+}
+
+/**
+ * 格式化 ALTER SESSION 的参数值
+ * @param {string} key - 会话配置字段
+ * @param {string} value - 参数值
+ * @returns {string}
+ */
+function formatSessionValue(key, value) {
+  if (key === 'currentSchema') {
+    if (!SCHEMA_NAME_PATTERN.test(value)) {
+      throw new OracleMapError(
+        ErrorCode.CONFIG_PARSE_ERROR,
+        `无效的 schema 名: ${value}`,
+        { field: 'session.currentSchema' }
+      );
+    }
+    return value.toUpperCase();
+  }
+  // TIME_ZONE 的 LOCAL 和 DBTIMEZONE 是关键字，不能加引号
+  if (key === 'timeZone' && /^(LOCAL|DBTIMEZONE)$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * 在新建会话上依次执行初始化语句
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {string[]} statements - ALTER SESSION 语句
+ * @returns {Promise<void>}
+ */
+async function initializeSession(conn, statements) {
+  for (const sql of statements) {
+    try {
+      await conn.execute(sql);
+    } catch (error) {
+      throw new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        `会话初始化失败: ${error.message}`,
+        {
+          oracleError: error.message,
+          sql,
+          suggestion: '请检查连接配置 session 中的 currentSchema、nlsDateFormat、timeZone 和 nlsLanguage'
+        }
+      );
+    }
+  }
+}
+
+/**
+ * 构建调用已取消错误
+ * @returns {OracleMapError}
+ */
+function cancelledError() {
+  return new OracleMapError(ErrorCode.CANCELLED, '操作已被取消');
+}
+
+/**
+ * 等待指定毫秒数
+ * @param {number} ms - 毫秒数
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 分析连接池状态，识别连接池饥饿等问题
+ * @param {Object} status - getPoolStatus() 的结果
+ * @returns {Array<Object>}
+ */
+export function analyzePoolStatus(status) {
+  const warnings = [];
+  const { config, connections, queue, acquire } = status;
+  
+  if (connections.inUse >= config.poolMax) {
+    warnings.push({
+      type: 'POOL_EXHAUSTED',
+      message: `连接池已满: ${connections.inUse}/${config.poolMax} 个连接正在使用`,
+      severity: 'HIGH',
+      suggestion: '考虑增大 poolMax，或减少并发的长时间查询'
+    });
+  }
+  
+  if (queue && queue.current > 0) {
+    warnings.push({
+      type: 'REQUESTS_QUEUED',
+      message: `${queue.current} 个请求正在排队等待连接`,
+      severity: 'MEDIUM',
+      suggestion: '连接池繁忙，后续请求可能出现等待'
+    });
+  }
+  
+  if (queue && queue.timeouts > 0) {
+    warnings.push({
+      type: 'QUEUE_TIMEOUT',
+      message: `已有 ${queue.timeouts} 个请求因排队超时失败`,
+      severity: 'HIGH',
+      suggestion: '增大 poolMax 或 queueTimeout'
+    });
+  }
+  
+  if (status.pingFailures > 0) {
+    warnings.push({
+      type: 'PING_FAILURE',
+      message: `连接健康检查失败 ${status.pingFailures} 次`,
+      severity: 'MEDIUM',
+      suggestion: '数据库或网络可能不稳定，可适当减小 poolPingInterval'
+    });
+  }
+  
+  if (acquire.failures > 0) {
+    warnings.push({
+      type: 'ACQUIRE_FAILURE',
+      message: `获取连接失败 ${acquire.failures} 次`,
+      severity: 'HIGH',
+      suggestion: '请检查数据库状态和连接池配置'
+    });
+  }
+  
+  return warnings;
+}
+
 /**
  * 创建单例连接管理器
  */
@@ -0,0 +1,188 @@
+import { ConnectionManager } from './connection.js';
+import { buildUserName } from '../config/credentials.js';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 未指定名称时使用的连接配置名
+ */
+export const DEFAULT_CONNECTION_NAME = 'default';
+
+/**
+ * 命名连接注册表
+ * 每个连接配置（如 dev、uat、prod-readonly）各自持有独立的连接池，
+ * 并记录当前激活的连接，供未显式指定 connection 的工具调用使用
+ */
+export class ConnectionRegistry {
+  constructor() {
+    /** @type {Map<string, ConnectionManager>} */
+    this.managers = new Map();
+    this.activeName = null;
+  }
+
+  /**
+   * 规范化连接名
+   * @param {string} [name] - 连接名
+   * @returns {string}
+   */
+  normalizeName(name) {
+    if (name === undefined || name === null || String(name).trim() === '') {
+      return DEFAULT_CONNECTION_NAME;
+    }
+    return String(name).trim();
+  }
+
+  /**
+   * 创建（或替换）指定名称的连接池，并将其设为当前连接
+   * @param {string} name - 连接名
+   * @param {Object} config - 连接配置
+   * @returns {Promise<ConnectionManager>}
+   */
+  async connect(name, config) {
+    const connectionName = this.normalizeName(name);
+    const manager = new ConnectionManager();
+    await manager.createPool(config);
+
+    // 新连接池创建成功后再关闭同名旧连接池，避免连接失败时丢失原有连接
+    const previous = this.managers.get(connectionName);
+    if (previous) {
+      await previous.close();
+    }
+
+    this.managers.set(connectionName, manager);
+    this.activeName = connectionName;
+    return manager;
+  }
+
+  /**
+   * 断开指定连接，断开当前连接时自动切换到剩余的第一个连接
+   * @param {string} [name] - 连接名，不传则断开当前连接
+   * @returns {Promise<string>} 实际断开的连接名
+   */
+  async disconnect(name) {
+    const connectionName = name ? this.normalizeName(name) : this.activeName;
+    const manager = this.managers.get(connectionName);
+    if (!manager) {
+      throw this.notFoundError(connectionName);
+    }
+
+    await manager.close();
+    this.managers.delete(connectionName);
+
+    if (this.activeName === connectionName) {
+      const [next] = this.managers.keys();
+      this.activeName = next || null;
+    }
+    return connectionName;
+  }
+
+  /**
+   * 关闭所有连接池
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    for (const manager of this.managers.values()) {
+      await manager.close();
+    }
+    this.managers.clear();
+    this.activeName = null;
+  }
+
+  /**
+   * 中断所有连接池中正在执行的语句并回滚未提交的事务
+   * @returns {Promise<number>} 被中断的连接数
+   */
+  async interruptAll() {
+    const counts = await Promise.all(
+      Array.from(this.managers.values()).map(manager => manager.interruptActive())
+    );
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * 切换当前连接
+   * @param {string} name - 连接名
+   * @returns {ConnectionManager}
+   */
+  use(name) {
+    const connectionName = this.normalizeName(name);
+    const manager = this.managers.get(connectionName);
+    if (!manager) {
+      throw this.notFoundError(connectionName);
+    }
+    this.activeName = connectionName;
+    return manager;
+  }
+
+  /**
+   * 解析连接名：显式指定优先，否则使用当前连接
+   * @param {string} [name] - 连接名
+   * @returns {string}
+   */
+  resolveName(name) {
+    if (name) {
+      const connectionName = this.normalizeName(name);
+      if (!this.managers.has(connectionName)) {
+        throw this.notFoundError(connectionName);
+      }
+      return connectionName;
+    }
+
+    if (!this.activeName) {
+      throw new OracleMapError(
+        ErrorCode.CONNECTION_FAILED,
+        '未连接到数据库，请先使用 oracle_connect 连接'
+      );
+    }
+    return this.activeName;
+  }
+
+  /**
+   * 获取连接管理器
+   * @param {string} [name] - 连接名，不传则返回当前连接
+   * @returns {ConnectionManager}
+   */
+  get(name) {
+    return this.managers.get(this.resolveName(name));
+  }
+
+  /**
+   * 是否存在指定连接
+   * @param {string} name - 连接名
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.managers.has(this.normalizeName(name));
+  }
+
+  /**
+   * 列出所有连接
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.managers.entries()).map(([name, manager]) => ({
+      name,
+      active: name === this.activeName,
+      target: manager.describeTarget(),
+      user: manager.config ? buildUserName(manager.config.user, manager.config.proxyUser) || null : null,
+      readonly: Boolean(manager.config && manager.config.readonly)
+    }));
+  }
+
+  /**
+   * 构建连接不存在错误
+   * @param {string} name - 连接名
+   * @returns {OracleMapError}
+   */
+  notFoundError(name) {
+    const available = Array.from(this.managers.keys());
+    return new OracleMapError(
+      ErrorCode.CONNECTION_FAILED,
+      `连接 ${name} 不存在`,
+      {
+        suggestion: available.length > 0
+          ? `可用的连接: ${available.join(', ')}`
+          : '请先使用 oracle_connect 建立连接'
+      }
+    );
+  }
+}
@@ -10,7 +10,8 @@ export const VERSION = '1.0.0';
 export { OracleMcpServer } from './mcp/server.js';
 
 // 连接管理
-export { ConnectionManager, getConnectionManager, resetConnectionManager } from './db/connection.js';
+export { ConnectionManager, getConnectionManager, resetConnectionManager, isFatalConnectionError } from './db/connection.js';
+export { ConnectionRegistry, DEFAULT_CONNECTION_NAME } from './db/registry.js';
 
 // 类型映射
 export { 
@@ -33,6 +34,14 @@ export {
   mapQueryResult 
 } from './mapper/data.js';
 
+// 数据脱敏
+export { 
+  MaskStrategy, 
+  configureMasking, 
+  createMasker, 
+  getMaskingConfig 
+} from './mapper/masking.js';
+
 // 查询执行
 export { 
   buildPaginatedSql, 
@@ -46,6 +55,30 @@ export {
   getExplainPlan
 } from './query/executor.js';
 
+// 绑定变量
+export { 
+  BindType, 
+  BindDirection, 
+  normalizeBinds 
+} from './query/binds.js';
+
+// 配置文件
+export { 
+  loadConfig, 
+  parseConfig, 
+  validateConfig, 
+  resolveConfigPath 
+} from './config/loader.js';
+
+// 策略角色
+export { 
+  ROLE_ENV, 
+  configureRoles, 
+  resolveRolePolicy, 
+  isToolAllowed, 
+  getRolesConfig 
+} from './config/roles.js';
+
 // 错误处理
 export { 
   ErrorCode, 
@@ -55,3 +88,23 @@ export {
   isOracleMapError, 
   wrapError 
 } from './utils/errors.js';
+
+// 审计日志
+export { 
+  AuditLogger, 
+  redactArguments, 
+  DEFAULT_AUDIT_MAX_SIZE, 
+  DEFAULT_AUDIT_MAX_FILES 
+} from './utils/audit.js';
+
+// 调用预算
+export { 
+  QueryBudget, 
+  RATE_WINDOW_MS 
+} from './mcp/budget.js';
+
+// DML 确认令牌
+export { 
+  DmlConfirmations, 
+  DEFAULT_CONFIRM_TTL_MS 
+} from './mcp/confirmations.js';
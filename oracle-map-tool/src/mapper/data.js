@@ -1,3 +1,6 @@
+import { getSecurityLimits } from '../config/security.js';
+import { createMasker } from './masking.js';
+
 /**
  * 将 Date 对象转换为 ISO 8601 字符串
  * @param {Date} date - 日期对象
@@ -53,13 +56,9 @@ export function handleNull(value) {
 }
 
 /**
- * LOB 数据截断配置
+ * 截断内容后缀
  */
-const LOB_CONFIG = {
-  CLOB_MAX_LENGTH: 4000,  // CLOB 最大字符数
-  BLOB_MAX_LENGTH: 1024,  // BLOB 最大字节数
-  TRUNCATE_SUFFIX: '... [已截断]'
-};
+const TRUNCATE_SUFFIX = '... [已截断]';
 
 /**
  * 截断大字符串
@@ -71,22 +70,25 @@ function truncateString(str, maxLength) {
   if (str.length <= maxLength) {
     return str;
   }
-  return str.substring(0, maxLength) + LOB_CONFIG.TRUNCATE_SUFFIX;
+  return str.substring(0, maxLength) + TRUNCATE_SUFFIX;
 }
 
 /**
  * 映射单个值
  * @param {*} value - 原始值
  * @param {string} oracleType - Oracle 数据类型
+ * @param {Object} [limits] - 生效的限制（getSecurityLimits() 的结果），默认为全局限制
  * @returns {*}
  */
-export function mapValue(value, oracleType) {
+export function mapValue(value, oracleType, limits = getSecurityLimits()) {
   // 处理 NULL
   if (value === null || value === undefined) {
     return null;
   }
   
   const upperType = (oracleType || '').toUpperCase();
+  // LOB 截断长度与安全配置共用同一来源（可通过配置文件、环境变量或连接的 limits 调整）
+  const { clobMaxLength, blobMaxLength } = limits;
   
   // 日期类型转换为 ISO 8601
   if (upperType.startsWith('DATE') || upperType.startsWith('TIMESTAMP')) {
@@ -98,32 +100,32 @@ export function mapValue(value, oracleType) {
   // CLOB 类型：截断过长的字符串
   if (upperType === 'CLOB' || upperType === 'NCLOB' || upperType === 'LONG') {
     if (typeof value === 'string') {
-      return truncateString(value, LOB_CONFIG.CLOB_MAX_LENGTH);
+      return truncateString(value, clobMaxLength);
     }
   }
   
   // Buffer 类型转换为 Base64 字符串（便于 JSON 序列化），并截断
   if (Buffer.isBuffer(value)) {
-    const truncatedBuffer = value.length > LOB_CONFIG.BLOB_MAX_LENGTH 
-      ? value.subarray(0, LOB_CONFIG.BLOB_MAX_LENGTH)
+    const truncatedBuffer = value.length > blobMaxLength 
+      ? value.subarray(0, blobMaxLength)
       : value;
     const base64 = truncatedBuffer.toString('base64');
-    if (value.length > LOB_CONFIG.BLOB_MAX_LENGTH) {
-      return base64 + LOB_CONFIG.TRUNCATE_SUFFIX;
+    if (value.length > blobMaxLength) {
+      return base64 + TRUNCATE_SUFFIX;
     }
     return base64;
   }
   
   // BLOB 类型：如果已经是字符串（被 fetchAsBuffer 处理过），截断
   if (upperType === 'BLOB' || upperType === 'RAW' || upperType === 'LONG RAW') {
-    if (typeof value === 'string' && value.length > LOB_CONFIG.BLOB_MAX_LENGTH * 2) {
-      return value.substring(0, LOB_CONFIG.BLOB_MAX_LENGTH * 2) + LOB_CONFIG.TRUNCATE_SUFFIX;
+    if (typeof value === 'string' && value.length > blobMaxLength * 2) {
+      return value.substring(0, blobMaxLength * 2) + TRUNCATE_SUFFIX;
     }
   }
   
   // 普通字符串：如果过长也截断（防止意外的大数据）
-  if (typeof value === 'string' && value.length > LOB_CONFIG.CLOB_MAX_LENGTH) {
-    return truncateString(value, LOB_CONFIG.CLOB_MAX_LENGTH);
+  if (typeof value === 'string' && value.length > clobMaxLength) {
+    return truncateString(value, clobMaxLength);
   }
   
   return value;
@@ -133,10 +135,16 @@ export function mapValue(value, oracleType) {
  * 映射单行数据
  * @param {Array|Object} row - 数据行（数组或对象形式）
  * @param {Array<Object>} columns - 列元数据
+ * @param {Function|null} [masker] - 脱敏函数（见 createMasker），在类型映射之后调用
+ * @param {Object} [limits] - 生效的限制，默认为全局限制
  * @returns {Object}
  */
-export function mapRow(row, columns) {
+export function mapRow(row, columns, masker = null, limits = getSecurityLimits()) {
   const result = {};
+  const map = (value, columnName, oracleType) => {
+    const mapped = mapValue(value, oracleType, limits);
+    return masker ? masker(columnName, mapped) : mapped;
+  };
   
   // 如果 row 是对象格式（OUT_FORMAT_OBJECT），直接处理
   if (row && typeof row === 'object' && !Array.isArray(row)) {
@@ -144,7 +152,7 @@ export function mapRow(row, columns) {
       const columnName = column.name || column;
       const oracleType = column.oracleType || column.dbType || '';
       const value = row[columnName];
-      result[columnName] = mapValue(value, oracleType);
+      result[columnName] = map(value, columnName, oracleType);
     }
     return result;
   }
@@ -156,7 +164,7 @@ export function mapRow(row, columns) {
     const columnName = column.name || column;
     const oracleType = column.oracleType || column.dbType || '';
     
-    result[columnName] = mapValue(value, oracleType);
+    result[columnName] = map(value, columnName, oracleType);
   }
   
   return result;
@@ -166,10 +174,12 @@ export function mapRow(row, columns) {
  * 映射多行数据
  * @param {Array<Array>} rows - 数据行数组
  * @param {Array<Object>} columns - 列元数据
+ * @param {Function|null} [masker] - 脱敏函数
+ * @param {Object} [limits] - 生效的限制，默认为全局限制
  * @returns {Array<Object>}
  */
-export function mapRows(rows, columns) {
-  return rows.map(row => mapRow(row, columns));
+export function mapRows(rows, columns, masker = null, limits = getSecurityLimits()) {
+  return rows.map(row => mapRow(row, columns, masker, limits));
 }
 
 /**
@@ -187,12 +197,17 @@ export function extractColumnInfo(metaData) {
 
 /**
  * 映射查询结果
+ * 配置了脱敏规则时，敏感字段在映射阶段脱敏
  * @param {Object} result - oracledb 查询结果
+ * @param {Object} [options]
+ * @param {string[]} [options.tables] - 结果涉及的表名（用于匹配表.列脱敏规则）
+ * @param {Object} [options.limits] - 生效的限制（连接配置的 LOB 截断长度），默认为全局限制
+ * @param {Object|null} [options.role] - 连接生效的策略角色（决定适用的脱敏规则）
  * @returns {Object}
  */
-export function mapQueryResult(result) {
+export function mapQueryResult(result, options = {}) {
   const columns = extractColumnInfo(result.metaData || []);
-  const data = mapRows(result.rows || [], columns);
+  const data = mapRows(result.rows || [], columns, createMasker(options.tables, options.role || null), options.limits);
   
   return {
     data,
@@ -0,0 +1,218 @@
+/**
+ * 数据脱敏模块
+ * 按配置的规则（表.列、列名模式或数据内容模式）对查询结果中的敏感字段脱敏，
+ * 脱敏在数据映射阶段完成，原始值不会出现在返回给调用方的结果中
+ */
+
+import { createHmac, createHash } from 'node:crypto';
+import { compileTablePattern } from '../config/security.js';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 脱敏策略
+ */
+export const MaskStrategy = {
+  REDACT: 'redact', // 整体替换为 ******
+  PARTIAL: 'partial', // 保留首尾若干字符，中间替换为掩码字符
+  HASH: 'hash' // 替换为哈希值，相同原值得到相同结果，仍可用于比较和分组
+};
+
+/**
+ * 内置的数据内容模式（在字符串中查找并替换匹配的部分）
+ */
+export const DATA_PATTERNS = {
+  phone: /(?<!\d)(?:\+?86[- ]?)?1[3-9]\d{9}(?!\d)/g,
+  idCard: /(?<![\dA-Za-z])\d{17}[\dXx](?![\dA-Za-z])/g,
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+};
+
+/**
+ * 整体替换时使用的文本（不暴露原值长度）
+ */
+export const REDACTED = '******';
+
+/**
+ * 部分脱敏默认保留的首尾字符数（如手机号 138****5678）
+ */
+const DEFAULT_KEEP_START = 3;
+const DEFAULT_KEEP_END = 4;
+
+/**
+ * 哈希结果保留的十六进制位数
+ */
+const HASH_LENGTH = 16;
+
+/**
+ * 配置文件中的脱敏设置（通过 configureMasking 注入）
+ */
+let configuredSettings = {
+  rules: [],
+  hashSalt: null
+};
+
+/**
+ * 已编译的规则缓存，configureMasking 时重建
+ */
+let compiledRules = [];
+
+/**
+ * 应用配置文件中的脱敏设置
+ * @param {Object} [settings] - 脱敏设置
+ * @param {Array<Object>} [settings.rules] - 脱敏规则，每条规则为 { table?, column } 或 { detect }，
+ *   外加 strategy、keepStart、keepEnd、maskChar
+ * @param {string|null} [settings.hashSalt] - hash 策略使用的密钥（HMAC-SHA256），未配置时使用 SHA-256
+ */
+export function configureMasking(settings = {}) {
+  configuredSettings = {
+    rules: [...(settings.rules || [])],
+    hashSalt: settings.hashSalt || null
+  };
+  compiledRules = compileMaskingRules(configuredSettings.rules);
+}
+
+/**
+ * 编译脱敏规则列表（全局规则和策略角色中的规则）
+ * @param {Array<Object>} rules - 脱敏规则
+ * @returns {Array<Object>}
+ */
+export function compileMaskingRules(rules) {
+  return rules.map(compileMaskingRule);
+}
+
+/**
+ * 编译数据内容模式：内置模式名或 /正则表达式/
+ * @param {string} detect - 模式
+ * @returns {RegExp}
+ */
+export function compileDataPattern(detect) {
+  if (DATA_PATTERNS[detect]) {
+    return DATA_PATTERNS[detect];
+  }
+  if (detect.length > 2 && detect.startsWith('/') && detect.endsWith('/')) {
+    try {
+      return new RegExp(detect.slice(1, -1), 'g');
+    } catch (error) {
+      throw new OracleMapError(ErrorCode.CONFIG_PARSE_ERROR, `无效的数据模式正则表达式 ${detect}: ${error.message}`);
+    }
+  }
+  throw new OracleMapError(
+    ErrorCode.CONFIG_PARSE_ERROR,
+    `未知的数据模式 ${detect}，允许的取值: ${Object.keys(DATA_PATTERNS).join(', ')} 或 /正则表达式/`
+  );
+}
+
+/**
+ * 编译单条脱敏规则
+ * @param {Object} rule - 脱敏规则
+ * @returns {Object}
+ */
+function compileMaskingRule(rule) {
+  return {
+    ...rule,
+    strategy: rule.strategy || MaskStrategy.REDACT,
+    tablePattern: rule.table ? compileTablePattern(rule.table) : null,
+    columnPattern: rule.column ? compileTablePattern(rule.column) : null,
+    dataPattern: rule.detect ? compileDataPattern(rule.detect) : null
+  };
+}
+
+/**
+ * 按策略脱敏单个值
+ * @param {*} value - 原始值（已完成类型映射）
+ * @param {Object} rule - 脱敏规则
+ * @returns {*} null 保持为 null，其余值返回字符串
+ */
+export function applyMaskStrategy(value, rule) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value);
+
+  switch (rule.strategy) {
+    case MaskStrategy.PARTIAL: {
+      const keepStart = rule.keepStart ?? DEFAULT_KEEP_START;
+      const keepEnd = rule.keepEnd ?? DEFAULT_KEEP_END;
+      const maskChar = rule.maskChar || '*';
+      const chars = Array.from(text);
+      // 太短时保留首尾会暴露大部分内容，整体掩码
+      if (chars.length <= keepStart + keepEnd) {
+        return maskChar.repeat(chars.length);
+      }
+      return chars.slice(0, keepStart).join('')
+        + maskChar.repeat(chars.length - keepStart - keepEnd)
+        + (keepEnd > 0 ? chars.slice(-keepEnd).join('') : '');
+    }
+    case MaskStrategy.HASH: {
+      const { hashSalt } = configuredSettings;
+      const hash = hashSalt
+        ? createHmac('sha256', hashSalt).update(text).digest('hex')
+        : createHash('sha256').update(text).digest('hex');
+      return `hash:${hash.slice(0, HASH_LENGTH)}`;
+    }
+    default:
+      return REDACTED;
+  }
+}
+
+/**
+ * 创建结果集的脱敏函数
+ * 表.列规则只对结果涉及的表生效；自由 SQL 的结果列无法对应到具体的表，
+ * 因此只要 SQL 引用了规则中的表，同名列就会被脱敏（列别名可以绕过列规则，需配合数据内容规则）
+ * @param {string[]} [tables] - 结果涉及的表名
+ * @param {Object|null} [role] - 连接生效的策略角色：角色的规则优先匹配，includeGlobalRules 为 false 时不使用全局规则
+ * @returns {((columnName: string, value: *) => *)|null} 未配置规则时返回 null
+ */
+export function createMasker(tables = [], role = null) {
+  const rules = role
+    ? [...role.masking.rules, ...(role.masking.includeGlobalRules ? compiledRules : [])]
+    : compiledRules;
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const upperTables = tables.map(t => t.toUpperCase());
+  const detectRules = rules.filter(rule => rule.dataPattern);
+  const columnRules = new Map();
+  const ruleForColumn = (columnName) => {
+    if (!columnRules.has(columnName)) {
+      columnRules.set(columnName, rules.find(rule =>
+        rule.columnPattern
+        && rule.columnPattern.test(columnName)
+        && (!rule.tablePattern || upperTables.some(t => rule.tablePattern.test(t)))
+      ) || null);
+    }
+    return columnRules.get(columnName);
+  };
+
+  return (columnName, value) => {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    const columnRule = ruleForColumn(String(columnName).toUpperCase());
+    if (columnRule) {
+      return applyMaskStrategy(value, columnRule);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'bigint') {
+      return value;
+    }
+
+    let text = String(value);
+    for (const rule of detectRules) {
+      rule.dataPattern.lastIndex = 0;
+      text = text.replace(rule.dataPattern, match => applyMaskStrategy(match, rule));
+    }
+    return text === String(value) ? value : text;
+  };
+}
+
+/**
+ * 获取脱敏配置（用于展示，不包含 hashSalt）
+ * @returns {Object}
+ */
+export function getMaskingConfig() {
+  return {
+    enabled: configuredSettings.rules.length > 0,
+    hashSaltConfigured: configuredSettings.hashSalt !== null,
+    rules: configuredSettings.rules.map(rule => ({ ...rule }))
+  };
+}
@@ -1,5 +1,9 @@
 import { OracleMapError, ErrorCode } from '../utils/errors.js';
-import { checkTableAccess } from '../config/security.js';
+import { checkTableAccess, getSecurityLimits, TableOperation } from '../config/security.js';
+import { mapQueryResult } from './data.js';
+import { createMasker } from './masking.js';
+import { buildRowFilterPredicate } from '../query/filters.js';
+import { formatTableName } from '../query/references.js';
 
 /**
  * Oracle 到 JavaScript 类型映射表
@@ -84,6 +88,13 @@ export function isValidJsType(jsType) {
   return VALID_JS_TYPES.has(jsType);
 }
 
+/**
+ * 当前会话的 CURRENT_SCHEMA
+ * 元数据查询使用 ALL_* 视图并按该 schema 过滤，而不是只能看到登录用户自身对象的 USER_* 视图，
+ * 这样通过会话初始化设置 CURRENT_SCHEMA 后，结构探索与不带前缀的查询指向同一个 schema
+ */
+const CURRENT_SCHEMA = `SYS_CONTEXT('USERENV', 'CURRENT_SCHEMA')`;
+
 /**
  * 查询表结构的 SQL
  */
@@ -96,8 +107,9 @@ const TABLE_COLUMNS_SQL = `
     DATA_PRECISION,
     DATA_SCALE,
     COLUMN_ID
-  FROM USER_TAB_COLUMNS
-  WHERE TABLE_NAME = :tableName
+  FROM ALL_TAB_COLUMNS
+  WHERE OWNER = ${CURRENT_SCHEMA}
+    AND TABLE_NAME = :tableName
   ORDER BY COLUMN_ID
 `;
 
@@ -106,9 +118,10 @@ const TABLE_COLUMNS_SQL = `
  */
 const PRIMARY_KEY_SQL = `
   SELECT cols.COLUMN_NAME
-  FROM USER_CONSTRAINTS cons
-  JOIN USER_CONS_COLUMNS cols ON cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
-  WHERE cons.TABLE_NAME = :tableName
+  FROM ALL_CONSTRAINTS cons
+  JOIN ALL_CONS_COLUMNS cols ON cons.OWNER = cols.OWNER AND cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
+  WHERE cons.OWNER = ${CURRENT_SCHEMA}
+    AND cons.TABLE_NAME = :tableName
     AND cons.CONSTRAINT_TYPE = 'P'
   ORDER BY cols.POSITION
 `;
@@ -121,11 +134,12 @@ const FOREIGN_KEY_SQL = `
     cols.COLUMN_NAME,
     r_cons.TABLE_NAME AS REF_TABLE,
     r_cols.COLUMN_NAME AS REF_COLUMN
-  FROM USER_CONSTRAINTS cons
-  JOIN USER_CONS_COLUMNS cols ON cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
-  JOIN USER_CONSTRAINTS r_cons ON cons.R_CONSTRAINT_NAME = r_cons.CONSTRAINT_NAME
-  JOIN USER_CONS_COLUMNS r_cols ON r_cons.CONSTRAINT_NAME = r_cols.CONSTRAINT_NAME
-  WHERE cons.TABLE_NAME = :tableName
+  FROM ALL_CONSTRAINTS cons
+  JOIN ALL_CONS_COLUMNS cols ON cons.OWNER = cols.OWNER AND cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
+  JOIN ALL_CONSTRAINTS r_cons ON cons.R_OWNER = r_cons.OWNER AND cons.R_CONSTRAINT_NAME = r_cons.CONSTRAINT_NAME
+  JOIN ALL_CONS_COLUMNS r_cols ON r_cons.OWNER = r_cols.OWNER AND r_cons.CONSTRAINT_NAME = r_cols.CONSTRAINT_NAME
+  WHERE cons.OWNER = ${CURRENT_SCHEMA}
+    AND cons.TABLE_NAME = :tableName
     AND cons.CONSTRAINT_TYPE = 'R'
 `;
 
@@ -133,20 +147,38 @@ const FOREIGN_KEY_SQL = `
  * 检查表是否存在的 SQL
  */
 const TABLE_EXISTS_SQL = `
-  SELECT COUNT(*) AS CNT FROM USER_TABLES WHERE TABLE_NAME = :tableName
+  SELECT COUNT(*) AS CNT FROM ALL_TABLES WHERE OWNER = ${CURRENT_SCHEMA} AND TABLE_NAME = :tableName
 `;
 
+/**
+ * 包装连接的 execute：执行前把 SQL 交给 onExecute 回调（供审计日志记录）
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {Function} [onExecute] - 回调，参数为 SQL
+ * @returns {Function} 与 conn.execute 参数相同的函数
+ */
+function tracedExecute(conn, onExecute) {
+  return (...args) => {
+    if (onExecute) {
+      onExecute(args[0]);
+    }
+    return conn.execute(...args);
+  };
+}
+
 /**
  * 获取表结构信息
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
+ * @param {Object} [options]
+ * @param {Function} [options.onExecute] - 执行 SQL 前调用，参数为 SQL（供审计日志记录）
  * @returns {Promise<Object>} 表结构对象
  */
-export async function getTableSchema(conn, tableName) {
+export async function getTableSchema(conn, tableName, options = {}) {
   const upperTableName = tableName.toUpperCase();
+  const execute = tracedExecute(conn, options.onExecute);
   
   // 检查表是否存在
-  const existsResult = await conn.execute(TABLE_EXISTS_SQL, { tableName: upperTableName });
+  const existsResult = await execute(TABLE_EXISTS_SQL, { tableName: upperTableName });
   if (existsResult.rows[0][0] === 0) {
     throw new OracleMapError(
       ErrorCode.TABLE_NOT_FOUND,
@@ -156,7 +188,7 @@ export async function getTableSchema(conn, tableName) {
   }
   
   // 查询列信息
-  const columnsResult = await conn.execute(TABLE_COLUMNS_SQL, { tableName: upperTableName });
+  const columnsResult = await execute(TABLE_COLUMNS_SQL, { tableName: upperTableName });
   const columns = columnsResult.rows.map(row => ({
     name: row[0],
     oracleType: row[1],
@@ -168,11 +200,11 @@ export async function getTableSchema(conn, tableName) {
   }));
   
   // 查询主键
-  const pkResult = await conn.execute(PRIMARY_KEY_SQL, { tableName: upperTableName });
+  const pkResult = await execute(PRIMARY_KEY_SQL, { tableName: upperTableName });
   const primaryKey = pkResult.rows.map(row => row[0]);
   
   // 查询外键
-  const fkResult = await conn.execute(FOREIGN_KEY_SQL, { tableName: upperTableName });
+  const fkResult = await execute(FOREIGN_KEY_SQL, { tableName: upperTableName });
   const foreignKeys = fkResult.rows.map(row => ({
     column: row[0],
     refTable: row[1],
@@ -196,8 +228,9 @@ export async function getTableSchema(conn, tableName) {
 export async function getSimilarTables(conn, tableName) {
   const sql = `
     SELECT TABLE_NAME 
-    FROM USER_TABLES 
-    WHERE TABLE_NAME LIKE :pattern
+    FROM ALL_TABLES 
+    WHERE OWNER = ${CURRENT_SCHEMA}
+      AND TABLE_NAME LIKE :pattern
     ORDER BY TABLE_NAME
     FETCH FIRST 5 ROWS ONLY
   `;
@@ -234,15 +267,17 @@ async function lobToString(lob) {
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
  * @param {string} objectType - 对象类型 (TABLE, VIEW, INDEX 等)
+ * @param {Object} [options]
+ * @param {Object|null} [options.role] - 连接生效的策略角色
  * @returns {Promise<string>}
  */
-export async function getObjectDDL(conn, tableName, objectType = 'TABLE') {
+export async function getObjectDDL(conn, tableName, objectType = 'TABLE', options = {}) {
   const upperTableName = tableName.toUpperCase();
   const upperType = objectType.toUpperCase();
   
   // 检查白名单
   if (upperType === 'TABLE' || upperType === 'VIEW') {
-    const access = checkTableAccess(upperTableName);
+    const access = checkTableAccess(upperTableName, TableOperation.READ, options.role || null);
     if (!access.allowed) {
       throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
     }
@@ -252,7 +287,7 @@ export async function getObjectDDL(conn, tableName, objectType = 'TABLE') {
     // 使用 TO_CHAR 截取 DDL 的前 4000 字符，避免 CLOB 处理问题
     // 对于大多数表，4000 字符足够显示完整 DDL
     const result = await conn.execute(
-      `SELECT DBMS_METADATA.GET_DDL(:objectType, :objectName) AS DDL_TEXT FROM DUAL`,
+      `SELECT DBMS_METADATA.GET_DDL(:objectType, :objectName, ${CURRENT_SCHEMA}) AS DDL_TEXT FROM DUAL`,
       { objectType: upperType, objectName: upperTableName }
     );
     
@@ -279,13 +314,15 @@ export async function getObjectDDL(conn, tableName, objectType = 'TABLE') {
  * 获取表的关系图（父表和子表）
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 中心表名
+ * @param {Object} [options]
+ * @param {Object|null} [options.role] - 连接生效的策略角色
  * @returns {Promise<Object>}
  */
-export async function getSchemaGraph(conn, tableName) {
+export async function getSchemaGraph(conn, tableName, options = {}) {
   const upperTableName = tableName.toUpperCase();
   
   // 检查白名单
-  const access = checkTableAccess(upperTableName);
+  const access = checkTableAccess(upperTableName, TableOperation.READ, options.role || null);
   if (!access.allowed) {
     throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
   }
@@ -297,11 +334,12 @@ export async function getSchemaGraph(conn, tableName) {
       cols.COLUMN_NAME AS FK_COLUMN,
       r_cols.COLUMN_NAME AS PK_COLUMN,
       cons.CONSTRAINT_NAME
-    FROM USER_CONSTRAINTS cons
-    JOIN USER_CONS_COLUMNS cols ON cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
-    JOIN USER_CONSTRAINTS r_cons ON cons.R_CONSTRAINT_NAME = r_cons.CONSTRAINT_NAME
-    JOIN USER_CONS_COLUMNS r_cols ON r_cons.CONSTRAINT_NAME = r_cols.CONSTRAINT_NAME
-    WHERE cons.TABLE_NAME = :tableName
+    FROM ALL_CONSTRAINTS cons
+    JOIN ALL_CONS_COLUMNS cols ON cons.OWNER = cols.OWNER AND cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
+    JOIN ALL_CONSTRAINTS r_cons ON cons.R_OWNER = r_cons.OWNER AND cons.R_CONSTRAINT_NAME = r_cons.CONSTRAINT_NAME
+    JOIN ALL_CONS_COLUMNS r_cols ON r_cons.OWNER = r_cols.OWNER AND r_cons.CONSTRAINT_NAME = r_cols.CONSTRAINT_NAME
+    WHERE cons.OWNER = ${CURRENT_SCHEMA}
+      AND cons.TABLE_NAME = :tableName
       AND cons.CONSTRAINT_TYPE = 'R'
   `;
   
@@ -312,11 +350,12 @@ export async function getSchemaGraph(conn, tableName) {
       cols.COLUMN_NAME AS FK_COLUMN,
       r_cols.COLUMN_NAME AS PK_COLUMN,
       cons.CONSTRAINT_NAME
-    FROM USER_CONSTRAINTS cons
-    JOIN USER_CONS_COLUMNS cols ON cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
-    JOIN USER_CONSTRAINTS r_cons ON cons.R_CONSTRAINT_NAME = r_cons.CONSTRAINT_NAME
-    JOIN USER_CONS_COLUMNS r_cols ON r_cons.CONSTRAINT_NAME = r_cols.CONSTRAINT_NAME
-    WHERE r_cons.TABLE_NAME = :tableName
+    FROM ALL_CONSTRAINTS cons
+    JOIN ALL_CONS_COLUMNS cols ON cons.OWNER = cols.OWNER AND cons.CONSTRAINT_NAME = cols.CONSTRAINT_NAME
+    JOIN ALL_CONSTRAINTS r_cons ON cons.R_OWNER = r_cons.OWNER AND cons.R_CONSTRAINT_NAME = r_cons.CONSTRAINT_NAME
+    JOIN ALL_CONS_COLUMNS r_cols ON r_cons.OWNER = r_cols.OWNER AND r_cons.CONSTRAINT_NAME = r_cols.CONSTRAINT_NAME
+    WHERE r_cons.OWNER = ${CURRENT_SCHEMA}
+      AND r_cons.TABLE_NAME = :tableName
       AND cons.CONSTRAINT_TYPE = 'R'
   `;
   
@@ -360,15 +399,17 @@ export async function listObjects(conn, objectType = 'ALL') {
   if (upperType === 'ALL') {
     sql = `
       SELECT OBJECT_NAME, OBJECT_TYPE, STATUS, CREATED, LAST_DDL_TIME
-      FROM USER_OBJECTS
-      WHERE OBJECT_TYPE IN ('TABLE', 'VIEW', 'PROCEDURE', 'FUNCTION', 'PACKAGE')
+      FROM ALL_OBJECTS
+      WHERE OWNER = ${CURRENT_SCHEMA}
+        AND OBJECT_TYPE IN ('TABLE', 'VIEW', 'PROCEDURE', 'FUNCTION', 'PACKAGE')
       ORDER BY OBJECT_TYPE, OBJECT_NAME
     `;
   } else if (upperType === 'TABLE') {
     sql = `
       SELECT TABLE_NAME AS OBJECT_NAME, 'TABLE' AS OBJECT_TYPE, 'VALID' AS STATUS, 
              NULL AS CREATED, NULL AS LAST_DDL_TIME, NUM_ROWS, LAST_ANALYZED
-      FROM USER_TABLES
+      FROM ALL_TABLES
+      WHERE OWNER = ${CURRENT_SCHEMA}
       ORDER BY TABLE_NAME
     `;
   } else if (upperType === 'VIEW') {
@@ -376,14 +417,16 @@ export async function listObjects(conn, objectType = 'ALL') {
       SELECT VIEW_NAME AS OBJECT_NAME, 'VIEW' AS OBJECT_TYPE, 
              CASE WHEN TEXT IS NOT NULL THEN 'VALID' ELSE 'INVALID' END AS STATUS,
              NULL AS CREATED, NULL AS LAST_DDL_TIME
-      FROM USER_VIEWS
+      FROM ALL_VIEWS
+      WHERE OWNER = ${CURRENT_SCHEMA}
       ORDER BY VIEW_NAME
     `;
   } else {
     sql = `
       SELECT OBJECT_NAME, OBJECT_TYPE, STATUS, CREATED, LAST_DDL_TIME
-      FROM USER_OBJECTS
-      WHERE OBJECT_TYPE = :objectType
+      FROM ALL_OBJECTS
+      WHERE OWNER = ${CURRENT_SCHEMA}
+        AND OBJECT_TYPE = :objectType
       ORDER BY OBJECT_NAME
     `;
   }
@@ -407,8 +450,8 @@ export async function describeProcedure(conn, procedureName) {
   
   // 获取对象类型
   const typeSql = `
-    SELECT OBJECT_TYPE FROM USER_OBJECTS 
-    WHERE OBJECT_NAME = :name AND OBJECT_TYPE IN ('PROCEDURE', 'FUNCTION')
+    SELECT OBJECT_TYPE FROM ALL_OBJECTS 
+    WHERE OWNER = ${CURRENT_SCHEMA} AND OBJECT_NAME = :name AND OBJECT_TYPE IN ('PROCEDURE', 'FUNCTION')
   `;
   const typeResult = await conn.execute(typeSql, { name: upperName });
   
@@ -432,8 +475,9 @@ export async function describeProcedure(conn, procedureName) {
       DATA_PRECISION,
       DATA_SCALE,
       DEFAULT_VALUE
-    FROM USER_ARGUMENTS
-    WHERE OBJECT_NAME = :name
+    FROM ALL_ARGUMENTS
+    WHERE OWNER = ${CURRENT_SCHEMA}
+      AND OBJECT_NAME = :name
     ORDER BY POSITION
   `;
   
@@ -454,8 +498,8 @@ export async function describeProcedure(conn, procedureName) {
   let sourceCode = null;
   try {
     const sourceSql = `
-      SELECT TEXT FROM USER_SOURCE 
-      WHERE NAME = :name AND TYPE = :type
+      SELECT TEXT FROM ALL_SOURCE 
+      WHERE OWNER = ${CURRENT_SCHEMA} AND NAME = :name AND TYPE = :type
       ORDER BY LINE
     `;
     const sourceResult = await conn.execute(sourceSql, { name: upperName, type: objectType });
@@ -475,25 +519,35 @@ export async function describeProcedure(conn, procedureName) {
 }
 
 /**
- * 获取表的采样数据
+ * 获取表的采样数据（敏感字段按脱敏规则处理）
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
- * @param {number} sampleSize - 采样行数
+ * @param {number} sampleSize - 采样行数（限制在 1 到 maxSampleSize 之间）
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rowFilters] - 行级过滤规则
+ * @param {Object} [options.limits] - 连接生效的限制，默认为全局限制
+ * @param {Object|null} [options.role] - 连接生效的策略角色（限制可访问的表和脱敏规则）
+ * @param {Function} [options.onExecute] - 执行 SQL 前调用，参数为 SQL（供审计日志记录）
  * @returns {Promise<Array>}
  */
-export async function getSampleData(conn, tableName, sampleSize = 3) {
+export async function getSampleData(conn, tableName, sampleSize = 3, options = {}) {
+  const { limits = getSecurityLimits(), role = null } = options;
+  const tableSql = formatTableName(tableName);
   const upperTableName = tableName.toUpperCase();
+  const size = Math.min(Math.max(1, sampleSize), limits.maxSampleSize);
   
   // 检查白名单
-  const access = checkTableAccess(upperTableName);
+  const access = checkTableAccess(upperTableName, TableOperation.READ, role);
   if (!access.allowed) {
     throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
   }
   
-  const sql = `SELECT * FROM ${upperTableName} FETCH FIRST :sampleSize ROWS ONLY`;
-  const result = await conn.execute(sql, { sampleSize }, { outFormat: 4002 });
+  const filter = buildRowFilterPredicate(upperTableName, options.rowFilters);
+  const sql = `SELECT * FROM ${tableSql}${filter ? ` WHERE ${filter.predicate}` : ''} FETCH FIRST :sampleSize ROWS ONLY`;
+  const execute = tracedExecute(conn, options.onExecute);
+  const result = await execute(sql, { sampleSize: size, ...(filter ? filter.binds : {}) }, { outFormat: 4002 });
   
-  return result.rows || [];
+  return mapQueryResult(result, { tables: [upperTableName], limits, role }).data;
 }
 
 /**
@@ -504,14 +558,14 @@ export async function getSampleData(conn, tableName, sampleSize = 3) {
  * @returns {Promise<Object>}
  */
 export async function getTableSchemaEnhanced(conn, tableName, options = {}) {
-  const { includeSample = false, sampleSize = 3 } = options;
+  const { includeSample = false, sampleSize = 3, rowFilters, limits, role, onExecute } = options;
   
   // 获取基础结构
-  const schema = await getTableSchema(conn, tableName);
+  const schema = await getTableSchema(conn, tableName, { onExecute });
   
   // 如果需要采样数据
   if (includeSample) {
-    schema.sampleData = await getSampleData(conn, tableName, sampleSize);
+    schema.sampleData = await getSampleData(conn, tableName, sampleSize, { rowFilters, limits, role, onExecute });
   }
   
   return schema;
@@ -521,11 +575,12 @@ export async function getTableSchemaEnhanced(conn, tableName, options = {}) {
  * 搜索元数据（表注释、列注释、视图定义）
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} keyword - 搜索关键词
- * @param {Object} options - 搜索选项
+ * @param {Object} options - 搜索选项，limit 为每类结果的条数（不超过 maxSearchResults），limits 为连接生效的限制
  * @returns {Promise<Object>}
  */
 export async function searchMetadata(conn, keyword, options = {}) {
-  const { searchTables = true, searchColumns = true, searchViews = true, limit = 50 } = options;
+  const { searchTables = true, searchColumns = true, searchViews = true, limits = getSecurityLimits() } = options;
+  const limit = Math.min(Math.max(1, options.limit || 50), limits.maxSearchResults);
   const pattern = `%${keyword.toUpperCase()}%`;
   const results = { tables: [], columns: [], views: [] };
 
@@ -533,10 +588,11 @@ export async function searchMetadata(conn, keyword, options = {}) {
   if (searchTables) {
     const tablesSql = `
       SELECT t.TABLE_NAME, c.COMMENTS, t.NUM_ROWS
-      FROM USER_TABLES t
-      LEFT JOIN USER_TAB_COMMENTS c ON t.TABLE_NAME = c.TABLE_NAME
-      WHERE UPPER(t.TABLE_NAME) LIKE :pattern
-         OR UPPER(c.COMMENTS) LIKE :pattern
+      FROM ALL_TABLES t
+      LEFT JOIN ALL_TAB_COMMENTS c ON t.OWNER = c.OWNER AND t.TABLE_NAME = c.TABLE_NAME
+      WHERE t.OWNER = ${CURRENT_SCHEMA}
+        AND (UPPER(t.TABLE_NAME) LIKE :pattern
+         OR UPPER(c.COMMENTS) LIKE :pattern)
       ORDER BY t.TABLE_NAME
       FETCH FIRST :limit ROWS ONLY
     `;
@@ -552,10 +608,11 @@ export async function searchMetadata(conn, keyword, options = {}) {
   if (searchColumns) {
     const columnsSql = `
       SELECT c.TABLE_NAME, c.COLUMN_NAME, cc.COMMENTS, c.DATA_TYPE
-      FROM USER_TAB_COLUMNS c
-      LEFT JOIN USER_COL_COMMENTS cc ON c.TABLE_NAME = cc.TABLE_NAME AND c.COLUMN_NAME = cc.COLUMN_NAME
-      WHERE UPPER(c.COLUMN_NAME) LIKE :pattern
-         OR UPPER(cc.COMMENTS) LIKE :pattern
+      FROM ALL_TAB_COLUMNS c
+      LEFT JOIN ALL_COL_COMMENTS cc ON c.OWNER = cc.OWNER AND c.TABLE_NAME = cc.TABLE_NAME AND c.COLUMN_NAME = cc.COLUMN_NAME
+      WHERE c.OWNER = ${CURRENT_SCHEMA}
+        AND (UPPER(c.COLUMN_NAME) LIKE :pattern
+         OR UPPER(cc.COMMENTS) LIKE :pattern)
       ORDER BY c.TABLE_NAME, c.COLUMN_ID
       FETCH FIRST :limit ROWS ONLY
     `;
@@ -572,11 +629,12 @@ export async function searchMetadata(conn, keyword, options = {}) {
   if (searchViews) {
     const viewsSql = `
       SELECT v.VIEW_NAME, c.COMMENTS, DBMS_LOB.SUBSTR(v.TEXT, 500, 1) AS TEXT_PREVIEW
-      FROM USER_VIEWS v
-      LEFT JOIN USER_TAB_COMMENTS c ON v.VIEW_NAME = c.TABLE_NAME
-      WHERE UPPER(v.VIEW_NAME) LIKE :pattern
+      FROM ALL_VIEWS v
+      LEFT JOIN ALL_TAB_COMMENTS c ON v.OWNER = c.OWNER AND v.VIEW_NAME = c.TABLE_NAME
+      WHERE v.OWNER = ${CURRENT_SCHEMA}
+        AND (UPPER(v.VIEW_NAME) LIKE :pattern
          OR UPPER(c.COMMENTS) LIKE :pattern
-         OR UPPER(v.TEXT) LIKE :pattern
+         OR UPPER(v.TEXT) LIKE :pattern)
       ORDER BY v.VIEW_NAME
       FETCH FIRST :limit ROWS ONLY
     `;
@@ -604,24 +662,32 @@ export async function searchMetadata(conn, keyword, options = {}) {
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
  * @param {string} columnName - 列名（可选，不传则统计所有列）
- * @param {Object} options - 统计选项
+ * @param {Object} options - 统计选项，role 为连接生效的策略角色，onExecute 在执行 SQL 前调用（供审计日志记录）
  * @returns {Promise<Object>}
  */
 export async function getColumnStats(conn, tableName, columnName = null, options = {}) {
-  const { topN = 10, includeHistogram = true } = options;
+  const { topN = 10, includeHistogram = true, rowFilters, role = null, onExecute } = options;
+  const execute = tracedExecute(conn, onExecute);
+  const tableSql = formatTableName(tableName);
   const upperTableName = tableName.toUpperCase();
   
   // 检查白名单
-  const access = checkTableAccess(upperTableName);
+  const access = checkTableAccess(upperTableName, TableOperation.READ, role);
   if (!access.allowed) {
     throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
   }
+  const masker = createMasker([upperTableName], role);
+  // 行级过滤：所有统计都基于过滤后的行
+  const filter = buildRowFilterPredicate(upperTableName, rowFilters);
+  const source = filter ? `(SELECT * FROM ${tableSql} WHERE ${filter.predicate})` : tableSql;
+  const filterBinds = filter ? filter.binds : {};
 
   // 获取列信息
   let columnsSql = `
     SELECT COLUMN_NAME, DATA_TYPE, NULLABLE, DATA_LENGTH, DATA_PRECISION, DATA_SCALE
-    FROM USER_TAB_COLUMNS
-    WHERE TABLE_NAME = :tableName
+    FROM ALL_TAB_COLUMNS
+    WHERE OWNER = ${CURRENT_SCHEMA}
+      AND TABLE_NAME = :tableName
   `;
   const binds = { tableName: upperTableName };
   
@@ -631,7 +697,7 @@ export async function getColumnStats(conn, tableName, columnName = null, options
   }
   columnsSql += ` ORDER BY COLUMN_ID`;
 
-  const columnsResult = await conn.execute(columnsSql, binds);
+  const columnsResult = await execute(columnsSql, binds);
   
   if (columnsResult.rows.length === 0) {
     throw new OracleMapError(
@@ -652,6 +718,8 @@ export async function getColumnStats(conn, tableName, columnName = null, options
       dataType,
       nullable
     };
+    // 极值和频繁值是表中的真实数据，同样需要脱敏
+    const mask = (value) => (masker ? masker(colName, value) : value);
 
     // 基础统计：总行数、NULL 数、非空数、唯一值数
     const basicStatsSql = `
@@ -660,11 +728,11 @@ export async function getColumnStats(conn, tableName, columnName = null, options
         COUNT("${colName}") AS non_null_count,
         COUNT(*) - COUNT("${colName}") AS null_count,
         COUNT(DISTINCT "${colName}") AS distinct_count
-      FROM ${upperTableName}
+      FROM ${source}
     `;
     
     try {
-      const basicResult = await conn.execute(basicStatsSql);
+      const basicResult = await execute(basicStatsSql, filterBinds);
       const [totalCount, nonNullCount, nullCount, distinctCount] = basicResult.rows[0];
       colStats.totalCount = totalCount;
       colStats.nonNullCount = nonNullCount;
@@ -683,15 +751,15 @@ export async function getColumnStats(conn, tableName, columnName = null, options
             MEDIAN("${colName}") AS median_val,
             STDDEV("${colName}") AS stddev_val,
             SUM(CASE WHEN "${colName}" = 0 THEN 1 ELSE 0 END) AS zero_count
-          FROM ${upperTableName}
+          FROM ${source}
         `;
-        const numResult = await conn.execute(numStatsSql);
+        const numResult = await execute(numStatsSql, filterBinds);
         const [minVal, maxVal, avgVal, medianVal, stddevVal, zeroCount] = numResult.rows[0];
         colStats.numericStats = {
-          min: minVal,
-          max: maxVal,
+          min: mask(minVal),
+          max: mask(maxVal),
           avg: avgVal !== null ? Number(avgVal.toFixed(4)) : null,
-          median: medianVal,
+          median: mask(medianVal),
           stddev: stddevVal !== null ? Number(stddevVal.toFixed(4)) : null,
           zeroCount,
           zeroRatio: totalCount > 0 ? (zeroCount / totalCount * 100).toFixed(2) + '%' : '0%'
@@ -702,15 +770,15 @@ export async function getColumnStats(conn, tableName, columnName = null, options
       if (includeHistogram && distinctCount <= 1000) {
         const topNSql = `
           SELECT "${colName}" AS val, COUNT(*) AS cnt
-          FROM ${upperTableName}
+          FROM ${source}
           WHERE "${colName}" IS NOT NULL
           GROUP BY "${colName}"
           ORDER BY cnt DESC
           FETCH FIRST :topN ROWS ONLY
         `;
-        const topNResult = await conn.execute(topNSql, { topN });
+        const topNResult = await execute(topNSql, { topN, ...filterBinds });
         colStats.topValues = topNResult.rows.map(r => ({
-          value: r[0],
+          value: mask(r[0]),
           count: r[1],
           ratio: totalCount > 0 ? (r[1] / totalCount * 100).toFixed(2) + '%' : '0%'
         }));
@@ -720,12 +788,12 @@ export async function getColumnStats(conn, tableName, columnName = null, options
       if (['DATE', 'TIMESTAMP'].some(t => dataType.startsWith(t))) {
         const dateStatsSql = `
           SELECT MIN("${colName}") AS min_date, MAX("${colName}") AS max_date
-          FROM ${upperTableName}
+          FROM ${source}
         `;
-        const dateResult = await conn.execute(dateStatsSql);
+        const dateResult = await execute(dateStatsSql, filterBinds);
         colStats.dateStats = {
-          minDate: dateResult.rows[0][0],
-          maxDate: dateResult.rows[0][1]
+          minDate: mask(dateResult.rows[0][0]),
+          maxDate: mask(dateResult.rows[0][1])
         };
       }
 
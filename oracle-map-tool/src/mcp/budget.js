@@ -0,0 +1,187 @@
+/**
+ * 调用预算
+ * 限制每个工具每分钟的调用次数、会话累计读取的行数、同时执行的语句数和单条查询的估算成本，
+ * 防止 AI 助手在循环中对生产库发起大量或高成本的查询
+ */
+
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 调用频率的统计窗口（毫秒）
+ */
+export const RATE_WINDOW_MS = 60000;
+
+/**
+ * 预算项对应的环境变量（环境变量优先于配置文件；按工具配置的调用频率优先于 ORACLE_CALLS_PER_MINUTE）
+ */
+const BUDGET_ENV_VARS = {
+  callsPerMinute: 'ORACLE_CALLS_PER_MINUTE',
+  maxSessionRows: 'ORACLE_MAX_SESSION_ROWS',
+  maxConcurrentStatements: 'ORACLE_MAX_CONCURRENT_STATEMENTS',
+  maxQueryCost: 'ORACLE_MAX_QUERY_COST'
+};
+
+/**
+ * 构建预算超限错误
+ * @param {string} message - 错误消息
+ * @param {string} suggestion - 处理建议
+ * @returns {OracleMapError}
+ */
+function quotaError(message, suggestion) {
+  return new OracleMapError(ErrorCode.QUOTA_EXCEEDED, message, { suggestion });
+}
+
+/**
+ * 调用预算（每个服务进程即一个 MCP 会话，持有一个实例）
+ * 未配置的预算项不限制
+ */
+export class QueryBudget {
+  /**
+   * @param {Object} [settings]
+   * @param {Object} [settings.callsPerMinute] - 每分钟调用次数，default 为所有工具的默认值，其余字段为工具名
+   * @param {number|null} [settings.maxSessionRows] - 会话累计读取的最大行数
+   * @param {number|null} [settings.maxConcurrentStatements] - 同时执行的最大语句数
+   * @param {number|null} [settings.maxQueryCost] - 单条查询允许的最大估算成本（执行计划中的 Cost）
+   * @param {() => number} [now] - 当前时间（毫秒），测试时可替换
+   */
+  constructor(settings = {}, now = Date.now) {
+    this.callsPerMinute = { ...(settings.callsPerMinute || {}) };
+    this.maxSessionRows = settings.maxSessionRows ?? null;
+    this.maxConcurrentStatements = settings.maxConcurrentStatements ?? null;
+    this.maxQueryCost = settings.maxQueryCost ?? null;
+    this.now = now;
+    /** @type {Map<string, number[]>} 各工具在统计窗口内的调用时间 */
+    this.calls = new Map();
+    this.rowsFetched = 0;
+    this.activeStatements = 0;
+  }
+
+  /**
+   * 根据配置文件和环境变量创建调用预算
+   * @param {Object} [config] - 配置文件中的 budgets 设置
+   * @param {Object} [env] - 环境变量
+   * @returns {QueryBudget}
+   */
+  static fromConfig(config = {}, env = process.env) {
+    const fromEnv = (key) => {
+      const value = parseInt(env[BUDGET_ENV_VARS[key]] || '', 10);
+      return Number.isInteger(value) && value >= 1 ? value : undefined;
+    };
+    const callsPerMinute = { ...(config.callsPerMinute || {}) };
+    const defaultCalls = fromEnv('callsPerMinute');
+    if (defaultCalls !== undefined) {
+      callsPerMinute.default = defaultCalls;
+    }
+    return new QueryBudget({
+      callsPerMinute,
+      maxSessionRows: fromEnv('maxSessionRows') ?? config.maxSessionRows,
+      maxConcurrentStatements: fromEnv('maxConcurrentStatements') ?? config.maxConcurrentStatements,
+      maxQueryCost: fromEnv('maxQueryCost') ?? config.maxQueryCost
+    });
+  }
+
+  /**
+   * 工具每分钟允许的调用次数
+   * @param {string} tool - 工具名
+   * @returns {number|null} 不限制时返回 null
+   */
+  getCallLimit(tool) {
+    return this.callsPerMinute[tool] ?? this.callsPerMinute.default ?? null;
+  }
+
+  /**
+   * 开始一次工具调用：检查调用频率、会话行数和并发语句数，通过后登记调用
+   * @param {string} tool - 工具名
+   * @param {Object} [options]
+   * @param {boolean} [options.statement] - 是否在数据库上执行语句（计入并发数）
+   * @param {boolean} [options.fetchesRows] - 是否返回数据行（会话行数用尽后拒绝）
+   * @returns {() => void} 调用结束时执行的释放函数
+   */
+  acquire(tool, { statement = false, fetchesRows = false } = {}) {
+    const now = this.now();
+    const recent = (this.calls.get(tool) || []).filter(time => now - time < RATE_WINDOW_MS);
+    const limit = this.getCallLimit(tool);
+    if (limit !== null && recent.length >= limit) {
+      const retryAfter = Math.ceil((RATE_WINDOW_MS - (now - recent[0])) / 1000);
+      this.calls.set(tool, recent);
+      throw quotaError(
+        `${tool} 超出调用频率限制（每分钟 ${limit} 次），请 ${retryAfter} 秒后重试`,
+        '请合并查询或减少重复调用'
+      );
+    }
+    if (fetchesRows && this.getRemainingRows() === 0) {
+      throw quotaError(
+        `本次会话已读取 ${this.rowsFetched} 行，达到上限 ${this.maxSessionRows}`,
+        '请使用聚合查询代替逐行读取，或重启会话'
+      );
+    }
+    if (statement && this.maxConcurrentStatements !== null && this.activeStatements >= this.maxConcurrentStatements) {
+      throw quotaError(
+        `同时执行的语句数已达上限 ${this.maxConcurrentStatements}`,
+        '请等待正在执行的调用完成后重试'
+      );
+    }
+
+    recent.push(now);
+    this.calls.set(tool, recent);
+    if (!statement) {
+      return () => {};
+    }
+    this.activeStatements++;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.activeStatements--;
+      }
+    };
+  }
+
+  /**
+   * 会话剩余可读取的行数，返回数据的调用以此作为行数上限
+   * @returns {number|null} 不限制时返回 null
+   */
+  getRemainingRows() {
+    return this.maxSessionRows === null ? null : Math.max(0, this.maxSessionRows - this.rowsFetched);
+  }
+
+  /**
+   * 累计本次会话读取的行数
+   * @param {number} count - 行数
+   */
+  recordRows(count) {
+    if (Number.isInteger(count) && count > 0) {
+      this.rowsFetched += count;
+    }
+  }
+
+  /**
+   * 检查查询的估算成本
+   * 执行计划中没有成本信息时（如规则优化器）不拦截
+   * @param {number|null} cost - 执行计划的估算成本
+   */
+  assertCost(cost) {
+    if (this.maxQueryCost === null || cost === null || cost === undefined || cost <= this.maxQueryCost) {
+      return;
+    }
+    throw quotaError(
+      `查询的估算成本 ${cost} 超过上限 ${this.maxQueryCost}，已拒绝执行`,
+      '请使用 oracle_explain_plan 分析执行计划，添加过滤条件或索引后重试'
+    );
+  }
+
+  /**
+   * 获取预算配置和当前用量（用于展示）
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      callsPerMinute: { ...this.callsPerMinute },
+      maxSessionRows: this.maxSessionRows,
+      rowsFetched: this.rowsFetched,
+      maxConcurrentStatements: this.maxConcurrentStatements,
+      activeStatements: this.activeStatements,
+      maxQueryCost: this.maxQueryCost
+    };
+  }
+}
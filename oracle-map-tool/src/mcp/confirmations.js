@@ -0,0 +1,125 @@
+/**
+ * DML 确认令牌
+ * 预览 DML 后签发一次性令牌，记录连接、语句、绑定变量和预览时的影响行数；
+ * 确认时令牌只能使用一次，且必须用于同一连接上使用相同绑定变量的同一条语句
+ */
+
+import { randomBytes } from 'node:crypto';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 确认令牌的默认有效期（毫秒）
+ */
+export const DEFAULT_CONFIRM_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * 构建确认失败错误
+ * @param {string} message - 错误消息
+ * @returns {OracleMapError}
+ */
+function confirmationError(message) {
+  return new OracleMapError(ErrorCode.CONFIRMATION_FAILED, message, {
+    suggestion: '请先以 preview: true 调用 oracle_execute_dml，再使用返回的 confirmToken 确认'
+  });
+}
+
+/**
+ * 绑定变量的比较键（未传绑定变量和空绑定视为相同）
+ * 对象的键排序后序列化，命名绑定和 { val, type } 的书写顺序不影响比较；位置绑定保持顺序
+ * @param {Object|Array} [binds] - 绑定变量
+ * @returns {string}
+ */
+function bindsKey(binds) {
+  if (binds === undefined || binds === null) {
+    return '{}';
+  }
+  return JSON.stringify(sortKeys(binds));
+}
+
+/**
+ * 递归按键名排序对象
+ * @param {*} value - 值
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * 确认令牌存储（仅保存在服务进程内存中，重启后失效）
+ */
+export class DmlConfirmations {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - 令牌有效期（毫秒）
+   * @param {() => number} [options.now] - 当前时间（毫秒），测试时可替换
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_CONFIRM_TTL_MS;
+    this.now = options.now || Date.now;
+    /** @type {Map<string, { connection: string, sql: string, binds: string, rowsAffected: number, expiresAt: number }>} */
+    this.pending = new Map();
+  }
+
+  /**
+   * 签发确认令牌
+   * @param {Object} preview
+   * @param {string} preview.connection - 连接名
+   * @param {string} preview.sql - 预览的语句（调用时传入的原文）
+   * @param {Object|Array} [preview.binds] - 预览时的绑定变量（工具参数原文）
+   * @param {number} preview.rowsAffected - 预览时的影响行数
+   * @returns {{ token: string, expiresAt: string }}
+   */
+  issue({ connection, sql, binds, rowsAffected }) {
+    this.prune();
+    const token = randomBytes(16).toString('hex');
+    const expiresAt = this.now() + this.ttl;
+    this.pending.set(token, { connection, sql, binds: bindsKey(binds), rowsAffected, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * 使用确认令牌（无论之后执行是否成功，令牌都作废）
+   * @param {string} token - 确认令牌
+   * @param {Object} call
+   * @param {string} call.connection - 连接名
+   * @param {string} call.sql - 本次调用的语句
+   * @param {Object|Array} [call.binds] - 本次调用的绑定变量
+   * @returns {{ rowsAffected: number }} 预览时的影响行数
+   */
+  consume(token, { connection, sql, binds }) {
+    const entry = this.pending.get(token);
+    this.pending.delete(token);
+    if (!entry) {
+      throw confirmationError('确认令牌无效或已使用');
+    }
+    if (entry.expiresAt <= this.now()) {
+      throw confirmationError('确认令牌已过期');
+    }
+    if (entry.connection !== connection || entry.sql.trim() !== sql.trim()) {
+      throw confirmationError('确认令牌与本次调用的连接或语句不匹配');
+    }
+    if (entry.binds !== bindsKey(binds)) {
+      throw confirmationError('确认令牌与本次调用的绑定变量不匹配');
+    }
+    return { rowsAffected: entry.rowsAffected };
+  }
+
+  /**
+   * 清理过期的令牌
+   */
+  prune() {
+    const now = this.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt <= now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
@@ -4,7 +4,12 @@ import {
   ListToolsRequestSchema,
   CallToolRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
-import { ConnectionManager } from '../db/connection.js';
+import { ConnectionRegistry } from '../db/registry.js';
+import { isFatalConnectionError } from '../db/connection.js';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+import { AuditLogger } from '../utils/audit.js';
+import { QueryBudget } from './budget.js';
+import { DmlConfirmations } from './confirmations.js';
 import { 
   getTableSchema, 
   getTableSchemaEnhanced,
@@ -15,8 +20,134 @@ import {
   searchMetadata,
   getColumnStats
 } from '../mapper/schema.js';
+import { configureMasking, getMaskingConfig } from '../mapper/masking.js';
 import { executeQuery, queryTable, getTableRowCount, executeFlashbackQuery, getExplainPlan, executeDml, insertRecord } from '../query/executor.js';
-import { getSecurityConfig, checkTableAccess, MAX_ROWS_LIMIT } from '../config/security.js';
+import { normalizeBinds } from '../query/binds.js';
+import { getSecurityConfig, checkTableAccess, configureSecurity, isReadonlyMode, getCallTimeout, TableOperation, WRITE_TOOLS } from '../config/security.js';
+import { loadConfig, resolveConfigPath, validatePoolConfig, validateSessionConfig } from '../config/loader.js';
+import { configureRoles, resolveRolePolicy, isToolAllowed, getRolesConfig, ROLE_ENV } from '../config/roles.js';
+
+/**
+ * 不需要数据库连接、因此不追加 connection 参数的工具
+ */
+const CONNECTION_FREE_TOOLS = new Set([
+  'oracle_connect',
+  'oracle_use',
+  'oracle_list_connections',
+  'oracle_security_config',
+  'oracle_audit_log'
+]);
+
+/**
+ * 只读且可安全重复执行的工具
+ * 连接失效时会在自动重连后重试一次；写操作不会自动重试
+ */
+const IDEMPOTENT_TOOLS = new Set([
+  'oracle_list_tables',
+  'oracle_describe_table',
+  'oracle_query',
+  'oracle_table_data',
+  'oracle_table_count',
+  'oracle_get_ddl',
+  'oracle_schema_graph',
+  'oracle_list_objects',
+  'oracle_describe_procedure',
+  'oracle_search_metadata',
+  'oracle_column_stats',
+  'oracle_explain_plan',
+  'oracle_flashback_query'
+]);
+
+/**
+ * 不执行 SQL、因此不追加 timeout 参数的工具
+ */
+const TIMEOUT_FREE_TOOLS = new Set([
+  'oracle_disconnect',
+  'oracle_pool_status'
+]);
+
+/**
+ * 返回数据行、计入会话行数预算的工具
+ */
+const ROW_FETCHING_TOOLS = new Set([
+  'oracle_query',
+  'oracle_table_data',
+  'oracle_flashback_query'
+]);
+
+/**
+ * 在只读事务（SET TRANSACTION READ ONLY）中执行的工具
+ * 这些工具会执行用户提供的 SQL 或访问表数据，只读事务保证即使 SQL 调用了有副作用的函数也无法写入
+ */
+const READ_ONLY_TRANSACTION_TOOLS = new Set([
+  'oracle_query',
+  'oracle_table_data',
+  'oracle_table_count',
+  'oracle_flashback_query',
+  'oracle_describe_table',
+  'oracle_column_stats'
+]);
+
+/**
+ * 执行用户 SQL 的工具共用的 binds 参数定义
+ */
+const BINDS_PARAM = {
+  type: ['object', 'array'],
+  description: '绑定变量（推荐代替拼接字面量）：对象为命名绑定，如 {"id": 1} 对应 :id；数组为位置绑定，依次对应 :1、:2。' +
+    '值可以是字符串、数字、null、{"$date": "2025-12-19"}、{"$timestamp": "2025-12-19T10:30:00"}，' +
+    '或 {"val": 值, "type": "STRING|NUMBER|DATE|TIMESTAMP|CLOB", "dir": "in|out|inout", "maxSize": 100} 指定类型和方向'
+};
+
+/**
+ * 连接池参数对应的环境变量
+ */
+const POOL_ENV_VARS = {
+  poolMin: 'ORACLE_POOL_MIN',
+  poolMax: 'ORACLE_POOL_MAX',
+  poolIncrement: 'ORACLE_POOL_INCREMENT',
+  poolTimeout: 'ORACLE_POOL_TIMEOUT',
+  poolPingInterval: 'ORACLE_POOL_PING_INTERVAL',
+  queueTimeout: 'ORACLE_QUEUE_TIMEOUT',
+  queueMax: 'ORACLE_QUEUE_MAX'
+};
+
+/**
+ * 会话配置（会话标记和会话初始化参数）对应的环境变量
+ */
+const SESSION_ENV_VARS = {
+  module: 'ORACLE_SESSION_MODULE',
+  clientIdentifier: 'ORACLE_CLIENT_IDENTIFIER',
+  clientInfo: 'ORACLE_CLIENT_INFO',
+  currentSchema: 'ORACLE_CURRENT_SCHEMA',
+  nlsDateFormat: 'ORACLE_NLS_DATE_FORMAT',
+  timeZone: 'ORACLE_TIME_ZONE',
+  nlsLanguage: 'ORACLE_NLS_LANGUAGE'
+};
+
+/**
+ * 关闭服务时等待正在执行的工具调用完成的默认毫秒数
+ */
+export const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+/**
+ * oracle_audit_log 默认和最多返回的记录数
+ */
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 500;
+
+/**
+ * 中断语句后等待调用方归还连接的毫秒数
+ */
+const INTERRUPT_GRACE_PERIOD = 2000;
+
+/**
+ * 合并处理函数执行的多条 SQL，写入审计记录的 sql 字段
+ * @param {Array<string>} statements - 按执行顺序排列的 SQL
+ * @returns {string|null}
+ */
+function joinStatements(statements) {
+  return statements.length > 0 ? statements.map(sql => sql.trim()).join(';\n') : null;
+}
 
 /**
  * Oracle MCP Server
@@ -26,13 +157,51 @@ import { getSecurityConfig, checkTableAccess, MAX_ROWS_LIMIT } from '../config/s
  * - ORACLE_HOST: 数据库主机地址
  * - ORACLE_PORT: 端口号（默认 1521）
  * - ORACLE_SERVICE: Oracle 服务名
+ * - ORACLE_SID: Oracle SID（老式数据库，替代 ORACLE_SERVICE）
+ * - ORACLE_CONNECT_STRING: 完整连接字符串（Easy Connect Plus 或连接描述符，替代 HOST/PORT/SERVICE）
+ * - ORACLE_TNS_ALIAS: tnsnames.ora 中的别名（配合 TNS_ADMIN 使用）
+ * - ORACLE_PROTOCOL: tcp 或 tcps（TLS）
+ * - ORACLE_WALLET_LOCATION / ORACLE_WALLET_PASSWORD: TLS 钱包目录和密码
+ * - ORACLE_SSL_SERVER_DN_MATCH / ORACLE_SSL_SERVER_CERT_DN: 服务器证书 DN 校验
+ * - ORACLE_POOL_MIN / ORACLE_POOL_MAX / ORACLE_POOL_INCREMENT / ORACLE_POOL_TIMEOUT /
+ *   ORACLE_POOL_PING_INTERVAL / ORACLE_QUEUE_TIMEOUT / ORACLE_QUEUE_MAX: 连接池参数
+ * - ORACLE_SESSION_MODULE / ORACLE_CLIENT_IDENTIFIER / ORACLE_CLIENT_INFO: 会话标记（V$SESSION 中可见）
+ * - ORACLE_CURRENT_SCHEMA / ORACLE_NLS_DATE_FORMAT / ORACLE_TIME_ZONE / ORACLE_NLS_LANGUAGE: 会话初始化参数
  * - ORACLE_USER: 用户名
  * - ORACLE_PASSWORD: 密码
+ * - ORACLE_PASSWORD_FILE / ORACLE_PASSWORD_COMMAND: 从文件或外部命令读取密码（替代 ORACLE_PASSWORD）
+ * - ORACLE_PROXY_USER: 代理认证的目标用户，以 ORACLE_USER[ORACLE_PROXY_USER] 登录
+ * - ORACLE_EXTERNAL_AUTH: 为 true 时使用外部认证（OS 认证或钱包中的凭据），不需要用户名和密码
+ * - ORACLE_CONNECTION_NAME: 自动连接使用的连接名（默认 default）
+ * - ORACLE_READONLY: 全局只读模式，为 true 时移除写操作工具
+ * - ORACLE_ROLE: 操作人的策略角色（需在配置文件的 roles 中定义），与连接配置中的 role 同时生效
+ * - ORACLE_CALL_TIMEOUT: 单次数据库调用默认超时毫秒数（默认 60000，0 表示不限制）
+ * - ORACLE_MAX_ROWS / ORACLE_CLOB_MAX_LENGTH / ORACLE_BLOB_MAX_LENGTH / ORACLE_MAX_SAMPLE_SIZE / ORACLE_MAX_SEARCH_RESULTS: 行数/LOB/采样/搜索限制
+ * - ORACLE_CALLS_PER_MINUTE / ORACLE_MAX_SESSION_ROWS / ORACLE_MAX_CONCURRENT_STATEMENTS / ORACLE_MAX_QUERY_COST: 调用预算
+ * - ORACLE_SHUTDOWN_TIMEOUT: 关闭服务时等待正在执行的调用完成的毫秒数（默认 10000）
+ * - ORACLE_AUDIT_LOG / ORACLE_AUDIT_MAX_SIZE / ORACLE_AUDIT_MAX_FILES: 审计日志文件路径、单个文件大小上限和保留的轮转文件数
+ * - ORACLE_MCP_CONFIG: 配置文件路径（也可通过 --config 命令行参数指定）
  */
 export class OracleMcpServer {
-  constructor() {
-    this.connectionManager = new ConnectionManager();
-    this.isConnected = false;
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.configPath] - 配置文件路径，不传则读取 ORACLE_MCP_CONFIG 环境变量
+   * @param {number} [options.shutdownTimeout] - 关闭服务时等待调用完成的毫秒数，不传则读取 ORACLE_SHUTDOWN_TIMEOUT
+   */
+  constructor(options = {}) {
+    this.connections = new ConnectionRegistry();
+    this.configPath = options.configPath || resolveConfigPath();
+    this.config = null;
+    /** 审计日志，加载配置文件后按 audit 设置重建 */
+    this.audit = AuditLogger.fromConfig();
+    /** 调用预算，加载配置文件后按 budgets 设置重建 */
+    this.budget = QueryBudget.fromConfig();
+    /** 预览 DML 后签发的确认令牌 */
+    this.confirmations = new DmlConfirmations();
+    this.shutdownTimeout = options.shutdownTimeout;
+    /** @type {Set<Promise>} 正在执行的工具调用 */
+    this.inFlight = new Set();
+    this.shutdownPromise = null;
     
     this.server = new Server(
       { name: 'oracle-mcp-server', version: '1.0.0' },
@@ -49,28 +218,163 @@ export class OracleMcpServer {
     const host = process.env.ORACLE_HOST;
     const port = parseInt(process.env.ORACLE_PORT || '1521', 10);
     const serviceName = process.env.ORACLE_SERVICE;
-    const user = process.env.ORACLE_USER;
-    const password = process.env.ORACLE_PASSWORD;
+    const sid = process.env.ORACLE_SID;
+    const connectString = process.env.ORACLE_CONNECT_STRING;
+    const tnsAlias = process.env.ORACLE_TNS_ALIAS;
+    const credentials = this.getEnvCredentials();
 
-    if (host && serviceName && user && password) {
-      return { host, port, serviceName, user, password };
+    if (!credentials) {
+      return null;
+    }
+    
+    const tls = {
+      walletLocation: process.env.ORACLE_WALLET_LOCATION,
+      walletPassword: process.env.ORACLE_WALLET_PASSWORD,
+      sslServerCertDN: process.env.ORACLE_SSL_SERVER_CERT_DN
+    };
+    if (process.env.ORACLE_SSL_SERVER_DN_MATCH) {
+      tls.sslServerDNMatch = process.env.ORACLE_SSL_SERVER_DN_MATCH.toLowerCase() === 'true';
+    }
+    const options = { ...credentials, ...tls, pool: this.getEnvPoolConfig(), session: this.getEnvSessionConfig() };
+    
+    if (connectString) {
+      return { connectString, ...options };
+    }
+    if (tnsAlias) {
+      return { tnsAlias, ...options };
+    }
+    if (host && (serviceName || sid)) {
+      const protocol = process.env.ORACLE_PROTOCOL;
+      return { host, port, protocol, serviceName, sid, ...options };
     }
     return null;
   }
 
   /**
-   * 尝试使用环境变量自动连接
+   * 从环境变量获取凭据，未配置用户名或任何密码来源（且未启用外部认证）时返回 null
+   * @returns {Object|null}
+   */
+  getEnvCredentials() {
+    const credentials = {
+      user: process.env.ORACLE_USER,
+      password: process.env.ORACLE_PASSWORD,
+      passwordFile: process.env.ORACLE_PASSWORD_FILE,
+      passwordCommand: process.env.ORACLE_PASSWORD_COMMAND,
+      proxyUser: process.env.ORACLE_PROXY_USER
+    };
+    const externalAuth = (process.env.ORACLE_EXTERNAL_AUTH || '').toLowerCase() === 'true';
+
+    if (externalAuth) {
+      return { proxyUser: credentials.proxyUser, externalAuth };
+    }
+    const hasPassword = credentials.password || credentials.passwordFile || credentials.passwordCommand;
+    if (!credentials.user || !hasPassword) {
+      return null;
+    }
+    return credentials;
+  }
+
+  /**
+   * 从环境变量获取连接池参数
+   * @returns {Object|undefined}
+   */
+  getEnvPoolConfig() {
+    const pool = {};
+    for (const [key, envName] of Object.entries(POOL_ENV_VARS)) {
+      const value = process.env[envName];
+      if (value !== undefined && value.trim() !== '') {
+        pool[key] = Number(value);
+      }
+    }
+    return Object.keys(pool).length > 0 ? validatePoolConfig(pool, 'ORACLE_POOL_*') : undefined;
+  }
+
+  /**
+   * 从环境变量获取会话配置
+   * @returns {Object|undefined}
+   */
+  getEnvSessionConfig() {
+    const session = {};
+    for (const [key, envName] of Object.entries(SESSION_ENV_VARS)) {
+      const value = process.env[envName];
+      if (value !== undefined && value.trim() !== '') {
+        session[key] = value.trim();
+      }
+    }
+    return Object.keys(session).length > 0 ? validateSessionConfig(session, 'ORACLE_*') : undefined;
+  }
+
+  /**
+   * 加载并校验配置文件，应用其中的安全设置
+   * 配置无效时抛出 OracleMapError，由启动流程终止进程
+   * @returns {Object|null}
+   */
+  loadServerConfig() {
+    if (!this.configPath) {
+      // 角色只能在配置文件中定义，没有配置文件时 ORACLE_ROLE 指定的角色必然不存在
+      const role = (process.env[ROLE_ENV] || '').trim();
+      if (role) {
+        throw new OracleMapError(
+          ErrorCode.CONFIG_NOT_FOUND,
+          `设置了 ${ROLE_ENV}=${role}，但没有加载配置文件，无法找到该角色的定义`,
+          { suggestion: `请通过 --config 或 ORACLE_MCP_CONFIG 指定定义了 roles 的配置文件，或取消 ${ROLE_ENV}` }
+        );
+      }
+      return null;
+    }
+    
+    this.config = loadConfig(this.configPath);
+    configureSecurity({
+      limits: this.config.limits,
+      tableWhitelist: this.config.security.tableWhitelist,
+      tableBlacklist: this.config.security.tableBlacklist,
+      tableReadWhitelist: this.config.security.tableReadWhitelist,
+      tableWriteWhitelist: this.config.security.tableWriteWhitelist,
+      readonly: this.config.security.readonly,
+      timeouts: this.config.timeouts
+    });
+    configureMasking(this.config.masking);
+    configureRoles(this.config.roles);
+    // 尽早发现 ORACLE_ROLE 指定了未定义的角色
+    resolveRolePolicy();
+    this.audit = AuditLogger.fromConfig(this.config.audit);
+    this.budget = QueryBudget.fromConfig(this.config.budgets);
+    console.error(`[oracle-mcp-server] 已加载配置文件 ${this.configPath}`);
+    return this.config;
+  }
+
+  /**
+   * 尝试使用配置文件和环境变量自动连接
+   * 同名连接以环境变量为准；配置文件的 defaultConnection 优先成为当前连接
    */
   async autoConnect() {
-    const config = this.getEnvConfig();
-    if (config) {
+    const profiles = new Map();
+    if (this.config) {
+      for (const [name, profile] of Object.entries(this.config.connections)) {
+        profiles.set(name, { profile, source: '配置文件' });
+      }
+    }
+    const envConfig = this.getEnvConfig();
+    if (envConfig) {
+      const name = this.connections.normalizeName(process.env.ORACLE_CONNECTION_NAME);
+      profiles.set(name, { profile: envConfig, source: '环境变量' });
+    }
+    
+    let firstConnected = null;
+    for (const [name, { profile, source }] of profiles) {
       try {
-        await this.handleConnect(config);
-        console.error(`[oracle-mcp-server] 已通过环境变量自动连接到 ${config.host}:${config.port}/${config.serviceName}`);
+        const manager = await this.connections.connect(name, profile);
+        firstConnected = firstConnected || name;
+        console.error(`[oracle-mcp-server] 已通过${source}自动连接 ${name}: ${manager.describeTarget()}`);
       } catch (error) {
-        console.error(`[oracle-mcp-server] 自动连接失败: ${error.message}`);
+        console.error(`[oracle-mcp-server] 自动连接 ${name} 失败: ${error.message}`);
       }
     }
+    
+    const defaultName = (this.config && this.config.defaultConnection) || firstConnected;
+    if (defaultName && this.connections.has(defaultName)) {
+      this.connections.use(defaultName);
+    }
   }
 
   /**
@@ -80,30 +384,99 @@ export class OracleMcpServer {
     // 列出可用工具
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
-        tools: [
+        tools: this.visibleTools([
           {
             name: 'oracle_connect',
-            description: '连接到 Oracle 数据库',
+            description: '连接到 Oracle 数据库。可通过 name 建立多个命名连接（如 dev、uat），各自持有独立连接池，新连接自动成为当前连接',
             inputSchema: {
               type: 'object',
               properties: {
+                name: { type: 'string', description: '连接名（默认 default），同名连接会被替换' },
                 host: { type: 'string', description: '数据库主机地址' },
                 port: { type: 'number', description: '端口号', default: 1521 },
+                protocol: { type: 'string', description: '协议，tcps 表示 TLS 加密连接', enum: ['tcp', 'tcps'], default: 'tcp' },
                 serviceName: { type: 'string', description: 'Oracle 服务名' },
-                user: { type: 'string', description: '用户名' },
-                password: { type: 'string', description: '密码' }
-              },
-              required: ['host', 'serviceName', 'user', 'password']
+                sid: { type: 'string', description: 'Oracle SID（老式数据库，与 serviceName 二选一）' },
+                connectString: { type: 'string', description: '完整连接字符串，支持 Easy Connect Plus 和 (DESCRIPTION=...) 连接描述符，指定后忽略 host/port/serviceName' },
+                tnsAlias: { type: 'string', description: 'tnsnames.ora 中的别名' },
+                tnsAdmin: { type: 'string', description: 'tnsnames.ora 所在目录（默认读取 TNS_ADMIN 环境变量）' },
+                user: { type: 'string', description: '用户名（代理认证时为代理用户）' },
+                password: { type: 'string', description: '密码' },
+                proxyUser: { type: 'string', description: '代理认证的目标用户，以 user[proxyUser] 登录，会话以 proxyUser 身份运行' },
+                externalAuth: { type: 'boolean', description: '使用外部认证（OS 认证或钱包中的凭据），不需要 user 和 password', default: false },
+                walletLocation: { type: 'string', description: 'TLS 钱包目录（包含 ewallet.pem）' },
+                walletPassword: { type: 'string', description: 'TLS 钱包密码' },
+                sslServerDNMatch: { type: 'boolean', description: '是否校验服务器证书 DN' },
+                sslServerCertDN: { type: 'string', description: '期望的服务器证书 DN，如 CN=db.example.com,O=Example' },
+                readonly: { type: 'boolean', description: '只读连接，拒绝 oracle_execute_dml 和 oracle_insert_record', default: false },
+                confirmDml: { type: 'boolean', description: 'oracle_execute_dml 必须先预览，再用确认令牌提交', default: false },
+                role: { type: 'string', description: '连接使用的策略角色（需在配置文件的 roles 中定义，与 ORACLE_ROLE 同时生效）' },
+                pool: {
+                  type: 'object',
+                  description: '连接池参数（可选，覆盖默认值）',
+                  properties: {
+                    poolMin: { type: 'number', description: '最小连接数', default: 1 },
+                    poolMax: { type: 'number', description: '最大连接数', default: 4 },
+                    poolIncrement: { type: 'number', description: '每次扩容的连接数', default: 1 },
+                    poolTimeout: { type: 'number', description: '空闲连接回收秒数', default: 60 },
+                    poolPingInterval: { type: 'number', description: '空闲连接 ping 间隔秒数', default: 60 },
+                    queueTimeout: { type: 'number', description: '获取连接排队超时毫秒数', default: 60000 },
+                    queueMax: { type: 'number', description: '最大排队请求数（-1 不限制）' }
+                  }
+                },
+                session: {
+                  type: 'object',
+                  description: '会话配置（可选）：会话标记写入 V$SESSION，便于 DBA 区分 MCP 流量（ACTION 自动设置为当前工具名）；初始化参数在新建会话时通过 ALTER SESSION 设置',
+                  properties: {
+                    module: { type: 'string', description: 'MODULE', default: 'oracle-mcp-server' },
+                    clientIdentifier: { type: 'string', description: 'CLIENT_IDENTIFIER，如调用方用户名' },
+                    clientInfo: { type: 'string', description: 'CLIENT_INFO' },
+                    currentSchema: { type: 'string', description: 'CURRENT_SCHEMA，表名不带前缀时解析到该 schema' },
+                    nlsDateFormat: { type: 'string', description: 'NLS_DATE_FORMAT，如 YYYY-MM-DD HH24:MI:SS' },
+                    timeZone: { type: 'string', description: 'TIME_ZONE，如 +08:00、Asia/Shanghai' },
+                    nlsLanguage: { type: 'string', description: 'NLS_LANGUAGE，如 AMERICAN' }
+                  }
+                }
+              }
             }
           },
           {
             name: 'oracle_disconnect',
-            description: '断开 Oracle 数据库连接',
+            description: '断开 Oracle 数据库连接（默认断开当前连接，其他命名连接不受影响）',
+            inputSchema: {
+              type: 'object',
+              properties: {}
+            }
+          },
+          {
+            name: 'oracle_use',
+            description: '切换当前连接，后续未指定 connection 参数的工具调用将使用该连接',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', description: '连接名' }
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'oracle_list_connections',
+            description: '列出所有已建立的命名连接及当前连接',
             inputSchema: {
               type: 'object',
               properties: {}
             }
           },
+          {
+            name: 'oracle_pool_status',
+            description: '查看连接池状态：打开/使用中的连接数、排队长度、获取连接等待时间、ping 失败次数，用于判断连接池是否不足',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                all: { type: 'boolean', description: '是否返回所有命名连接的连接池状态', default: false }
+              }
+            }
+          },
           {
             name: 'oracle_list_tables',
             description: '列出当前用户的所有表',
@@ -120,18 +493,19 @@ export class OracleMcpServer {
               properties: {
                 table: { type: 'string', description: '表名' },
                 includeSample: { type: 'boolean', description: '是否包含采样数据（默认 3 行）', default: false },
-                sampleSize: { type: 'number', description: '采样行数（1-10）', default: 3 }
+                sampleSize: { type: 'number', description: '采样行数（不超过 limits.maxSampleSize，默认上限 10）', default: 3 }
               },
               required: ['table']
             }
           },
           {
             name: 'oracle_query',
-            description: '执行只读 SQL 查询（仅支持 SELECT）',
+            description: '执行只读 SQL 查询（支持 SELECT、WITH 子查询和 UNION 等集合查询）',
             inputSchema: {
               type: 'object',
               properties: {
-                sql: { type: 'string', description: 'SQL 查询语句（仅 SELECT）' },
+                sql: { type: 'string', description: 'SQL 查询语句（SELECT 或 WITH ... SELECT）' },
+                binds: BINDS_PARAM,
                 limit: { type: 'number', description: '限制返回行数', default: 100 }
               },
               required: ['sql']
@@ -217,12 +591,26 @@ export class OracleMcpServer {
           },
           {
             name: 'oracle_security_config',
-            description: '获取当前安全配置信息（最大行数限制、表白名单等）',
+            description: '获取当前安全配置信息（生效的行数/LOB/采样/搜索限制、表白名单、黑名单、读写规则、脱敏规则和调用预算等）',
             inputSchema: {
               type: 'object',
               properties: {}
             }
           },
+          {
+            name: 'oracle_audit_log',
+            description: '查询审计日志中最近的工具调用记录（时间、连接、工具、参数、执行的 SQL、行数、耗时和错误码），从新到旧排列',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                limit: { type: 'number', description: '最多返回条数', default: DEFAULT_AUDIT_LIMIT },
+                tool: { type: 'string', description: '只返回指定工具的调用（可选）' },
+                connection: { type: 'string', description: '只返回指定连接的调用（可选）' },
+                errorsOnly: { type: 'boolean', description: '只返回失败的调用', default: false },
+                since: { type: 'string', description: '只返回该时间之后的记录（ISO 8601，可选）' }
+              }
+            }
+          },
           {
             name: 'oracle_search_metadata',
             description: '通过关键词搜索表名、列名、注释和视图定义，帮助定位业务数据所在位置',
@@ -233,7 +621,7 @@ export class OracleMcpServer {
                 searchTables: { type: 'boolean', description: '是否搜索表', default: true },
                 searchColumns: { type: 'boolean', description: '是否搜索列', default: true },
                 searchViews: { type: 'boolean', description: '是否搜索视图', default: true },
-                limit: { type: 'number', description: '每类结果最大返回数', default: 50 }
+                limit: { type: 'number', description: '每类结果最大返回数（不超过 limits.maxSearchResults，默认上限 200）', default: 50 }
               },
               required: ['keyword']
             }
@@ -258,7 +646,7 @@ export class OracleMcpServer {
             inputSchema: {
               type: 'object',
               properties: {
-                sql: { type: 'string', description: 'SQL 查询语句（仅 SELECT）' },
+                sql: { type: 'string', description: 'SQL 查询语句（SELECT 或 WITH ... SELECT）' },
                 format: { 
                   type: 'string', 
                   description: '输出格式',
@@ -275,8 +663,9 @@ export class OracleMcpServer {
             inputSchema: {
               type: 'object',
               properties: {
-                sql: { type: 'string', description: 'SQL 查询语句（仅 SELECT）' },
+                sql: { type: 'string', description: 'SQL 查询语句（SELECT 或 WITH ... SELECT）' },
                 asOfTimestamp: { type: 'string', description: '历史时间点（ISO 8601 格式，如 2024-01-15T14:30:00Z）' },
+                binds: BINDS_PARAM,
                 limit: { type: 'number', description: '限制返回行数', default: 100 }
               },
               required: ['sql', 'asOfTimestamp']
@@ -284,11 +673,20 @@ export class OracleMcpServer {
           },
           {
             name: 'oracle_execute_dml',
-            description: '执行 DML 语句（INSERT/UPDATE），自动事务管理。安全机制：只允许 INSERT/UPDATE，禁止 DELETE/TRUNCATE/DROP，UPDATE 必须包含 WHERE 子句',
+            description: '执行 DML 语句（INSERT/UPDATE），自动事务管理。安全机制：只允许 INSERT/UPDATE，禁止 DELETE/TRUNCATE/DROP，UPDATE 必须包含 WHERE 子句。' +
+              '两阶段模式：preview 为 true 时执行后回滚，返回影响行数、受影响行修改前后的样本和一次性确认令牌；' +
+              '再以同一条 SQL 和 confirmToken 调用时重新执行，影响行数与预览一致才提交（连接配置了 confirmDml 时必须先预览）',
             inputSchema: {
               type: 'object',
               properties: {
-                sql: { type: 'string', description: 'DML 语句（仅 INSERT 或 UPDATE）' }
+                sql: { type: 'string', description: 'DML 语句（仅 INSERT 或 UPDATE）' },
+                binds: {
+                  ...BINDS_PARAM,
+                  description: `${BINDS_PARAM.description}。dir 为 out 的绑定用于 RETURNING ... INTO，值在结果的 outBinds 中返回；` +
+                    '确认时的 binds 必须与预览时相同'
+                },
+                preview: { type: 'boolean', description: '只预览：执行后回滚并返回确认令牌', default: false },
+                confirmToken: { type: 'string', description: '预览返回的确认令牌，用于提交预览过的语句' }
               },
               required: ['sql']
             }
@@ -305,87 +703,439 @@ export class OracleMcpServer {
               required: ['table', 'data']
             }
           }
-        ]
+        ])
       };
     });
 
     // 处理工具调用
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      
+    // extra.signal 在客户端发送 notifications/cancelled 时触发
+    this.server.setRequestHandler(CallToolRequestSchema, (request, extra) => this.handleCallTool(request, extra));
+  }
+
+  /**
+   * 处理工具调用，并登记为正在执行的调用，关闭服务时等待其完成
+   * @param {Object} request - CallTool 请求
+   * @param {Object} [extra] - SDK 传入的附加信息（含取消信号）
+   * @returns {Promise<Object>}
+   */
+  async handleCallTool(request, extra) {
+    const call = this.runToolCall(request, extra);
+    this.inFlight.add(call);
+    try {
+      return await call;
+    } finally {
+      this.inFlight.delete(call);
+    }
+  }
+
+  /**
+   * 执行工具调用，错误转换为 MCP 错误结果
+   * @param {Object} request - CallTool 请求
+   * @param {Object} [extra] - SDK 传入的附加信息
+   * @returns {Promise<Object>}
+   */
+  async runToolCall(request, extra) {
+    const { name, arguments: args = {} } = request.params;
+    const startTime = Date.now();
+    // 调用前解析连接名：oracle_disconnect 等调用会改变当前连接
+    const connection = this.resolveAuditConnection(name, args);
+    const details = {};
+    let result;
+    let failure = null;
+    let release = null;
+    
+    try {
+      if (this.shutdownPromise) {
+        throw new OracleMapError(ErrorCode.CANCELLED, '服务正在关闭，不再接受新的工具调用');
+      }
+      const context = this.createCallContext(name, args, extra && extra.signal);
+      context.audit = details;
+      this.assertToolAllowed(name, args);
+      release = this.budget.acquire(name, {
+        statement: !CONNECTION_FREE_TOOLS.has(name) && !TIMEOUT_FREE_TOOLS.has(name),
+        fetchesRows: ROW_FETCHING_TOOLS.has(name)
+      });
+      // 返回数据的调用最多读取会话剩余的行数，其他工具（如列统计、行数统计）不占用行数预算
+      if (ROW_FETCHING_TOOLS.has(name)) {
+        context.maxRows = this.budget.getRemainingRows();
+      }
+      result = await this.callToolWithReconnect(name, args, context);
+      if (ROW_FETCHING_TOOLS.has(name)) {
+        this.budget.recordRows(details.rowCount);
+      }
+    } catch (error) {
+      failure = error;
+      result = {
+        content: [{
+          type: 'text',
+          text: `错误: ${error.message}`
+        }],
+        isError: true
+      };
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+    
+    await this.audit.record({
+      tool: name,
+      connection,
+      args,
+      durationMs: Date.now() - startTime,
+      details,
+      error: failure,
+      isError: result.isError === true
+    });
+    return result;
+  }
+
+  /**
+   * 解析审计记录中的连接名，无法解析时返回调用方传入的名称
+   * @param {string} name - 工具名
+   * @param {Object} args - 工具参数
+   * @returns {string|null}
+   */
+  resolveAuditConnection(name, args) {
+    if (name === 'oracle_connect' || name === 'oracle_use') {
+      return this.connections.normalizeName(args.name);
+    }
+    if (CONNECTION_FREE_TOOLS.has(name)) {
+      return null;
+    }
+    try {
+      return this.connections.resolveName(args.connection);
+    } catch {
+      return args.connection || null;
+    }
+  }
+
+  /**
+   * 检查策略角色是否允许调用工具
+   * 不需要连接的工具按 ORACLE_ROLE 检查，其余工具按目标连接生效的角色检查；
+   * 目标连接不存在时跳过，由处理函数报告连接错误
+   * @param {string} name - 工具名
+   * @param {Object} args - 工具参数
+   */
+  assertToolAllowed(name, args) {
+    let role;
+    if (CONNECTION_FREE_TOOLS.has(name)) {
+      role = resolveRolePolicy();
+    } else {
+      let manager;
       try {
-        switch (name) {
-          case 'oracle_connect':
-            return await this.handleConnect(args);
-          case 'oracle_disconnect':
-            return await this.handleDisconnect();
-          case 'oracle_list_tables':
-            return await this.handleListTables();
-          case 'oracle_describe_table':
-            return await this.handleDescribeTable(args);
-          case 'oracle_query':
-            return await this.handleQuery(args);
-          case 'oracle_table_data':
-            return await this.handleTableData(args);
-          case 'oracle_table_count':
-            return await this.handleTableCount(args);
-          case 'oracle_get_ddl':
-            return await this.handleGetDDL(args);
-          case 'oracle_schema_graph':
-            return await this.handleSchemaGraph(args);
-          case 'oracle_list_objects':
-            return await this.handleListObjects(args);
-          case 'oracle_describe_procedure':
-            return await this.handleDescribeProcedure(args);
-          case 'oracle_security_config':
-            return await this.handleSecurityConfig();
-          case 'oracle_search_metadata':
-            return await this.handleSearchMetadata(args);
-          case 'oracle_column_stats':
-            return await this.handleColumnStats(args);
-          case 'oracle_explain_plan':
-            return await this.handleExplainPlan(args);
-          case 'oracle_flashback_query':
-            return await this.handleFlashbackQuery(args);
-          case 'oracle_execute_dml':
-            return await this.handleExecuteDml(args);
-          case 'oracle_insert_record':
-            return await this.handleInsertRecord(args);
-          default:
-            throw new Error(`未知工具: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [{
-            type: 'text',
-            text: `错误: ${error.message}`
-          }],
-          isError: true
-        };
+        manager = this.getManager(args);
+      } catch {
+        return;
+      }
+      role = manager.getRolePolicy();
+    }
+    if (!isToolAllowed(role, name)) {
+      throw new OracleMapError(
+        ErrorCode.ACCESS_DENIED,
+        `角色 ${role.names.join(', ')} 不允许使用工具 ${name}`,
+        { suggestion: '请在配置文件的 roles 中调整角色的 tools 或 readonly，或使用其他连接' }
+      );
+    }
+  }
+
+  /**
+   * 检查查询的估算成本，超过 budgets.maxQueryCost 时拒绝执行
+   * EXPLAIN PLAN 会写入 PLAN_TABLE，因此使用单独的非只读事务连接
+   * @param {import('../db/connection.js').ConnectionManager} manager - 连接管理器
+   * @param {string} sql - 查询语句
+   * @param {Object} [context] - 调用上下文
+   */
+  async assertQueryCost(manager, sql, context = {}) {
+    if (this.budget.maxQueryCost === null) {
+      return;
+    }
+    const conn = await manager.getConnection({ ...context, readOnly: false });
+    let plan;
+    try {
+      plan = await getExplainPlan(conn, sql, { role: manager.getRolePolicy() });
+    } finally {
+      await manager.releaseConnection(conn);
+    }
+    this.budget.assertCost(plan.analysis.estimatedCost);
+  }
+
+  /**
+   * 计算本次调用的行数上限：请求的行数不超过会话剩余的行数预算
+   * @param {number} limit - 请求的行数
+   * @param {Object} [context] - 调用上下文
+   * @returns {number}
+   */
+  getRowLimit(limit, context) {
+    if (!context || context.maxRows === null || context.maxRows === undefined) {
+      return limit;
+    }
+    return Math.min(limit, context.maxRows);
+  }
+
+  /**
+   * 记录处理函数执行的 SQL 和行数，由 runToolCall 写入审计日志
+   * @param {Object} [context] - 调用上下文
+   * @param {{ sql?: string, rowCount?: number, rowsAffected?: number }} details
+   */
+  noteAudit(context, details) {
+    if (context && context.audit) {
+      Object.assign(context.audit, details);
+    }
+  }
+
+  /**
+   * 构建工具调用上下文，由 getConnection() 应用到数据库连接
+   * @param {string} name - 工具名
+   * @param {Object} args - 工具参数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Object}
+   */
+  createCallContext(name, args, signal) {
+    const { timeout } = args;
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0)) {
+      throw new OracleMapError(
+        ErrorCode.MISSING_REQUIRED_PARAM,
+        'timeout 应为非负整数（毫秒）',
+        { field: 'timeout' }
+      );
+    }
+    
+    return {
+      tool: name,
+      readOnly: READ_ONLY_TRANSACTION_TOOLS.has(name),
+      callTimeout: getCallTimeout(name, timeout),
+      signal
+    };
+  }
+
+  /**
+   * 调用工具，连接失效时自动重建连接池
+   * 只读工具在重连成功后重试一次；写操作只重连不重试，避免重复执行
+   * @param {string} name - 工具名
+   * @param {Object} [args] - 工具参数
+   * @param {Object} [context] - 调用上下文，传递给 getConnection() 用于会话标记
+   * @returns {Promise<Object>}
+   */
+  async callToolWithReconnect(name, args = {}, context = { tool: name }) {
+    try {
+      return await this.dispatchTool(name, args, context);
+    } catch (error) {
+      if (CONNECTION_FREE_TOOLS.has(name) || !isFatalConnectionError(error)) {
+        throw error;
+      }
+      
+      const connectionName = this.connections.resolveName(args.connection);
+      const manager = this.connections.get(connectionName);
+      if (!manager.isReconnectEnabled()) {
+        throw error;
+      }
+      
+      console.error(`[oracle-mcp-server] 连接 ${connectionName} 已失效，正在重建连接池: ${error.message}`);
+      await manager.reconnect();
+      
+      if (!IDEMPOTENT_TOOLS.has(name)) {
+        throw new OracleMapError(
+          ErrorCode.CONNECTION_FAILED,
+          `数据库连接中断，已自动重连 ${connectionName}，但写操作不会自动重试，请确认数据状态后重新执行`,
+          { oracleError: error.message }
+        );
+      }
+      return await this.dispatchTool(name, args, context);
+    }
+  }
+
+  /**
+   * 按工具名分发调用
+   * @param {string} name - 工具名
+   * @param {Object} [args] - 工具参数
+   * @param {Object} [context] - 调用上下文
+   * @returns {Promise<Object>}
+   */
+  async dispatchTool(name, args, context) {
+    switch (name) {
+      case 'oracle_connect':
+        return await this.handleConnect(args);
+      case 'oracle_disconnect':
+        return await this.handleDisconnect(args);
+      case 'oracle_use':
+        return await this.handleUse(args);
+      case 'oracle_list_connections':
+        return await this.handleListConnections();
+      case 'oracle_pool_status':
+        return await this.handlePoolStatus(args);
+      case 'oracle_list_tables':
+        return await this.handleListTables(args, context);
+      case 'oracle_describe_table':
+        return await this.handleDescribeTable(args, context);
+      case 'oracle_query':
+        return await this.handleQuery(args, context);
+      case 'oracle_table_data':
+        return await this.handleTableData(args, context);
+      case 'oracle_table_count':
+        return await this.handleTableCount(args, context);
+      case 'oracle_get_ddl':
+        return await this.handleGetDDL(args, context);
+      case 'oracle_schema_graph':
+        return await this.handleSchemaGraph(args, context);
+      case 'oracle_list_objects':
+        return await this.handleListObjects(args, context);
+      case 'oracle_describe_procedure':
+        return await this.handleDescribeProcedure(args, context);
+      case 'oracle_security_config':
+        return await this.handleSecurityConfig();
+      case 'oracle_audit_log':
+        return await this.handleAuditLog(args);
+      case 'oracle_search_metadata':
+        return await this.handleSearchMetadata(args, context);
+      case 'oracle_column_stats':
+        return await this.handleColumnStats(args, context);
+      case 'oracle_explain_plan':
+        return await this.handleExplainPlan(args, context);
+      case 'oracle_flashback_query':
+        return await this.handleFlashbackQuery(args, context);
+      case 'oracle_execute_dml':
+        return await this.handleExecuteDml(args, context);
+      case 'oracle_insert_record':
+        return await this.handleInsertRecord(args, context);
+      default:
+        throw new Error(`未知工具: ${name}`);
+    }
+  }
+
+  /**
+   * 生成 ListTools 返回的工具列表
+   * 全局只读模式下移除写操作工具，移除策略角色不允许的工具，并为需要数据库连接的工具追加 connection 参数
+   * @param {Array<Object>} tools - 工具定义
+   * @returns {Array<Object>}
+   */
+  visibleTools(tools) {
+    const visible = tools.filter(tool =>
+      !(isReadonlyMode() && WRITE_TOOLS.includes(tool.name)) && this.isToolAdvertised(tool.name)
+    );
+    return this.withConnectionParam(visible);
+  }
+
+  /**
+   * 工具是否在 ListTools 中展示
+   * 不需要连接的工具按 ORACLE_ROLE 判断；其余工具只要有一个已配置或已建立的连接的角色允许就展示，
+   * 调用时再按目标连接的角色检查
+   * @param {string} name - 工具名
+   * @returns {boolean}
+   */
+  isToolAdvertised(name) {
+    if (!isToolAllowed(resolveRolePolicy(), name)) {
+      return false;
+    }
+    if (CONNECTION_FREE_TOOLS.has(name)) {
+      return true;
+    }
+    const roles = [
+      ...Object.values((this.config && this.config.connections) || {}).map(profile => resolveRolePolicy(profile.role || null)),
+      ...this.connections.list().map(({ name: connectionName }) => this.connections.get(connectionName).getRolePolicy())
+    ];
+    return roles.length === 0 || roles.some(role => isToolAllowed(role, name));
+  }
+
+  /**
+   * 为需要数据库连接的工具追加可选的 connection 参数，为执行 SQL 的工具追加 timeout 参数
+   * @param {Array<Object>} tools - 工具定义
+   * @returns {Array<Object>}
+   */
+  withConnectionParam(tools) {
+    return tools.map(tool => {
+      if (CONNECTION_FREE_TOOLS.has(tool.name)) {
+        return tool;
+      }
+      const properties = {
+        ...tool.inputSchema.properties,
+        connection: { type: 'string', description: '目标连接名（可选，默认使用当前连接）' }
+      };
+      if (!TIMEOUT_FREE_TOOLS.has(tool.name)) {
+        properties.timeout = { type: 'number', description: '单次数据库调用超时毫秒数（可选，覆盖配置的超时，0 表示不限制）' };
       }
+      return {
+        ...tool,
+        inputSchema: { ...tool.inputSchema, properties }
+      };
     });
   }
 
+  /**
+   * 获取工具调用对应的连接管理器
+   * @param {Object} [args] - 工具参数
+   * @returns {import('../db/connection.js').ConnectionManager}
+   */
+  getManager(args = {}) {
+    return this.connections.get(args.connection);
+  }
+
+  /**
+   * 检查是否允许写操作
+   * 全局只读模式或目标连接配置了 readonly 时拒绝
+   * @param {Object} [args] - 工具参数
+   */
+  assertWritable(args = {}) {
+    if (isReadonlyMode()) {
+      throw new OracleMapError(
+        ErrorCode.ACCESS_DENIED,
+        '服务器处于只读模式，不允许写操作',
+        { suggestion: '如需写入，请关闭 ORACLE_READONLY 或配置文件中的 security.readonly' }
+      );
+    }
+    const connectionName = this.connections.resolveName(args.connection);
+    const manager = this.connections.get(connectionName);
+    if (manager.config && manager.config.readonly) {
+      throw new OracleMapError(
+        ErrorCode.ACCESS_DENIED,
+        `连接 ${connectionName} 为只读连接，不允许写操作`
+      );
+    }
+  }
+
   /**
    * 连接数据库
    */
   async handleConnect(args) {
-    const { host, port = 1521, serviceName, user, password } = args;
+    const {
+      name, host, port = 1521, protocol, serviceName, sid, connectString, tnsAlias, tnsAdmin, user, password,
+      proxyUser, externalAuth, walletLocation, walletPassword, sslServerDNMatch, sslServerCertDN, pool, session, readonly,
+      confirmDml, role
+    } = args;
     
-    await this.connectionManager.createPool({
+    if (role) {
+      // 角色未定义时抛出错误
+      resolveRolePolicy(role);
+    }
+    const connectionName = this.connections.normalizeName(name);
+    const manager = await this.connections.connect(connectionName, {
       host,
       port,
+      protocol,
       serviceName,
+      sid,
+      connectString,
+      tnsAlias,
+      tnsAdmin,
       user,
-      password
+      password,
+      proxyUser,
+      externalAuth: externalAuth === true,
+      walletLocation,
+      walletPassword,
+      sslServerDNMatch,
+      sslServerCertDN,
+      pool: pool ? validatePoolConfig(pool) : undefined,
+      session: session ? validateSessionConfig(session) : undefined,
+      readonly: readonly === true,
+      confirmDml: confirmDml === true,
+      role: role || undefined
     });
     
-    this.isConnected = true;
-    
     return {
       content: [{
         type: 'text',
-        text: `已成功连接到 Oracle 数据库 ${host}:${port}/${serviceName}`
+        text: `已成功连接到 Oracle 数据库 ${manager.describeTarget()}（连接名: ${connectionName}，已设为当前连接）`
       }]
     };
   }
@@ -393,38 +1143,81 @@ export class OracleMcpServer {
   /**
    * 断开连接
    */
-  async handleDisconnect() {
-    await this.connectionManager.close();
-    this.isConnected = false;
+  async handleDisconnect(args = {}) {
+    const connectionName = await this.connections.disconnect(args.connection);
+    const active = this.connections.activeName;
     
     return {
       content: [{
         type: 'text',
-        text: '已断开数据库连接'
+        text: active
+          ? `已断开数据库连接 ${connectionName}，当前连接: ${active}`
+          : `已断开数据库连接 ${connectionName}`
       }]
     };
   }
 
   /**
-   * 检查连接状态
+   * 切换当前连接
    */
-  checkConnection() {
-    if (!this.isConnected) {
-      throw new Error('未连接到数据库，请先使用 oracle_connect 连接');
-    }
+  async handleUse(args) {
+    const manager = this.connections.use(args.name);
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `已切换到连接 ${this.connections.activeName}（${manager.describeTarget()}）`
+      }]
+    };
   }
 
   /**
-   * 列出所有表
+   * 列出所有命名连接
+   */
+  async handleListConnections() {
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          active: this.connections.activeName,
+          connections: this.connections.list()
+        }, null, 2)
+      }]
+    };
+  }
+
+  /**
+   * 获取连接池状态
    */
-  async handleListTables() {
-    this.checkConnection();
+  async handlePoolStatus(args = {}) {
+    const names = args.all
+      ? this.connections.list().map(c => c.name)
+      : [this.connections.resolveName(args.connection)];
+    
+    const statuses = names.map(name => ({
+      name,
+      ...this.connections.get(name).getPoolStatus()
+    }));
     
-    const conn = await this.connectionManager.getConnection();
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(args.all ? statuses : statuses[0], null, 2)
+      }]
+    };
+  }
+
+  /**
+   * 列出所有表
+   */
+  async handleListTables(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
       const result = await conn.execute(
         `SELECT TABLE_NAME, NUM_ROWS, LAST_ANALYZED 
-         FROM USER_TABLES 
+         FROM ALL_TABLES 
+         WHERE OWNER = SYS_CONTEXT('USERENV', 'CURRENT_SCHEMA')
          ORDER BY TABLE_NAME`
       );
       
@@ -441,18 +1234,18 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取表结构（支持采样数据）
    */
-  async handleDescribeTable(args) {
-    this.checkConnection();
+  async handleDescribeTable(args, context) {
+    const manager = this.getManager(args);
     
     // 检查白名单
-    const access = checkTableAccess(args.table);
+    const access = checkTableAccess(args.table, TableOperation.READ, manager.getRolePolicy());
     if (!access.allowed) {
       return {
         content: [{
@@ -463,14 +1256,20 @@ export class OracleMcpServer {
       };
     }
     
-    const conn = await this.connectionManager.getConnection();
+    const conn = await manager.getConnection(context);
     try {
+      const statements = [];
       const options = {
         includeSample: args.includeSample || false,
-        sampleSize: Math.min(Math.max(1, args.sampleSize || 3), 10) // 限制 1-10 行
+        sampleSize: args.sampleSize || 3, // 不超过连接的 maxSampleSize
+        rowFilters: manager.getRowFilters(),
+        limits: manager.getLimits(),
+        role: manager.getRolePolicy(),
+        onExecute: sql => statements.push(sql)
       };
       
       const schema = await getTableSchemaEnhanced(conn, args.table, options);
+      this.noteAudit(context, { sql: joinStatements(statements), rowCount: schema.sampleData ? schema.sampleData.length : 0 });
       
       return {
         content: [{
@@ -479,21 +1278,26 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 执行查询
    */
-  async handleQuery(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleQuery(args, context) {
+    const manager = this.getManager(args);
+    await this.assertQueryCost(manager, args.sql, context);
+    const conn = await manager.getConnection(context);
     try {
       const result = await executeQuery(conn, args.sql, {
-        limit: args.limit || 100
+        binds: normalizeBinds(args.binds),
+        limit: this.getRowLimit(args.limit || 100, context),
+        rowFilters: manager.getRowFilters(),
+        limits: manager.getLimits(),
+        role: manager.getRolePolicy()
       });
+      this.noteAudit(context, { sql: result.sql, rowCount: result.rowCount });
       
       return {
         content: [{
@@ -507,22 +1311,25 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 查询表数据
    */
-  async handleTableData(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleTableData(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
       const result = await queryTable(conn, args.table, {
-        limit: args.limit || 100,
-        offset: args.offset || 0
+        limit: this.getRowLimit(args.limit || 100, context),
+        offset: args.offset || 0,
+        rowFilters: manager.getRowFilters(),
+        limits: manager.getLimits(),
+        role: manager.getRolePolicy()
       });
+      this.noteAudit(context, { sql: result.sql, rowCount: result.rowCount });
       
       return {
         content: [{
@@ -536,19 +1343,25 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取表行数
    */
-  async handleTableCount(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleTableCount(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
-      const count = await getTableRowCount(conn, args.table);
+      const statements = [];
+      const count = await getTableRowCount(conn, args.table, {
+        rowFilters: manager.getRowFilters(),
+        role: manager.getRolePolicy(),
+        onExecute: sql => statements.push(sql)
+      });
+      // 行数统计只返回聚合结果，不计入读取的数据行
+      this.noteAudit(context, { sql: joinStatements(statements) });
       
       return {
         content: [{
@@ -560,19 +1373,20 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取 DDL
    */
-  async handleGetDDL(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleGetDDL(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
-      const ddl = await getObjectDDL(conn, args.objectName, args.objectType || 'TABLE');
+      const ddl = await getObjectDDL(conn, args.objectName, args.objectType || 'TABLE', {
+        role: manager.getRolePolicy()
+      });
       
       return {
         content: [{
@@ -581,19 +1395,18 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取表关系图
    */
-  async handleSchemaGraph(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleSchemaGraph(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
-      const graph = await getSchemaGraph(conn, args.table);
+      const graph = await getSchemaGraph(conn, args.table, { role: manager.getRolePolicy() });
       
       return {
         content: [{
@@ -602,17 +1415,16 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 列出数据库对象
    */
-  async handleListObjects(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleListObjects(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
       const objects = await listObjects(conn, args.objectType || 'ALL');
       
@@ -623,17 +1435,16 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取存储过程/函数签名
    */
-  async handleDescribeProcedure(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleDescribeProcedure(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
       const procInfo = await describeProcedure(conn, args.name);
       
@@ -644,7 +1455,7 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
@@ -659,25 +1470,70 @@ export class OracleMcpServer {
         type: 'text',
         text: JSON.stringify({
           ...config,
-          note: '安全提示: 建议在数据库层面限制用户只有 SELECT 权限，而不是仅依赖代码层的正则过滤'
+          connectionLimits: Object.fromEntries(
+            this.connections.list().map(({ name }) => [name, this.connections.get(name).getLimits()])
+          ),
+          masking: getMaskingConfig(),
+          roles: getRolesConfig(),
+          budgets: this.budget.getStatus(),
+          note: '安全提示: 建议在数据库层面限制用户只有 SELECT 权限，而不是仅依赖代码层的 SQL 校验和表访问策略'
         }, null, 2)
       }]
     };
   }
 
   /**
-   * 搜索元数据
+   * 查询审计日志
    */
-  async handleSearchMetadata(args) {
-    this.checkConnection();
+  async handleAuditLog(args = {}) {
+    if (!this.audit.isEnabled()) {
+      throw new OracleMapError(
+        ErrorCode.CONFIG_NOT_FOUND,
+        '未启用审计日志',
+        { suggestion: '请设置 ORACLE_AUDIT_LOG 环境变量或配置文件中的 audit.file' }
+      );
+    }
+    const { limit = DEFAULT_AUDIT_LIMIT, tool, connection, errorsOnly = false, since } = args;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new OracleMapError(ErrorCode.MISSING_REQUIRED_PARAM, 'limit 应为正整数', { field: 'limit' });
+    }
+    if (since !== undefined && Number.isNaN(new Date(since).getTime())) {
+      throw new OracleMapError(ErrorCode.MISSING_REQUIRED_PARAM, `since 不是有效的时间: ${since}`, { field: 'since' });
+    }
     
-    const conn = await this.connectionManager.getConnection();
+    const entries = await this.audit.read({
+      limit: Math.min(limit, MAX_AUDIT_LIMIT),
+      tool,
+      connection: connection ? this.connections.normalizeName(connection) : undefined,
+      errorsOnly: errorsOnly === true,
+      since
+    });
+    
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          file: this.audit.file,
+          count: entries.length,
+          entries
+        }, null, 2)
+      }]
+    };
+  }
+
+  /**
+   * 搜索元数据
+   */
+  async handleSearchMetadata(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
       const result = await searchMetadata(conn, args.keyword, {
         searchTables: args.searchTables !== false,
         searchColumns: args.searchColumns !== false,
         searchViews: args.searchViews !== false,
-        limit: args.limit || 50
+        limit: args.limit || 50,
+        limits: manager.getLimits()
       });
       
       return {
@@ -687,22 +1543,27 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取列统计信息
    */
-  async handleColumnStats(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleColumnStats(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
+      const statements = [];
       const result = await getColumnStats(conn, args.table, args.column || null, {
         topN: args.topN || 10,
-        includeHistogram: args.includeHistogram !== false
+        includeHistogram: args.includeHistogram !== false,
+        rowFilters: manager.getRowFilters(),
+        role: manager.getRolePolicy(),
+        onExecute: sql => statements.push(sql)
       });
+      // 列统计只返回聚合结果和频繁值，不计入读取的数据行
+      this.noteAudit(context, { sql: joinStatements(statements) });
       
       return {
         content: [{
@@ -711,21 +1572,22 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 获取执行计划
    */
-  async handleExplainPlan(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleExplainPlan(args, context) {
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
       const result = await getExplainPlan(conn, args.sql, {
-        format: args.format || 'TYPICAL'
+        format: args.format || 'TYPICAL',
+        role: manager.getRolePolicy()
       });
+      this.noteAudit(context, { sql: result.sql });
       
       return {
         content: [{
@@ -734,22 +1596,27 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * Flashback 查询
    */
-  async handleFlashbackQuery(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleFlashbackQuery(args, context) {
+    const manager = this.getManager(args);
+    await this.assertQueryCost(manager, args.sql, context);
+    const conn = await manager.getConnection(context);
     try {
       const result = await executeFlashbackQuery(conn, args.sql, {
         asOfTimestamp: args.asOfTimestamp,
-        limit: args.limit || 100
+        binds: normalizeBinds(args.binds),
+        limit: this.getRowLimit(args.limit || 100, context),
+        rowFilters: manager.getRowFilters(),
+        limits: manager.getLimits(),
+        role: manager.getRolePolicy()
       });
+      this.noteAudit(context, { sql: result.sql, rowCount: result.rowCount });
       
       return {
         content: [{
@@ -765,19 +1632,60 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 执行 DML 语句
+   * 带 confirmToken 时提交预览过的语句；preview 为 true 或连接配置了 confirmDml 时只预览并签发确认令牌
    */
-  async handleExecuteDml(args) {
-    this.checkConnection();
+  async handleExecuteDml(args, context) {
+    this.assertWritable(args);
+    const manager = this.getManager(args);
+    const connectionName = this.connections.resolveName(args.connection);
+    const expected = args.confirmToken
+      ? this.confirmations.consume(args.confirmToken, { connection: connectionName, sql: args.sql, binds: args.binds })
+      : null;
+    const preview = !expected && (args.preview === true || Boolean(manager.config && manager.config.confirmDml));
     
-    const conn = await this.connectionManager.getConnection();
+    const conn = await manager.getConnection(context);
     try {
-      const result = await executeDml(conn, args.sql);
+      const result = await executeDml(conn, args.sql, {
+        binds: normalizeBinds(args.binds, { allowOut: true }),
+        rowFilters: manager.getRowFilters(),
+        limits: manager.getLimits(),
+        role: manager.getRolePolicy(),
+        preview,
+        expectedRowsAffected: expected ? expected.rowsAffected : undefined
+      });
+      this.noteAudit(context, { sql: result.sql, rowsAffected: preview ? null : result.rowsAffected });
+      
+      if (preview) {
+        const { token, expiresAt } = this.confirmations.issue({
+          connection: connectionName,
+          sql: args.sql,
+          binds: args.binds,
+          rowsAffected: result.rowsAffected
+        });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              preview: true,
+              verb: result.verb,
+              rowsAffected: result.rowsAffected,
+              before: result.before,
+              after: result.after,
+              confirmToken: token,
+              expiresAt,
+              executionTime: result.executionTime,
+              sql: result.sql,
+              note: '语句已回滚，未提交任何修改。确认无误后请以同一条 SQL 和 confirmToken 再次调用'
+            }, null, 2)
+          }]
+        };
+      }
       
       return {
         content: [{
@@ -786,25 +1694,31 @@ export class OracleMcpServer {
             success: result.success,
             verb: result.verb,
             rowsAffected: result.rowsAffected,
+            ...(result.outBinds ? { outBinds: result.outBinds } : {}),
+            ...(expected ? { confirmed: true } : {}),
             executionTime: result.executionTime,
             sql: result.sql
           }, null, 2)
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
     }
   }
 
   /**
    * 插入单条记录
    */
-  async handleInsertRecord(args) {
-    this.checkConnection();
-    
-    const conn = await this.connectionManager.getConnection();
+  async handleInsertRecord(args, context) {
+    this.assertWritable(args);
+    const manager = this.getManager(args);
+    const conn = await manager.getConnection(context);
     try {
-      const result = await insertRecord(conn, args.table, args.data);
+      const result = await insertRecord(conn, args.table, args.data, {
+        rowFilters: manager.getRowFilters(),
+        role: manager.getRolePolicy()
+      });
+      this.noteAudit(context, { sql: result.sql, rowsAffected: result.rowsAffected });
       
       return {
         content: [{
@@ -819,7 +1733,80 @@ export class OracleMcpServer {
         }]
       };
     } finally {
-      await this.connectionManager.releaseConnection(conn);
+      await manager.releaseConnection(conn);
+    }
+  }
+
+  /**
+   * 优雅关闭：不再接受新的工具调用，等待正在执行的调用完成，
+   * 超时后中断仍在执行的语句并回滚未提交的事务，最后关闭所有连接池和 MCP 传输
+   * 重复调用返回同一个 Promise
+   * @returns {Promise<void>}
+   */
+  shutdown() {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.drainAndClose(this.getShutdownTimeout());
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * 获取关闭服务时的等待时间：构造参数 > ORACLE_SHUTDOWN_TIMEOUT > 默认值
+   * @returns {number}
+   */
+  getShutdownTimeout() {
+    if (this.shutdownTimeout !== undefined) {
+      return this.shutdownTimeout;
+    }
+    const value = process.env.ORACLE_SHUTDOWN_TIMEOUT;
+    if (value !== undefined && value.trim() !== '') {
+      const timeout = Number(value);
+      if (Number.isInteger(timeout) && timeout >= 0) {
+        return timeout;
+      }
+      console.error(`[oracle-mcp-server] ORACLE_SHUTDOWN_TIMEOUT 无效（${value}），使用默认值 ${DEFAULT_SHUTDOWN_TIMEOUT}ms`);
+    }
+    return DEFAULT_SHUTDOWN_TIMEOUT;
+  }
+
+  /**
+   * 等待调用完成后关闭连接池和 MCP 传输
+   * @param {number} timeout - 等待正在执行的调用完成的毫秒数
+   * @returns {Promise<void>}
+   */
+  async drainAndClose(timeout) {
+    if (!(await this.waitForInFlight(timeout))) {
+      const pending = this.inFlight.size;
+      const interrupted = await this.connections.interruptAll();
+      console.error(`[oracle-mcp-server] 等待 ${timeout}ms 后仍有 ${pending} 个调用未完成，已中断 ${interrupted} 个连接上的语句并回滚事务`);
+      await this.waitForInFlight(INTERRUPT_GRACE_PERIOD);
+    }
+    
+    await this.connections.closeAll();
+    await this.server.close();
+  }
+
+  /**
+   * 等待正在执行的工具调用全部完成
+   * @param {number} timeout - 最长等待毫秒数
+   * @returns {Promise<boolean>} 是否在超时前全部完成
+   */
+  async waitForInFlight(timeout) {
+    if (this.inFlight.size === 0) {
+      return true;
+    }
+    
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    try {
+      return await Promise.race([
+        Promise.allSettled(Array.from(this.inFlight)).then(() => true),
+        deadline
+      ]);
+    } finally {
+      clearTimeout(timer);
     }
   }
 
@@ -827,6 +1814,9 @@ export class OracleMcpServer {
    * 启动服务器
    */
   async start() {
+    // 加载配置文件（配置无效时直接抛出，不启动服务）
+    this.loadServerConfig();
+    
     // 尝试自动连接
     await this.autoConnect();
     
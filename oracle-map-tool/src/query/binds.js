@@ -0,0 +1,203 @@
+/**
+ * 绑定变量
+ * MCP 工具参数只能传 JSON，这里把工具参数中的 binds 转换为 oracledb 的绑定参数：
+ * 对象为命名绑定（:name），数组为位置绑定（:1, :2 ...）；日期和时间戳写作 { "$date": ... } / { "$timestamp": ... }，
+ * 需要指定类型或方向时写作 { "val": ..., "type": "NUMBER", "dir": "out", "maxSize": 100 }
+ */
+
+import oracledb from 'oracledb';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 绑定变量的类型提示（oracledb 6.x 的绑定类型必须是 DbType 对象，不能使用数字常量）
+ */
+export const BindType = {
+  STRING: oracledb.DB_TYPE_VARCHAR,
+  NUMBER: oracledb.DB_TYPE_NUMBER,
+  DATE: oracledb.DB_TYPE_DATE,
+  TIMESTAMP: oracledb.DB_TYPE_TIMESTAMP,
+  CLOB: oracledb.DB_TYPE_CLOB
+};
+
+/**
+ * 绑定变量的方向
+ */
+export const BindDirection = {
+  in: 3001, // oracledb.BIND_IN
+  inout: 3002, // oracledb.BIND_INOUT
+  out: 3003 // oracledb.BIND_OUT
+};
+
+const BIND_DESCRIPTOR_KEYS = ['val', 'type', 'dir', 'maxSize'];
+const BIND_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_$#]*$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+/**
+ * 构建绑定变量错误
+ * @param {string} label - 绑定变量（:name 或 :1）
+ * @param {string} message - 错误消息
+ * @returns {OracleMapError}
+ */
+function bindError(label, message) {
+  return new OracleMapError(ErrorCode.SQL_SYNTAX_ERROR, `绑定变量 ${label}: ${message}`, {
+    bind: label,
+    suggestion: '值可以是字符串、数字、null、{"$date": "2025-12-19"}、{"$timestamp": "2025-12-19T10:30:00"}，'
+      + '或 {"val": 值, "type": "NUMBER", "dir": "in"}'
+  });
+}
+
+/**
+ * 将工具参数中的绑定变量转换为 oracledb 绑定参数
+ * @param {Object|Array|null} [binds] - 命名绑定（对象）或位置绑定（数组）
+ * @param {Object} [options]
+ * @param {boolean} [options.allowOut] - 是否允许输出绑定（仅 DML 的 RETURNING ... INTO 使用）
+ * @returns {Object|Array}
+ */
+export function normalizeBinds(binds, options = {}) {
+  const { allowOut = false } = options;
+  if (binds === undefined || binds === null) {
+    return {};
+  }
+  if (Array.isArray(binds)) {
+    return binds.map((value, index) => normalizeBindValue(value, `:${index + 1}`, allowOut));
+  }
+  if (typeof binds !== 'object') {
+    throw new OracleMapError(ErrorCode.SQL_SYNTAX_ERROR, 'binds 应为对象（命名绑定）或数组（位置绑定）');
+  }
+  return Object.fromEntries(Object.entries(binds).map(([rawName, value]) => {
+    const name = rawName.startsWith(':') ? rawName.slice(1) : rawName;
+    if (!BIND_NAME_PATTERN.test(name)) {
+      throw bindError(`:${name}`, '名称只能包含字母、数字和 _ $ #，且以字母开头');
+    }
+    return [name, normalizeBindValue(value, `:${name}`, allowOut)];
+  }));
+}
+
+/**
+ * 转换单个绑定变量
+ * @param {*} value - 工具参数中的值
+ * @param {string} label - 绑定变量（用于错误提示）
+ * @param {boolean} allowOut - 是否允许输出绑定
+ * @returns {*}
+ */
+function normalizeBindValue(value, label, allowOut) {
+  if (value === null || typeof value === 'string' || typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw bindError(label, `不支持的值 ${JSON.stringify(value)}`);
+  }
+  if ('$date' in value || '$timestamp' in value) {
+    return typedDateValue(value, label);
+  }
+
+  const unknown = Object.keys(value).find(key => !BIND_DESCRIPTOR_KEYS.includes(key));
+  if (unknown) {
+    throw bindError(label, `未知的属性 ${unknown}，可用属性: ${BIND_DESCRIPTOR_KEYS.join(', ')}`);
+  }
+
+  const bind = {};
+  if (value.dir !== undefined) {
+    const dir = BindDirection[String(value.dir).toLowerCase()];
+    if (dir === undefined) {
+      throw bindError(label, `dir 应为 ${Object.keys(BindDirection).join(' / ')}`);
+    }
+    if (dir !== BindDirection.in && !allowOut) {
+      throw bindError(label, '只有 oracle_execute_dml 的 RETURNING ... INTO 支持输出绑定');
+    }
+    bind.dir = dir;
+  }
+  if (value.type !== undefined) {
+    const type = BindType[String(value.type).toUpperCase()];
+    if (type === undefined) {
+      throw bindError(label, `type 应为 ${Object.keys(BindType).join(' / ')}`);
+    }
+    bind.type = type;
+  }
+  if (value.maxSize !== undefined) {
+    if (!Number.isInteger(value.maxSize) || value.maxSize <= 0) {
+      throw bindError(label, 'maxSize 应为正整数');
+    }
+    bind.maxSize = value.maxSize;
+  }
+
+  if (bind.dir === BindDirection.out) {
+    if (value.val !== undefined) {
+      throw bindError(label, '输出绑定不能指定 val');
+    }
+    return bind;
+  }
+  if (value.val === undefined) {
+    throw bindError(label, '缺少 val');
+  }
+  const typed = normalizeBindValue(value.val, label, false);
+  if (typed !== null && typeof typed === 'object') {
+    // { "val": { "$date": ... } }：type 未指定时沿用日期类型
+    return { ...bind, val: typed.val, type: bind.type || typed.type };
+  }
+  return { ...bind, val: coerceValue(typed, bind.type, label) };
+}
+
+/**
+ * 转换 { "$date": ... } / { "$timestamp": ... }
+ * 字符串按 new Date() 解析，与 oracle_insert_record 的同名格式一致
+ * @param {Object} value - 日期值
+ * @param {string} label - 绑定变量
+ * @returns {{ val: Date|null, type: Object }}
+ */
+function typedDateValue(value, label) {
+  const key = '$date' in value ? '$date' : '$timestamp';
+  if (Object.keys(value).length !== 1) {
+    throw bindError(label, `${key} 不能和其他属性同时使用`);
+  }
+  const type = key === '$date' ? BindType.DATE : BindType.TIMESTAMP;
+  if (value[key] === null) {
+    return { val: null, type };
+  }
+  return { val: parseDate(value[key], label), type };
+}
+
+/**
+ * 解析日期字符串
+ * @param {*} text - 日期字符串
+ * @param {string} label - 绑定变量
+ * @returns {Date}
+ */
+function parseDate(text, label) {
+  const date = typeof text === 'string' ? new Date(text) : new Date(NaN);
+  if (isNaN(date.getTime())) {
+    throw bindError(label, `无法解析的日期 ${JSON.stringify(text)}，请使用 ISO 8601 格式`);
+  }
+  return date;
+}
+
+/**
+ * 按类型提示转换值（oracledb 不会在 JS 类型和绑定类型不一致时自动转换）
+ * @param {string|number|null} value - 值
+ * @param {Object} [type] - 类型提示
+ * @param {string} label - 绑定变量
+ * @returns {*}
+ */
+function coerceValue(value, type, label) {
+  if (value === null || type === undefined) {
+    return value;
+  }
+  if (type === BindType.NUMBER && typeof value === 'string') {
+    const text = value.trim();
+    if (INTEGER_PATTERN.test(text) && !Number.isSafeInteger(Number(text))) {
+      return BigInt(text);
+    }
+    const number = Number(text);
+    if (text === '' || !Number.isFinite(number)) {
+      throw bindError(label, `${JSON.stringify(value)} 不是数字`);
+    }
+    return number;
+  }
+  if ((type === BindType.STRING || type === BindType.CLOB) && typeof value === 'number') {
+    return String(value);
+  }
+  if (type === BindType.DATE || type === BindType.TIMESTAMP) {
+    return parseDate(value, label);
+  }
+  return value;
+}
@@ -1,6 +1,10 @@
 import { OracleMapError, ErrorCode } from '../utils/errors.js';
 import { mapQueryResult } from '../mapper/data.js';
-import { checkTableAccess, enforceRowLimit, MAX_ROWS_LIMIT, validateDmlSql } from '../config/security.js';
+import { createMasker } from '../mapper/masking.js';
+import { checkTableAccess, enforceRowLimit, getRowsAffectedLimit, getSecurityLimits, getTablePolicy, TableOperation, validateDmlSql } from '../config/security.js';
+import { tokenize, splitStatements, isKeyword, findKeyword, formatPosition, TokenType } from './lexer.js';
+import { extractTableReferences, findTableReferences, formatTableName } from './references.js';
+import { applyRowFilters, applyRowFilterValues, assertNoFilteredWriteTargets, buildRowFilterPredicate, mergeRowFilterBinds } from './filters.js';
 
 /**
  * 构建分页 SQL
@@ -11,12 +15,7 @@ import { checkTableAccess, enforceRowLimit, MAX_ROWS_LIMIT, validateDmlSql } fro
  * @returns {string}
  */
 export function buildPaginatedSql(baseSql, limit, offset) {
-  let sql = baseSql.trim();
-  
-  // 移除末尾的分号
-  if (sql.endsWith(';')) {
-    sql = sql.slice(0, -1);
-  }
+  let sql = stripTrailing(baseSql);
   
   const parts = [];
   
@@ -40,79 +39,255 @@ export function buildPaginatedSql(baseSql, limit, offset) {
   return sql;
 }
 
+/**
+ * 移除末尾的分号和注释，避免追加的分页子句被行注释吞掉
+ * 开头的注释和优化器提示保留不变
+ * @param {string} sql - SQL 语句
+ * @returns {string}
+ */
+function stripTrailing(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch {
+    // 无法解析的 SQL 会在校验时报错，这里只做简单处理
+    const trimmed = sql.trim();
+    return trimmed.endsWith(';') ? trimmed.slice(0, -1) : trimmed;
+  }
+  
+  const last = tokens.filter(token => token.value !== ';').pop();
+  return last ? sql.slice(0, last.end).trim() : '';
+}
+
 /**
  * 构建表查询 SQL
- * @param {string} tableName - 表名
+ * @param {string} tableName - 表名（必须是 [owner.]name 形式的标识符）
  * @param {Object} [options] - 查询选项
+ * @param {string} [options.predicate] - 附加的过滤条件（行级过滤）
  * @returns {string}
  */
 export function buildTableQuerySql(tableName, options = {}) {
-  const { limit, offset } = options;
-  const baseSql = `SELECT * FROM ${tableName.toUpperCase()}`;
+  const { limit, offset, predicate } = options;
+  const baseSql = `SELECT * FROM ${formatTableName(tableName)}${predicate ? ` WHERE ${predicate}` : ''}`;
   return buildPaginatedSql(baseSql, limit, offset);
 }
 
+/**
+ * 查询语句中禁止出现的关键字
+ */
+const QUERY_BLACKLIST_KEYWORDS = ['DROP', 'DELETE', 'UPDATE', 'INSERT', 'TRUNCATE', 'ALTER', 'CREATE'];
+
 /**
  * 验证 SQL 语句（基础验证）
+ * 基于词法分析：字符串、注释和双引号标识符中的内容不会被当作关键字，错误消息带有行列位置
+ * 允许 SELECT、WITH ... AS (...) SELECT 和带括号的查询（如 (SELECT ...) UNION (SELECT ...)），
+ * 不允许 WITH FUNCTION / WITH PROCEDURE 声明 PL/SQL
  * @param {string} sql - SQL 语句
- * @returns {{ valid: boolean, error: string|null }}
+ * @returns {{ valid: boolean, error: string|null, position: { line: number, column: number }|null }}
  */
 export function validateSql(sql) {
   if (!sql || typeof sql !== 'string') {
-    return { valid: false, error: 'SQL 语句不能为空' };
+    return { valid: false, error: 'SQL 语句不能为空', position: null };
+  }
+  
+  let allTokens;
+  try {
+    allTokens = tokenize(sql);
+  } catch (error) {
+    return { valid: false, error: error.message, position: error.details || null };
+  }
+  const statements = splitStatements(allTokens);
+  if (statements.length === 0) {
+    return { valid: false, error: 'SQL 语句不能为空', position: null };
   }
   
-  const trimmedSql = sql.trim().toUpperCase();
+  const tokens = statements[0];
+  const invalid = (error, token) => ({
+    valid: false,
+    error: `${error}（${formatPosition(token)}）`,
+    position: { line: token.line, column: token.column }
+  });
   
-  // 只允许 SELECT 语句
-  if (!trimmedSql.startsWith('SELECT')) {
-    return { valid: false, error: '只支持 SELECT 查询语句' };
+  // WITH 子句中的 PL/SQL 声明可以执行任意代码（函数体中的分号也会被当作语句边界，因此先于单条语句检查）
+  const plsql = allTokens.find((token, index) => isKeyword(token, 'FUNCTION', 'PROCEDURE') && isKeyword(allTokens[index - 1], 'WITH'));
+  if (plsql) {
+    return invalid(`不允许在 WITH 子句中声明 PL/SQL ${plsql.name}`, plsql);
   }
   
-  // 检查危险关键字
-  const dangerousKeywords = ['DROP', 'DELETE', 'UPDATE', 'INSERT', 'TRUNCATE', 'ALTER', 'CREATE'];
-  for (const keyword of dangerousKeywords) {
-    // 检查是否作为独立关键字出现（前后有空格或在开头/结尾）
-    const regex = new RegExp(`(^|\\s)${keyword}(\\s|$)`, 'i');
-    if (regex.test(sql)) {
-      return { valid: false, error: `不允许使用 ${keyword} 关键字` };
-    }
+  // 只允许单条语句
+  if (statements.length > 1) {
+    const next = statements[1][0];
+    return invalid(`只允许执行单条语句，发现第二条语句 ${next.value}`, next);
+  }
+  
+  // 只允许查询语句：跳过开头的括号后必须是 SELECT 或 WITH
+  const first = tokens.find(token => token.value !== '(') || tokens[0];
+  if (!isKeyword(first, 'SELECT', 'WITH')) {
+    return invalid('只支持 SELECT 查询语句（包括 WITH 子查询）', first);
+  }
+  
+  // 检查危险关键字（包括 SELECT ... FOR UPDATE）
+  const blocked = findKeyword(tokens, QUERY_BLACKLIST_KEYWORDS);
+  if (blocked) {
+    return invalid(`不允许使用 ${blocked.name} 关键字`, blocked);
+  }
+  
+  return { valid: true, error: null, position: null };
+}
+
+/**
+ * 将校验失败结果转换为 SQL 语法错误
+ * @param {{ error: string, position: Object|null }} validation - 校验结果
+ * @returns {OracleMapError}
+ */
+function validationError(validation) {
+  return new OracleMapError(ErrorCode.SQL_SYNTAX_ERROR, validation.error, validation.position || {});
+}
+
+/**
+ * 按表访问策略检查自由 SQL 引用的所有表
+ * INSERT/MERGE INTO 和 UPDATE 的目标表按写入检查，其余按读取检查；
+ * 不在允许范围内的名称如果是同义词，按其指向的表再检查一次（命中排除规则的名称不再解析）。
+ * 未配置任何表名单（全局和角色）时直接返回
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {string} sql - 已通过校验的 SQL 语句
+ * @param {Object|null} [role] - 连接生效的策略角色
+ * @returns {Promise<void>}
+ */
+export async function checkSqlTableAccess(conn, sql, role = null) {
+  if (getTablePolicy() === null && !(role && role.tables.length > 0)) {
+    return;
+  }
+  
+  const describe = (ref) => `${ref.owner ? `${ref.owner}.` : ''}${ref.name}${ref.dblink ? `@${ref.dblink}` : ''}`;
+  const operationOf = (ref) => (ref.write ? TableOperation.WRITE : TableOperation.READ);
+  let blocked = extractTableReferences(sql)
+    .map(ref => ({ ref, access: checkTableAccess(ref.name, operationOf(ref), role) }))
+    .filter(({ access }) => !access.allowed);
+  
+  const resolvable = blocked.filter(({ ref, access }) => !ref.dblink && access.deniedBy === null);
+  if (resolvable.length > 0) {
+    const synonyms = await resolveSynonyms(conn, resolvable.map(({ ref }) => ref));
+    blocked = blocked.filter(({ ref, access }) => {
+      const target = access.deniedBy === null && synonyms.get(describe(ref));
+      return !(target && checkTableAccess(target, operationOf(ref), role).allowed);
+    });
+  }
+  
+  if (blocked.length > 0) {
+    const tables = blocked.map(({ ref }) => describe(ref));
+    const reasons = blocked.map(({ ref, access }) => {
+      const scope = access.role ? `角色 ${access.role} ` : '';
+      if (access.deniedBy !== null) {
+        return `${describe(ref)}（匹配${scope}排除规则 ${access.deniedBy}）`;
+      }
+      return `${describe(ref)}（不在${scope}允许${ref.write ? '写入' : '访问'}的白名单中）`;
+    });
+    // 只列出全局名单允许的表，角色的名单通过 oracle_security_config 查看
+    const policy = getTablePolicy();
+    const allowed = [TableOperation.READ, TableOperation.WRITE]
+      .filter(operation => blocked.some(({ ref, access }) => !access.role && access.deniedBy === null && operationOf(ref) === operation))
+      .filter(operation => policy !== null && policy[operation].allow !== null)
+      .map(operation => `允许${operation === TableOperation.WRITE ? '写入' : ''}的表: ${policy[operation].allow.map(p => p.source).join(', ')}`);
+    throw new OracleMapError(
+      ErrorCode.ACCESS_DENIED,
+      [`SQL 引用了不允许访问的表: ${reasons.join(', ')}`, ...allowed].join('。'),
+      { tables }
+    );
+  }
+}
+
+/**
+ * 提取 SQL 引用的表名（用于匹配脱敏规则），无法解析时返回空数组
+ * @param {string} sql - SQL 语句
+ * @returns {string[]}
+ */
+function referencedTableNames(sql) {
+  try {
+    return extractTableReferences(sql).map(ref => ref.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 解析同义词指向的表
+ * 不带 schema 的名称按 Oracle 的解析顺序优先使用当前 schema 的私有同义词，其次是公共同义词
+ * 查询失败时返回空结果，即同义词不放行
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {Array<Object>} references - 表引用
+ * @returns {Promise<Map<string, string>>} 引用（[owner.]name）到目标表名的映射
+ */
+async function resolveSynonyms(conn, references) {
+  const resolved = new Map();
+  if (references.length === 0) {
+    return resolved;
+  }
+  
+  const names = Array.from(new Set(references.map(ref => ref.name)));
+  const binds = Object.fromEntries(names.map((name, index) => [`n${index}`, name]));
+  let rows;
+  try {
+    const result = await conn.execute(
+      `SELECT OWNER, SYNONYM_NAME, TABLE_NAME, SYS_CONTEXT('USERENV', 'CURRENT_SCHEMA') AS CURRENT_SCHEMA
+       FROM ALL_SYNONYMS
+       WHERE SYNONYM_NAME IN (${names.map((name, index) => `:n${index}`).join(', ')})
+         AND DB_LINK IS NULL`,
+      binds,
+      { outFormat: 4002 }
+    );
+    rows = result.rows || [];
+  } catch (error) {
+    console.error('[oracle-mcp-server] 解析同义词失败:', error.message);
+    return resolved;
   }
   
-  return { valid: true, error: null };
+  for (const ref of references) {
+    const candidates = rows.filter(row => row.SYNONYM_NAME === ref.name);
+    const match = ref.owner
+      ? candidates.find(row => row.OWNER === ref.owner)
+      : candidates.find(row => row.OWNER === row.CURRENT_SCHEMA) || candidates.find(row => row.OWNER === 'PUBLIC');
+    if (match) {
+      resolved.set(`${ref.owner ? `${ref.owner}.` : ''}${ref.name}`, match.TABLE_NAME);
+    }
+  }
+  return resolved;
 }
 
 /**
  * 执行查询并映射结果
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} sql - SQL 语句
- * @param {Object} [options] - 查询选项
+ * @param {Object} [options] - 查询选项，rowFilters 为行级过滤规则，limits 为连接生效的限制（默认为全局限制），
+ *   role 为连接生效的策略角色（限制可访问的表和脱敏规则）
  * @returns {Promise<Object>}
  */
 export async function executeQuery(conn, sql, options = {}) {
-  const { binds = {}, limit, offset } = options;
+  const { binds = {}, limit, offset, rowFilters, limits = getSecurityLimits(), role = null } = options;
   
   // 验证 SQL
   const validation = validateSql(sql);
   if (!validation.valid) {
-    throw new OracleMapError(
-      ErrorCode.SQL_SYNTAX_ERROR,
-      validation.error
-    );
+    throw validationError(validation);
   }
+  await checkSqlTableAccess(conn, sql, role);
+  
+  // 行级过滤：受约束的表改写为带过滤条件的内联视图
+  const filtered = applyRowFilters(sql, rowFilters);
+  const allBinds = mergeRowFilterBinds(binds, filtered.binds);
   
   // 强制限制行数在安全范围内
-  const safeLimit = enforceRowLimit(limit);
+  const safeLimit = enforceRowLimit(limit, 100, limits);
   
   // 构建分页 SQL
-  const paginatedSql = buildPaginatedSql(sql, safeLimit, offset);
+  const paginatedSql = buildPaginatedSql(filtered.sql, safeLimit, offset);
   
   const startTime = Date.now();
   
   try {
     // oracledb 6.x: OUT_FORMAT_ARRAY = 4001, OUT_FORMAT_OBJECT = 4002
     // 使用 OUT_FORMAT_OBJECT 让 oracledb 直接返回对象格式，避免手动映射
-    const result = await conn.execute(paginatedSql, binds, {
+    const result = await conn.execute(paginatedSql, allBinds, {
       outFormat: 4002, // oracledb.OUT_FORMAT_OBJECT
       // LOB 处理：自动将 CLOB 转为字符串，设置截断长度
       fetchInfo: {
@@ -125,11 +300,12 @@ export async function executeQuery(conn, sql, options = {}) {
     });
     
     const executionTime = Date.now() - startTime;
-    const mappedResult = mapQueryResult(result);
+    const mappedResult = mapQueryResult(result, { tables: referencedTableNames(sql), limits, role });
     
     // 添加限制信息
-    const limitInfo = limit > MAX_ROWS_LIMIT 
-      ? { warning: `请求的行数 ${limit} 超过最大限制 ${MAX_ROWS_LIMIT}，已自动限制` }
+    const { maxRowsLimit } = limits;
+    const limitInfo = limit > maxRowsLimit 
+      ? { warning: `请求的行数 ${limit} 超过最大限制 ${maxRowsLimit}，已自动限制` }
       : {};
     
     return {
@@ -147,26 +323,32 @@ export async function executeQuery(conn, sql, options = {}) {
  * 查询表数据
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
- * @param {Object} [options] - 分页选项
+ * @param {Object} [options] - 分页选项，rowFilters 为行级过滤规则，limits 为连接生效的限制，role 为连接生效的策略角色
  * @returns {Promise<Object>}
  */
 export async function queryTable(conn, tableName, options = {}) {
+  const { limits = getSecurityLimits(), role = null } = options;
+  
   // 检查表白名单
-  const access = checkTableAccess(tableName);
+  const access = checkTableAccess(tableName, TableOperation.READ, role);
   if (!access.allowed) {
     throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
   }
   
+  // 行级过滤以绑定变量谓词的形式附加
+  const filter = buildRowFilterPredicate(tableName, options.rowFilters);
+  
   // 强制限制行数
   const safeOptions = {
     ...options,
-    limit: enforceRowLimit(options.limit)
+    limit: enforceRowLimit(options.limit, 100, limits),
+    predicate: filter ? filter.predicate : undefined
   };
   
   const sql = buildTableQuerySql(tableName, safeOptions);
   
   try {
-    return await executeQuery(conn, sql, {});
+    return await executeQuery(conn, sql, { binds: filter ? filter.binds : {}, limits, role });
   } catch (error) {
     // 检查是否为表不存在错误
     if (error.message && error.message.includes('ORA-00942')) {
@@ -189,6 +371,11 @@ export async function queryTable(conn, tableName, options = {}) {
 function handleQueryError(error, sql) {
   const oraError = error.message || '';
   
+  const interrupted = handleInterruptError(oraError, sql);
+  if (interrupted) {
+    return interrupted;
+  }
+  
   // ORA-00942: 表或视图不存在
   if (oraError.includes('ORA-00942')) {
     return new OracleMapError(
@@ -216,6 +403,15 @@ function handleQueryError(error, sql) {
     );
   }
   
+  // ORA-01456: 只读事务中不能执行写操作（如 SELECT 调用了有副作用的函数）
+  if (oraError.includes('ORA-01456')) {
+    return new OracleMapError(
+      ErrorCode.ACCESS_DENIED,
+      '查询在只读事务中执行，不允许修改数据',
+      { oracleError: oraError, sql, suggestion: '请移除 SQL 中会写数据的函数调用，写操作请使用 oracle_execute_dml' }
+    );
+  }
+  
   // 其他查询错误
   return new OracleMapError(
     ErrorCode.QUERY_EXECUTION_ERROR,
@@ -224,15 +420,63 @@ function handleQueryError(error, sql) {
   );
 }
 
+/**
+ * 处理超时和取消导致的语句中断
+ * @param {string} oraError - 原始错误消息
+ * @param {string} sql - 执行的 SQL
+ * @returns {OracleMapError|null}
+ */
+function handleInterruptError(oraError, sql) {
+  // NJS-123（Thin 模式）/ DPI-1067（Thick 模式）: 超过 callTimeout
+  if (oraError.includes('NJS-123') || oraError.includes('DPI-1067')) {
+    return new OracleMapError(
+      ErrorCode.TIMEOUT,
+      '语句执行超时，已中断',
+      {
+        oracleError: oraError,
+        sql,
+        suggestion: '请缩小查询范围或添加过滤条件，必要时通过 timeout 参数延长超时时间'
+      }
+    );
+  }
+  
+  // ORA-01013: 用户请求取消当前操作（MCP 取消通知触发 conn.break()）
+  if (oraError.includes('ORA-01013')) {
+    return new OracleMapError(
+      ErrorCode.CANCELLED,
+      '语句已被取消',
+      { oracleError: oraError, sql }
+    );
+  }
+  
+  return null;
+}
+
 /**
  * 获取表的行数
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rowFilters] - 行级过滤规则
+ * @param {Object|null} [options.role] - 连接生效的策略角色
+ * @param {Function} [options.onExecute] - 执行 SQL 前调用，参数为 SQL（供审计日志记录）
  * @returns {Promise<number>}
  */
-export async function getTableRowCount(conn, tableName) {
-  const sql = `SELECT COUNT(*) AS CNT FROM ${tableName.toUpperCase()}`;
-  const result = await conn.execute(sql);
+export async function getTableRowCount(conn, tableName, options = {}) {
+  const tableSql = formatTableName(tableName);
+  
+  // 检查表白名单
+  const access = checkTableAccess(tableName, TableOperation.READ, options.role || null);
+  if (!access.allowed) {
+    throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
+  }
+  
+  const filter = buildRowFilterPredicate(tableName, options.rowFilters);
+  const sql = `SELECT COUNT(*) AS CNT FROM ${tableSql}${filter ? ` WHERE ${filter.predicate}` : ''}`;
+  if (options.onExecute) {
+    options.onExecute(sql);
+  }
+  const result = await conn.execute(sql, filter ? filter.binds : {});
   return result.rows[0][0];
 }
 
@@ -251,47 +495,65 @@ export function buildFlashbackSql(baseSql, asOfTimestamp) {
   // 支持格式: 2024-01-15T14:30:00Z 或 2024-01-15T14:30:00.000Z
   const timestamp = asOfTimestamp.replace('T', ' ').replace('Z', '').split('.')[0];
   
-  // 在 FROM 子句后注入 AS OF TIMESTAMP
-  // 简单实现：在第一个 FROM 后的表名后添加
-  const fromRegex = /\bFROM\s+(\w+)/i;
-  const match = baseSql.match(fromRegex);
-  
-  if (match) {
-    const tableName = match[1];
-    const flashbackClause = `${tableName} AS OF TIMESTAMP TO_TIMESTAMP('${timestamp}', 'YYYY-MM-DD HH24:MI:SS')`;
-    return baseSql.replace(fromRegex, `FROM ${flashbackClause}`);
+  // 在第一个直接跟表名的 FROM 后的表名（可带 schema 前缀）后注入 AS OF TIMESTAMP
+  // 使用词法分析定位，字符串和注释中的 FROM 不会被误认；
+  // FROM (子查询) 会被跳过，行级过滤改写出的内联视图中的表因此也能正确注入
+  let tokens;
+  try {
+    tokens = tokenize(baseSql);
+  } catch {
+    return baseSql;
+  }
+  const isName = (token) => token && (token.type === TokenType.WORD || token.type === TokenType.QUOTED_IDENTIFIER);
+  const index = tokens.findIndex((token, i) => {
+    const qualified = i > 0 && tokens[i - 1].type === TokenType.PUNCTUATION && tokens[i - 1].value === '.';
+    return !qualified && isKeyword(token, 'FROM') && isName(tokens[i + 1]);
+  });
+  if (index === -1) {
+    return baseSql;
   }
   
-  return baseSql;
+  let tableEnd = index + 1;
+  while (tokens[tableEnd + 1] && tokens[tableEnd + 1].value === '.' && isName(tokens[tableEnd + 2])) {
+    tableEnd += 2;
+  }
+  const end = tokens[tableEnd].end;
+  const flashbackClause = ` AS OF TIMESTAMP TO_TIMESTAMP('${timestamp}', 'YYYY-MM-DD HH24:MI:SS')`;
+  return baseSql.slice(0, end) + flashbackClause + baseSql.slice(end);
 }
 
 /**
  * 执行 Flashback Query（历史数据查询）
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} sql - SQL 语句
- * @param {Object} options - 查询选项
+ * @param {Object} options - 查询选项，rowFilters 为行级过滤规则，limits 为连接生效的限制，role 为连接生效的策略角色
  * @returns {Promise<Object>}
  */
 export async function executeFlashbackQuery(conn, sql, options = {}) {
-  const { asOfTimestamp, limit, offset, binds = {} } = options;
+  const { asOfTimestamp, limit, offset, binds = {}, rowFilters, limits = getSecurityLimits(), role = null } = options;
   
   // 验证 SQL
   const validation = validateSql(sql);
   if (!validation.valid) {
-    throw new OracleMapError(ErrorCode.SQL_SYNTAX_ERROR, validation.error);
+    throw validationError(validation);
   }
+  await checkSqlTableAccess(conn, sql, role);
+  
+  // 先做行级过滤改写，AS OF 注入到内联视图中的表上
+  const filtered = applyRowFilters(sql, rowFilters);
+  const allBinds = mergeRowFilterBinds(binds, filtered.binds);
   
   // 构建 Flashback SQL
-  let flashbackSql = buildFlashbackSql(sql, asOfTimestamp);
+  let flashbackSql = buildFlashbackSql(filtered.sql, asOfTimestamp);
   
   // 添加分页
-  const safeLimit = enforceRowLimit(limit);
+  const safeLimit = enforceRowLimit(limit, 100, limits);
   flashbackSql = buildPaginatedSql(flashbackSql, safeLimit, offset);
   
   const startTime = Date.now();
   
   try {
-    const result = await conn.execute(flashbackSql, binds, {
+    const result = await conn.execute(flashbackSql, allBinds, {
       outFormat: 4002,
       fetchAsString: [2017],
       fetchAsBuffer: [2019],
@@ -299,7 +561,7 @@ export async function executeFlashbackQuery(conn, sql, options = {}) {
     });
     
     const executionTime = Date.now() - startTime;
-    const mappedResult = mapQueryResult(result);
+    const mappedResult = mapQueryResult(result, { tables: referencedTableNames(sql), limits, role });
     
     return {
       ...mappedResult,
@@ -335,24 +597,25 @@ export async function executeFlashbackQuery(conn, sql, options = {}) {
  * 获取 SQL 执行计划
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} sql - 要分析的 SQL 语句
- * @param {Object} options - 选项
+ * @param {Object} options - 选项，role 为连接生效的策略角色
  * @returns {Promise<Object>}
  */
 export async function getExplainPlan(conn, sql, options = {}) {
-  const { format = 'TYPICAL' } = options; // BASIC, TYPICAL, ALL
+  const { format = 'TYPICAL', role = null } = options; // BASIC, TYPICAL, ALL
   
   // 验证 SQL
   const validation = validateSql(sql);
   if (!validation.valid) {
-    throw new OracleMapError(ErrorCode.SQL_SYNTAX_ERROR, validation.error);
+    throw validationError(validation);
   }
+  await checkSqlTableAccess(conn, sql, role);
   
   // 生成唯一的 statement_id
   const statementId = `MCP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
   try {
     // 执行 EXPLAIN PLAN
-    await conn.execute(`EXPLAIN PLAN SET STATEMENT_ID = '${statementId}' FOR ${sql}`);
+    await conn.execute(`EXPLAIN PLAN SET STATEMENT_ID = '${statementId}' FOR ${stripTrailing(sql)}`);
     
     // 获取执行计划
     const planSql = `SELECT * FROM TABLE(DBMS_XPLAN.DISPLAY('PLAN_TABLE', '${statementId}', '${format}'))`;
@@ -398,30 +661,66 @@ export async function getExplainPlan(conn, sql, options = {}) {
   }
 }
 
+/**
+ * 预览 DML 时用于返回受影响行 ROWID 的绑定变量名
+ */
+const PREVIEW_ROWID_BIND = 'mcp_preview_rowid';
+
 /**
  * 执行 DML 语句（INSERT/UPDATE）
+ * preview 为 true 时在未提交的事务中执行，取受影响行修改前后的样本后回滚；
+ * 指定 expectedRowsAffected 时只有影响行数与之相同才提交，否则回滚；
+ * 目标表配置了影响行数上限时，超出上限回滚（precountRowsAffected 开启时 UPDATE 先按同样的条件 COUNT，超出则不执行）
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} sql - DML 语句
  * @param {Object} [options] - 执行选项
- * @returns {Promise<Object>}
+ * @param {boolean} [options.preview] - 只预览，不提交
+ * @param {number} [options.expectedRowsAffected] - 提交前要求的影响行数（确认预览时使用）
+ * @param {Object} [options.limits] - 连接生效的限制，样本行数取 maxSampleSize，影响行数上限取 maxRowsAffected / maxRowsAffectedByTable
+ * @param {Object|null} [options.role] - 连接生效的策略角色
+ * @returns {Promise<Object>} 语句带 RETURNING ... INTO 输出绑定时，outBinds 为各输出绑定的值（已按脱敏规则处理）
  */
 export async function executeDml(conn, sql, options = {}) {
-  const { binds = {} } = options;
+  const { binds = {}, rowFilters, preview = false, expectedRowsAffected, limits = getSecurityLimits(), role = null } = options;
   
   // 验证 SQL 安全性
   const validation = validateDmlSql(sql);
   if (!validation.valid) {
-    throw new OracleMapError(
-      ErrorCode.SQL_SYNTAX_ERROR,
-      validation.error
-    );
+    throw validationError(validation);
+  }
+  await checkSqlTableAccess(conn, sql, role);
+  
+  // 行级过滤：禁止写入受约束的表，读取的表按查询同样改写
+  assertNoFilteredWriteTargets(sql, rowFilters);
+  const filtered = applyRowFilters(sql, rowFilters);
+  const allBinds = mergeRowFilterBinds(binds, filtered.binds);
+  
+  const ceiling = findRowsAffectedLimit(filtered.sql, limits);
+  if (ceiling && limits.precountRowsAffected && validation.verb === 'UPDATE') {
+    await precountRowsAffected(conn, filtered.sql, allBinds, ceiling);
+  }
+  
+  if (preview) {
+    return previewDml(conn, filtered.sql, allBinds, { verb: validation.verb, limits, ceiling, role });
   }
   
   const startTime = Date.now();
   
   try {
     // 执行 DML，不自动提交
-    const result = await conn.execute(sql, binds, { autoCommit: false });
+    const result = await conn.execute(filtered.sql, allBinds, { autoCommit: false });
+    const rowsAffected = result.rowsAffected || 0;
+    await assertRowsAffected(conn, rowsAffected, ceiling, { verb: validation.verb, sql: filtered.sql });
+    
+    // 确认预览：数据在预览之后发生了变化，影响行数不同则不提交
+    if (expectedRowsAffected !== undefined && rowsAffected !== expectedRowsAffected) {
+      await conn.execute('ROLLBACK');
+      throw new OracleMapError(
+        ErrorCode.CONFIRMATION_FAILED,
+        `影响行数 ${rowsAffected} 与预览时的 ${expectedRowsAffected} 不一致，已回滚`,
+        { sql: filtered.sql, rowsAffected, expectedRowsAffected, suggestion: '数据已发生变化，请重新预览' }
+      );
+    }
     
     // 提交事务
     await conn.execute('COMMIT');
@@ -431,11 +730,15 @@ export async function executeDml(conn, sql, options = {}) {
     return {
       success: true,
       verb: validation.verb,
-      rowsAffected: result.rowsAffected || 0,
+      rowsAffected,
+      ...(result.outBinds ? { outBinds: mapOutBinds(result.outBinds, filtered.sql, role) } : {}),
       executionTime,
-      sql
+      sql: filtered.sql
     };
   } catch (error) {
+    if (error instanceof OracleMapError) {
+      throw error;
+    }
     // 回滚事务
     try {
       await conn.execute('ROLLBACK');
@@ -443,10 +746,312 @@ export async function executeDml(conn, sql, options = {}) {
       // 忽略回滚错误
     }
     
-    throw handleDmlError(error, sql);
+    throw handleDmlError(error, filtered.sql);
+  }
+}
+
+/**
+ * 预览 DML：执行后通过 RETURNING ROWID 取受影响行，先读取修改后的样本，回滚后再按同样的 ROWID 读取修改前的样本
+ * 插入的行回滚后不存在，before 为空；无法取得 ROWID 的语句（如 INSERT ... SELECT）或目标表不允许读取时样本为 null
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {string} sql - 已校验并应用行级过滤的 DML 语句
+ * @param {Object} binds - 绑定变量
+ * @param {Object} options
+ * @param {string} options.verb - DML 动词
+ * @param {Object} options.limits - 连接生效的限制
+ * @param {Object|null} options.ceiling - 影响行数上限
+ * @param {Object|null} options.role - 连接生效的策略角色
+ * @returns {Promise<Object>}
+ */
+async function previewDml(conn, sql, binds, { verb, limits, ceiling, role }) {
+  const target = findSampleTarget(sql, role);
+  const executeSql = target ? `${stripTrailing(sql)} RETURNING ROWID INTO :${PREVIEW_ROWID_BIND}` : sql;
+  // 输出绑定未指定类型时为 STRING；位置绑定按占位符顺序对应，追加在末尾
+  const rowidBind = { dir: 3003 }; // oracledb.BIND_OUT
+  let executeBinds = binds;
+  if (target) {
+    executeBinds = Array.isArray(binds) ? [...binds, rowidBind] : { ...binds, [PREVIEW_ROWID_BIND]: rowidBind };
+  }
+  
+  const startTime = Date.now();
+  
+  try {
+    const result = await conn.execute(executeSql, executeBinds, { autoCommit: false });
+    const rowsAffected = result.rowsAffected || 0;
+    await assertRowsAffected(conn, rowsAffected, ceiling, { verb, sql });
+    const outRowids = result.outBinds && (Array.isArray(result.outBinds)
+      ? result.outBinds[result.outBinds.length - 1]
+      : result.outBinds[PREVIEW_ROWID_BIND]);
+    const rowids = target ? (outRowids || []).slice(0, limits.maxSampleSize) : [];
+    
+    const after = target ? await fetchRowsById(conn, target, rowids, { limits, role }) : null;
+    await conn.execute('ROLLBACK');
+    const before = target ? await fetchRowsById(conn, target, rowids, { limits, role }) : null;
+    
+    return {
+      success: true,
+      preview: true,
+      verb,
+      rowsAffected,
+      before,
+      after,
+      executionTime: Date.now() - startTime,
+      sql
+    };
+  } catch (error) {
+    try {
+      await conn.execute('ROLLBACK');
+    } catch {
+      // 忽略回滚错误
+    }
+    
+    throw error instanceof OracleMapError ? error : handleDmlError(error, sql);
+  }
+}
+
+/**
+ * 按脱敏规则处理 RETURNING ... INTO 的输出绑定
+ * 返回的表达式是简单列名时按列规则脱敏，其余只应用数据内容规则
+ * @param {Object|Array} outBinds - oracledb 返回的输出绑定（命名绑定为对象，位置绑定为数组）
+ * @param {string} sql - DML 语句
+ * @param {Object|null} role - 连接生效的策略角色
+ * @returns {Object|Array}
+ */
+function mapOutBinds(outBinds, sql, role) {
+  const masker = createMasker(referencedTableNames(sql), role);
+  if (!masker) {
+    return outBinds;
+  }
+  const columns = findReturningColumns(sql);
+  const maskValue = (value, column) => Array.isArray(value)
+    ? value.map(item => masker(column || '', item))
+    : masker(column || '', value);
+  
+  if (Array.isArray(outBinds)) {
+    return outBinds.map((value, index) => maskValue(value, columns[index] && columns[index].column));
+  }
+  return Object.fromEntries(Object.entries(outBinds).map(([name, value]) => {
+    const entry = columns.find(item => item.bind.toUpperCase() === name.toUpperCase());
+    return [name, maskValue(value, entry && entry.column)];
+  }));
+}
+
+/**
+ * 找出 RETURNING ... INTO 子句中每个输出绑定对应的列名
+ * @param {string} sql - DML 语句
+ * @returns {Array<{ bind: string, column: string|null }>} 按 INTO 中的顺序排列，表达式不是简单列名时 column 为 null
+ */
+function findReturningColumns(sql) {
+  const topLevel = topLevelTokens(tokenize(sql));
+  const returning = findKeyword(topLevel, ['RETURNING', 'RETURN']);
+  if (!returning) {
+    return [];
+  }
+  const clause = topLevel.slice(topLevel.indexOf(returning) + 1);
+  const intoIndex = clause.findIndex(token => isKeyword(token, 'INTO'));
+  if (intoIndex < 0) {
+    return [];
+  }
+  
+  const expressions = [[]];
+  for (const token of clause.slice(0, intoIndex)) {
+    if (token.type === TokenType.PUNCTUATION && token.value === ',') {
+      expressions.push([]);
+    } else {
+      expressions[expressions.length - 1].push(token);
+    }
+  }
+  const isColumnPart = token => token.type === TokenType.WORD
+    || token.type === TokenType.QUOTED_IDENTIFIER
+    || (token.type === TokenType.PUNCTUATION && token.value === '.');
+  
+  return clause.slice(intoIndex + 1)
+    .filter(token => token.type === TokenType.BIND)
+    .map((token, index) => {
+      const expression = expressions[index] || [];
+      const last = expression[expression.length - 1];
+      const simple = last && last.type !== TokenType.PUNCTUATION && expression.every(isColumnPart);
+      return { bind: token.name, column: simple ? last.name : null };
+    });
+}
+
+/**
+ * 找出 DML 目标表的影响行数上限（多表 INSERT 取各目标表中最小的上限）
+ * @param {string} sql - DML 语句
+ * @param {Object} limits - 连接生效的限制
+ * @returns {{ limit: number, source: string, table: string }|null} null 表示不限制
+ */
+function findRowsAffectedLimit(sql, limits) {
+  return findTableReferences(sql)
+    .filter(ref => ref.write)
+    .map(ref => {
+      const ceiling = getRowsAffectedLimit(ref.name, limits);
+      return ceiling && { ...ceiling, table: ref.name };
+    })
+    .filter(Boolean)
+    .reduce((lowest, ceiling) => (lowest === null || ceiling.limit < lowest.limit ? ceiling : lowest), null);
+}
+
+/**
+ * 构建影响行数超限错误
+ * @param {string} message - 错误消息
+ * @param {Object} ceiling - 影响行数上限
+ * @param {Object} details - 附加详情
+ * @returns {OracleMapError}
+ */
+function rowsAffectedError(message, ceiling, details) {
+  return new OracleMapError(ErrorCode.ROWS_AFFECTED_EXCEEDED, message, {
+    ...details,
+    limit: ceiling.limit,
+    table: ceiling.table,
+    suggestion: `请缩小 WHERE 条件分批执行，或调整连接配置中的 limits.${ceiling.source}`
+  });
+}
+
+/**
+ * 检查影响行数，超过上限时回滚并抛出错误
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {number} rowsAffected - 影响行数
+ * @param {Object|null} ceiling - 影响行数上限
+ * @param {{ verb: string, sql: string }} statement - DML 动词和执行的语句
+ * @returns {Promise<void>}
+ */
+async function assertRowsAffected(conn, rowsAffected, ceiling, { verb, sql }) {
+  if (!ceiling || rowsAffected <= ceiling.limit) {
+    return;
+  }
+  await conn.execute('ROLLBACK');
+  throw rowsAffectedError(
+    `${verb} 影响 ${rowsAffected} 行，超过表 ${ceiling.table} 的上限 ${ceiling.limit}（limits.${ceiling.source}），已回滚`,
+    ceiling,
+    { sql, rowsAffected }
+  );
+}
+
+/**
+ * 执行 UPDATE 前按同样的 WHERE 条件统计行数，超过上限时不执行
+ * 无法提取条件（如使用位置绑定变量）时跳过预检，仍由执行后的检查兜底
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {string} sql - UPDATE 语句
+ * @param {Object|Array} binds - 绑定变量
+ * @param {Object} ceiling - 影响行数上限
+ * @returns {Promise<void>}
+ */
+async function precountRowsAffected(conn, sql, binds, ceiling) {
+  const precount = buildPrecountSql(sql);
+  if (!precount || Array.isArray(binds)) {
+    return;
+  }
+  const countBinds = Object.fromEntries(Object.entries(binds).filter(([name]) => precount.bindNames.has(name.toUpperCase())));
+  
+  let count;
+  try {
+    const result = await conn.execute(precount.sql, countBinds);
+    count = result.rows[0][0];
+  } catch (error) {
+    throw handleDmlError(error, precount.sql);
+  }
+  if (count > ceiling.limit) {
+    throw rowsAffectedError(
+      `UPDATE 预计影响 ${count} 行，超过表 ${ceiling.table} 的上限 ${ceiling.limit}（limits.${ceiling.source}），未执行`,
+      ceiling,
+      { sql: precount.sql, rowsAffected: count }
+    );
   }
 }
 
+/**
+ * 由 UPDATE 语句构建统计受影响行数的 COUNT 查询：UPDATE t [alias] SET ... WHERE p → SELECT COUNT(*) FROM t [alias] WHERE p
+ * @param {string} sql - UPDATE 语句
+ * @returns {{ sql: string, bindNames: Set<string> }|null} bindNames 为条件中用到的绑定变量名（大写）
+ */
+function buildPrecountSql(sql) {
+  const body = stripTrailing(sql);
+  const tokens = tokenize(body);
+  const topLevel = topLevelTokens(tokens);
+  const setIndex = topLevel.findIndex(token => isKeyword(token, 'SET'));
+  const whereIndex = topLevel.findIndex(token => isKeyword(token, 'WHERE'));
+  if (setIndex < 0 || whereIndex < setIndex) {
+    return null;
+  }
+  // WHERE 条件到 RETURNING 或 LOG ERRORS 子句为止
+  const endToken = topLevel.slice(whereIndex + 1).find((token, index, rest) =>
+    isKeyword(token, 'RETURNING') || (isKeyword(token, 'LOG') && isKeyword(rest[index + 1], 'ERRORS')));
+  const whereToken = topLevel[whereIndex];
+  const end = endToken ? endToken.start : body.length;
+  
+  const table = body.slice(tokens[1].start, topLevel[setIndex].start).trim();
+  const predicate = body.slice(whereToken.end, end).trim();
+  const bindNames = new Set(tokens
+    .filter(token => token.type === TokenType.BIND && token.start > whereToken.start && token.start < end)
+    .map(token => token.name.toUpperCase()));
+  return { sql: `SELECT COUNT(*) FROM ${table} WHERE ${predicate}`, bindNames };
+}
+
+/**
+ * 过滤出括号外（顶层）的词法单元
+ * @param {Array<Object>} tokens - 词法单元
+ * @returns {Array<Object>}
+ */
+function topLevelTokens(tokens) {
+  let depth = 0;
+  return tokens.filter(token => {
+    if (token.type === TokenType.PUNCTUATION && token.value === '(') {
+      depth++;
+    } else if (token.type === TokenType.PUNCTUATION && token.value === ')') {
+      depth--;
+    }
+    return depth === 0;
+  });
+}
+
+/**
+ * 找出可以通过 RETURNING ROWID 取样的目标表
+ * 支持 UPDATE 和 INSERT ... VALUES；INSERT ... SELECT、多表 INSERT、远程表、已有 RETURNING 子句
+ * 和不允许读取的目标表返回 null
+ * @param {string} sql - DML 语句
+ * @param {Object|null} role - 连接生效的策略角色
+ * @returns {{ text: string, name: string }|null} 目标表在 SQL 中的原文（[owner.]name）和表名
+ */
+function findSampleTarget(sql, role) {
+  const tokens = tokenize(sql);
+  const topLevel = topLevelTokens(tokens);
+  if (findKeyword(topLevel, ['RETURNING', 'RETURN'])) {
+    return null;
+  }
+  if (isKeyword(tokens[0], 'INSERT') && (!isKeyword(tokens[1], 'INTO') || !findKeyword(topLevel, ['VALUES']))) {
+    return null;
+  }
+  
+  const target = findTableReferences(sql).find(ref => ref.write);
+  if (!target || target.dblink || !checkTableAccess(target.name, TableOperation.READ, role).allowed) {
+    return null;
+  }
+  return { text: sql.slice(target.start, target.end), name: target.name };
+}
+
+/**
+ * 按 ROWID 读取样本行（已按脱敏规则处理）
+ * @param {oracledb.Connection} conn - 数据库连接
+ * @param {{ text: string, name: string }} target - 目标表
+ * @param {string[]} rowids - ROWID 列表
+ * @param {{ limits: Object, role: Object|null }} policy - 连接生效的限制和策略角色
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchRowsById(conn, target, rowids, { limits, role }) {
+  if (rowids.length === 0) {
+    return [];
+  }
+  const placeholders = rowids.map((_, index) => `:rid${index}`).join(', ');
+  const binds = Object.fromEntries(rowids.map((rowid, index) => [`rid${index}`, rowid]));
+  const result = await conn.execute(`SELECT * FROM ${target.text} WHERE ROWID IN (${placeholders}) ORDER BY ROWID`, binds, {
+    outFormat: 4002, // oracledb.OUT_FORMAT_OBJECT
+    fetchAsString: [2017], // 2017 = oracledb.CLOB
+    fetchAsBuffer: [2019] // 2019 = oracledb.BLOB
+  });
+  return mapQueryResult(result, { tables: [target.name], limits, role }).data;
+}
+
 /**
  * 特殊值标记（用于 SQL 表达式如 SYSDATE）
  */
@@ -513,6 +1118,9 @@ function processInsertValue(value, columnName) {
  * @param {oracledb.Connection} conn - 数据库连接
  * @param {string} tableName - 表名
  * @param {Object} data - JSON 数据对象
+ * @param {Object} [options] - 执行选项
+ * @param {Array<Object>} [options.rowFilters] - 行级过滤规则，过滤列会自动填充
+ * @param {Object|null} [options.role] - 连接生效的策略角色
  * @returns {Promise<Object>}
  * 
  * 支持的值格式：
@@ -522,9 +1130,11 @@ function processInsertValue(value, columnName) {
  * - 时间戳对象: { "$timestamp": "2025-12-19 10:30:00" }
  * - 表达式对象: { "$expr": "SYSDATE" }
  */
-export async function insertRecord(conn, tableName, data) {
-  // 检查表白名单
-  const access = checkTableAccess(tableName);
+export async function insertRecord(conn, tableName, data, options = {}) {
+  const tableSql = formatTableName(tableName);
+  
+  // 检查表的写入权限
+  const access = checkTableAccess(tableName, TableOperation.WRITE, options.role || null);
   if (!access.allowed) {
     throw new OracleMapError(ErrorCode.ACCESS_DENIED, access.message);
   }
@@ -537,20 +1147,23 @@ export async function insertRecord(conn, tableName, data) {
     );
   }
   
-  const columns = Object.keys(data);
-  if (columns.length === 0) {
+  if (Object.keys(data).length === 0) {
     throw new OracleMapError(
       ErrorCode.SQL_SYNTAX_ERROR,
       'data 对象不能为空'
     );
   }
   
+  // 行级过滤：填充过滤列，拒绝写入其他租户的数据
+  const record = applyRowFilterValues(tableName, data, options.rowFilters);
+  const columns = Object.keys(record);
+  
   // 处理每个值，分离绑定变量和 SQL 表达式
   const bindValues = {};
   const placeholders = [];
   
   for (const col of columns) {
-    const processed = processInsertValue(data[col], col);
+    const processed = processInsertValue(record[col], col);
     
     if (processed.isExpression) {
       // SQL 表达式直接放入 SQL
@@ -563,7 +1176,7 @@ export async function insertRecord(conn, tableName, data) {
   }
   
   // 构建 SQL
-  const sql = `INSERT INTO ${tableName.toUpperCase()} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`;
+  const sql = `INSERT INTO ${tableSql} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`;
   
   const startTime = Date.now();
   
@@ -595,6 +1208,11 @@ export async function insertRecord(conn, tableName, data) {
 function handleDmlError(error, sql) {
   const oraError = error.message || '';
   
+  const interrupted = handleInterruptError(oraError, sql);
+  if (interrupted) {
+    return interrupted;
+  }
+  
   // ORA-00942: 表或视图不存在
   if (oraError.includes('ORA-00942')) {
     return new OracleMapError(
@@ -648,8 +1266,24 @@ function handleDmlError(error, sql) {
   );
 }
 
+/**
+ * DBMS_XPLAN 表格中数值的单位后缀（如 1237K、15M）
+ */
+const PLAN_NUMBER_UNITS = { '': 1, K: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+/**
+ * 解析执行计划表格中的数值，如 "3   (0)"、"1237K"
+ * @param {string} cell - 单元格内容
+ * @returns {number|null}
+ */
+function parsePlanNumber(cell) {
+  const match = (cell || '').match(/^(\d+)\s*([KMGT]?)/i);
+  return match ? parseInt(match[1], 10) * PLAN_NUMBER_UNITS[match[2].toUpperCase()] : null;
+}
+
 /**
  * 分析执行计划，提取关键性能指标
+ * 成本和行数取自 DBMS_XPLAN 表格的 Cost / Rows 列（或 Cost=、Rows= 形式的文本），取各步骤的最大值
  * @param {string[]} planLines - 执行计划行
  * @returns {Object}
  */
@@ -660,10 +1294,31 @@ function analyzePlan(planLines) {
     estimatedCost: null,
     estimatedRows: null
   };
+  const takeMax = (key, value) => {
+    if (value !== null && (analysis[key] === null || value > analysis[key])) {
+      analysis[key] = value;
+    }
+  };
+  // 表格表头 | Id | Operation | Name | Rows | Bytes | Cost (%CPU)| Time | 中 Cost 和 Rows 所在的列
+  let costColumn = -1;
+  let rowsColumn = -1;
   
   for (const line of planLines) {
     const upperLine = line.toUpperCase();
     
+    const cells = line.split('|').map(cell => cell.trim());
+    if (cells.includes('Id')) {
+      costColumn = cells.findIndex(cell => /^Cost\b/i.test(cell));
+      rowsColumn = cells.indexOf('Rows');
+    } else if (cells.length > 2 && /^\*?\s*\d+$/.test(cells[1])) {
+      if (costColumn > 0) {
+        takeMax('estimatedCost', parsePlanNumber(cells[costColumn]));
+      }
+      if (rowsColumn > 0) {
+        takeMax('estimatedRows', parsePlanNumber(cells[rowsColumn]));
+      }
+    }
+    
     // 检测全表扫描
     if (upperLine.includes('TABLE ACCESS FULL')) {
       const tableMatch = line.match(/TABLE ACCESS FULL\s*\|\s*(\w+)/i);
@@ -709,19 +1364,13 @@ function analyzePlan(planLines) {
     // 提取 Cost 信息
     const costMatch = line.match(/Cost\s*[=:]\s*(\d+)/i);
     if (costMatch) {
-      const cost = parseInt(costMatch[1], 10);
-      if (analysis.estimatedCost === null || cost > analysis.estimatedCost) {
-        analysis.estimatedCost = cost;
-      }
+      takeMax('estimatedCost', parseInt(costMatch[1], 10));
     }
     
     // 提取 Rows 信息
     const rowsMatch = line.match(/Rows\s*[=:]\s*(\d+)/i);
     if (rowsMatch) {
-      const rows = parseInt(rowsMatch[1], 10);
-      if (analysis.estimatedRows === null || rows > analysis.estimatedRows) {
-        analysis.estimatedRows = rows;
-      }
+      takeMax('estimatedRows', parseInt(rowsMatch[1], 10));
     }
   }
   
@@ -0,0 +1,174 @@
+/**
+ * 行级过滤
+ * 连接配置的 rowFilters（如 TENANT_ID = 42）以绑定变量谓词的形式附加到表查询上，
+ * 自由 SQL 中读取的表会被改写为带过滤条件的内联视图，使该连接只能看到指定租户的数据
+ */
+
+import { compileTablePattern, ALWAYS_ALLOWED_TABLES } from '../config/security.js';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+import { findTableReferences } from './references.js';
+
+/**
+ * 行过滤条件使用的绑定变量名前缀
+ */
+export const ROW_FILTER_BIND_PREFIX = 'mcp_rf';
+
+/**
+ * 编译行过滤规则
+ * DUAL 等始终允许访问的表没有过滤列，不受约束
+ * @param {Array<{ column: string, value: string|number, tables?: string[] }>} rowFilters - 连接配置中的规则
+ * @returns {Array<Object>}
+ */
+function compileRowFilters(rowFilters = []) {
+  return rowFilters.map((filter, index) => {
+    const patterns = (filter.tables || ['*']).map(compileTablePattern);
+    const allow = patterns.filter(p => !p.negated);
+    const deny = patterns.filter(p => p.negated);
+    return {
+      column: filter.column.toUpperCase(),
+      value: filter.value,
+      bind: `${ROW_FILTER_BIND_PREFIX}${index}`,
+      matches: (tableName) => {
+        const name = tableName.toUpperCase();
+        return !ALWAYS_ALLOWED_TABLES.includes(name)
+          && (allow.length === 0 || allow.some(p => p.test(name)))
+          && !deny.some(p => p.test(name));
+      }
+    };
+  });
+}
+
+/**
+ * 判断表是否受行过滤约束
+ * @param {string} tableName - 表名
+ * @param {Array<Object>} [rowFilters] - 连接配置中的规则
+ * @returns {boolean}
+ */
+export function hasRowFilter(tableName, rowFilters = []) {
+  return compileRowFilters(rowFilters).some(filter => filter.matches(tableName));
+}
+
+/**
+ * 构建表的过滤谓词
+ * @param {string} tableName - 表名
+ * @param {Array<Object>} [rowFilters] - 连接配置中的规则
+ * @returns {{ predicate: string, binds: Object }|null} 表不受约束时返回 null
+ */
+export function buildRowFilterPredicate(tableName, rowFilters = []) {
+  const filters = compileRowFilters(rowFilters).filter(filter => filter.matches(tableName));
+  if (filters.length === 0) {
+    return null;
+  }
+  return {
+    predicate: filters.map(filter => `"${filter.column}" = :${filter.bind}`).join(' AND '),
+    binds: Object.fromEntries(filters.map(filter => [filter.bind, filter.value]))
+  };
+}
+
+/**
+ * 改写自由 SQL：把读取的受约束表替换为带过滤条件的内联视图
+ * 如 FROM orders o 改写为 FROM (SELECT * FROM orders WHERE "TENANT_ID" = :mcp_rf0) o，
+ * 没有别名时以表名作为别名，原 SQL 中的 orders.col 写法仍然有效；
+ * 受约束的表带有 AS OF / VERSIONS 闪回子句时无法改写，直接拒绝（闪回查询请使用 oracle_flashback_query）
+ * @param {string} sql - 已通过校验的 SQL 语句
+ * @param {Array<Object>} [rowFilters] - 连接配置中的规则
+ * @returns {{ sql: string, binds: Object }}
+ */
+export function applyRowFilters(sql, rowFilters = []) {
+  if (rowFilters.length === 0) {
+    return { sql, binds: {} };
+  }
+
+  const binds = {};
+  let rewritten = sql;
+  // 从后往前替换，前面引用的偏移保持不变
+  const references = findTableReferences(sql).filter(ref => !ref.write).reverse();
+  for (const ref of references) {
+    const filter = buildRowFilterPredicate(ref.name, rowFilters);
+    if (!filter) {
+      continue;
+    }
+    if (ref.flashback) {
+      throw new OracleMapError(
+        ErrorCode.ACCESS_DENIED,
+        `当前连接对表 ${ref.name} 启用了行级过滤，不支持在 SQL 中对其使用 AS OF / VERSIONS 闪回子句`,
+        { table: ref.name, suggestion: '闪回查询请使用 oracle_flashback_query 的 asOfTimestamp 参数' }
+      );
+    }
+    Object.assign(binds, filter.binds);
+    const alias = ref.alias ? '' : ` "${ref.name}"`;
+    rewritten = `${rewritten.slice(0, ref.start)}(SELECT * FROM ${sql.slice(ref.start, ref.end)} WHERE ${filter.predicate})${alias}${rewritten.slice(ref.end)}`;
+  }
+  return { sql: rewritten, binds };
+}
+
+/**
+ * 检查自由 DML 是否写入受行过滤约束的表
+ * INSERT / UPDATE / MERGE 的目标表无法可靠地附加过滤条件，直接拒绝（单条插入请使用 oracle_insert_record）
+ * @param {string} sql - 已通过校验的 DML 语句
+ * @param {Array<Object>} [rowFilters] - 连接配置中的规则
+ */
+export function assertNoFilteredWriteTargets(sql, rowFilters = []) {
+  const targets = findTableReferences(sql)
+    .filter(ref => ref.write && hasRowFilter(ref.name, rowFilters))
+    .map(ref => ref.name);
+  if (targets.length > 0) {
+    throw new OracleMapError(
+      ErrorCode.ACCESS_DENIED,
+      `当前连接对表 ${Array.from(new Set(targets)).join(', ')} 启用了行级过滤，不允许通过自由 DML 写入`,
+      { tables: targets, suggestion: '插入单条记录请使用 oracle_insert_record，过滤列会自动填充' }
+    );
+  }
+}
+
+/**
+ * 为插入的记录填充过滤列
+ * 记录中已有过滤列且取值不同时拒绝，防止写入其他租户的数据
+ * @param {string} tableName - 表名
+ * @param {Object} data - 记录
+ * @param {Array<Object>} [rowFilters] - 连接配置中的规则
+ * @returns {Object} 填充后的新记录
+ */
+export function applyRowFilterValues(tableName, data, rowFilters = []) {
+  const result = { ...data };
+  for (const filter of compileRowFilters(rowFilters).filter(f => f.matches(tableName))) {
+    const key = Object.keys(result).find(k => k.toUpperCase() === filter.column);
+    if (key === undefined) {
+      result[filter.column] = filter.value;
+    } else if (String(result[key]) !== String(filter.value)) {
+      throw new OracleMapError(
+        ErrorCode.ACCESS_DENIED,
+        `当前连接只允许写入 ${filter.column} = ${filter.value} 的数据`,
+        { field: key }
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * 合并调用方的绑定变量和行过滤的绑定变量
+ * @param {Object|Array} binds - 调用方的绑定变量
+ * @param {Object} filterBinds - 行过滤的绑定变量
+ * @returns {Object|Array}
+ */
+export function mergeRowFilterBinds(binds, filterBinds) {
+  const names = Object.keys(filterBinds);
+  if (names.length === 0) {
+    return binds;
+  }
+  if (Array.isArray(binds)) {
+    throw new OracleMapError(
+      ErrorCode.SQL_SYNTAX_ERROR,
+      '当前连接启用了行级过滤，请使用命名绑定变量（:name）而不是位置绑定'
+    );
+  }
+  const conflict = names.find(name => Object.prototype.hasOwnProperty.call(binds || {}, name));
+  if (conflict) {
+    throw new OracleMapError(
+      ErrorCode.SQL_SYNTAX_ERROR,
+      `绑定变量名 ${conflict} 为行级过滤保留，请换一个名称`
+    );
+  }
+  return { ...binds, ...filterBinds };
+}
@@ -0,0 +1,269 @@
+/**
+ * Oracle SQL 词法分析
+ * 识别字符串字面量（含 N'...' 和 q'[...]' 引用）、双引号标识符、单行和块注释、绑定变量和语句边界，
+ * 供 SQL 校验使用：字符串和注释中的内容不会被当作关键字，注释也无法用来拆分关键字绕过检查
+ */
+
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 词法单元类型
+ */
+export const TokenType = {
+  WORD: 'word', // 未加引号的标识符或关键字
+  QUOTED_IDENTIFIER: 'quoted_identifier', // "Mixed Case" 形式的标识符
+  STRING: 'string',
+  NUMBER: 'number',
+  BIND: 'bind', // :name 或 :1
+  OPERATOR: 'operator',
+  PUNCTUATION: 'punctuation', // ( ) , . ;
+  COMMENT: 'comment'
+};
+
+/**
+ * q 引用中成对出现的分隔符
+ */
+const Q_QUOTE_CLOSERS = { '[': ']', '{': '}', '(': ')', '<': '>' };
+
+/**
+ * 多字符运算符（按长度优先匹配）
+ */
+const MULTI_CHAR_OPERATORS = ['||', '<=', '>=', '<>', '!=', '^=', '~=', '=>', '**'];
+
+const PUNCTUATION_CHARS = new Set(['(', ')', ',', '.', ';']);
+
+const WORD_START = /[\p{L}]/u;
+const WORD_PART = /[\p{L}\p{N}_$#]/u;
+const NUMBER_PATTERN = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?[fFdD]?/y;
+const BIND_PATTERN = /:(?:[\p{L}\p{N}_$#]+)/uy;
+
+/**
+ * 格式化词法单元位置，用于错误消息
+ * @param {{ line: number, column: number }} position - 位置
+ * @returns {string}
+ */
+export function formatPosition(position) {
+  return `第 ${position.line} 行第 ${position.column} 列`;
+}
+
+/**
+ * 将 SQL 拆分为词法单元
+ * @param {string} sql - SQL 文本
+ * @param {Object} [options]
+ * @param {boolean} [options.includeComments] - 是否保留注释（默认丢弃）
+ * @returns {Array<{ type: string, value: string, name?: string, start: number, end: number, line: number, column: number }>}
+ *   WORD 的 name 为大写形式，QUOTED_IDENTIFIER 的 name 为引号内的原样名称
+ */
+export function tokenize(sql, options = {}) {
+  const { includeComments = false } = options;
+  const lineStarts = [0];
+  for (let i = 0; i < sql.length; i++) {
+    if (sql[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  const positionAt = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+  const unterminated = (what, offset) => {
+    const position = positionAt(offset);
+    return new OracleMapError(
+      ErrorCode.SQL_SYNTAX_ERROR,
+      `${what}未闭合（${formatPosition(position)}）`,
+      position
+    );
+  };
+
+  const tokens = [];
+  const push = (type, start, end, extra = {}) => {
+    tokens.push({ type, value: sql.slice(start, end), ...extra, start, end, ...positionAt(start) });
+  };
+
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // 单行注释
+    if (ch === '-' && next === '-') {
+      const newline = sql.indexOf('\n', i);
+      const end = newline === -1 ? sql.length : newline;
+      if (includeComments) {
+        push(TokenType.COMMENT, i, end);
+      }
+      i = end;
+      continue;
+    }
+
+    // 块注释（包括 /*+ hint */）
+    if (ch === '/' && next === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      if (close === -1) {
+        throw unterminated('注释', i);
+      }
+      if (includeComments) {
+        push(TokenType.COMMENT, i, close + 2);
+      }
+      i = close + 2;
+      continue;
+    }
+
+    // q 引用字符串：q'[...]'、Q'{...}'、nq'<...>'、q'!...!'
+    const qOffset = /[nN]/.test(ch) && /[qQ]/.test(next) ? 1 : 0;
+    if (/[qQ]/.test(sql[i + qOffset]) && sql[i + qOffset + 1] === '\'') {
+      const delimiter = sql[i + qOffset + 2];
+      if (delimiter === undefined || /\s/.test(delimiter)) {
+        throw new OracleMapError(
+          ErrorCode.SQL_SYNTAX_ERROR,
+          `q 引用的分隔符无效（${formatPosition(positionAt(i))}）`,
+          positionAt(i)
+        );
+      }
+      const terminator = (Q_QUOTE_CLOSERS[delimiter] || delimiter) + '\'';
+      const close = sql.indexOf(terminator, i + qOffset + 3);
+      if (close === -1) {
+        throw unterminated('字符串', i);
+      }
+      push(TokenType.STRING, i, close + 2);
+      i = close + 2;
+      continue;
+    }
+
+    // 普通字符串和 N'...'，'' 表示一个单引号
+    const nOffset = /[nN]/.test(ch) && next === '\'' ? 1 : 0;
+    if (sql[i + nOffset] === '\'') {
+      let j = i + nOffset + 1;
+      while (true) {
+        const close = sql.indexOf('\'', j);
+        if (close === -1) {
+          throw unterminated('字符串', i);
+        }
+        if (sql[close + 1] === '\'') {
+          j = close + 2;
+          continue;
+        }
+        j = close + 1;
+        break;
+      }
+      push(TokenType.STRING, i, j);
+      i = j;
+      continue;
+    }
+
+    // 双引号标识符
+    if (ch === '"') {
+      const close = sql.indexOf('"', i + 1);
+      if (close === -1) {
+        throw unterminated('标识符引号', i);
+      }
+      push(TokenType.QUOTED_IDENTIFIER, i, close + 1, { name: sql.slice(i + 1, close) });
+      i = close + 1;
+      continue;
+    }
+
+    if (WORD_START.test(ch)) {
+      let j = i + 1;
+      while (j < sql.length && WORD_PART.test(sql[j])) {
+        j++;
+      }
+      push(TokenType.WORD, i, j, { name: sql.slice(i, j).toUpperCase() });
+      i = j;
+      continue;
+    }
+
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+      NUMBER_PATTERN.lastIndex = i;
+      NUMBER_PATTERN.exec(sql);
+      push(TokenType.NUMBER, i, NUMBER_PATTERN.lastIndex);
+      i = NUMBER_PATTERN.lastIndex;
+      continue;
+    }
+
+    if (ch === ':') {
+      BIND_PATTERN.lastIndex = i;
+      if (BIND_PATTERN.exec(sql)) {
+        push(TokenType.BIND, i, BIND_PATTERN.lastIndex, { name: sql.slice(i + 1, BIND_PATTERN.lastIndex) });
+        i = BIND_PATTERN.lastIndex;
+        continue;
+      }
+    }
+
+    if (PUNCTUATION_CHARS.has(ch)) {
+      push(TokenType.PUNCTUATION, i, i + 1);
+      i++;
+      continue;
+    }
+
+    const operator = MULTI_CHAR_OPERATORS.find(op => sql.startsWith(op, i)) || ch;
+    push(TokenType.OPERATOR, i, i + operator.length);
+    i += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * 按分号拆分语句，空语句会被忽略
+ * @param {Array<Object>} tokens - 词法单元
+ * @returns {Array<Array<Object>>} 每条语句的词法单元（不含分号）
+ */
+export function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token.type === TokenType.PUNCTUATION && token.value === ';') {
+      if (current.length > 0) {
+        statements.push(current);
+      }
+      current = [];
+      continue;
+    }
+    if (token.type !== TokenType.COMMENT) {
+      current.push(token);
+    }
+  }
+  if (current.length > 0) {
+    statements.push(current);
+  }
+  return statements;
+}
+
+/**
+ * 判断词法单元是否为指定关键字（未加引号的单词）
+ * @param {Object} token - 词法单元
+ * @param {...string} keywords - 大写关键字
+ * @returns {boolean}
+ */
+export function isKeyword(token, ...keywords) {
+  return Boolean(token) && token.type === TokenType.WORD && keywords.includes(token.name);
+}
+
+/**
+ * 查找第一个作为关键字出现的单词
+ * 跟在 . 后面的单词是列名或对象名（如 t.truncate），不视为关键字
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {Array<string>} keywords - 大写关键字
+ * @returns {Object|null}
+ */
+export function findKeyword(tokens, keywords) {
+  return tokens.find((token, index) => {
+    const previous = tokens[index - 1];
+    const qualified = previous && previous.type === TokenType.PUNCTUATION && previous.value === '.';
+    return !qualified && isKeyword(token, ...keywords);
+  }) || null;
+}
@@ -0,0 +1,419 @@
+/**
+ * 表引用提取
+ * 基于词法分析找出 SQL 中引用的所有表和视图（FROM 列表、JOIN、子查询、INSERT/MERGE INTO、UPDATE、MERGE USING），
+ * WITH 子句中定义的查询名在其作用域内不算表引用。INSERT/MERGE INTO 和 UPDATE 的目标表标记为写入
+ */
+
+import { tokenize, isKeyword, TokenType } from './lexer.js';
+import { OracleMapError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * 之后紧跟表引用列表的关键字（逗号分隔，可以继续 JOIN）
+ */
+const TABLE_LIST_KEYWORDS = ['FROM'];
+
+/**
+ * 之后紧跟单个表引用的关键字
+ */
+const SINGLE_TABLE_KEYWORDS = ['INTO', 'UPDATE', 'USING'];
+
+/**
+ * 引出写入目标表的关键字
+ */
+const WRITE_TARGET_KEYWORDS = ['INTO', 'UPDATE'];
+
+/**
+ * FROM 列表中引出下一个表引用的关键字
+ */
+const JOIN_KEYWORDS = ['JOIN', 'APPLY'];
+
+/**
+ * 结束 FROM 列表的关键字
+ */
+const CLAUSE_END_KEYWORDS = [
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'CONNECT', 'START', 'UNION', 'INTERSECT', 'MINUS', 'EXCEPT',
+  'FETCH', 'OFFSET', 'FOR', 'MODEL', 'WINDOW', 'RETURNING', 'RETURN', 'LOG', 'SET', 'VALUES', 'SELECT', 'WHEN'
+];
+
+/**
+ * 后面跟括号时表示集合表达式或子查询，而不是表名
+ * ONLY (t) 括号中是表名，单独处理
+ */
+const COLLECTION_KEYWORDS = ['TABLE', 'LATERAL', 'THE', 'XMLTABLE', 'JSON_TABLE'];
+
+/**
+ * 括号中以这些关键字开头时是子查询（其中的 FROM 会单独处理），否则是加了括号的表引用或 JOIN
+ */
+const SUBQUERY_KEYWORDS = ['SELECT', 'WITH'];
+
+/**
+ * 出现在表引用位置但不是表名的关键字（如 MERGE 中的 UPDATE SET、FOR UPDATE OF）
+ */
+const NON_TABLE_WORDS = ['SET', 'SELECT', 'WITH', 'VALUES', 'OF', 'NOWAIT', 'WAIT', 'SKIP'];
+
+/**
+ * 跟在表名后面但不是别名的关键字
+ */
+const NON_ALIAS_WORDS = [
+  'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON', 'USING', 'APPLY',
+  'GROUP', 'ORDER', 'HAVING', 'CONNECT', 'START', 'UNION', 'INTERSECT', 'MINUS', 'EXCEPT', 'FETCH', 'OFFSET',
+  'FOR', 'PARTITION', 'SUBPARTITION', 'SAMPLE', 'PIVOT', 'UNPIVOT', 'MODEL', 'WINDOW', 'VERSIONS',
+  'SET', 'VALUES', 'RETURNING', 'RETURN', 'LOG', 'WHEN', 'SELECT', 'WITH'
+];
+
+/**
+ * 参数中包含 FROM 的函数，如 EXTRACT(YEAR FROM hire_date)、TRIM(LEADING '0' FROM code)
+ */
+const FROM_FUNCTIONS = ['EXTRACT', 'TRIM'];
+
+const isName = (token) => Boolean(token) && (token.type === TokenType.WORD || token.type === TokenType.QUOTED_IDENTIFIER);
+const isPunctuation = (token, value) => Boolean(token) && token.type === TokenType.PUNCTUATION && token.value === value;
+
+/**
+ * 提取 SQL 中引用的表和视图
+ * @param {string} sql - SQL 语句
+ * @returns {Array<{ owner: string|null, name: string, dblink: string|null, write: boolean, line: number, column: number }>}
+ *   按出现顺序去重；未加引号的名称为大写；同一张表既被读取又被写入时 write 为 true
+ */
+export function extractTableReferences(sql) {
+  const references = new Map();
+  for (const occurrence of findTableReferences(sql)) {
+    const { start, end, alias, flashback, ...reference } = occurrence;
+    const key = `${reference.owner || ''}.${reference.name}@${reference.dblink || ''}`;
+    if (!references.has(key)) {
+      references.set(key, reference);
+    } else if (reference.write) {
+      references.get(key).write = true;
+    }
+  }
+  return Array.from(references.values());
+}
+
+/**
+ * 查找 SQL 中每一处表引用（不去重），用于改写 SQL
+ * @param {string} sql - SQL 语句
+ * @returns {Array<Object>} 在 extractTableReferences 的字段之外，start / end 为引用文本（[owner.]name[@dblink]，
+ *   ONLY (name) 时包括 ONLY 和括号）在 SQL 中的偏移，alias 表示后面是否跟有别名，
+ *   flashback 表示后面跟有 AS OF / VERSIONS 闪回查询子句
+ */
+export function findTableReferences(sql) {
+  const tokens = tokenize(sql);
+  const queryScopes = collectQueryScopes(tokens);
+  const references = [];
+
+  const isQueryName = (reference) => queryScopes.some(scope =>
+    scope.name === reference.name && scope.start <= reference.start && reference.start < scope.end);
+  const add = (reference) => {
+    if (reference && (reference.owner || reference.dblink || !isQueryName(reference))) {
+      references.push(reference);
+    }
+  };
+
+  // 记录每层括号前的单词，用于识别 EXTRACT(... FROM ...) 这类函数参数
+  const openers = [];
+  tokens.forEach((token, index) => {
+    if (isPunctuation(token, '(')) {
+      const previous = tokens[index - 1];
+      openers.push(previous && previous.type === TokenType.WORD ? previous.name : null);
+      return;
+    }
+    if (isPunctuation(token, ')')) {
+      openers.pop();
+      return;
+    }
+
+    if (isKeyword(token, ...TABLE_LIST_KEYWORDS)) {
+      if (!FROM_FUNCTIONS.includes(openers[openers.length - 1])) {
+        readTableList(tokens, index + 1).forEach(add);
+      }
+    } else if (isKeyword(token, ...SINGLE_TABLE_KEYWORDS)) {
+      const { references: targets } = readTableReference(tokens, index + 1, { columnList: true });
+      const write = isKeyword(token, ...WRITE_TARGET_KEYWORDS);
+      targets.forEach(reference => add({ ...reference, write }));
+    }
+  });
+
+  return references;
+}
+
+/**
+ * 校验调用方传入的表名并转换为可以拼接到 SQL 中的文本
+ * 只接受 [owner.]name 形式的标识符（各部分可以加双引号），未加引号的部分转为大写
+ * @param {string} tableName - 表名
+ * @returns {string}
+ */
+export function formatTableName(tableName) {
+  let tokens = [];
+  try {
+    tokens = typeof tableName === 'string' ? tokenize(tableName, { includeComments: true }) : [];
+  } catch {
+    // 未闭合的引号等，按无效表名处理
+  }
+  const valid = tokens.length % 2 === 1 && tokens.length <= 3
+    && tokens.every((token, index) => (index % 2 === 0 ? isName(token) : isPunctuation(token, '.')));
+  if (!valid) {
+    throw new OracleMapError(ErrorCode.INVALID_PARAMETER, `无效的表名: ${tableName}`, {
+      suggestion: '表名只能是 name 或 owner.name 形式的标识符，包含特殊字符时请加双引号'
+    });
+  }
+  return tokens
+    .filter(isName)
+    .map(token => (token.type === TokenType.QUOTED_IDENTIFIER ? `"${token.name}"` : token.name))
+    .join('.');
+}
+
+/**
+ * 收集 WITH 子句中定义的查询名及其作用域
+ * 只有 name [(c1, c2)] AS ( 形式的定义才算查询名（START WITH、TIMESTAMP WITH TIME ZONE 等不是 WITH 子句）；
+ * 查询名只在同一 WITH 子句中之后的定义和该查询块的主查询中可见，带列名列表的定义（递归 WITH）在自身中也可见
+ * @param {Array<Object>} tokens - 词法单元
+ * @returns {Array<{ name: string, start: number, end: number }>} start / end 为作用域在 SQL 中的偏移
+ */
+function collectQueryScopes(tokens) {
+  const scopes = [];
+  tokens.forEach((token, index) => {
+    if (!isKeyword(token, 'WITH') || isKeyword(tokens[index - 1], 'START')) {
+      return;
+    }
+    const blockEnd = findBlockEnd(tokens, index);
+    let i = index + 1;
+    while (isName(tokens[i]) && !isKeyword(tokens[i], 'FUNCTION', 'PROCEDURE')) {
+      const nameToken = tokens[i];
+      let j = i + 1;
+      // 可选的列名列表：name (c1, c2) AS (...)
+      const recursive = isPunctuation(tokens[j], '(');
+      if (recursive) {
+        j = skipParentheses(tokens, j);
+      }
+      if (!isKeyword(tokens[j], 'AS') || !isPunctuation(tokens[j + 1], '(')) {
+        break;
+      }
+      const bodyEnd = skipParentheses(tokens, j + 1);
+      scopes.push({
+        name: nameToken.name,
+        start: recursive ? tokens[j + 1].start : tokens[bodyEnd - 1].end,
+        end: blockEnd
+      });
+      i = bodyEnd;
+      // SEARCH / CYCLE 子句之后的逗号不常见，遇到其他内容即结束
+      if (!isPunctuation(tokens[i], ',')) {
+        break;
+      }
+      i++;
+    }
+  });
+  return scopes;
+}
+
+/**
+ * 查找 WITH 所在查询块的结束位置（包住该查询块的右括号，没有时为 SQL 末尾）
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} start - WITH 的位置
+ * @returns {number} 结束偏移
+ */
+function findBlockEnd(tokens, start) {
+  let depth = 0;
+  for (let i = start + 1; i < tokens.length; i++) {
+    if (isPunctuation(tokens[i], '(')) {
+      depth++;
+    } else if (isPunctuation(tokens[i], ')')) {
+      if (depth === 0) {
+        return tokens[i].start;
+      }
+      depth--;
+    }
+  }
+  return Infinity;
+}
+
+/**
+ * 读取 FROM 之后的表引用列表
+ * 逗号、JOIN 和 APPLY 引出下一个表引用，遇到 WHERE 等子句关键字或外层右括号时结束；
+ * 加了括号的表引用和 JOIN（FROM (a JOIN b ON ...)）递归读取
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} start - FROM 之后的位置
+ * @returns {Array<Object>}
+ */
+function readTableList(tokens, start) {
+  const references = [];
+  let expectTable = true;
+  let depth = 0;
+  let i = start;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (depth === 0 && expectTable) {
+      const { references: found, next } = readTableReference(tokens, i, { nested: true });
+      references.push(...found);
+      expectTable = false;
+      i = next;
+      continue;
+    }
+
+    if (isPunctuation(token, '(')) {
+      depth++;
+    } else if (isPunctuation(token, ')')) {
+      if (depth === 0) {
+        break;
+      }
+      depth--;
+    } else if (depth === 0) {
+      if (isPunctuation(token, ',') || isKeyword(token, ...JOIN_KEYWORDS)) {
+        expectTable = true;
+      } else if (isKeyword(token, ...CLAUSE_END_KEYWORDS)) {
+        break;
+      }
+    }
+    i++;
+  }
+
+  return references;
+}
+
+/**
+ * 读取一个表引用：[owner.]name[@dblink]
+ * 子查询、集合表达式和表函数会被跳过（其中的 FROM 会单独处理）；
+ * ONLY (name) 读取括号中的表，FROM 列表中加了括号的表引用和 JOIN 读取其中的每个表
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} start - 起始位置
+ * @param {Object} [options]
+ * @param {boolean} [options.columnList] - 名称后的括号是列名列表（INSERT INTO t (c1, c2)）而不是表函数参数
+ * @param {boolean} [options.nested] - 位于 FROM 列表中，括号可以包住表引用或 JOIN
+ *   （其他位置的括号如 JOIN ... USING (id) 是列名列表）
+ * @returns {{ references: Array<Object>, next: number }}
+ */
+function readTableReference(tokens, start, options = {}) {
+  const token = tokens[start];
+
+  if (isPunctuation(token, '(')) {
+    const next = skipParentheses(tokens, start);
+    if (!options.nested || isKeyword(tokens[start + 1], ...SUBQUERY_KEYWORDS) || isPunctuation(tokens[start + 1], ')')) {
+      return { references: [], next };
+    }
+    return { references: readTableList(tokens, start + 1), next };
+  }
+  if (isKeyword(token, 'ONLY') && isPunctuation(tokens[start + 1], '(')) {
+    return readOnlyReference(tokens, start, options);
+  }
+  if (isKeyword(token, ...COLLECTION_KEYWORDS) && isPunctuation(tokens[start + 1], '(')) {
+    return { references: [], next: skipParentheses(tokens, start + 1) };
+  }
+  if (!isName(token) || isKeyword(token, ...NON_TABLE_WORDS)) {
+    return { references: [], next: start };
+  }
+
+  const parts = [token.name];
+  let i = start + 1;
+  while (isPunctuation(tokens[i], '.') && isName(tokens[i + 1])) {
+    parts.push(tokens[i + 1].name);
+    i += 2;
+  }
+
+  let dblink = null;
+  if (tokens[i] && tokens[i].type === TokenType.OPERATOR && tokens[i].value === '@' && isName(tokens[i + 1])) {
+    const linkParts = [tokens[i + 1].name];
+    i += 2;
+    while (isPunctuation(tokens[i], '.') && isName(tokens[i + 1])) {
+      linkParts.push(tokens[i + 1].name);
+      i += 2;
+    }
+    dblink = linkParts.join('.');
+  }
+
+  // 名称后紧跟括号的是表函数，如 FROM my_pipelined_fn(1)
+  if (isPunctuation(tokens[i], '(') && !options.columnList) {
+    return { references: [], next: skipParentheses(tokens, i) };
+  }
+
+  return {
+    references: [{
+      owner: parts.length > 1 ? parts[parts.length - 2] : null,
+      name: parts[parts.length - 1],
+      dblink,
+      write: false,
+      line: token.line,
+      column: token.column,
+      start: token.start,
+      end: tokens[i - 1].end,
+      alias: hasAlias(tokens, i),
+      flashback: hasFlashbackClause(tokens, i)
+    }],
+    next: i
+  };
+}
+
+/**
+ * 读取 ONLY (name) 形式的表引用
+ * 括号中只有一个表名时，引用文本包括 ONLY 和括号，改写时整体替换
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} start - ONLY 的位置
+ * @param {Object} options - 同 readTableReference
+ * @returns {{ references: Array<Object>, next: number }}
+ */
+function readOnlyReference(tokens, start, options) {
+  const next = skipParentheses(tokens, start + 1);
+  const inner = readTableReference(tokens, start + 2, { nested: true });
+  if (inner.references.length !== 1 || !isPunctuation(tokens[inner.next], ')') || inner.next !== next - 1) {
+    return { references: inner.references, next };
+  }
+  const [reference] = inner.references;
+  return {
+    references: [{
+      ...reference,
+      line: tokens[start].line,
+      column: tokens[start].column,
+      start: tokens[start].start,
+      end: tokens[next - 1].end,
+      alias: hasAlias(tokens, next),
+      flashback: hasFlashbackClause(tokens, next)
+    }],
+    next
+  };
+}
+
+/**
+ * 表名之后是否跟有别名
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} index - 表名之后的位置
+ * @returns {boolean}
+ */
+function hasAlias(tokens, index) {
+  const following = tokens[index];
+  return Boolean(following) && (
+    following.type === TokenType.QUOTED_IDENTIFIER
+    || (isKeyword(following, 'AS') && !isKeyword(tokens[index + 1], 'OF'))
+    || (following.type === TokenType.WORD && following.name !== 'AS' && !NON_ALIAS_WORDS.includes(following.name))
+  );
+}
+
+/**
+ * 表名之后是否跟有闪回查询子句（AS OF SCN / TIMESTAMP、VERSIONS BETWEEN）
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} index - 表名之后的位置
+ * @returns {boolean}
+ */
+function hasFlashbackClause(tokens, index) {
+  return (isKeyword(tokens[index], 'AS') && isKeyword(tokens[index + 1], 'OF')) || isKeyword(tokens[index], 'VERSIONS');
+}
+
+/**
+ * 跳过一对括号（含嵌套）
+ * @param {Array<Object>} tokens - 词法单元
+ * @param {number} start - 左括号位置
+ * @returns {number} 右括号之后的位置
+ */
+function skipParentheses(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (isPunctuation(tokens[i], '(')) {
+      depth++;
+    } else if (isPunctuation(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+  return tokens.length;
+}
@@ -0,0 +1,267 @@
+/**
+ * 审计日志
+ * 每次工具调用写入一行 JSON（JSONL），记录时间、连接、工具、参数（敏感字段已脱敏）、
+ * 执行的 SQL、返回/影响行数、耗时和错误码；文件超过大小上限时轮转
+ * 文件读写均为异步操作，写入按调用顺序排队，轮转不会和追加交错
+ */
+
+import { appendFile, mkdir, readFile, rename, rm, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { isOracleMapError } from './errors.js';
+
+/**
+ * 单个审计日志文件的默认大小上限（字节）
+ */
+export const DEFAULT_AUDIT_MAX_SIZE = 10 * 1024 * 1024;
+
+/**
+ * 默认保留的轮转文件数（audit.jsonl.1 ~ audit.jsonl.N）
+ */
+export const DEFAULT_AUDIT_MAX_FILES = 5;
+
+/**
+ * 参数中需要脱敏的字段名
+ */
+const SECRET_KEY_PATTERN = /password|secret|token|credential/i;
+
+/**
+ * 脱敏后的占位文本
+ */
+const REDACTED = '******';
+
+/**
+ * 脱敏工具参数：字段名像密码、密钥的值替换为 ******（递归处理嵌套对象）
+ * @param {*} value - 工具参数
+ * @returns {*}
+ */
+export function redactArguments(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactArguments);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) && item !== undefined && item !== null ? REDACTED : redactArguments(item)
+  ]));
+}
+
+/**
+ * 审计日志记录器
+ */
+export class AuditLogger {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.file] - 日志文件路径，未指定时不记录
+   * @param {number} [options.maxSize] - 单个文件大小上限（字节）
+   * @param {number} [options.maxFiles] - 保留的轮转文件数
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.maxSize = options.maxSize || DEFAULT_AUDIT_MAX_SIZE;
+    this.maxFiles = options.maxFiles ?? DEFAULT_AUDIT_MAX_FILES;
+    this.writeFailed = false;
+    /** 写入队列：上一次写入（含轮转）完成后才开始下一次 */
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * 根据配置文件和环境变量创建记录器（环境变量优先）
+   * @param {Object} [config] - 配置文件中的 audit 设置
+   * @param {Object} [env] - 环境变量
+   * @returns {AuditLogger}
+   */
+  static fromConfig(config = {}, env = process.env) {
+    const fromEnv = (name) => {
+      const value = parseInt(env[name] || '', 10);
+      return Number.isInteger(value) && value >= 0 ? value : undefined;
+    };
+    return new AuditLogger({
+      file: env.ORACLE_AUDIT_LOG ? path.resolve(env.ORACLE_AUDIT_LOG) : config.file,
+      maxSize: fromEnv('ORACLE_AUDIT_MAX_SIZE') || config.maxSize,
+      maxFiles: fromEnv('ORACLE_AUDIT_MAX_FILES') ?? config.maxFiles
+    });
+  }
+
+  /**
+   * 是否启用了审计日志
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.file !== null;
+  }
+
+  /**
+   * 记录一次工具调用
+   * 写入失败只输出一次警告，不影响工具调用本身
+   * @param {Object} call
+   * @param {string} call.tool - 工具名
+   * @param {string|null} call.connection - 连接名
+   * @param {Object} call.args - 工具参数（写入前脱敏）
+   * @param {number} call.durationMs - 耗时（毫秒）
+   * @param {Object} [call.details] - 处理函数记录的 sql、rowCount、rowsAffected
+   * @param {Error|null} [call.error] - 调用失败时的错误
+   * @param {boolean} [call.isError] - 工具是否返回了错误结果
+   * @returns {Promise<Object|null>} 写入的记录，未启用时返回 null
+   */
+  async record({ tool, connection, args, durationMs, details = {}, error = null, isError = false }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    // 执行失败时 SQL 取自错误详情（handleQueryError / handleDmlError 会附带执行的 SQL）
+    const failedSql = error && error.details ? error.details.sql : null;
+    const entry = {
+      timestamp: new Date().toISOString(),
+      connection: connection || null,
+      tool,
+      arguments: redactArguments(args || {}),
+      sql: details.sql || failedSql || null,
+      rowCount: details.rowCount ?? null,
+      rowsAffected: details.rowsAffected ?? null,
+      durationMs,
+      success: !error && !isError,
+      errorCode: error ? (isOracleMapError(error) ? error.code : null) : null,
+      error: error ? error.message : null
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    this.pending = this.pending.then(() => this.append(line));
+    await this.pending;
+    return entry;
+  }
+
+  /**
+   * 追加一行记录，超过大小上限时先轮转
+   * @param {string} line - JSONL 行
+   * @returns {Promise<void>}
+   */
+  async append(line) {
+    try {
+      await mkdir(path.dirname(this.file), { recursive: true });
+      if (await this.currentSize() + Buffer.byteLength(line) > this.maxSize) {
+        await this.rotate();
+      }
+      await appendFile(this.file, line, { mode: 0o600 });
+      this.writeFailed = false;
+    } catch (writeError) {
+      if (!this.writeFailed) {
+        console.error(`[oracle-mcp-server] 写入审计日志 ${this.file} 失败: ${writeError.message}`);
+        this.writeFailed = true;
+      }
+    }
+  }
+
+  /**
+   * 当前日志文件大小，文件不存在时为 0
+   * @returns {Promise<number>}
+   */
+  async currentSize() {
+    try {
+      return (await stat(this.file)).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * 轮转日志文件：audit.jsonl → audit.jsonl.1 → audit.jsonl.2 …，超出 maxFiles 的文件删除
+   * @returns {Promise<void>}
+   */
+  async rotate() {
+    if (this.maxFiles === 0) {
+      await rm(this.file, { force: true });
+      return;
+    }
+    await rm(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await renameIfExists(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    await renameIfExists(this.file, `${this.file}.1`);
+  }
+
+  /**
+   * 读取最近的审计记录（从新到旧，包括轮转文件）
+   * @param {Object} [filter]
+   * @param {number} [filter.limit] - 最多返回条数
+   * @param {string} [filter.tool] - 只返回指定工具
+   * @param {string} [filter.connection] - 只返回指定连接
+   * @param {boolean} [filter.errorsOnly] - 只返回失败的调用
+   * @param {string} [filter.since] - 只返回该时间（ISO 8601）之后的记录
+   * @returns {Promise<Array<Object>>}
+   */
+  async read(filter = {}) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+    const { limit = 50, tool, connection, errorsOnly = false, since } = filter;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const matches = (entry) => (!tool || entry.tool === tool)
+      && (!connection || entry.connection === connection)
+      && (!errorsOnly || !entry.success)
+      && (sinceTime === null || new Date(entry.timestamp).getTime() >= sinceTime);
+
+    const entries = [];
+    const files = [this.file, ...Array.from({ length: this.maxFiles }, (_, i) => `${this.file}.${i + 1}`)];
+    // 等待排队中的写入完成，保证能读到之前的调用
+    await this.pending;
+    for (const file of files) {
+      const content = await readFileIfExists(file);
+      if (content === null) {
+        continue;
+      }
+      const lines = content.split('\n').filter(line => line.trim() !== '').reverse();
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // 跳过写入中断产生的不完整行
+        }
+        if (sinceTime !== null && new Date(entry.timestamp).getTime() < sinceTime) {
+          return entries;
+        }
+        if (matches(entry)) {
+          entries.push(entry);
+          if (entries.length >= limit) {
+            return entries;
+          }
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * 重命名文件，源文件不存在时忽略
+ * @param {string} from - 源文件
+ * @param {string} to - 目标文件
+ * @returns {Promise<void>}
+ */
+async function renameIfExists(from, to) {
+  try {
+    await rename(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * 读取文件内容，文件不存在时返回 null
+ * @param {string} file - 文件路径
+ * @returns {Promise<string|null>}
+ */
+async function readFileIfExists(file) {
+  try {
+    return await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -12,12 +12,17 @@ export const ErrorCode = {
   CONFIG_NOT_FOUND: 201,
   CONFIG_PARSE_ERROR: 202,
   MISSING_REQUIRED_PARAM: 203,
+  INVALID_PARAMETER: 204, // 参数格式无效（如表名不是合法的标识符）
   
   // 查询错误 (3xx)
   TABLE_NOT_FOUND: 301,
   SQL_SYNTAX_ERROR: 302,
   QUERY_EXECUTION_ERROR: 303,
   ACCESS_DENIED: 304, // 表不在白名单中
+  CANCELLED: 305, // 调用被 MCP 客户端取消
+  QUOTA_EXCEEDED: 306, // 超出调用频率、会话行数、并发或查询成本预算
+  CONFIRMATION_FAILED: 307, // DML 确认令牌无效、已过期，或影响行数与预览不一致
+  ROWS_AFFECTED_EXCEEDED: 308, // DML 影响行数超过目标表的上限
   
   // 输出错误 (4xx)
   FILE_EXISTS: 401,
@@ -71,10 +76,15 @@ const ErrorMessages = {
   [ErrorCode.CONFIG_NOT_FOUND]: '配置文件未找到',
   [ErrorCode.CONFIG_PARSE_ERROR]: '配置文件解析错误',
   [ErrorCode.MISSING_REQUIRED_PARAM]: '缺少必填参数',
+  [ErrorCode.INVALID_PARAMETER]: '参数无效',
   [ErrorCode.TABLE_NOT_FOUND]: '表不存在',
   [ErrorCode.SQL_SYNTAX_ERROR]: 'SQL 语法错误',
   [ErrorCode.QUERY_EXECUTION_ERROR]: '查询执行失败',
   [ErrorCode.ACCESS_DENIED]: '访问被拒绝，表不在允许的白名单中',
+  [ErrorCode.CANCELLED]: '操作已被取消',
+  [ErrorCode.QUOTA_EXCEEDED]: '超出调用预算',
+  [ErrorCode.CONFIRMATION_FAILED]: 'DML 确认失败',
+  [ErrorCode.ROWS_AFFECTED_EXCEEDED]: '影响行数超过上限',
   [ErrorCode.FILE_EXISTS]: '文件已存在，使用 --force 覆盖',
   [ErrorCode.WRITE_PERMISSION_DENIED]: '没有写入权限',
   [ErrorCode.UNKNOWN]: '未知错误'
@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, existsSync, appendFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { AuditLogger, redactArguments } from '../../src/utils/audit.js';
+import { OracleMcpServer } from '../../src/mcp/server.js';
+import { OracleMapError, ErrorCode } from '../../src/utils/errors.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(tmpdir(), 'oracle-mcp-audit-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+/**
+ * 读取日志文件中的记录
+ */
+function readLines(file) {
+  return readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('redactArguments', () => {
+  it('应该脱敏密码和密钥字段，包括嵌套对象', () => {
+    expect(redactArguments({ name: 'prod', password: 'tiger', pool: { walletPassword: 'w' }, apiToken: null }))
+      .toEqual({ name: 'prod', password: '******', pool: { walletPassword: '******' }, apiToken: null });
+  });
+});
+
+describe('AuditLogger', () => {
+  it('未配置文件时不记录', async () => {
+    const audit = new AuditLogger();
+    expect(audit.isEnabled()).toBe(false);
+    expect(await audit.record({ tool: 'oracle_query', args: {}, durationMs: 1 })).toBe(null);
+    expect(await audit.read()).toEqual([]);
+  });
+
+  it('应该写入 JSONL 记录，失败时记录错误码和 SQL', async () => {
+    const file = path.join(dir, 'logs', 'audit.jsonl');
+    const audit = new AuditLogger({ file });
+    await audit.record({
+      tool: 'oracle_query',
+      connection: 'prod',
+      args: { sql: 'SELECT * FROM orders' },
+      durationMs: 12,
+      details: { sql: 'SELECT * FROM orders FETCH FIRST 100 ROWS ONLY', rowCount: 3 }
+    });
+    await audit.record({
+      tool: 'oracle_execute_dml',
+      connection: 'prod',
+      args: { sql: 'DELETE FROM orders' },
+      durationMs: 5,
+      error: new OracleMapError(ErrorCode.TABLE_NOT_FOUND, '表不存在', { sql: 'DELETE FROM orders' })
+    });
+
+    const [ok, failed] = readLines(file);
+    expect(ok).toMatchObject({
+      connection: 'prod',
+      tool: 'oracle_query',
+      sql: 'SELECT * FROM orders FETCH FIRST 100 ROWS ONLY',
+      rowCount: 3,
+      rowsAffected: null,
+      durationMs: 12,
+      success: true,
+      errorCode: null
+    });
+    expect(failed).toMatchObject({ success: false, errorCode: ErrorCode.TABLE_NOT_FOUND, sql: 'DELETE FROM orders', error: '表不存在' });
+  });
+
+  it('超过大小上限时应该轮转并只保留 maxFiles 个旧文件', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const audit = new AuditLogger({ file, maxSize: 300, maxFiles: 2 });
+    for (let i = 0; i < 8; i++) {
+      await audit.record({ tool: 'oracle_query', args: { sql: `SELECT ${i} FROM DUAL` }, durationMs: i });
+    }
+    expect(existsSync(`${file}.1`)).toBe(true);
+    expect(existsSync(`${file}.2`)).toBe(true);
+    expect(existsSync(`${file}.3`)).toBe(false);
+
+    const entries = await audit.read({ limit: 100 });
+    expect(entries[0].durationMs).toBe(7);
+    expect(entries.map(e => e.durationMs)).toEqual([...entries.map(e => e.durationMs)].sort((a, b) => b - a));
+  });
+
+  it('读取时应该按条件过滤并跳过损坏的行', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const audit = new AuditLogger({ file });
+    await audit.record({ tool: 'oracle_query', connection: 'dev', args: {}, durationMs: 1 });
+    appendFileSync(file, '{"tool":\n');
+    await audit.record({ tool: 'oracle_query', connection: 'prod', args: {}, durationMs: 2, isError: true });
+    await audit.record({ tool: 'oracle_table_data', connection: 'prod', args: {}, durationMs: 3 });
+
+    expect((await audit.read()).map(e => e.durationMs)).toEqual([3, 2, 1]);
+    expect((await audit.read({ tool: 'oracle_query' })).map(e => e.durationMs)).toEqual([2, 1]);
+    expect((await audit.read({ connection: 'prod', errorsOnly: true })).map(e => e.durationMs)).toEqual([2]);
+    expect(await audit.read({ limit: 1 })).toHaveLength(1);
+    expect(await audit.read({ since: '2999-01-01T00:00:00Z' })).toEqual([]);
+  });
+
+  it('并发记录应该按调用顺序写入，轮转不和追加交错', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const audit = new AuditLogger({ file, maxSize: 300, maxFiles: 10 });
+    await Promise.all(Array.from({ length: 8 }, (_, i) =>
+      audit.record({ tool: 'oracle_query', args: { sql: `SELECT ${i} FROM DUAL` }, durationMs: i })));
+
+    expect((await audit.read({ limit: 100 })).map(e => e.durationMs)).toEqual([7, 6, 5, 4, 3, 2, 1, 0]);
+  });
+
+  it('写入失败不应该影响调用', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const audit = new AuditLogger({ file: dir });
+    await expect(audit.record({ tool: 'oracle_query', args: {}, durationMs: 1 })).resolves.toMatchObject({ tool: 'oracle_query' });
+    await audit.record({ tool: 'oracle_query', args: {}, durationMs: 1 });
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+
+  it('环境变量应该覆盖配置文件', () => {
+    const audit = AuditLogger.fromConfig(
+      { file: '/var/log/a.jsonl', maxSize: 100, maxFiles: 3 },
+      { ORACLE_AUDIT_LOG: path.join(dir, 'b.jsonl'), ORACLE_AUDIT_MAX_FILES: '0' }
+    );
+    expect(audit).toMatchObject({ file: path.join(dir, 'b.jsonl'), maxSize: 100, maxFiles: 0 });
+  });
+});
+
+describe('工具调用审计', () => {
+  it('应该记录每次工具调用，并可通过 oracle_audit_log 查询', async () => {
+    const server = new OracleMcpServer({ configPath: null });
+    server.audit = new AuditLogger({ file: path.join(dir, 'audit.jsonl') });
+    vi.spyOn(server, 'dispatchTool').mockImplementationOnce(async (name, args, context) => {
+      server.noteAudit(context, { sql: 'SELECT 1 FROM DUAL', rowCount: 1 });
+      return { content: [{ type: 'text', text: '[]' }] };
+    });
+
+    await server.handleCallTool({ params: { name: 'oracle_query', arguments: { sql: 'SELECT 1 FROM DUAL', connection: 'prod' } } });
+    await server.handleCallTool({ params: { name: 'oracle_connect', arguments: { name: 'prod', host: 'h', password: 'tiger' } } });
+
+    const result = await server.handleCallTool({ params: { name: 'oracle_audit_log', arguments: {} } });
+    const { entries } = JSON.parse(result.content[0].text);
+    expect(entries[0]).toMatchObject({ tool: 'oracle_connect', connection: 'prod', success: false });
+    expect(entries[0].arguments.password).toBe('******');
+    expect(entries[1]).toMatchObject({ tool: 'oracle_query', connection: 'prod', sql: 'SELECT 1 FROM DUAL', rowCount: 1, success: true });
+  });
+
+  it('表行数、列统计和表结构应该记录执行的 SQL，只有采样数据计入行数', async () => {
+    const server = new OracleMcpServer({ configPath: null });
+    const conn = {
+      execute: vi.fn(async (sql) => {
+        if (sql.includes('ALL_TAB_COLUMNS')) {
+          return { rows: [['STATUS', 'VARCHAR2', 'Y', 10, null, null]] };
+        }
+        if (sql.includes('FETCH FIRST :sampleSize')) {
+          return { metaData: [{ name: 'STATUS' }], rows: [{ STATUS: 'NEW' }, { STATUS: 'PAID' }] };
+        }
+        return { rows: [[1, 1, 0, 1]] };
+      })
+    };
+    vi.spyOn(server, 'getManager').mockReturnValue({
+      getConnection: async () => conn,
+      releaseConnection: async () => {},
+      getRowFilters: () => [],
+      getLimits: () => undefined,
+      getRolePolicy: () => null
+    });
+
+    const details = {};
+    await server.handleTableCount({ table: 'orders' }, { audit: details });
+    expect(details).toEqual({ sql: 'SELECT COUNT(*) AS CNT FROM ORDERS' });
+
+    const stats = {};
+    await server.handleColumnStats({ table: 'orders', includeHistogram: false }, { audit: stats });
+    expect(stats.sql).toContain('FROM ORDERS');
+    expect(stats.rowCount).toBeUndefined();
+
+    const describe = {};
+    await server.handleDescribeTable({ table: 'orders', includeSample: true, sampleSize: 2 }, { audit: describe });
+    expect(describe.sql).toContain('SELECT * FROM ORDERS FETCH FIRST :sampleSize ROWS ONLY');
+    expect(describe.rowCount).toBe(2);
+  });
+
+  it('未启用审计日志时 oracle_audit_log 应该返回错误', async () => {
+    const server = new OracleMcpServer({ configPath: null });
+    server.audit = new AuditLogger();
+    const result = await server.handleCallTool({ params: { name: 'oracle_audit_log', arguments: {} } });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('未启用审计日志');
+    const error = await server.handleAuditLog().catch(e => e);
+    expect(error.code).toBe(ErrorCode.CONFIG_NOT_FOUND);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeBinds, BindType, BindDirection } from '../../src/query/binds.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+describe('normalizeBinds', () => {
+  it('未传绑定变量时返回空对象', () => {
+    expect(normalizeBinds(undefined)).toEqual({});
+    expect(normalizeBinds(null)).toEqual({});
+  });
+
+  it('应该支持命名和位置绑定的基本类型', () => {
+    expect(normalizeBinds({ id: 1, ':name': '张三', remark: null })).toEqual({ id: 1, name: '张三', remark: null });
+    expect(normalizeBinds([10, 'EU'])).toEqual([10, 'EU']);
+  });
+
+  it('$date 和 $timestamp 应该转换为带类型的日期', () => {
+    const { day, at } = normalizeBinds({ day: { $date: '2025-12-19' }, at: { $timestamp: '2025-12-19T10:30:00Z' } });
+    expect(day).toEqual({ val: new Date('2025-12-19'), type: BindType.DATE });
+    expect(at).toEqual({ val: new Date('2025-12-19T10:30:00Z'), type: BindType.TIMESTAMP });
+    expect(() => normalizeBinds({ day: { $date: '2025-13-45' } })).toThrow('绑定变量 :day: 无法解析的日期');
+  });
+
+  it('应该按类型提示转换值', () => {
+    const binds = normalizeBinds([
+      { val: '12345678901234567890', type: 'number' },
+      { val: '3.5', type: 'NUMBER' },
+      { val: 42, type: 'STRING' },
+      { val: '2025-12-19 10:30:00', type: 'TIMESTAMP' },
+      { val: { $date: '2025-12-19' } }
+    ]);
+    expect(binds[0]).toEqual({ val: 12345678901234567890n, type: BindType.NUMBER });
+    expect(binds[1]).toEqual({ val: 3.5, type: BindType.NUMBER });
+    expect(binds[2]).toEqual({ val: '42', type: BindType.STRING });
+    expect(binds[3].val).toEqual(new Date('2025-12-19 10:30:00'));
+    expect(binds[4]).toEqual({ val: new Date('2025-12-19'), type: BindType.DATE });
+    expect(() => normalizeBinds([{ val: 'abc', type: 'NUMBER' }])).toThrow('绑定变量 :1: "abc" 不是数字');
+  });
+
+  it('输出绑定只在允许时可用', () => {
+    expect(normalizeBinds({ newId: { dir: 'out', type: 'NUMBER' } }, { allowOut: true }))
+      .toEqual({ newId: { dir: BindDirection.out, type: BindType.NUMBER } });
+    expect(() => normalizeBinds({ newId: { dir: 'out' } }))
+      .toThrow(expect.objectContaining({ code: ErrorCode.SQL_SYNTAX_ERROR, message: expect.stringContaining('RETURNING ... INTO') }));
+    expect(() => normalizeBinds({ newId: { dir: 'out', val: 1 } }, { allowOut: true })).toThrow('输出绑定不能指定 val');
+  });
+
+  it('无效的绑定应该报错', () => {
+    expect(() => normalizeBinds('1')).toThrow('binds 应为对象');
+    expect(() => normalizeBinds({ 'a-b': 1 })).toThrow('名称只能包含');
+    expect(() => normalizeBinds({ flag: true })).toThrow('不支持的值 true');
+    expect(() => normalizeBinds({ id: { val: 1, size: 10 } })).toThrow('未知的属性 size');
+    expect(() => normalizeBinds({ id: { val: 1, type: 'BLOB' } })).toThrow('type 应为');
+    expect(() => normalizeBinds({ id: { type: 'NUMBER' } })).toThrow('缺少 val');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { QueryBudget, RATE_WINDOW_MS } from '../../src/mcp/budget.js';
+import { OracleMcpServer } from '../../src/mcp/server.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+describe('QueryBudget', () => {
+  it('未配置时不限制', () => {
+    const budget = new QueryBudget();
+    for (let i = 0; i < 100; i++) {
+      budget.acquire('oracle_query', { statement: true, fetchesRows: true });
+    }
+    budget.recordRows(1e9);
+    expect(() => budget.assertCost(1e9)).not.toThrow();
+  });
+
+  it('应该按工具限制每分钟调用次数', () => {
+    let now = 0;
+    const budget = new QueryBudget({ callsPerMinute: { default: 3, oracle_column_stats: 1 } }, () => now);
+    budget.acquire('oracle_column_stats');
+    expect(() => budget.acquire('oracle_column_stats')).toThrow(expect.objectContaining({ code: ErrorCode.QUOTA_EXCEEDED }));
+    budget.acquire('oracle_query');
+    budget.acquire('oracle_query');
+    budget.acquire('oracle_query');
+    expect(() => budget.acquire('oracle_query')).toThrow('每分钟 3 次');
+
+    now = RATE_WINDOW_MS;
+    expect(() => budget.acquire('oracle_column_stats')).not.toThrow();
+    expect(() => budget.acquire('oracle_query')).not.toThrow();
+  });
+
+  it('会话行数用尽后应该拒绝返回数据的调用', () => {
+    const budget = new QueryBudget({ maxSessionRows: 100 });
+    budget.acquire('oracle_query', { fetchesRows: true });
+    budget.recordRows(100);
+    expect(() => budget.acquire('oracle_query', { fetchesRows: true })).toThrow('达到上限 100');
+    expect(() => budget.acquire('oracle_table_count')).not.toThrow();
+    expect(budget.getRemainingRows()).toBe(0);
+    expect(new QueryBudget().getRemainingRows()).toBe(null);
+  });
+
+  it('应该限制同时执行的语句数，释放后恢复', () => {
+    const budget = new QueryBudget({ maxConcurrentStatements: 1 });
+    const release = budget.acquire('oracle_query', { statement: true });
+    expect(() => budget.acquire('oracle_table_data', { statement: true })).toThrow('同时执行');
+    expect(() => budget.acquire('oracle_list_connections')).not.toThrow();
+    release();
+    release();
+    expect(budget.getStatus().activeStatements).toBe(0);
+    expect(() => budget.acquire('oracle_table_data', { statement: true })).not.toThrow();
+  });
+
+  it('应该拒绝估算成本超过上限的查询', () => {
+    const budget = new QueryBudget({ maxQueryCost: 1000 });
+    expect(() => budget.assertCost(1000)).not.toThrow();
+    expect(() => budget.assertCost(null)).not.toThrow();
+    expect(() => budget.assertCost(2380)).toThrow(expect.objectContaining({ code: ErrorCode.QUOTA_EXCEEDED }));
+  });
+
+  it('环境变量应该覆盖配置文件', () => {
+    const budget = QueryBudget.fromConfig(
+      { callsPerMinute: { default: 60, oracle_column_stats: 10 }, maxSessionRows: 1000 },
+      { ORACLE_CALLS_PER_MINUTE: '30', ORACLE_MAX_SESSION_ROWS: '500' }
+    );
+    expect(budget.getCallLimit('oracle_query')).toBe(30);
+    expect(budget.getCallLimit('oracle_column_stats')).toBe(10);
+    expect(budget.maxSessionRows).toBe(500);
+    expect(budget.maxQueryCost).toBe(null);
+  });
+});
+
+describe('工具调用预算', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('超出预算的调用应该返回错误，并累计返回的行数', async () => {
+    const server = new OracleMcpServer({ configPath: null });
+    server.budget = new QueryBudget({ maxSessionRows: 5 });
+    vi.spyOn(server, 'dispatchTool').mockImplementation(async (name, args, context) => {
+      server.noteAudit(context, { rowCount: 5 });
+      return { content: [{ type: 'text', text: '[]' }] };
+    });
+
+    const request = { params: { name: 'oracle_query', arguments: { sql: 'SELECT * FROM orders' } } };
+    expect((await server.handleCallTool(request)).isError).toBeUndefined();
+    const refused = await server.handleCallTool(request);
+    expect(refused.isError).toBe(true);
+    expect(refused.content[0].text).toContain('达到上限 5');
+    expect(server.budget.getStatus()).toMatchObject({ rowsFetched: 5, activeStatements: 0 });
+  });
+
+  it('单次调用的行数上限不应该超过会话剩余的行数', async () => {
+    const server = new OracleMcpServer({ configPath: null });
+    server.budget = new QueryBudget({ maxSessionRows: 10 });
+    server.budget.recordRows(7);
+    const limits = [];
+    vi.spyOn(server, 'dispatchTool').mockImplementation(async (name, args, context) => {
+      const limit = server.getRowLimit(args.limit || 100, context);
+      limits.push(limit);
+      server.noteAudit(context, { rowCount: name === 'oracle_query' ? limit : 50 });
+      return { content: [{ type: 'text', text: '[]' }] };
+    });
+
+    await server.handleCallTool({ params: { name: 'oracle_column_stats', arguments: { table: 'orders' } } });
+    expect(server.budget.getStatus().rowsFetched).toBe(7);
+
+    await server.handleCallTool({ params: { name: 'oracle_query', arguments: { sql: 'SELECT * FROM orders', limit: 500 } } });
+    expect(limits[1]).toBe(3);
+    expect(server.budget.getStatus().rowsFetched).toBe(10);
+    expect((await server.handleCallTool({ params: { name: 'oracle_query', arguments: { sql: 'SELECT 1 FROM DUAL' } } })).isError).toBe(true);
+  });
+
+  it('估算成本过高时不应该执行查询', async () => {
+    const server = new OracleMcpServer({ configPath: null });
+    server.budget = new QueryBudget({ maxQueryCost: 100 });
+    const executed = [];
+    const conn = {
+      execute: async (sql) => {
+        executed.push(sql);
+        return sql.includes('DBMS_XPLAN')
+          ? { rows: [['| Id  | Operation | Name | Rows | Bytes | Cost (%CPU)| Time |'], ['|   0 | SELECT STATEMENT | | 10 | 100 | 5000   (1)| 00:00:01 |']] }
+          : {};
+      }
+    };
+    const manager = {
+      getConnection: vi.fn(async () => conn),
+      releaseConnection: vi.fn(async () => {}),
+      getRolePolicy: () => null
+    };
+    vi.spyOn(server, 'getManager').mockReturnValue(manager);
+
+    await expect(server.handleQuery({ sql: 'SELECT * FROM orders' }, { tool: 'oracle_query', readOnly: true }))
+      .rejects.toMatchObject({ code: ErrorCode.QUOTA_EXCEEDED });
+    expect(manager.getConnection).toHaveBeenCalledWith(expect.objectContaining({ readOnly: false }));
+    expect(manager.releaseConnection).toHaveBeenCalledTimes(1);
+    expect(executed.some(sql => sql.startsWith('SELECT * FROM orders'))).toBe(false);
+  });
+});
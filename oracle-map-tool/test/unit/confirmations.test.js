@@ -0,0 +1,110 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { DmlConfirmations } from '../../src/mcp/confirmations.js';
+import { OracleMcpServer } from '../../src/mcp/server.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('DmlConfirmations', () => {
+  it('令牌只能使用一次', () => {
+    const confirmations = new DmlConfirmations();
+    const { token } = confirmations.issue({ connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1', rowsAffected: 1 });
+
+    expect(confirmations.consume(token, { connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1 ' })).toEqual({ rowsAffected: 1 });
+    expect(() => confirmations.consume(token, { connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1' }))
+      .toThrow('确认令牌无效或已使用');
+  });
+
+  it('过期或连接、语句不匹配的令牌应该被拒绝', () => {
+    let now = 0;
+    const confirmations = new DmlConfirmations({ ttl: 1000, now: () => now });
+    const expired = confirmations.issue({ connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1', rowsAffected: 1 }).token;
+    const other = confirmations.issue({ connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1', rowsAffected: 1 }).token;
+    now = 1000;
+    expect(() => confirmations.consume(expired, { connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1' }))
+      .toThrow(expect.objectContaining({ code: ErrorCode.CONFIRMATION_FAILED, message: '确认令牌已过期' }));
+
+    const token = confirmations.issue({ connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1', rowsAffected: 1 }).token;
+    expect(confirmations.pending.has(other)).toBe(false);
+    expect(() => confirmations.consume(token, { connection: 'dev', sql: 'UPDATE t SET a = 1 WHERE id = 1' }))
+      .toThrow('确认令牌与本次调用的连接或语句不匹配');
+  });
+
+  it('绑定变量与预览时不同的令牌应该被拒绝', () => {
+    const confirmations = new DmlConfirmations();
+    const sql = 'UPDATE t SET a = 1 WHERE id = :id';
+    const { token } = confirmations.issue({ connection: 'prod', sql, binds: { id: 1 }, rowsAffected: 1 });
+    expect(() => confirmations.consume(token, { connection: 'prod', sql, binds: { id: 2 } }))
+      .toThrow('确认令牌与本次调用的绑定变量不匹配');
+
+    const unbound = confirmations.issue({ connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1', rowsAffected: 1 }).token;
+    expect(confirmations.consume(unbound, { connection: 'prod', sql: 'UPDATE t SET a = 1 WHERE id = 1', binds: {} })).toEqual({ rowsAffected: 1 });
+  });
+
+  it('命名绑定的书写顺序不同时应该视为相同', () => {
+    const confirmations = new DmlConfirmations();
+    const sql = 'UPDATE t SET a = :a WHERE id = :id';
+    const { token } = confirmations.issue({
+      connection: 'prod', sql, binds: { id: { val: '1', type: 'NUMBER' }, a: { $date: '2025-01-01' } }, rowsAffected: 1
+    });
+    expect(confirmations.consume(token, {
+      connection: 'prod', sql, binds: { a: { $date: '2025-01-01' }, id: { type: 'NUMBER', val: '1' } }
+    })).toEqual({ rowsAffected: 1 });
+  });
+});
+
+describe('oracle_execute_dml 两阶段执行', () => {
+  /**
+   * 模拟单个连接的服务器：UPDATE 影响 rowsAffected() 行
+   */
+  function createServer(rowsAffected, config = {}) {
+    const server = new OracleMcpServer({ configPath: null });
+    const executed = [];
+    const conn = {
+      execute: async (sql) => {
+        executed.push(sql);
+        return sql.startsWith('UPDATE') ? { rowsAffected: rowsAffected(), outBinds: { mcp_preview_rowid: [] } } : {};
+      }
+    };
+    const manager = {
+      config,
+      getConnection: async () => conn,
+      releaseConnection: async () => {},
+      getRowFilters: () => [],
+      getLimits: () => ({ maxSampleSize: 10 }),
+      getRolePolicy: () => null
+    };
+    vi.spyOn(server.connections, 'resolveName').mockReturnValue('prod');
+    vi.spyOn(server.connections, 'get').mockReturnValue(manager);
+    return { server, executed };
+  }
+
+  const call = (server, args) => server.handleCallTool({ params: { name: 'oracle_execute_dml', arguments: args } });
+  const sql = 'UPDATE orders SET status = 1 WHERE id < 10';
+
+  it('预览后使用令牌提交', async () => {
+    const { server, executed } = createServer(() => 9);
+    const previewResult = JSON.parse((await call(server, { sql, preview: true })).content[0].text);
+    expect(previewResult).toMatchObject({ preview: true, rowsAffected: 9, before: [], after: [] });
+    expect(executed).not.toContain('COMMIT');
+
+    const confirmed = await call(server, { sql, confirmToken: previewResult.confirmToken });
+    expect(JSON.parse(confirmed.content[0].text)).toMatchObject({ success: true, rowsAffected: 9, confirmed: true });
+    expect(executed[executed.length - 1]).toBe('COMMIT');
+  });
+
+  it('配置了 confirmDml 的连接不带令牌时只预览', async () => {
+    let rows = 9;
+    const { server, executed } = createServer(() => rows, { confirmDml: true });
+    const previewResult = JSON.parse((await call(server, { sql })).content[0].text);
+    expect(previewResult.preview).toBe(true);
+
+    rows = 12;
+    const result = await call(server, { sql, confirmToken: previewResult.confirmToken });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('影响行数 12 与预览时的 9 不一致');
+    expect(executed).not.toContain('COMMIT');
+  });
+});
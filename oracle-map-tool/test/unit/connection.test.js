@@ -0,0 +1,443 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ConnectionManager, analyzePoolStatus, isFatalConnectionError, buildSessionInitStatements } from '../../src/db/connection.js';
+import { ErrorCode, OracleMapError } from '../../src/utils/errors.js';
+
+describe('buildConnectionString', () => {
+  const manager = new ConnectionManager();
+
+  it('应该生成 host:port/serviceName 格式', () => {
+    expect(manager.buildConnectionString({ host: 'db', port: 1522, serviceName: 'ORCL' })).toBe('db:1522/ORCL');
+    expect(manager.buildConnectionString({ host: 'db', serviceName: 'ORCL' })).toBe('db:1521/ORCL');
+  });
+
+  it('SID 应该生成连接描述符', () => {
+    expect(manager.buildConnectionString({ host: 'db', sid: 'ORCL' }))
+      .toBe('(DESCRIPTION=(ADDRESS=(PROTOCOL=TCP)(HOST=db)(PORT=1521))(CONNECT_DATA=(SID=ORCL)))');
+  });
+
+  it('connectString 应该原样使用并优先于其他字段', () => {
+    const ezconnect = 'tcp://scan.example.com:1521/PROD?connect_timeout=10&retry_count=3';
+    expect(manager.buildConnectionString({ connectString: ezconnect, host: 'db', serviceName: 'X' })).toBe(ezconnect);
+  });
+
+  it('protocol 为 tcps 时应该生成 TLS 连接字符串', () => {
+    expect(manager.buildConnectionString({ host: 'db', port: 2484, serviceName: 'ORCL', protocol: 'tcps' }))
+      .toBe('tcps://db:2484/ORCL');
+    expect(manager.buildConnectionString({ host: 'db', port: 2484, sid: 'ORCL', protocol: 'TCPS' }))
+      .toContain('(PROTOCOL=TCPS)');
+  });
+
+  it('tnsAlias 应该直接作为连接字符串', () => {
+    expect(manager.buildConnectionString({ tnsAlias: 'PRODDB' })).toBe('PRODDB');
+  });
+
+  it('缺少连接目标应该报错', () => {
+    expect(() => manager.buildConnectionString({ host: 'db' })).toThrow(OracleMapError);
+  });
+});
+
+describe('handleConnectionError', () => {
+  const manager = new ConnectionManager();
+
+  it('应该识别 TNS 别名解析失败', () => {
+    const error = manager.handleConnectionError(new Error('ORA-12154: TNS:could not resolve the connect identifier specified'));
+    expect(error.code).toBe(ErrorCode.CONNECTION_FAILED);
+    expect(error.message).toContain('TNS 别名');
+  });
+
+  it('应该识别 Thin 模式的 SID 错误', () => {
+    const error = manager.handleConnectionError(new Error('NJS-519: cannot connect to Oracle Database. SID "X" is not registered'));
+    expect(error.message).toBe('SID 不存在');
+  });
+
+  it('应该识别缺少 tnsnames.ora', () => {
+    const error = manager.handleConnectionError(new Error('NJS-516: no configuration directory set or available to search for tnsnames.ora'));
+    expect(error.code).toBe(ErrorCode.CONFIG_NOT_FOUND);
+  });
+
+  it('应该识别钱包无法打开', () => {
+    const error = manager.handleConnectionError(new Error('ORA-28759: failure to open file'));
+    expect(error.message).toBe('无法打开 Oracle 钱包');
+    expect(error.details.suggestion).toContain('walletLocation');
+  });
+
+  it('应该识别证书校验失败', () => {
+    expect(manager.handleConnectionError(new Error('ORA-29024: Certificate validation failure')).message)
+      .toBe('服务器证书校验失败');
+  });
+
+  it('应该识别服务器证书 DN 不匹配', () => {
+    const error = manager.handleConnectionError(new Error('NJS-507: TLS detected an invalid certificate. Server DN in certificate does not match the specified DN'));
+    expect(error.message).toContain('DN');
+  });
+
+  it('错误详情中不应该出现密码', () => {
+    const error = manager.handleConnectionError(new Error('NJS-500: connection to host failed, password s3cret!pw'), ['s3cret!pw']);
+    expect(error.message).not.toContain('s3cret!pw');
+    expect(JSON.stringify(error.details)).not.toContain('s3cret!pw');
+  });
+
+  it('应该识别代理认证未授权', () => {
+    const error = manager.handleConnectionError(new Error('ORA-28150: proxy not authorized to connect as client'));
+    expect(error.code).toBe(ErrorCode.AUTH_FAILED);
+    expect(error.details.suggestion).toContain('CONNECT THROUGH');
+  });
+
+  it('OracleMapError 应该原样返回', () => {
+    const original = new OracleMapError(ErrorCode.MISSING_REQUIRED_PARAM);
+    expect(manager.handleConnectionError(original)).toBe(original);
+  });
+});
+
+describe('getPoolStatus', () => {
+  /**
+   * 构造不依赖真实数据库的连接池替身
+   */
+  function createManager(overrides = {}) {
+    const manager = new ConnectionManager();
+    manager.config = { host: 'db', serviceName: 'ORCL' };
+    manager.pool = {
+      status: 6000,
+      poolMin: 1,
+      poolMax: 4,
+      poolIncrement: 1,
+      poolTimeout: 60,
+      poolPingInterval: 60,
+      queueTimeout: 60000,
+      queueMax: 500,
+      connectionsOpen: 2,
+      connectionsInUse: 1,
+      getStatistics: () => ({
+        currentQueueLength: 0,
+        maximumQueueLength: 3,
+        requestsEnqueued: 5,
+        requestTimeouts: 0,
+        rejectedRequests: 0,
+        averageTimeInQueue: 12,
+        maximumTimeInQueue: 40
+      }),
+      ...overrides
+    };
+    return manager;
+  }
+
+  it('应该汇总连接数、排队和获取连接统计', () => {
+    const manager = createManager();
+    manager.recordAcquire(10);
+    manager.recordAcquire(30);
+    
+    const status = manager.getPoolStatus();
+    expect(status.status).toBe('OPEN');
+    expect(status.target).toBe('db:1521/ORCL');
+    expect(status.connections).toEqual({ open: 2, inUse: 1, idle: 1 });
+    expect(status.queue.maximum).toBe(3);
+    expect(status.acquire).toMatchObject({ count: 2, averageWaitMs: 20, maximumWaitMs: 30, lastWaitMs: 30 });
+    expect(status.warnings).toEqual([]);
+  });
+
+  it('连接池未初始化应该报错', () => {
+    expect(() => new ConnectionManager().getPoolStatus()).toThrow(OracleMapError);
+  });
+
+  it('连接池耗尽时应该给出警告', () => {
+    const manager = createManager({ connectionsOpen: 4, connectionsInUse: 4 });
+    const types = manager.getPoolStatus().warnings.map(w => w.type);
+    expect(types).toContain('POOL_EXHAUSTED');
+  });
+});
+
+describe('analyzePoolStatus', () => {
+  it('应该识别排队、超时和 ping 失败', () => {
+    const warnings = analyzePoolStatus({
+      config: { poolMax: 4 },
+      connections: { open: 4, inUse: 2 },
+      queue: { current: 2, timeouts: 1 },
+      acquire: { failures: 0 },
+      pingFailures: 3
+    });
+    expect(warnings.map(w => w.type)).toEqual(['REQUESTS_QUEUED', 'QUEUE_TIMEOUT', 'PING_FAILURE']);
+  });
+});
+
+describe('isFatalConnectionError', () => {
+  it('应该识别数据库重启和连接中断错误', () => {
+    expect(isFatalConnectionError(new Error('ORA-03113: end-of-file on communication channel'))).toBe(true);
+    expect(isFatalConnectionError(new Error('DPI-1080: connection was closed by ORA-3113'))).toBe(true);
+    expect(isFatalConnectionError(new Error('NJS-500: connection to the Oracle Database was broken'))).toBe(true);
+  });
+
+  it('应该检查 OracleMapError 中保留的原始错误', () => {
+    const error = new OracleMapError(ErrorCode.QUERY_EXECUTION_ERROR, '查询执行失败', {
+      oracleError: 'ORA-03114: not connected to ORACLE'
+    });
+    expect(isFatalConnectionError(error)).toBe(true);
+  });
+
+  it('普通 SQL 错误不应视为连接失效', () => {
+    expect(isFatalConnectionError(new Error('ORA-00942: table or view does not exist'))).toBe(false);
+    expect(isFatalConnectionError(null)).toBe(false);
+  });
+});
+
+describe('reconnect', () => {
+  function createManager(failures, reconnect = { initialDelayMs: 1, maxDelayMs: 2 }) {
+    const manager = new ConnectionManager();
+    manager.config = { host: 'db', serviceName: 'ORCL', user: 'u', password: 'p', reconnect };
+    manager.attempts = 0;
+    manager.createPool = async () => {
+      manager.attempts++;
+      if (manager.attempts <= failures) {
+        throw new OracleMapError(ErrorCode.CONNECTION_FAILED, 'ORA-01033: ORACLE initialization or shutdown in progress');
+      }
+      manager.pool = {
+        getConnection: async () => ({ execute: async () => ({ rows: [[1]] }), close: async () => {} }),
+        close: async () => {}
+      };
+    };
+    return manager;
+  }
+
+  it('应该按退避重试直到重建成功', async () => {
+    const manager = createManager(2);
+    await manager.reconnect();
+    expect(manager.attempts).toBe(3);
+    expect(manager.pool).not.toBeNull();
+    expect(manager.reconnectStats.count).toBe(1);
+  });
+
+  it('并发调用应该共享同一次重建', async () => {
+    const manager = createManager(1);
+    await Promise.all([manager.reconnect(), manager.reconnect(), manager.getConnection()]);
+    expect(manager.attempts).toBe(2);
+  });
+
+  it('达到最大次数后应该抛出 CONNECTION_FAILED', async () => {
+    const manager = createManager(10, { maxAttempts: 3, initialDelayMs: 1 });
+    await expect(manager.reconnect()).rejects.toMatchObject({ code: ErrorCode.CONNECTION_FAILED });
+    expect(manager.attempts).toBe(3);
+    expect(manager.pool).toBeNull();
+    expect(manager.reconnecting).toBeNull();
+  });
+
+  it('maxAttempts 为 0 时应该关闭自动重连', () => {
+    expect(createManager(0, { maxAttempts: 0 }).isReconnectEnabled()).toBe(false);
+    expect(createManager(0).isReconnectEnabled()).toBe(true);
+  });
+});
+
+describe('session tagging', () => {
+  function createManager(session) {
+    const manager = new ConnectionManager();
+    manager.config = { host: 'db', serviceName: 'ORCL', session };
+    manager.connections = [];
+    manager.pool = {
+      getConnection: async () => {
+        const conn = { execute: async () => ({ rows: [[1]] }), close: async () => {} };
+        manager.connections.push(conn);
+        return conn;
+      }
+    };
+    return manager;
+  }
+
+  it('应该把当前工具名写入 ACTION 并使用默认 MODULE', async () => {
+    const manager = createManager();
+    const conn = await manager.getConnection({ tool: 'oracle_query' });
+    expect(conn).toMatchObject({ module: 'oracle-mcp-server', action: 'oracle_query', clientId: '', clientInfo: '' });
+  });
+
+  it('应该使用连接配置中的会话标记', async () => {
+    const manager = createManager({ module: 'ai-assistant', clientIdentifier: 'alice', clientInfo: 'cursor' });
+    const conn = await manager.getConnection({ tool: 'oracle_column_stats' });
+    expect(conn).toMatchObject({ module: 'ai-assistant', action: 'oracle_column_stats', clientId: 'alice', clientInfo: 'cursor' });
+  });
+
+  it('readOnly 上下文应该开启只读事务', async () => {
+    const manager = createManager();
+    const executed = [];
+    manager.pool.getConnection = async () => ({
+      execute: async (sql) => { executed.push(sql); return { rows: [[1]] }; },
+      close: async () => {}
+    });
+    await manager.getConnection({ tool: 'oracle_query', readOnly: true });
+    await manager.getConnection({ tool: 'oracle_execute_dml' });
+    expect(executed).toEqual(['SELECT 1 FROM DUAL', 'SET TRANSACTION READ ONLY', 'SELECT 1 FROM DUAL']);
+  });
+
+  it('开启只读事务失败时应该释放连接', async () => {
+    const manager = createManager();
+    let closed = false;
+    manager.pool.getConnection = async () => ({
+      execute: async (sql) => {
+        if (sql.startsWith('SET TRANSACTION')) throw new Error('ORA-01453: SET TRANSACTION must be first statement of transaction');
+        return { rows: [[1]] };
+      },
+      close: async () => { closed = true; }
+    });
+    await expect(manager.getConnection({ readOnly: true })).rejects.toBeInstanceOf(OracleMapError);
+    expect(closed).toBe(true);
+  });
+
+  it('ping 失败后重新获取的连接同样需要验证', async () => {
+    const manager = createManager();
+    const pings = [false, false, true];
+    const connections = [];
+    manager.pool.getConnection = async () => {
+      const conn = {
+        alive: pings[connections.length],
+        closed: false,
+        execute: async () => {
+          if (!conn.alive) throw new Error('ORA-03113: end-of-file on communication channel');
+          return { rows: [[1]] };
+        },
+        close: async () => { conn.closed = true; }
+      };
+      connections.push(conn);
+      return conn;
+    };
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const conn = await manager.getConnection({ tool: 'oracle_query' });
+    expect(conn).toBe(connections[2]);
+    expect(conn.action).toBe('oracle_query');
+    expect(connections.map(c => c.closed)).toEqual([true, true, false]);
+    expect(manager.stats.pingFailures).toBe(2);
+    error.mockRestore();
+  });
+
+  it('连续 ping 失败达到上限时应该放弃获取连接', async () => {
+    const manager = createManager();
+    let acquired = 0;
+    manager.pool.getConnection = async () => {
+      acquired++;
+      return {
+        execute: async () => { throw new Error('ORA-03113: end-of-file on communication channel'); },
+        close: async () => {}
+      };
+    };
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(manager.getConnection()).rejects.toBeInstanceOf(OracleMapError);
+    expect(acquired).toBe(3);
+    expect(manager.activeConnections.size).toBe(0);
+    error.mockRestore();
+  });
+
+  it('复用的连接应该覆盖上一次调用的 ACTION', () => {
+    const manager = createManager();
+    const conn = {};
+    manager.tagSession(conn, { tool: 'oracle_query' });
+    manager.tagSession(conn);
+    expect(conn.action).toBe('');
+  });
+});
+
+describe('buildSessionInitStatements', () => {
+  it('应该为每个会话初始化参数生成 ALTER SESSION', () => {
+    expect(buildSessionInitStatements({
+      module: 'ai-assistant',
+      currentSchema: 'hr',
+      nlsDateFormat: 'YYYY-MM-DD HH24:MI:SS',
+      timeZone: 'Asia/Shanghai',
+      nlsLanguage: 'SIMPLIFIED CHINESE'
+    })).toEqual([
+      'ALTER SESSION SET CURRENT_SCHEMA = HR',
+      "ALTER SESSION SET NLS_DATE_FORMAT = 'YYYY-MM-DD HH24:MI:SS'",
+      "ALTER SESSION SET TIME_ZONE = 'Asia/Shanghai'",
+      "ALTER SESSION SET NLS_LANGUAGE = 'SIMPLIFIED CHINESE'"
+    ]);
+  });
+
+  it('未配置时应该返回空数组', () => {
+    expect(buildSessionInitStatements()).toEqual([]);
+    expect(buildSessionInitStatements({ module: 'x' })).toEqual([]);
+  });
+
+  it('TIME_ZONE 关键字不加引号，字符串中的单引号应该转义', () => {
+    expect(buildSessionInitStatements({ timeZone: 'dbtimezone' })).toEqual(['ALTER SESSION SET TIME_ZONE = DBTIMEZONE']);
+    expect(buildSessionInitStatements({ nlsDateFormat: "DD' x'" })).toEqual(["ALTER SESSION SET NLS_DATE_FORMAT = 'DD'' x'''"]);
+  });
+
+  it('无效的 schema 名应该被拒绝', () => {
+    expect(() => buildSessionInitStatements({ currentSchema: 'HR; DROP TABLE X' })).toThrow(OracleMapError);
+  });
+});
+
+describe('call timeout and cancellation', () => {
+  function createManager(conn) {
+    const manager = new ConnectionManager();
+    manager.config = { host: 'db', serviceName: 'ORCL' };
+    manager.pool = { getConnection: async () => conn };
+    return manager;
+  }
+
+  function fakeConnection() {
+    return {
+      breaks: 0,
+      closed: false,
+      execute: async () => ({ rows: [[1]] }),
+      break: async function () { this.breaks++; },
+      close: async function () { this.closed = true; }
+    };
+  }
+
+  it('应该设置 callTimeout 并在释放时清除', async () => {
+    const conn = fakeConnection();
+    const manager = createManager(conn);
+    await manager.getConnection({ callTimeout: 5000 });
+    expect(conn.callTimeout).toBe(5000);
+    await manager.releaseConnection(conn);
+    expect(conn.callTimeout).toBe(0);
+  });
+
+  it('取消信号应该中断正在执行的语句', async () => {
+    const conn = fakeConnection();
+    const manager = createManager(conn);
+    const controller = new AbortController();
+    await manager.getConnection({ signal: controller.signal });
+    controller.abort();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(conn.breaks).toBe(1);
+  });
+
+  it('释放连接后不应再响应取消信号', async () => {
+    const conn = fakeConnection();
+    const manager = createManager(conn);
+    const controller = new AbortController();
+    await manager.getConnection({ signal: controller.signal });
+    await manager.releaseConnection(conn);
+    controller.abort();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(conn.breaks).toBe(0);
+  });
+
+  it('已取消的调用不应该获取连接', async () => {
+    const manager = createManager(fakeConnection());
+    const controller = new AbortController();
+    controller.abort();
+    await expect(manager.getConnection({ signal: controller.signal }))
+      .rejects.toMatchObject({ code: ErrorCode.CANCELLED });
+  });
+});
+
+describe('interruptActive', () => {
+  it('应该中断未归还的连接并回滚事务', async () => {
+    const calls = [];
+    const conn = {
+      execute: async () => ({ rows: [[1]] }),
+      break: async () => { calls.push('break'); },
+      rollback: async () => { calls.push('rollback'); },
+      close: async () => {}
+    };
+    const manager = new ConnectionManager();
+    manager.config = { host: 'db', serviceName: 'ORCL' };
+    manager.pool = { getConnection: async () => conn };
+
+    await manager.getConnection();
+    expect(await manager.interruptActive()).toBe(1);
+    expect(calls).toEqual(['break', 'rollback']);
+
+    await manager.releaseConnection(conn);
+    expect(await manager.interruptActive()).toBe(0);
+  });
+});
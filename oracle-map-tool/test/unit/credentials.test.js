@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { buildUserName, resolveCredentials, resolvePassword, redactSecrets } from '../../src/config/credentials.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+describe('buildUserName', () => {
+  it('未指定代理目标时返回原用户名', () => {
+    expect(buildUserName('scott')).toBe('scott');
+  });
+
+  it('代理认证应该拼接为 user[proxyUser]', () => {
+    expect(buildUserName('app_proxy', 'HR')).toBe('app_proxy[HR]');
+  });
+});
+
+describe('resolvePassword', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'oracle-mcp-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('应该读取密码文件并去掉末尾换行', async () => {
+    const file = path.join(dir, 'db.pw');
+    writeFileSync(file, 'pass word\n');
+    expect(await resolvePassword({ passwordFile: file })).toBe('pass word');
+  });
+
+  it('密码文件不存在应该返回 CONFIG_NOT_FOUND', async () => {
+    await expect(resolvePassword({ passwordFile: path.join(dir, 'missing.pw') }))
+      .rejects.toMatchObject({ code: ErrorCode.CONFIG_NOT_FOUND });
+  });
+
+  it('应该使用密码命令的输出', async () => {
+    expect(await resolvePassword({ passwordCommand: 'echo s3cret' })).toBe('s3cret');
+  });
+
+  it('密码命令执行期间不应该阻塞事件循环', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 10);
+    try {
+      expect(await resolvePassword({ passwordCommand: 'sleep 0.2; echo s3cret' })).toBe('s3cret');
+    } finally {
+      clearInterval(timer);
+    }
+    expect(ticks).toBeGreaterThan(0);
+  });
+
+  it('密码命令失败时只报告退出码', async () => {
+    const error = await resolvePassword({ passwordCommand: 'echo leaked-secret >&2; exit 3' }).catch(e => e);
+    expect(error.code).toBe(ErrorCode.AUTH_FAILED);
+    expect(error.message).toContain('退出码 3');
+    expect(error.message).not.toContain('leaked-secret');
+  });
+
+  it('缺少或同时指定多种密码来源应该报错', async () => {
+    await expect(resolvePassword({})).rejects.toMatchObject({ code: ErrorCode.MISSING_REQUIRED_PARAM });
+    await expect(resolvePassword({ password: 'a', passwordCommand: 'echo b' }))
+      .rejects.toMatchObject({ code: ErrorCode.CONFIG_PARSE_ERROR });
+  });
+});
+
+describe('resolveCredentials', () => {
+  it('应该返回代理认证的用户名和密码', async () => {
+    expect(await resolveCredentials({ user: 'app_proxy', proxyUser: 'HR', password: 'tiger' }))
+      .toEqual({ user: 'app_proxy[HR]', password: 'tiger' });
+  });
+
+  it('外部认证不需要用户名和密码', async () => {
+    expect(await resolveCredentials({ externalAuth: true, password: 'ignored' })).toEqual({ externalAuth: true });
+    expect(await resolveCredentials({ externalAuth: true, proxyUser: 'HR' })).toEqual({ user: '[HR]', externalAuth: true });
+  });
+
+  it('缺少用户名应该返回 MISSING_REQUIRED_PARAM', async () => {
+    await expect(resolveCredentials({ password: 'tiger' }))
+      .rejects.toMatchObject({ code: ErrorCode.MISSING_REQUIRED_PARAM });
+  });
+});
+
+describe('redactSecrets', () => {
+  it('应该替换所有出现的密码', () => {
+    expect(redactSecrets('login tiger123 failed: tiger123', ['tiger123'])).toBe('login ****** failed: ******');
+  });
+
+  it('应该忽略过短或未定义的值', () => {
+    expect(redactSecrets('ORA-01017: a', ['a', undefined])).toBe('ORA-01017: a');
+  });
+});
@@ -92,6 +92,13 @@ describe('mapValue', () => {
     expect(mapValue('test', 'VARCHAR2')).toBe('test');
     expect(mapValue(123, 'NUMBER')).toBe(123);
   });
+
+  it('应该按传入的限制截断 LOB', () => {
+    const limits = { clobMaxLength: 5, blobMaxLength: 2 };
+    expect(mapValue('abcdefgh', 'CLOB', limits)).toBe('abcde... [已截断]');
+    expect(mapValue(Buffer.from('hello'), 'BLOB', limits)).toBe('aGU=... [已截断]');
+    expect(mapRow({ NOTE: 'abcdefgh' }, [{ name: 'NOTE', oracleType: 'CLOB' }], null, limits)).toEqual({ NOTE: 'abcde... [已截断]' });
+  });
 });
 
 describe('mapRow', () => {
@@ -1,9 +1,16 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import { 
   buildPaginatedSql, 
   buildTableQuerySql, 
-  validateSql 
+  validateSql,
+  executeQuery,
+  checkSqlTableAccess,
+  getExplainPlan,
+  executeDml
 } from '../../src/query/executor.js';
+import { getSecurityLimits } from '../../src/config/security.js';
+import { configureMasking, MaskStrategy } from '../../src/mapper/masking.js';
+import { ErrorCode } from '../../src/utils/errors.js';
 
 describe('buildPaginatedSql', () => {
   it('无分页参数应该返回原 SQL', () => {
@@ -56,6 +63,13 @@ describe('buildTableQuerySql', () => {
   });
 });
 
+describe('buildPaginatedSql 末尾处理', () => {
+  it('应该移除末尾的分号和注释', () => {
+    expect(buildPaginatedSql('SELECT 1 FROM DUAL; -- 注释', 10)).toBe('SELECT 1 FROM DUAL OFFSET 0 ROWS FETCH NEXT 10 ROWS ONLY');
+    expect(buildPaginatedSql('/*+ FIRST_ROWS */ SELECT 1 FROM DUAL /* x */', 5)).toBe('/*+ FIRST_ROWS */ SELECT 1 FROM DUAL OFFSET 0 ROWS FETCH NEXT 5 ROWS ONLY');
+  });
+});
+
 describe('validateSql', () => {
   it('有效的 SELECT 应该通过', () => {
     expect(validateSql('SELECT * FROM EMPLOYEES').valid).toBe(true);
@@ -82,4 +96,285 @@ describe('validateSql', () => {
     const result = validateSql('SELECT 1; DELETE FROM EMPLOYEES');
     expect(result.valid).toBe(false);
   });
+
+  it('字符串和双引号标识符中的关键字不应该误判', () => {
+    expect(validateSql("SELECT * FROM AUDIT_LOG WHERE ACTION = ' DELETE '").valid).toBe(true);
+    expect(validateSql('SELECT "UPDATE", "DROP" FROM T').valid).toBe(true);
+  });
+
+  it('注释和特殊空白不能绕过检查', () => {
+    expect(validateSql('SELECT/**/1 FROM DUAL;/**/DROP TABLE T').valid).toBe(false);
+    expect(validateSql('SELECT * FROM T FOR\tUPDATE').error).toContain('UPDATE');
+    expect(validateSql('/* x */ DELETE FROM T').valid).toBe(false);
+  });
+
+  it('错误应该包含行列位置', () => {
+    const result = validateSql('SELECT *\n  FROM T\n  FOR UPDATE');
+    expect(result.position).toEqual({ line: 3, column: 7 });
+    expect(result.error).toContain('第 3 行第 7 列');
+  });
+
+  it('应该允许 WITH 子查询、带括号的集合查询和开头的注释', () => {
+    expect(validateSql('WITH d AS (SELECT * FROM DEPT) SELECT * FROM EMP JOIN d USING (DEPTNO)').valid).toBe(true);
+    expect(validateSql('(SELECT 1 FROM DUAL) UNION (SELECT 2 FROM DUAL)').valid).toBe(true);
+    expect(validateSql('-- 月度统计\n/*+ PARALLEL(4) */ SELECT 1 FROM DUAL').valid).toBe(true);
+  });
+
+  it('应该拒绝 WITH FUNCTION 和 WITH 中嵌入的 DML', () => {
+    const result = validateSql('WITH FUNCTION f RETURN NUMBER IS BEGIN RETURN 1; END;\nSELECT f FROM DUAL');
+    expect(result.error).toContain('FUNCTION');
+    expect(result.position).toEqual({ line: 1, column: 6 });
+    expect(validateSql('SELECT * FROM (WITH PROCEDURE p IS BEGIN NULL; END; SELECT 1 FROM DUAL)').error).toContain('PROCEDURE');
+    expect(validateSql('WITH x AS (SELECT 1 FROM DUAL) DELETE FROM T').error).toContain('DELETE');
+    expect(validateSql('(DELETE FROM T)').valid).toBe(false);
+  });
+
+  it('未闭合的字符串应该失败', () => {
+    expect(validateSql("SELECT 'abc FROM DUAL").error).toContain('未闭合');
+  });
+});
+
+describe('executeQuery 中断处理', () => {
+  function failingConn(message) {
+    return { execute: async () => { throw new Error(message); } };
+  }
+
+  it('超过 callTimeout 应该返回 TIMEOUT', async () => {
+    await expect(executeQuery(failingConn('NJS-123: call timeout of 5000 ms exceeded'), 'SELECT * FROM T'))
+      .rejects.toMatchObject({ code: ErrorCode.TIMEOUT });
+  });
+
+  it('被取消的语句应该返回 CANCELLED', async () => {
+    await expect(executeQuery(failingConn('ORA-01013: user requested cancel of current operation'), 'SELECT * FROM T'))
+      .rejects.toMatchObject({ code: ErrorCode.CANCELLED });
+  });
+});
+
+describe('checkSqlTableAccess', () => {
+  afterEach(() => {
+    delete process.env.ORACLE_TABLE_WHITELIST;
+    delete process.env.ORACLE_TABLE_READ_WHITELIST;
+    delete process.env.ORACLE_TABLE_WRITE_WHITELIST;
+  });
+
+  /**
+   * 模拟连接：只响应 ALL_SYNONYMS 查询
+   */
+  function synonymConn(rows) {
+    const calls = [];
+    return {
+      calls,
+      execute: async (sql, binds) => {
+        calls.push(binds);
+        return { rows };
+      }
+    };
+  }
+
+  it('白名单未启用时不检查', async () => {
+    const conn = synonymConn([]);
+    await checkSqlTableAccess(conn, 'SELECT * FROM ANYTHING');
+    expect(conn.calls).toHaveLength(0);
+  });
+
+  it('应该列出所有不在白名单中的表', async () => {
+    process.env.ORACLE_TABLE_WHITELIST = 'EMPLOYEES';
+    const conn = synonymConn([]);
+    await expect(checkSqlTableAccess(conn, 'SELECT * FROM employees e JOIN salaries s ON 1 = 1 WHERE e.id IN (SELECT id FROM hr.bonus)'))
+      .rejects.toMatchObject({ code: ErrorCode.ACCESS_DENIED, details: { tables: ['SALARIES', 'HR.BONUS'] } });
+  });
+
+  it('DUAL 始终允许访问', async () => {
+    process.env.ORACLE_TABLE_WHITELIST = 'EMPLOYEES';
+    await expect(checkSqlTableAccess(synonymConn([]), 'SELECT SYSDATE FROM DUAL')).resolves.toBeUndefined();
+  });
+
+  it('同义词应该按指向的表检查', async () => {
+    process.env.ORACLE_TABLE_WHITELIST = 'EMPLOYEES';
+    const rows = [
+      { OWNER: 'PUBLIC', SYNONYM_NAME: 'EMP', TABLE_NAME: 'EMPLOYEES', CURRENT_SCHEMA: 'APP' },
+      { OWNER: 'APP', SYNONYM_NAME: 'PAY', TABLE_NAME: 'SALARIES', CURRENT_SCHEMA: 'APP' }
+    ];
+    await expect(checkSqlTableAccess(synonymConn(rows), 'SELECT * FROM emp')).resolves.toBeUndefined();
+    await expect(checkSqlTableAccess(synonymConn(rows), 'SELECT * FROM pay'))
+      .rejects.toMatchObject({ code: ErrorCode.ACCESS_DENIED });
+  });
+
+  it('INSERT 和 UPDATE 的目标表应该按写入规则检查', async () => {
+    process.env.ORACLE_TABLE_READ_WHITELIST = 'RPT_*';
+    process.env.ORACLE_TABLE_WRITE_WHITELIST = 'TMP_*';
+    const conn = synonymConn([]);
+    await expect(checkSqlTableAccess(conn, 'INSERT INTO tmp_load SELECT * FROM rpt_sales')).resolves.toBeUndefined();
+    await expect(checkSqlTableAccess(conn, 'INSERT INTO rpt_sales SELECT * FROM tmp_load'))
+      .rejects.toMatchObject({ code: ErrorCode.ACCESS_DENIED, details: { tables: ['RPT_SALES', 'TMP_LOAD'] } });
+  });
+
+  it('命中排除规则的表不解析同义词', async () => {
+    process.env.ORACLE_TABLE_WHITELIST = '*,!*_AUDIT';
+    const conn = synonymConn([{ OWNER: 'PUBLIC', SYNONYM_NAME: 'LOGIN_AUDIT', TABLE_NAME: 'EMPLOYEES', CURRENT_SCHEMA: 'APP' }]);
+    await expect(checkSqlTableAccess(conn, 'SELECT * FROM login_audit'))
+      .rejects.toThrow('匹配排除规则 !*_AUDIT');
+    expect(conn.calls).toHaveLength(0);
+  });
+
+  it('executeQuery 应该在执行前拒绝访问', async () => {
+    process.env.ORACLE_TABLE_WHITELIST = 'EMPLOYEES';
+    const conn = { execute: async (sql) => ({ rows: [], metaData: [], sql }) };
+    await expect(executeQuery(conn, 'SELECT * FROM EMPLOYEES, SALARIES')).rejects.toMatchObject({ code: ErrorCode.ACCESS_DENIED });
+  });
+});
+
+describe('getExplainPlan 成本解析', () => {
+  it('应该从 DBMS_XPLAN 表格中提取成本和行数', async () => {
+    const planLines = [
+      'Plan hash value: 1445457117',
+      '',
+      '-------------------------------------------------------------------------------',
+      '| Id  | Operation         | Name      | Rows  | Bytes | Cost (%CPU)| Time     |',
+      '-------------------------------------------------------------------------------',
+      '|   0 | SELECT STATEMENT  |           |  1500K|    10M|  2380   (1)| 00:00:01 |',
+      '|*  1 |  TABLE ACCESS FULL| ORDERS    |  1500K|    10M|  2380   (1)| 00:00:01 |',
+      '-------------------------------------------------------------------------------'
+    ];
+    const conn = {
+      execute: async (sql) => (sql.includes('DBMS_XPLAN') ? { rows: planLines.map(line => [line]) } : {})
+    };
+    const { analysis } = await getExplainPlan(conn, 'SELECT * FROM orders');
+    expect(analysis.estimatedCost).toBe(2380);
+    expect(analysis.estimatedRows).toBe(1500000);
+  });
+});
+
+describe('executeDml 预览和确认', () => {
+  /**
+   * 模拟连接：UPDATE 返回 ROWID，按当前状态（未提交 / 已回滚）返回不同的样本
+   */
+  function dmlConn(rowsAffected) {
+    const calls = [];
+    let rolledBack = false;
+    return {
+      calls,
+      execute: async (sql, binds) => {
+        calls.push({ sql, binds });
+        if (sql === 'ROLLBACK') {
+          rolledBack = true;
+          return {};
+        }
+        if (sql.startsWith('SELECT')) {
+          return {
+            metaData: [{ name: 'ID', dbTypeName: 'NUMBER' }, { name: 'SALARY', dbTypeName: 'NUMBER' }],
+            rows: [{ ID: 1, SALARY: rolledBack ? 1000 : 1100 }]
+          };
+        }
+        return { rowsAffected, outBinds: { mcp_preview_rowid: ['AAAR1', 'AAAR2'] } };
+      }
+    };
+  }
+
+  it('预览应该返回修改前后的样本并回滚', async () => {
+    const conn = dmlConn(2);
+    const result = await executeDml(conn, 'UPDATE emp SET salary = salary * 1.1 WHERE dept_id = 10;', { preview: true });
+
+    expect(result).toMatchObject({ preview: true, verb: 'UPDATE', rowsAffected: 2 });
+    expect(result.after).toEqual([{ ID: 1, SALARY: 1100 }]);
+    expect(result.before).toEqual([{ ID: 1, SALARY: 1000 }]);
+    expect(conn.calls[0].sql).toBe('UPDATE emp SET salary = salary * 1.1 WHERE dept_id = 10 RETURNING ROWID INTO :mcp_preview_rowid');
+    expect(conn.calls[1]).toMatchObject({ sql: 'SELECT * FROM emp WHERE ROWID IN (:rid0, :rid1) ORDER BY ROWID', binds: { rid0: 'AAAR1', rid1: 'AAAR2' } });
+    expect(conn.calls.map(call => call.sql)).not.toContain('COMMIT');
+  });
+
+  it('INSERT ... SELECT 无法取样时样本为 null', async () => {
+    const conn = dmlConn(5);
+    const result = await executeDml(conn, 'INSERT INTO emp_bak SELECT * FROM emp', { preview: true });
+    expect(result).toMatchObject({ rowsAffected: 5, before: null, after: null });
+    expect(conn.calls.map(call => call.sql)).toEqual(['INSERT INTO emp_bak SELECT * FROM emp', 'ROLLBACK']);
+  });
+
+  it('位置绑定时 ROWID 输出绑定追加在末尾', async () => {
+    const conn = dmlConn(2);
+    conn.execute = async (sql, binds) => {
+      conn.calls.push({ sql, binds });
+      return sql.startsWith('UPDATE') ? { rowsAffected: 2, outBinds: [['AAAR1']] } : { metaData: [], rows: [] };
+    };
+    await executeDml(conn, 'UPDATE emp SET salary = :1 WHERE id = :2', { binds: [100, 7], preview: true });
+    expect(conn.calls[0].binds).toEqual([100, 7, { dir: 3003 }]);
+    expect(conn.calls[1].binds).toEqual({ rid0: 'AAAR1' });
+  });
+
+  it('影响行数与预览不一致时应该回滚并返回 CONFIRMATION_FAILED', async () => {
+    const conn = dmlConn(3);
+    await expect(executeDml(conn, 'UPDATE emp SET salary = 0 WHERE id = 1', { expectedRowsAffected: 2 }))
+      .rejects.toMatchObject({ code: ErrorCode.CONFIRMATION_FAILED, details: { rowsAffected: 3, expectedRowsAffected: 2 } });
+    expect(conn.calls.map(call => call.sql)).toEqual(['UPDATE emp SET salary = 0 WHERE id = 1', 'ROLLBACK']);
+  });
+
+  it('影响行数一致时应该提交', async () => {
+    const conn = dmlConn(2);
+    const result = await executeDml(conn, 'UPDATE emp SET salary = 0 WHERE id = 1', { expectedRowsAffected: 2 });
+    expect(result.rowsAffected).toBe(2);
+    expect(conn.calls.map(call => call.sql)).toEqual(['UPDATE emp SET salary = 0 WHERE id = 1', 'COMMIT']);
+  });
+});
+
+describe('executeDml 输出绑定', () => {
+  afterEach(() => {
+    configureMasking();
+  });
+
+  it('RETURNING ... INTO 的输出绑定应该按返回的列脱敏', async () => {
+    configureMasking({ rules: [{ table: 'CUSTOMERS', column: 'PHONE', strategy: MaskStrategy.PARTIAL }] });
+    const conn = {
+      execute: async (sql) => sql.startsWith('UPDATE')
+        ? { rowsAffected: 1, outBinds: { phone: ['13812345678'], id: [7] } }
+        : {}
+    };
+    const result = await executeDml(conn, 'UPDATE customers c SET c.level = 2 WHERE c.id = :cid RETURNING c.phone, id INTO :phone, :id', {
+      binds: { cid: 7, phone: { dir: 3003 }, id: { dir: 3003 } }
+    });
+    expect(result.outBinds).toEqual({ phone: ['138****5678'], id: [7] });
+  });
+});
+
+describe('executeDml 影响行数上限', () => {
+  /**
+   * 模拟连接：UPDATE 影响 rowsAffected 行，COUNT 预检返回 count
+   */
+  function ceilingConn(rowsAffected, count = rowsAffected) {
+    const calls = [];
+    return {
+      calls,
+      execute: async (sql, binds) => {
+        calls.push({ sql, binds });
+        if (sql.startsWith('SELECT COUNT(*)')) {
+          return { rows: [[count]] };
+        }
+        return sql.startsWith('UPDATE') ? { rowsAffected } : {};
+      }
+    };
+  }
+
+  it('超过上限时应该回滚并返回 ROWS_AFFECTED_EXCEEDED', async () => {
+    const conn = ceilingConn(500);
+    const limits = getSecurityLimits({ maxRowsAffectedByTable: { ORDERS: 100 } });
+    await expect(executeDml(conn, 'UPDATE orders SET status = 1 WHERE 1 = 1', { limits }))
+      .rejects.toMatchObject({
+        code: ErrorCode.ROWS_AFFECTED_EXCEEDED,
+        message: 'UPDATE 影响 500 行，超过表 ORDERS 的上限 100（limits.maxRowsAffectedByTable.ORDERS），已回滚',
+        details: { rowsAffected: 500, limit: 100, table: 'ORDERS' }
+      });
+    expect(conn.calls.map(call => call.sql)).toEqual(['UPDATE orders SET status = 1 WHERE 1 = 1', 'ROLLBACK']);
+
+    const allowed = ceilingConn(100);
+    await expect(executeDml(allowed, 'UPDATE orders SET status = 1 WHERE 1 = 1', { limits })).resolves.toMatchObject({ rowsAffected: 100 });
+  });
+
+  it('开启预检时应该先按同样的条件 COUNT，超出则不执行', async () => {
+    const conn = ceilingConn(0, 5000);
+    const limits = getSecurityLimits({ maxRowsAffected: 100, precountRowsAffected: true });
+    await expect(executeDml(conn, 'UPDATE orders o SET o.status = :status WHERE o.region = :region;', { limits, binds: { status: 1, region: 'EU' } }))
+      .rejects.toMatchObject({ code: ErrorCode.ROWS_AFFECTED_EXCEEDED, details: { rowsAffected: 5000 } });
+    expect(conn.calls).toEqual([
+      { sql: 'SELECT COUNT(*) FROM orders o WHERE o.region = :region', binds: { region: 'EU' } }
+    ]);
+  });
 });
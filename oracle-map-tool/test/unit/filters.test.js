@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyRowFilters,
+  buildRowFilterPredicate,
+  assertNoFilteredWriteTargets,
+  applyRowFilterValues,
+  mergeRowFilterBinds
+} from '../../src/query/filters.js';
+import { executeQuery, executeFlashbackQuery, queryTable, getTableRowCount } from '../../src/query/executor.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+const TENANT = [{ column: 'TENANT_ID', value: 42, tables: ['*', '!COUNTRIES'] }];
+
+/**
+ * 模拟连接：记录执行的 SQL 和绑定变量
+ */
+function recordingConn(rows = []) {
+  const calls = [];
+  return {
+    calls,
+    execute: async (sql, binds) => {
+      calls.push({ sql, binds });
+      return { rows, metaData: [] };
+    }
+  };
+}
+
+describe('buildRowFilterPredicate', () => {
+  it('应该为匹配的表生成绑定变量谓词', () => {
+    expect(buildRowFilterPredicate('orders', TENANT)).toEqual({
+      predicate: '"TENANT_ID" = :mcp_rf0',
+      binds: { mcp_rf0: 42 }
+    });
+  });
+
+  it('排除的表和 DUAL 不受约束', () => {
+    expect(buildRowFilterPredicate('COUNTRIES', TENANT)).toBe(null);
+    expect(buildRowFilterPredicate('DUAL', TENANT)).toBe(null);
+    expect(buildRowFilterPredicate('ORDERS', [])).toBe(null);
+  });
+});
+
+describe('applyRowFilters', () => {
+  it('应该把读取的表改写为内联视图并保留别名', () => {
+    const { sql, binds } = applyRowFilters(
+      'SELECT * FROM orders o JOIN customers ON o.cid = customers.id, countries c',
+      TENANT
+    );
+    expect(sql).toBe(
+      'SELECT * FROM (SELECT * FROM orders WHERE "TENANT_ID" = :mcp_rf0) o '
+      + 'JOIN (SELECT * FROM customers WHERE "TENANT_ID" = :mcp_rf0) "CUSTOMERS" ON o.cid = customers.id, countries c'
+    );
+    expect(binds).toEqual({ mcp_rf0: 42 });
+  });
+
+  it('子查询、WITH 子句和带 schema 的表都应该被过滤', () => {
+    const { sql } = applyRowFilters('WITH t AS (SELECT * FROM hr.orders) SELECT * FROM t WHERE id IN (SELECT oid FROM items)', TENANT);
+    expect(sql).toContain('(SELECT * FROM hr.orders WHERE "TENANT_ID" = :mcp_rf0) "ORDERS"');
+    expect(sql).toContain('(SELECT * FROM items WHERE "TENANT_ID" = :mcp_rf0) "ITEMS"');
+    expect(sql).toContain('FROM t WHERE');
+  });
+
+  it('START WITH 和同名的 WITH 查询名不能绕过过滤', () => {
+    expect(applyRowFilters('SELECT * FROM orders START WITH orders.pid IS NULL CONNECT BY PRIOR id = pid', TENANT).sql)
+      .toBe('SELECT * FROM (SELECT * FROM orders WHERE "TENANT_ID" = :mcp_rf0) "ORDERS" START WITH orders.pid IS NULL CONNECT BY PRIOR id = pid');
+
+    const { sql } = applyRowFilters('WITH a AS (SELECT * FROM orders), orders AS (SELECT 1 x FROM dual) SELECT * FROM a, orders', TENANT);
+    expect(sql).toBe(
+      'WITH a AS (SELECT * FROM (SELECT * FROM orders WHERE "TENANT_ID" = :mcp_rf0) "ORDERS"), orders AS (SELECT 1 x FROM dual) SELECT * FROM a, orders'
+    );
+  });
+
+  it('括号中的表引用和 JOIN 也应该被过滤', () => {
+    const view = (table) => `(SELECT * FROM ${table} WHERE "TENANT_ID" = :mcp_rf0)`;
+    expect(applyRowFilters('SELECT * FROM (orders o CROSS JOIN dual d)', TENANT).sql)
+      .toBe(`SELECT * FROM (${view('orders')} o CROSS JOIN dual d)`);
+    expect(applyRowFilters('SELECT * FROM (orders)', TENANT).sql)
+      .toBe(`SELECT * FROM (${view('orders')} "ORDERS")`);
+    expect(applyRowFilters('SELECT * FROM countries c JOIN (orders o JOIN items i ON 1=1) ON 1=1', TENANT).sql)
+      .toBe(`SELECT * FROM countries c JOIN (${view('orders')} o JOIN ${view('items')} i ON 1=1) ON 1=1`);
+    expect(applyRowFilters('SELECT * FROM ONLY (orders)', TENANT).sql)
+      .toBe(`SELECT * FROM ${view('ONLY (orders)')} "ORDERS"`);
+  });
+
+  it('受约束的表使用闪回子句时应该拒绝', () => {
+    expect(() => applyRowFilters("SELECT * FROM orders AS OF TIMESTAMP SYSTIMESTAMP - INTERVAL '1' HOUR", TENANT))
+      .toThrow(expect.objectContaining({ code: ErrorCode.ACCESS_DENIED }));
+    expect(() => applyRowFilters('SELECT * FROM orders VERSIONS BETWEEN SCN MINVALUE AND MAXVALUE o', TENANT))
+      .toThrow(expect.objectContaining({ code: ErrorCode.ACCESS_DENIED }));
+    expect(applyRowFilters('SELECT * FROM countries AS OF SCN 100', TENANT).sql).toBe('SELECT * FROM countries AS OF SCN 100');
+  });
+
+  it('未配置规则时原样返回', () => {
+    expect(applyRowFilters('SELECT * FROM orders')).toEqual({ sql: 'SELECT * FROM orders', binds: {} });
+  });
+});
+
+describe('写入保护', () => {
+  it('自由 DML 不允许写入受约束的表', () => {
+    expect(() => assertNoFilteredWriteTargets('UPDATE orders SET status = 1 WHERE id = 1', TENANT))
+      .toThrow(expect.objectContaining({ code: ErrorCode.ACCESS_DENIED }));
+    expect(() => assertNoFilteredWriteTargets('INSERT INTO countries (code) SELECT code FROM orders', TENANT)).not.toThrow();
+  });
+
+  it('插入记录时应该填充过滤列，并拒绝其他租户的值', () => {
+    expect(applyRowFilterValues('ORDERS', { ID: 1 }, TENANT)).toEqual({ ID: 1, TENANT_ID: 42 });
+    expect(applyRowFilterValues('ORDERS', { tenant_id: '42' }, TENANT)).toEqual({ tenant_id: '42' });
+    expect(() => applyRowFilterValues('ORDERS', { TENANT_ID: 7 }, TENANT))
+      .toThrow(expect.objectContaining({ code: ErrorCode.ACCESS_DENIED }));
+  });
+
+  it('位置绑定和保留的绑定变量名应该报错', () => {
+    expect(() => mergeRowFilterBinds([1], { mcp_rf0: 42 })).toThrow(expect.objectContaining({ code: ErrorCode.SQL_SYNTAX_ERROR }));
+    expect(() => mergeRowFilterBinds({ mcp_rf0: 1 }, { mcp_rf0: 42 })).toThrow('保留');
+    expect(mergeRowFilterBinds({ id: 1 }, { mcp_rf0: 42 })).toEqual({ id: 1, mcp_rf0: 42 });
+  });
+});
+
+describe('执行时应用行级过滤', () => {
+  it('queryTable 和 getTableRowCount 应该附加绑定变量谓词', async () => {
+    const conn = recordingConn([[3]]);
+    await queryTable(conn, 'orders', { limit: 10, rowFilters: TENANT });
+    expect(conn.calls[0].sql).toContain('SELECT * FROM ORDERS WHERE "TENANT_ID" = :mcp_rf0');
+    expect(conn.calls[0].binds).toEqual({ mcp_rf0: 42 });
+
+    expect(await getTableRowCount(conn, 'orders', { rowFilters: TENANT })).toBe(3);
+    expect(conn.calls[1]).toEqual({ sql: 'SELECT COUNT(*) AS CNT FROM ORDERS WHERE "TENANT_ID" = :mcp_rf0', binds: { mcp_rf0: 42 } });
+  });
+
+  it('表名不是标识符时应该拒绝，不能注释掉过滤条件', async () => {
+    const conn = recordingConn([[3]]);
+    await expect(queryTable(conn, 'ORDERS WHERE :MCP_RF0 IS NOT NULL --', { rowFilters: TENANT }))
+      .rejects.toMatchObject({ code: ErrorCode.INVALID_PARAMETER });
+    await expect(getTableRowCount(conn, 'orders o --', { rowFilters: TENANT }))
+      .rejects.toMatchObject({ code: ErrorCode.INVALID_PARAMETER });
+    expect(conn.calls).toEqual([]);
+  });
+
+  it('executeQuery 应该执行改写后的 SQL 并合并绑定变量', async () => {
+    const conn = recordingConn();
+    await executeQuery(conn, 'SELECT * FROM orders WHERE id = :id', { binds: { id: 1 }, rowFilters: TENANT });
+    expect(conn.calls[0].sql).toContain('FROM (SELECT * FROM orders WHERE "TENANT_ID" = :mcp_rf0) "ORDERS" WHERE id = :id');
+    expect(conn.calls[0].binds).toEqual({ id: 1, mcp_rf0: 42 });
+  });
+
+  it('Flashback 查询应该把 AS OF 注入到内联视图中的表上', async () => {
+    const conn = recordingConn();
+    await executeFlashbackQuery(conn, 'SELECT * FROM orders', { asOfTimestamp: '2024-01-15T14:30:00Z', rowFilters: TENANT });
+    expect(conn.calls[0].sql).toContain('(SELECT * FROM orders AS OF TIMESTAMP TO_TIMESTAMP(\'2024-01-15 14:30:00\', \'YYYY-MM-DD HH24:MI:SS\') WHERE "TENANT_ID" = :mcp_rf0) "ORDERS"');
+  });
+});
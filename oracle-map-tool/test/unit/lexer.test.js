@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, splitStatements, findKeyword, TokenType } from '../../src/query/lexer.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+/**
+ * 提取词法单元的类型和值
+ */
+function summarize(sql) {
+  return tokenize(sql).map(token => [token.type, token.value]);
+}
+
+describe('tokenize', () => {
+  it('应该识别关键字、标识符、运算符和绑定变量', () => {
+    expect(summarize('SELECT e.name||:suffix FROM emp e WHERE id >= :1')).toEqual([
+      [TokenType.WORD, 'SELECT'],
+      [TokenType.WORD, 'e'],
+      [TokenType.PUNCTUATION, '.'],
+      [TokenType.WORD, 'name'],
+      [TokenType.OPERATOR, '||'],
+      [TokenType.BIND, ':suffix'],
+      [TokenType.WORD, 'FROM'],
+      [TokenType.WORD, 'emp'],
+      [TokenType.WORD, 'e'],
+      [TokenType.WORD, 'WHERE'],
+      [TokenType.WORD, 'id'],
+      [TokenType.OPERATOR, '>='],
+      [TokenType.BIND, ':1']
+    ]);
+  });
+
+  it('应该识别字符串中的转义单引号和 N 前缀', () => {
+    const tokens = tokenize("SELECT 'it''s; DELETE', N'中文' FROM DUAL");
+    expect(tokens[1]).toMatchObject({ type: TokenType.STRING, value: "'it''s; DELETE'" });
+    expect(tokens[3]).toMatchObject({ type: TokenType.STRING, value: "N'中文'" });
+  });
+
+  it('应该识别 q 引用字符串', () => {
+    const tokens = tokenize("SELECT q'[it's] x]', Q'{a}', nq'!x'!' FROM DUAL");
+    expect(tokens.filter(token => token.type === TokenType.STRING).map(token => token.value))
+      .toEqual(["q'[it's] x]'", "Q'{a}'", "nq'!x'!'"]);
+  });
+
+  it('双引号标识符应该保留原样名称', () => {
+    const [, token] = tokenize('SELECT "Update" FROM T');
+    expect(token).toMatchObject({ type: TokenType.QUOTED_IDENTIFIER, name: 'Update' });
+  });
+
+  it('应该丢弃注释，注释不能拼接关键字', () => {
+    expect(summarize('SELECT/**/1 -- DROP\nFROM DUAL').map(([, value]) => value))
+      .toEqual(['SELECT', '1', 'FROM', 'DUAL']);
+    expect(tokenize('/*+ FULL(t) */ SELECT 1 FROM t', { includeComments: true })[0].type).toBe(TokenType.COMMENT);
+  });
+
+  it('应该记录行列位置', () => {
+    const tokens = tokenize('SELECT 1\n  FROM DUAL');
+    expect(tokens[2]).toMatchObject({ value: 'FROM', line: 2, column: 3 });
+  });
+
+  it('未闭合的字符串和注释应该报告位置', () => {
+    expect(() => tokenize("SELECT 'abc FROM DUAL")).toThrow(expect.objectContaining({
+      code: ErrorCode.SQL_SYNTAX_ERROR,
+      details: { line: 1, column: 8 }
+    }));
+    expect(() => tokenize('SELECT 1 /* x')).toThrow('注释未闭合');
+    expect(() => tokenize("SELECT q'[x' FROM DUAL")).toThrow('字符串未闭合');
+  });
+});
+
+describe('splitStatements', () => {
+  it('应该按分号拆分语句，忽略字符串中的分号和空语句', () => {
+    const statements = splitStatements(tokenize("SELECT ';' FROM DUAL;; DROP TABLE T;"));
+    expect(statements).toHaveLength(2);
+    expect(statements[1][0].value).toBe('DROP');
+  });
+});
+
+describe('findKeyword', () => {
+  it('跟在点号后的单词不视为关键字', () => {
+    expect(findKeyword(tokenize('SELECT t.truncate FROM t'), ['TRUNCATE'])).toBe(null);
+    expect(findKeyword(tokenize('SELECT 1 FROM t FOR UPDATE'), ['UPDATE'])).toMatchObject({ column: 21 });
+  });
+});
@@ -0,0 +1,442 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { parseConfig, loadConfig, resolveConfigPath, CONFIG_ENV_VAR } from '../../src/config/loader.js';
+import { ErrorCode, OracleMapError } from '../../src/utils/errors.js';
+
+const YAML_CONFIG = `
+defaultConnection: uat
+connections:
+  dev:
+    host: 10.0.0.1
+    serviceName: DEV
+    user: scott
+    password: tiger
+  uat:
+    host: 10.0.0.2
+    port: 1522
+    serviceName: UAT
+    user: scott
+    password: tiger
+    pool:
+      poolMin: 0
+      poolMax: 8
+limits:
+  maxRows: 500
+security:
+  tableWhitelist: [employees, DEPARTMENTS]
+`;
+
+/**
+ * 捕获解析错误
+ */
+function parseError(text, file = 'oracle-mcp.yaml') {
+  try {
+    parseConfig(text, file);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('预期解析失败');
+}
+
+describe('parseConfig', () => {
+  it('应该解析 YAML 配置并填充默认值', () => {
+    const config = parseConfig(YAML_CONFIG);
+    expect(config.defaultConnection).toBe('uat');
+    expect(config.connections.dev.port).toBe(1521);
+    expect(config.connections.uat.port).toBe(1522);
+    expect(config.connections.uat.pool).toEqual({ poolMin: 0, poolMax: 8 });
+    expect(config.limits.maxRows).toBe(500);
+    expect(config.security.tableWhitelist).toEqual(['EMPLOYEES', 'DEPARTMENTS']);
+  });
+
+  it('应该解析连接级别的限制', () => {
+    const config = parseConfig(`
+limits:
+  maxSearchResults: 100
+connections:
+  report:
+    host: h
+    serviceName: s
+    user: u
+    password: p
+    limits:
+      maxRows: 5000
+      maxSampleSize: 20
+`);
+    expect(config.limits).toEqual({ maxSearchResults: 100 });
+    expect(config.connections.report.limits).toEqual({ maxRows: 5000, maxSampleSize: 20 });
+
+    const error = parseError('connections:\n  t:\n    host: h\n    serviceName: s\n    user: u\n    password: p\n    limits:\n      maxRows: 0\n');
+    expect(error.message).toContain('connections.t.limits.maxRows');
+    expect(error.details.line).toBe(8);
+  });
+
+  it('应该解析 DML 影响行数上限', () => {
+    const config = parseConfig(`
+limits:
+  maxRowsAffected: 1000
+  precountRowsAffected: true
+  maxRowsAffectedByTable:
+    orders: 10
+    tmp_*: 100000
+`);
+    expect(config.limits).toEqual({
+      maxRowsAffected: 1000,
+      precountRowsAffected: true,
+      maxRowsAffectedByTable: { ORDERS: 10, 'TMP_*': 100000 }
+    });
+    expect(parseError('limits:\n  maxRowsAffectedByTable:\n    orders: 0\n').message)
+      .toContain('limits.maxRowsAffectedByTable.orders');
+  });
+
+  it('应该解析 JSON 配置', () => {
+    const config = parseConfig(JSON.stringify({
+      connections: { dev: { host: 'h', serviceName: 's', user: 'u', password: 'p' } },
+      security: { tableWhitelist: 'A, B' }
+    }));
+    expect(config.connections.dev.host).toBe('h');
+    expect(config.security.tableWhitelist).toEqual(['A', 'B']);
+  });
+
+  it('空配置应该返回空的连接列表', () => {
+    const config = parseConfig('');
+    expect(config.connections).toEqual({});
+    expect(config.security.tableWhitelist).toBe(null);
+  });
+
+  it('语法错误应该返回 CONFIG_PARSE_ERROR 和行号', () => {
+    const error = parseError('{\n  "connections": {\n    "dev": \n}');
+    expect(error).toBeInstanceOf(OracleMapError);
+    expect(error.code).toBe(ErrorCode.CONFIG_PARSE_ERROR);
+    expect(error.details.line).toBeGreaterThan(1);
+  });
+
+  it('类型错误应该定位到具体行', () => {
+    const error = parseError(YAML_CONFIG.replace('poolMax: 8', 'poolMax: many'));
+    expect(error.code).toBe(ErrorCode.CONFIG_PARSE_ERROR);
+    expect(error.message).toContain('connections.uat.pool.poolMax');
+    expect(error.details.line).toBe(17);
+    expect(error.toUserMessage()).toContain('行号: 17');
+  });
+
+  it('未知配置项应该报错', () => {
+    const error = parseError(YAML_CONFIG.replace('limits:', 'limitz:'));
+    expect(error.code).toBe(ErrorCode.CONFIG_PARSE_ERROR);
+    expect(error.message).toContain('limitz');
+  });
+
+  it('缺少必填字段应该返回 MISSING_REQUIRED_PARAM', () => {
+    const error = parseError(YAML_CONFIG.replace('    password: tiger\n', ''));
+    expect(error.code).toBe(ErrorCode.MISSING_REQUIRED_PARAM);
+    expect(error.details.field).toBe('connections.dev.password');
+    expect(error.details.line).toBe(4);
+  });
+
+  it('应该支持 connectString、tnsAlias 和 SID 连接方式', () => {
+    const config = parseConfig(`
+connections:
+  rac:
+    connectString: "(DESCRIPTION=(FAILOVER=ON)(ADDRESS=(PROTOCOL=TCP)(HOST=scan)(PORT=1521))(CONNECT_DATA=(SERVICE_NAME=PROD)))"
+    user: scott
+    password: tiger
+  alias:
+    tnsAlias: PRODDB
+    tnsAdmin: /opt/oracle/network/admin
+    user: scott
+    password: tiger
+  legacy:
+    host: 10.0.0.3
+    sid: ORCL
+    user: scott
+    password: tiger
+`);
+    expect(config.connections.rac.connectString).toContain('FAILOVER=ON');
+    expect(config.connections.alias).toMatchObject({ tnsAlias: 'PRODDB', tnsAdmin: '/opt/oracle/network/admin' });
+    expect(config.connections.legacy).toMatchObject({ host: '10.0.0.3', port: 1521, sid: 'ORCL' });
+  });
+
+  it('应该解析 TLS 钱包配置', () => {
+    const config = parseConfig(YAML_CONFIG.replace('    port: 1522\n', `    port: 2484
+    protocol: TCPS
+    walletLocation: /opt/oracle/wallet
+    walletPassword: secret
+    sslServerDNMatch: true
+    sslServerCertDN: "CN=db.example.com"
+`));
+    expect(config.connections.uat).toMatchObject({
+      protocol: 'tcps',
+      walletLocation: '/opt/oracle/wallet',
+      sslServerDNMatch: true,
+      sslServerCertDN: 'CN=db.example.com'
+    });
+  });
+
+  it('应该解析自动重连配置', () => {
+    const config = parseConfig(YAML_CONFIG.replace('    port: 1522\n', '    port: 1522\n    reconnect:\n      maxAttempts: 3\n      initialDelayMs: 1000\n'));
+    expect(config.connections.uat.reconnect).toEqual({ maxAttempts: 3, initialDelayMs: 1000 });
+
+    const error = parseError(YAML_CONFIG.replace('    port: 1522\n', '    port: 1522\n    reconnect:\n      retries: 3\n'));
+    expect(error.message).toContain('retries');
+  });
+
+  it('应该解析会话标记配置', () => {
+    const config = parseConfig(YAML_CONFIG.replace('    port: 1522\n', '    port: 1522\n    session:\n      module: ai-assistant\n      clientIdentifier: alice\n'));
+    expect(config.connections.uat.session).toEqual({ module: 'ai-assistant', clientIdentifier: 'alice' });
+
+    const error = parseError(YAML_CONFIG.replace('    port: 1522\n', `    port: 1522\n    session:\n      clientInfo: ${'x'.repeat(65)}\n`));
+    expect(error.message).toContain('64');
+  });
+
+  it('应该解析会话初始化参数', () => {
+    const config = parseConfig(YAML_CONFIG.replace('    port: 1522\n', '    port: 1522\n    session:\n      currentSchema: APP_OWNER\n      nlsDateFormat: YYYY-MM-DD\n      timeZone: "+08:00"\n'));
+    expect(config.connections.uat.session).toEqual({ currentSchema: 'APP_OWNER', nlsDateFormat: 'YYYY-MM-DD', timeZone: '+08:00' });
+
+    const error = parseError(YAML_CONFIG.replace('    port: 1522\n', '    port: 1522\n    session:\n      currentSchema: "app owner"\n'));
+    expect(error.message).toContain('currentSchema');
+  });
+
+  it('应该解析全局和连接级只读配置', () => {
+    const config = parseConfig(JSON.stringify({
+      connections: { ro: { host: 'h', serviceName: 's', user: 'u', password: 'p', readonly: true, confirmDml: true } },
+      security: { readonly: true }
+    }));
+    expect(config.security.readonly).toBe(true);
+    expect(config.connections.ro.readonly).toBe(true);
+    expect(config.connections.ro.confirmDml).toBe(true);
+    expect(parseConfig('connections: {}\n').security.readonly).toBe(false);
+  });
+
+  it('应该解析代理认证、密码文件和外部认证', () => {
+    const config = parseConfig(JSON.stringify({
+      connections: {
+        proxy: { host: 'h', serviceName: 's', user: 'app_proxy', proxyUser: 'hr', passwordFile: 'secrets/proxy.pw' },
+        helper: { host: 'h', serviceName: 's', user: 'u', passwordCommand: 'pass show oracle/prod' },
+        wallet: { tnsAlias: 'PROD', externalAuth: true }
+      }
+    }), '/etc/oracle-mcp/oracle-mcp.json');
+    expect(config.connections.proxy.proxyUser).toBe('hr');
+    expect(config.connections.proxy.passwordFile).toBe(path.resolve('/etc/oracle-mcp/secrets/proxy.pw'));
+    expect(config.connections.helper.passwordCommand).toBe('pass show oracle/prod');
+    expect(config.connections.wallet.externalAuth).toBe(true);
+    expect(config.connections.wallet.user).toBeUndefined();
+  });
+
+  it('密码来源缺失或冲突应该报错', () => {
+    const missing = parseError('connections:\n  dev:\n    tnsAlias: DEV\n    user: scott\n');
+    expect(missing.code).toBe(ErrorCode.MISSING_REQUIRED_PARAM);
+    expect(missing.details.field).toBe('connections.dev.password');
+
+    const conflict = parseError(YAML_CONFIG.replace('    password: tiger\n', '    password: tiger\n    passwordFile: dev.pw\n'));
+    expect(conflict.code).toBe(ErrorCode.CONFIG_PARSE_ERROR);
+    expect(conflict.message).toContain('只能指定其中一种');
+
+    const external = parseError('connections:\n  dev:\n    tnsAlias: DEV\n    externalAuth: true\n    password: tiger\n');
+    expect(external.message).toContain('externalAuth');
+  });
+
+  it('应该解析表名模式、黑名单和读写名单', () => {
+    const config = parseConfig(`
+security:
+  tableBlacklist: "*_audit"
+  tableReadWhitelist: [rpt_*, '/^hist_\\d{4}$/']
+  tableWriteWhitelist: [tmp_*, "!tmp_keep"]
+`);
+    expect(config.security.tableWhitelist).toBe(null);
+    expect(config.security.tableBlacklist).toEqual(['*_AUDIT']);
+    expect(config.security.tableReadWhitelist).toEqual(['RPT_*', '/^hist_\\d{4}$/']);
+    expect(config.security.tableWriteWhitelist).toEqual(['TMP_*', '!TMP_KEEP']);
+  });
+
+  it('无效的表名正则应该报错', () => {
+    const error = parseError('security:\n  tableBlacklist: ["/([a-z/"]\n');
+    expect(error.code).toBe(ErrorCode.CONFIG_PARSE_ERROR);
+    expect(error.message).toContain('security.tableBlacklist');
+    expect(error.details.line).toBe(2);
+  });
+
+  it('应该解析行级过滤规则', () => {
+    const config = parseConfig(`
+connections:
+  tenant42:
+    host: h
+    serviceName: s
+    user: u
+    password: p
+    rowFilters:
+      - column: tenant_id
+        value: 42
+      - column: REGION
+        value: EU
+        tables: [ORDER_*]
+`);
+    expect(config.connections.tenant42.rowFilters).toEqual([
+      { column: 'TENANT_ID', value: 42, tables: ['*'] },
+      { column: 'REGION', value: 'EU', tables: ['ORDER_*'] }
+    ]);
+  });
+
+  it('无效的行级过滤规则应该报错', () => {
+    const base = 'connections:\n  t:\n    host: h\n    serviceName: s\n    user: u\n    password: p\n    rowFilters:\n';
+    const missing = parseError(`${base}      - column: TENANT_ID\n`);
+    expect(missing.code).toBe(ErrorCode.MISSING_REQUIRED_PARAM);
+    expect(missing.details.field).toBe('connections.t.rowFilters.0.value');
+    expect(parseError(`${base}      - column: "tenant id"\n        value: 1\n`).message).toContain('应为列名');
+  });
+
+  it('应该解析脱敏规则', () => {
+    const config = parseConfig(`
+masking:
+  hashSalt: pepper
+  rules:
+    - table: customers
+      column: phone
+      strategy: partial
+    - column: "*_email"
+      strategy: hash
+    - detect: idCard
+      strategy: partial
+      keepStart: 6
+      keepEnd: 4
+`);
+    expect(config.masking.hashSalt).toBe('pepper');
+    expect(config.masking.rules).toEqual([
+      { table: 'CUSTOMERS', column: 'PHONE', strategy: 'partial' },
+      { column: '*_EMAIL', strategy: 'hash' },
+      { detect: 'idCard', strategy: 'partial', keepStart: 6, keepEnd: 4 }
+    ]);
+    expect(parseConfig('').masking).toEqual({ hashSalt: null, rules: [] });
+  });
+
+  it('无效的脱敏规则应该定位到具体行', () => {
+    const unknownDetect = parseError('masking:\n  rules:\n    - column: PHONE\n    - detect: passport\n');
+    expect(unknownDetect.message).toContain('masking.rules.1.detect');
+    expect(unknownDetect.details.line).toBe(4);
+    const both = parseError('masking:\n  rules:\n    - column: PHONE\n      detect: phone\n');
+    expect(both.message).toContain('只能指定其中一个');
+    expect(both.details.line).toBe(3);
+    expect(parseError('masking:\n  rules:\n    - column: PHONE\n      strategy: blur\n').message).toContain('redact');
+  });
+
+  it('应该解析审计日志配置，相对路径以配置文件所在目录为基准', () => {
+    const config = parseConfig('audit:\n  file: logs/audit.jsonl\n  maxSize: 1048576\n  maxFiles: 3\n', '/etc/oracle-mcp/config.yaml');
+    expect(config.audit).toEqual({ file: path.resolve('/etc/oracle-mcp/logs/audit.jsonl'), maxSize: 1048576, maxFiles: 3 });
+    expect(parseConfig('').audit).toEqual({ file: null, maxSize: null, maxFiles: null });
+
+    expect(parseError('audit:\n  path: a.jsonl\n').message).toContain('audit.path');
+    expect(parseError('audit:\n  file: a.jsonl\n  maxSize: 0\n').details.line).toBe(3);
+  });
+
+  it('应该解析调用预算', () => {
+    const config = parseConfig('budgets:\n  callsPerMinute:\n    default: 60\n    oracle_column_stats: 10\n  maxSessionRows: 50000\n  maxQueryCost: 100000\n');
+    expect(config.budgets).toEqual({
+      callsPerMinute: { default: 60, oracle_column_stats: 10 },
+      maxSessionRows: 50000,
+      maxConcurrentStatements: null,
+      maxQueryCost: 100000
+    });
+
+    expect(parseError('budgets:\n  callsPerMinute:\n    stats: 10\n').message).toContain('budgets.callsPerMinute.stats');
+    expect(parseError('budgets:\n  maxConcurrentStatements: 0\n').details.line).toBe(2);
+  });
+
+  it('应该解析策略角色并校验连接引用的角色', () => {
+    const config = parseConfig(`
+roles:
+  analyst:
+    readonly: true
+    masking:
+      rules:
+        - column: "*_PHONE"
+          strategy: partial
+  developer:
+    tools: [oracle_query, oracle_execute_dml]
+    tableWriteWhitelist: ["ORDERS*"]
+connections:
+  report:
+    host: h
+    serviceName: s
+    user: u
+    password: p
+    role: analyst
+`);
+    expect(config.roles.analyst.readonly).toBe(true);
+    expect(config.roles.analyst.masking.includeGlobalRules).toBe(true);
+    expect(config.roles.analyst.masking.rules).toHaveLength(1);
+    expect(config.roles.developer).toMatchObject({ readonly: false, tools: ['oracle_query', 'oracle_execute_dml'] });
+    expect(config.connections.report.role).toBe('analyst');
+
+    expect(parseError('roles:\n  analyst:\n    tools: [query]\n').message).toContain('roles.analyst.tools');
+    const error = parseError('connections:\n  dev:\n    host: h\n    serviceName: s\n    user: u\n    password: p\n    role: admin\n');
+    expect(error.message).toContain('角色 admin 未在 roles 中定义');
+    expect(error.details.line).toBe(7);
+  });
+
+  it('应该解析按工具配置的调用超时', () => {
+    const config = parseConfig('timeouts:\n  default: 30000\n  oracle_column_stats: 300000\n');
+    expect(config.timeouts).toEqual({ default: 30000, oracle_column_stats: 300000 });
+
+    expect(parseError('timeouts:\n  query: 1000\n').message).toContain('timeouts.query');
+    expect(parseError('timeouts:\n  default: -1\n').details.line).toBe(2);
+  });
+
+  it('无效的 protocol 应该报错', () => {
+    const error = parseError(YAML_CONFIG.replace('    port: 1522\n', '    port: 1522\n    protocol: http\n'));
+    expect(error.message).toContain('tcp / tcps');
+  });
+
+  it('缺少连接目标应该返回 MISSING_REQUIRED_PARAM', () => {
+    const error = parseError('connections:\n  dev:\n    user: scott\n    password: tiger\n');
+    expect(error.code).toBe(ErrorCode.MISSING_REQUIRED_PARAM);
+    expect(error.details.line).toBe(2);
+  });
+
+  it('同时指定多种连接目标应该报错', () => {
+    const error = parseError(YAML_CONFIG.replace('    host: 10.0.0.1\n', '    host: 10.0.0.1\n    tnsAlias: DEV\n'));
+    expect(error.code).toBe(ErrorCode.CONFIG_PARSE_ERROR);
+    expect(error.message).toContain('只能指定其中一种');
+  });
+
+  it('serviceName 和 sid 不能同时指定', () => {
+    const error = parseError(YAML_CONFIG.replace('    serviceName: DEV\n', '    serviceName: DEV\n    sid: DEV\n'));
+    expect(error.message).toContain('serviceName 和 sid');
+  });
+
+  it('defaultConnection 指向不存在的连接应该报错', () => {
+    const error = parseError(YAML_CONFIG.replace('defaultConnection: uat', 'defaultConnection: prod'));
+    expect(error.message).toContain('prod');
+    expect(error.details.line).toBe(2);
+  });
+
+  it('poolMin 大于 poolMax 应该报错', () => {
+    const error = parseError(YAML_CONFIG.replace('poolMin: 0', 'poolMin: 10'));
+    expect(error.message).toContain('poolMin');
+  });
+});
+
+describe('loadConfig', () => {
+  it('文件不存在应该返回 CONFIG_NOT_FOUND', () => {
+    expect(() => loadConfig('/nonexistent/oracle-mcp.yaml')).toThrow(OracleMapError);
+    try {
+      loadConfig('/nonexistent/oracle-mcp.yaml');
+    } catch (error) {
+      expect(error.code).toBe(ErrorCode.CONFIG_NOT_FOUND);
+    }
+  });
+});
+
+describe('resolveConfigPath', () => {
+  it('应该支持 --config 参数的两种写法', () => {
+    expect(resolveConfigPath(['--config', 'a.yaml'], {})).toBe(path.resolve('a.yaml'));
+    expect(resolveConfigPath(['--config=b.json'], {})).toBe(path.resolve('b.json'));
+  });
+
+  it('命令行参数应该优先于环境变量', () => {
+    const env = { [CONFIG_ENV_VAR]: 'env.yaml' };
+    expect(resolveConfigPath(['--config', 'cli.yaml'], env)).toBe(path.resolve('cli.yaml'));
+    expect(resolveConfigPath([], env)).toBe(path.resolve('env.yaml'));
+  });
+
+  it('未配置时应该返回 null', () => {
+    expect(resolveConfigPath([], {})).toBe(null);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { configureMasking, createMasker, applyMaskStrategy, getMaskingConfig, MaskStrategy, REDACTED } from '../../src/mapper/masking.js';
+import { mapQueryResult } from '../../src/mapper/data.js';
+
+describe('applyMaskStrategy', () => {
+  afterEach(() => {
+    configureMasking();
+  });
+
+  it('redact 应该整体替换且不暴露长度', () => {
+    expect(applyMaskStrategy('13812345678', { strategy: MaskStrategy.REDACT })).toBe(REDACTED);
+    expect(applyMaskStrategy(null, { strategy: MaskStrategy.REDACT })).toBe(null);
+  });
+
+  it('partial 应该保留首尾字符', () => {
+    expect(applyMaskStrategy('13812345678', { strategy: MaskStrategy.PARTIAL })).toBe('138****5678');
+    expect(applyMaskStrategy('110101199003071234', { strategy: MaskStrategy.PARTIAL, keepStart: 6, keepEnd: 4, maskChar: '#' }))
+      .toBe('110101########1234');
+    expect(applyMaskStrategy('张三', { strategy: MaskStrategy.PARTIAL, keepStart: 1, keepEnd: 1 })).toBe('**');
+  });
+
+  it('hash 应该对相同值返回相同结果，配置密钥后结果不同', () => {
+    const rule = { strategy: MaskStrategy.HASH };
+    const plain = applyMaskStrategy('a@example.com', rule);
+    expect(plain).toMatch(/^hash:[0-9a-f]{16}$/);
+    expect(applyMaskStrategy('a@example.com', rule)).toBe(plain);
+    configureMasking({ hashSalt: 'secret' });
+    expect(applyMaskStrategy('a@example.com', rule)).not.toBe(plain);
+  });
+});
+
+describe('createMasker', () => {
+  afterEach(() => {
+    configureMasking();
+  });
+
+  it('未配置规则时返回 null', () => {
+    expect(createMasker(['CUSTOMERS'])).toBe(null);
+  });
+
+  it('表.列规则只对涉及的表生效', () => {
+    configureMasking({ rules: [{ table: 'CUSTOMERS', column: 'PHONE', strategy: MaskStrategy.PARTIAL }] });
+    expect(createMasker(['customers'])('phone', '13812345678')).toBe('138****5678');
+    expect(createMasker(['SUPPLIERS'])('PHONE', '13812345678')).toBe('13812345678');
+  });
+
+  it('列名模式应该对所有表生效', () => {
+    configureMasking({ rules: [{ column: '*_EMAIL', strategy: MaskStrategy.REDACT }] });
+    const mask = createMasker([]);
+    expect(mask('CONTACT_EMAIL', 'a@example.com')).toBe(REDACTED);
+    expect(mask('CONTACT_EMAIL', null)).toBe(null);
+    expect(mask('NAME', 'a@example.com')).toBe('a@example.com');
+  });
+
+  it('数据内容规则应该替换文本中匹配的部分', () => {
+    configureMasking({
+      rules: [
+        { detect: 'phone', strategy: MaskStrategy.PARTIAL },
+        { detect: 'email', strategy: MaskStrategy.REDACT },
+        { detect: 'idCard', strategy: MaskStrategy.PARTIAL, keepStart: 6, keepEnd: 4 }
+      ]
+    });
+    const mask = createMasker([]);
+    expect(mask('REMARK', '联系 13812345678 或 a.b@example.com')).toBe('联系 138****5678 或 ******');
+    expect(mask('ID_NO', '11010119900307123X')).toBe('110101********123X');
+    expect(mask('MOBILE', 13812345678)).toBe('138****5678');
+    expect(mask('AMOUNT', 12345)).toBe(12345);
+  });
+});
+
+describe('mapQueryResult 脱敏', () => {
+  afterEach(() => {
+    configureMasking();
+  });
+
+  it('应该在映射阶段脱敏', () => {
+    configureMasking({ rules: [{ table: 'CUSTOMERS', column: 'PHONE', strategy: MaskStrategy.PARTIAL }] });
+    const result = {
+      metaData: [{ name: 'NAME', dbTypeName: 'VARCHAR2' }, { name: 'PHONE', dbTypeName: 'VARCHAR2' }],
+      rows: [{ NAME: '张三', PHONE: '13812345678' }]
+    };
+    expect(mapQueryResult(result, { tables: ['CUSTOMERS'] }).data).toEqual([{ NAME: '张三', PHONE: '138****5678' }]);
+    expect(mapQueryResult(result).data).toEqual([{ NAME: '张三', PHONE: '13812345678' }]);
+    expect(getMaskingConfig()).toMatchObject({ enabled: true, hashSaltConfigured: false });
+  });
+});
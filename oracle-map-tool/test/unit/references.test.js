@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { extractTableReferences, formatTableName } from '../../src/query/references.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+/**
+ * 提取表引用并格式化为 [owner.]name[@dblink]
+ */
+function tables(sql) {
+  return extractTableReferences(sql).map(ref => `${ref.owner ? `${ref.owner}.` : ''}${ref.name}${ref.dblink ? `@${ref.dblink}` : ''}`);
+}
+
+describe('extractTableReferences', () => {
+  it('应该提取逗号分隔的表和 JOIN 的表', () => {
+    expect(tables('SELECT * FROM emp e, hr.dept d LEFT OUTER JOIN locations l ON d.loc_id = l.id, regions')).toEqual([
+      'EMP', 'HR.DEPT', 'LOCATIONS', 'REGIONS'
+    ]);
+  });
+
+  it('应该提取子查询中的表', () => {
+    expect(tables(`
+      SELECT (SELECT MAX(sal) FROM salaries), e.name
+      FROM (SELECT * FROM employees WHERE id IN (SELECT emp_id FROM bonuses)) e
+      WHERE EXISTS (SELECT 1 FROM audit_log a WHERE a.id = e.id)
+    `)).toEqual(['SALARIES', 'EMPLOYEES', 'BONUSES', 'AUDIT_LOG']);
+  });
+
+  it('WITH 子句定义的查询名不算表引用', () => {
+    expect(tables('WITH d (id) AS (SELECT id FROM dept), e AS (SELECT * FROM emp) SELECT * FROM d JOIN e USING (id)'))
+      .toEqual(['DEPT', 'EMP']);
+  });
+
+  it('START WITH 和 TIMESTAMP WITH TIME ZONE 不是 WITH 子句', () => {
+    expect(tables('SELECT * FROM secret START WITH secret.id IS NULL CONNECT BY PRIOR id = pid')).toEqual(['SECRET']);
+    expect(tables('SELECT CAST(ts AS TIMESTAMP WITH TIME ZONE) FROM zone, (SELECT 1 FROM zone)')).toEqual(['ZONE']);
+  });
+
+  it('查询名只在所在查询块中可见', () => {
+    expect(tables('SELECT * FROM salary, (WITH salary AS (SELECT 1 x FROM dual) SELECT * FROM salary)'))
+      .toEqual(['SALARY', 'DUAL']);
+    expect(tables('WITH a AS (SELECT * FROM salary), salary AS (SELECT 1 FROM dual) SELECT * FROM a, salary'))
+      .toEqual(['SALARY', 'DUAL']);
+    expect(tables('WITH t (n) AS (SELECT 1 FROM dual UNION ALL SELECT n + 1 FROM t WHERE n < 3) SELECT * FROM t'))
+      .toEqual(['DUAL']);
+  });
+
+  it('应该提取 DML 的目标表和 MERGE 的源表', () => {
+    expect(tables('INSERT INTO archive (id) SELECT id FROM orders')).toEqual(['ARCHIVE', 'ORDERS']);
+    expect(tables('UPDATE "Orders" SET status = 1 WHERE id = :id')).toEqual(['Orders']);
+    expect(tables('MERGE INTO t USING s ON (t.id = s.id) WHEN MATCHED THEN UPDATE SET t.v = s.v')).toEqual(['T', 'S']);
+  });
+
+  it('INSERT/MERGE INTO 和 UPDATE 的目标表应该标记为写入', () => {
+    const writes = (sql) => extractTableReferences(sql).filter(ref => ref.write).map(ref => ref.name);
+    expect(writes('INSERT INTO archive (id) SELECT id FROM orders')).toEqual(['ARCHIVE']);
+    expect(writes('MERGE INTO t USING s ON (t.id = s.id) WHEN MATCHED THEN UPDATE SET t.v = s.v')).toEqual(['T']);
+    expect(writes('UPDATE emp SET sal = (SELECT MAX(sal) FROM emp)')).toEqual(['EMP']);
+    expect(writes('SELECT * FROM emp')).toEqual([]);
+  });
+
+  it('应该识别数据库链接，忽略 EXTRACT/TRIM 中的 FROM 和表函数', () => {
+    expect(tables("SELECT EXTRACT(YEAR FROM hire_date), TRIM(LEADING '0' FROM code) FROM emp@remote.example")).toEqual(['EMP@REMOTE.EXAMPLE']);
+    expect(tables('SELECT * FROM TABLE(pkg.fn(1)), pipelined_fn(2), dual')).toEqual(['DUAL']);
+  });
+
+  it('应该提取括号中的表引用和 JOIN', () => {
+    expect(tables('SELECT * FROM (secret s CROSS JOIN dual d)')).toEqual(['SECRET', 'DUAL']);
+    expect(tables('SELECT * FROM (secret)')).toEqual(['SECRET']);
+    expect(tables('SELECT * FROM allowed a JOIN (secret s JOIN other o ON 1=1) ON 1=1')).toEqual(['ALLOWED', 'SECRET', 'OTHER']);
+    expect(tables('SELECT * FROM ONLY (secret)')).toEqual(['SECRET']);
+    expect(tables('SELECT * FROM ((SELECT id FROM secret) x JOIN other USING (id))')).toEqual(['OTHER', 'SECRET']);
+  });
+
+  it('字符串和注释中的 FROM 不应该被识别', () => {
+    expect(tables("SELECT 'FROM secret' AS x FROM dual -- FROM hidden")).toEqual(['DUAL']);
+  });
+});
+
+describe('formatTableName', () => {
+  it('应该规范化 [owner.]name 形式的表名', () => {
+    expect(formatTableName('orders')).toBe('ORDERS');
+    expect(formatTableName('hr."Orders"')).toBe('HR."Orders"');
+  });
+
+  it('其他内容应该返回 INVALID_PARAMETER', () => {
+    for (const name of ['ORDERS WHERE 1 = 1', 'orders --', 'orders;', 'a.b.c', '"orders', '']) {
+      expect(() => formatTableName(name)).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_PARAMETER }));
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { ConnectionRegistry, DEFAULT_CONNECTION_NAME } from '../../src/db/registry.js';
+import { OracleMapError } from '../../src/utils/errors.js';
+
+/**
+ * 构造不依赖真实数据库的连接管理器替身
+ */
+function fakeManager(target) {
+  return {
+    config: { user: 'scott' },
+    closed: false,
+    describeTarget: () => target,
+    close: async function () { this.closed = true; }
+  };
+}
+
+function createRegistry() {
+  const registry = new ConnectionRegistry();
+  registry.managers.set('dev', fakeManager('dev-host:1521/DEV'));
+  registry.managers.set('uat', fakeManager('uat-host:1521/UAT'));
+  registry.activeName = 'dev';
+  return registry;
+}
+
+describe('ConnectionRegistry', () => {
+  it('未指定名称时应该使用默认连接名', () => {
+    const registry = new ConnectionRegistry();
+    expect(registry.normalizeName()).toBe(DEFAULT_CONNECTION_NAME);
+    expect(registry.normalizeName('  ')).toBe(DEFAULT_CONNECTION_NAME);
+    expect(registry.normalizeName(' uat ')).toBe('uat');
+  });
+
+  it('没有任何连接时获取连接应该报错', () => {
+    const registry = new ConnectionRegistry();
+    expect(() => registry.get()).toThrow(OracleMapError);
+  });
+
+  it('未指定 connection 时应该返回当前连接', () => {
+    const registry = createRegistry();
+    expect(registry.get().describeTarget()).toBe('dev-host:1521/DEV');
+  });
+
+  it('指定 connection 时应该返回对应连接且不改变当前连接', () => {
+    const registry = createRegistry();
+    expect(registry.get('uat').describeTarget()).toBe('uat-host:1521/UAT');
+    expect(registry.activeName).toBe('dev');
+  });
+
+  it('指定不存在的连接应该报错并提示可用连接', () => {
+    const registry = createRegistry();
+    try {
+      registry.get('prod');
+      expect.unreachable();
+    } catch (error) {
+      expect(error.message).toContain('prod');
+      expect(error.details.suggestion).toContain('dev, uat');
+    }
+  });
+
+  it('use 应该切换当前连接', () => {
+    const registry = createRegistry();
+    registry.use('uat');
+    expect(registry.activeName).toBe('uat');
+    expect(() => registry.use('prod')).toThrow(OracleMapError);
+    expect(registry.activeName).toBe('uat');
+  });
+
+  it('断开当前连接后应该切换到剩余连接', async () => {
+    const registry = createRegistry();
+    const dev = registry.managers.get('dev');
+    const name = await registry.disconnect();
+    expect(name).toBe('dev');
+    expect(dev.closed).toBe(true);
+    expect(registry.activeName).toBe('uat');
+  });
+
+  it('断开其他连接不应该影响当前连接', async () => {
+    const registry = createRegistry();
+    await registry.disconnect('uat');
+    expect(registry.activeName).toBe('dev');
+    expect(registry.has('uat')).toBe(false);
+  });
+
+  it('list 应该标记当前连接', () => {
+    const registry = createRegistry();
+    const list = registry.list();
+    expect(list).toHaveLength(2);
+    expect(list.find(c => c.name === 'dev').active).toBe(true);
+    expect(list.find(c => c.name === 'uat').active).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { configureRoles, resolveRolePolicy, isToolAllowed, ROLE_ENV } from '../../src/config/roles.js';
+import { checkTableAccess, configureSecurity, TableOperation } from '../../src/config/security.js';
+import { configureMasking, createMasker, MaskStrategy, REDACTED } from '../../src/mapper/masking.js';
+import { OracleMcpServer } from '../../src/mcp/server.js';
+import { ErrorCode } from '../../src/utils/errors.js';
+
+const ROLES = {
+  analyst: {
+    readonly: true,
+    tableBlacklist: ['SALARIES'],
+    masking: { rules: [{ column: '*_PHONE', strategy: MaskStrategy.REDACT }], includeGlobalRules: true }
+  },
+  developer: {
+    tools: ['oracle_query', 'oracle_execute_dml', 'oracle_security_config'],
+    tableWriteWhitelist: ['ORDERS*']
+  },
+  auditor: {
+    masking: { rules: [], includeGlobalRules: false }
+  }
+};
+
+afterEach(() => {
+  configureRoles();
+  configureSecurity();
+  configureMasking();
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+});
+
+describe('resolveRolePolicy', () => {
+  it('未指定角色时返回 null', () => {
+    configureRoles(ROLES);
+    expect(resolveRolePolicy(null, {})).toBe(null);
+    expect(isToolAllowed(null, 'oracle_execute_dml')).toBe(true);
+  });
+
+  it('连接角色和 ORACLE_ROLE 同时生效时权限取交集', () => {
+    configureRoles(ROLES);
+    const role = resolveRolePolicy('developer', { [ROLE_ENV]: 'analyst' });
+    expect(role.names).toEqual(['developer', 'analyst']);
+    expect(isToolAllowed(role, 'oracle_query')).toBe(true);
+    expect(isToolAllowed(role, 'oracle_execute_dml')).toBe(false);
+    expect(isToolAllowed(role, 'oracle_table_data')).toBe(false);
+    expect(role.tables.map(entry => entry.name)).toEqual(['developer', 'analyst']);
+  });
+
+  it('未定义的角色应该报错', () => {
+    configureRoles(ROLES);
+    expect(() => resolveRolePolicy(null, { [ROLE_ENV]: 'admin' }))
+      .toThrow(expect.objectContaining({ code: ErrorCode.CONFIG_PARSE_ERROR, message: '未定义的角色 admin' }));
+  });
+});
+
+describe('角色表访问策略', () => {
+  it('角色的名单在全局策略之外再做限制', () => {
+    configureRoles(ROLES);
+    configureSecurity({ tableWhitelist: ['ORDERS', 'SALARIES', 'CUSTOMERS'] });
+    const developer = resolveRolePolicy('developer', {});
+    expect(checkTableAccess('ORDERS', TableOperation.WRITE, developer).allowed).toBe(true);
+    const denied = checkTableAccess('CUSTOMERS', TableOperation.WRITE, developer);
+    expect(denied).toMatchObject({ allowed: false, role: 'developer' });
+    expect(denied.message).toMatch(/^角色 developer: /);
+
+    const analyst = resolveRolePolicy('analyst', {});
+    expect(checkTableAccess('SALARIES', TableOperation.READ, analyst).allowed).toBe(false);
+    expect(checkTableAccess('SALARIES').allowed).toBe(true);
+    expect(checkTableAccess('EMPLOYEES', TableOperation.READ, analyst).allowed).toBe(false);
+  });
+});
+
+describe('角色脱敏规则', () => {
+  it('角色规则优先，includeGlobalRules 为 false 时不使用全局规则', () => {
+    configureRoles(ROLES);
+    configureMasking({ rules: [{ column: 'EMAIL', strategy: MaskStrategy.REDACT }] });
+
+    const analystMask = createMasker(['CUSTOMERS'], resolveRolePolicy('analyst', {}));
+    expect(analystMask('MOBILE_PHONE', '13812345678')).toBe(REDACTED);
+    expect(analystMask('EMAIL', 'a@example.com')).toBe(REDACTED);
+
+    expect(createMasker(['CUSTOMERS'], resolveRolePolicy('auditor', {}))).toBe(null);
+  });
+});
+
+describe('服务器按角色展示和检查工具', () => {
+  /**
+   * 模拟一个使用指定角色的连接
+   */
+  function createServer(roleName) {
+    configureRoles(ROLES);
+    const server = new OracleMcpServer({ configPath: null });
+    const manager = { getRolePolicy: () => resolveRolePolicy(roleName, {}) };
+    vi.spyOn(server.connections, 'list').mockReturnValue([{ name: 'report' }]);
+    vi.spyOn(server.connections, 'get').mockReturnValue(manager);
+    vi.spyOn(server.connections, 'resolveName').mockReturnValue('report');
+    return server;
+  }
+
+  const tools = names => names.map(name => ({ name, inputSchema: { type: 'object', properties: {} } }));
+
+  it('ListTools 不展示任何连接的角色都不允许的工具', () => {
+    const server = createServer('analyst');
+    const visible = server.visibleTools(tools(['oracle_connect', 'oracle_query', 'oracle_execute_dml', 'oracle_insert_record']));
+    expect(visible.map(tool => tool.name)).toEqual(['oracle_connect', 'oracle_query']);
+  });
+
+  it('调用角色不允许的工具应该被拒绝', async () => {
+    const server = createServer('developer');
+    const result = await server.handleCallTool({ params: { name: 'oracle_table_data', arguments: { table: 'ORDERS' } } });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('角色 developer 不允许使用工具 oracle_table_data');
+  });
+
+  it('没有配置文件时设置 ORACLE_ROLE 应该在启动时报错', () => {
+    vi.stubEnv(ROLE_ENV, 'analyst');
+    const server = new OracleMcpServer({ configPath: null });
+    expect(() => server.loadServerConfig()).toThrow(expect.objectContaining({ code: ErrorCode.CONFIG_NOT_FOUND }));
+    vi.stubEnv(ROLE_ENV, '');
+    expect(server.loadServerConfig()).toBe(null);
+  });
+});
@@ -1,5 +1,20 @@
 import { describe, it, expect } from 'vitest';
-import { mapOracleType, isValidJsType, TYPE_MAPPING, VALID_JS_TYPES } from '../../src/mapper/schema.js';
+import { mapOracleType, isValidJsType, TYPE_MAPPING, VALID_JS_TYPES, getSampleData, searchMetadata } from '../../src/mapper/schema.js';
+import { getSecurityLimits } from '../../src/config/security.js';
+
+/**
+ * 模拟连接：记录执行的 SQL 和绑定变量
+ */
+function recordingConn() {
+  const calls = [];
+  return {
+    calls,
+    execute: async (sql, binds) => {
+      calls.push({ sql, binds });
+      return { rows: [], metaData: [] };
+    }
+  };
+}
 
 describe('TYPE_MAPPING', () => {
   it('应该包含字符串类型映射', () => {
@@ -78,3 +93,19 @@ describe('VALID_JS_TYPES', () => {
     }
   });
 });
+
+describe('连接级别的采样和搜索限制', () => {
+  it('采样行数应该限制在 maxSampleSize 以内', async () => {
+    const conn = recordingConn();
+    await getSampleData(conn, 'orders', 50);
+    expect(conn.calls[0].binds.sampleSize).toBe(10);
+    await getSampleData(conn, 'orders', 50, { limits: getSecurityLimits({ maxSampleSize: 30 }) });
+    expect(conn.calls[1].binds.sampleSize).toBe(30);
+  });
+
+  it('搜索结果数应该限制在 maxSearchResults 以内', async () => {
+    const conn = recordingConn();
+    await searchMetadata(conn, 'order', { searchColumns: false, searchViews: false, limit: 1000, limits: getSecurityLimits({ maxSearchResults: 20 }) });
+    expect(conn.calls[0].binds.limit).toBe(20);
+  });
+});
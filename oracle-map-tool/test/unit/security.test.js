@@ -0,0 +1,173 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  configureSecurity, isReadonlyMode, getSecurityConfig, getCallTimeout, DEFAULT_CALL_TIMEOUT, validateDmlSql,
+  checkTableAccess, compileTablePattern, getTablePolicy, TableOperation, getSecurityLimits, enforceRowLimit,
+  getRowsAffectedLimit, MAX_ROWS_LIMIT, MAX_SAMPLE_SIZE
+} from '../../src/config/security.js';
+
+describe('isReadonlyMode', () => {
+  afterEach(() => {
+    delete process.env.ORACLE_READONLY;
+    configureSecurity();
+  });
+
+  it('默认不启用只读模式', () => {
+    expect(isReadonlyMode()).toBe(false);
+  });
+
+  it('应该读取配置文件中的 security.readonly', () => {
+    configureSecurity({ readonly: true });
+    expect(isReadonlyMode()).toBe(true);
+    expect(getSecurityConfig().readonly).toBe(true);
+  });
+
+  it('ORACLE_READONLY 应该优先于配置文件', () => {
+    configureSecurity({ readonly: true });
+    process.env.ORACLE_READONLY = 'false';
+    expect(isReadonlyMode()).toBe(false);
+    process.env.ORACLE_READONLY = 'TRUE';
+    expect(isReadonlyMode()).toBe(true);
+  });
+});
+
+describe('getCallTimeout', () => {
+  afterEach(() => {
+    delete process.env.ORACLE_CALL_TIMEOUT;
+    configureSecurity();
+  });
+
+  it('未配置时应该使用默认值', () => {
+    expect(getCallTimeout('oracle_query')).toBe(DEFAULT_CALL_TIMEOUT);
+  });
+
+  it('应该按 调用参数 > 工具配置 > 环境变量 > 默认配置 的顺序取值', () => {
+    configureSecurity({ timeouts: { default: 30000, oracle_column_stats: 300000 } });
+    expect(getCallTimeout('oracle_query')).toBe(30000);
+    process.env.ORACLE_CALL_TIMEOUT = '10000';
+    expect(getCallTimeout('oracle_query')).toBe(10000);
+    expect(getCallTimeout('oracle_column_stats')).toBe(300000);
+    expect(getCallTimeout('oracle_column_stats', 0)).toBe(0);
+  });
+});
+
+describe('getSecurityLimits', () => {
+  afterEach(() => {
+    delete process.env.ORACLE_MAX_ROWS;
+    delete process.env.ORACLE_MAX_SAMPLE_SIZE;
+    configureSecurity();
+  });
+
+  it('未配置时应该使用内置默认值', () => {
+    expect(getSecurityLimits()).toMatchObject({ maxRowsLimit: MAX_ROWS_LIMIT, maxSampleSize: MAX_SAMPLE_SIZE });
+  });
+
+  it('应该按 连接配置 > 环境变量 > 配置文件 的顺序取值', () => {
+    configureSecurity({ limits: { maxRows: 500, maxSampleSize: 5 } });
+    expect(getSecurityLimits()).toMatchObject({ maxRowsLimit: 500, maxSampleSize: 5 });
+    process.env.ORACLE_MAX_ROWS = '200';
+    expect(getSecurityLimits()).toMatchObject({ maxRowsLimit: 200, maxSampleSize: 5 });
+    expect(getSecurityLimits({ maxRows: 50 })).toMatchObject({ maxRowsLimit: 50, maxSampleSize: 5 });
+    expect(getSecurityConfig()).toMatchObject({ maxRowsLimit: 200, maxSampleSize: 5 });
+  });
+
+  it('enforceRowLimit 应该使用传入的连接限制', () => {
+    expect(enforceRowLimit(5000)).toBe(MAX_ROWS_LIMIT);
+    expect(enforceRowLimit(5000, 100, getSecurityLimits({ maxRows: 20 }))).toBe(20);
+    expect(enforceRowLimit(undefined, 100, getSecurityLimits({ maxRows: 20 }))).toBe(20);
+  });
+
+  it('影响行数上限应该按表名模式匹配，连接配置优先', () => {
+    expect(getRowsAffectedLimit('ORDERS')).toBe(null);
+
+    configureSecurity({ limits: { maxRowsAffected: 1000, maxRowsAffectedByTable: { ORDERS: 10, 'TMP_*': 100000 } } });
+    const limits = getSecurityLimits({ maxRowsAffectedByTable: { ORDERS: 5 } });
+    expect(getRowsAffectedLimit('ORDERS', limits)).toEqual({ limit: 5, source: 'maxRowsAffectedByTable.ORDERS' });
+    expect(getRowsAffectedLimit('TMP_LOAD', limits)).toEqual({ limit: 100000, source: 'maxRowsAffectedByTable.TMP_*' });
+    expect(getRowsAffectedLimit('EMPLOYEES', limits)).toEqual({ limit: 1000, source: 'maxRowsAffected' });
+  });
+});
+
+describe('validateDmlSql', () => {
+  it('应该允许 INSERT 和带 WHERE 的 UPDATE', () => {
+    expect(validateDmlSql("INSERT INTO T (ID, NOTE) VALUES (1, 'DELETE ME')")).toMatchObject({ valid: true, verb: 'INSERT' });
+    expect(validateDmlSql('update t set deleted_flag = 1 where id = :id')).toMatchObject({ valid: true, verb: 'UPDATE' });
+  });
+
+  it('应该拒绝其他语句和多条语句', () => {
+    expect(validateDmlSql('DELETE FROM T').valid).toBe(false);
+    const result = validateDmlSql("INSERT INTO T VALUES (1);\nDROP TABLE T");
+    expect(result.error).toContain('DROP');
+    expect(result.position).toEqual({ line: 2, column: 1 });
+  });
+
+  it('UPDATE 只有子查询中的 WHERE 时应该被拒绝', () => {
+    expect(validateDmlSql('UPDATE T SET A = (SELECT B FROM S WHERE S.ID = 1)').error).toContain('WHERE');
+    expect(validateDmlSql("UPDATE T SET NOTE = 'where'").valid).toBe(false);
+  });
+
+  it('注释中的关键字不应该误判', () => {
+    expect(validateDmlSql('UPDATE T SET A = 1 /* DROP */ WHERE ID = 1').valid).toBe(true);
+  });
+});
+
+describe('compileTablePattern', () => {
+  it('glob 和正则匹配不区分大小写', () => {
+    expect(compileTablePattern('ORDER_*').test('order_items')).toBe(true);
+    expect(compileTablePattern('ORDER_*').test('BACKORDER_ITEMS')).toBe(false);
+    expect(compileTablePattern('EMP?').test('EMP1')).toBe(true);
+    expect(compileTablePattern('/^rpt_\\d+$/').test('RPT_2024')).toBe(true);
+    expect(compileTablePattern('A$B').test('A$B')).toBe(true);
+  });
+
+  it('! 前缀表示排除', () => {
+    const pattern = compileTablePattern('!*_AUDIT');
+    expect(pattern.negated).toBe(true);
+    expect(pattern.test('ORDER_AUDIT')).toBe(true);
+  });
+});
+
+describe('checkTableAccess', () => {
+  afterEach(() => {
+    delete process.env.ORACLE_TABLE_WHITELIST;
+    delete process.env.ORACLE_TABLE_WRITE_WHITELIST;
+    configureSecurity();
+  });
+
+  it('未配置任何名单时允许所有表', () => {
+    expect(getTablePolicy()).toBe(null);
+    expect(checkTableAccess('ANYTHING', TableOperation.WRITE).allowed).toBe(true);
+  });
+
+  it('应该支持只读和可写的不同模式', () => {
+    configureSecurity({ tableReadWhitelist: ['RPT_*'], tableWriteWhitelist: ['TMP_*'] });
+    expect(checkTableAccess('rpt_sales').allowed).toBe(true);
+    expect(checkTableAccess('tmp_load').allowed).toBe(false);
+    expect(checkTableAccess('TMP_LOAD', TableOperation.WRITE).allowed).toBe(true);
+    const denied = checkTableAccess('RPT_SALES', TableOperation.WRITE);
+    expect(denied.allowed).toBe(false);
+    expect(denied.message).toContain('不在允许写入的白名单中');
+  });
+
+  it('排除规则优先于白名单', () => {
+    process.env.ORACLE_TABLE_WHITELIST = 'ORDER_*,!*_AUDIT';
+    expect(checkTableAccess('ORDER_ITEMS').allowed).toBe(true);
+    const denied = checkTableAccess('ORDER_AUDIT');
+    expect(denied).toMatchObject({ allowed: false, deniedBy: '!*_AUDIT' });
+    expect(denied.message).toContain('被禁止访问');
+  });
+
+  it('只有黑名单时其余表都允许，DUAL 始终可读', () => {
+    configureSecurity({ tableBlacklist: ['SALARIES', 'DUAL'] });
+    expect(checkTableAccess('EMPLOYEES', TableOperation.WRITE).allowed).toBe(true);
+    expect(checkTableAccess('salaries').allowed).toBe(false);
+    expect(checkTableAccess('DUAL').allowed).toBe(true);
+  });
+
+  it('环境变量应该覆盖配置文件', () => {
+    configureSecurity({ tableWriteWhitelist: ['TMP_*'] });
+    process.env.ORACLE_TABLE_WRITE_WHITELIST = 'stage_*';
+    expect(checkTableAccess('STAGE_1', TableOperation.WRITE).allowed).toBe(true);
+    expect(checkTableAccess('TMP_1', TableOperation.WRITE).allowed).toBe(false);
+    expect(getSecurityConfig().tableWriteWhitelist).toEqual(['STAGE_*']);
+  });
+});
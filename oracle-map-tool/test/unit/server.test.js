@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { OracleMcpServer, DEFAULT_SHUTDOWN_TIMEOUT } from '../../src/mcp/server.js';
+
+/**
+ * 构造工具调用请求
+ */
+function callRequest(name, args = {}) {
+  return { params: { name, arguments: args } };
+}
+
+describe('shutdown', () => {
+  afterEach(() => {
+    delete process.env.ORACLE_SHUTDOWN_TIMEOUT;
+    vi.restoreAllMocks();
+  });
+
+  it('应该等待正在执行的调用完成后再关闭连接池', async () => {
+    const server = new OracleMcpServer({ configPath: null, shutdownTimeout: 1000 });
+    let finish;
+    vi.spyOn(server, 'callToolWithReconnect').mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+    const closeAll = vi.spyOn(server.connections, 'closeAll');
+    const interruptAll = vi.spyOn(server.connections, 'interruptAll');
+
+    const call = server.handleCallTool(callRequest('oracle_pool_status'));
+    const stopped = server.shutdown();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(closeAll).not.toHaveBeenCalled();
+
+    finish({ content: [{ type: 'text', text: 'ok' }] });
+    await expect(call).resolves.toMatchObject({ content: [{ text: 'ok' }] });
+    await stopped;
+    expect(closeAll).toHaveBeenCalledTimes(1);
+    expect(interruptAll).not.toHaveBeenCalled();
+  });
+
+  it('关闭期间应该拒绝新的工具调用', async () => {
+    const server = new OracleMcpServer({ configPath: null, shutdownTimeout: 0 });
+    await server.shutdown();
+    const result = await server.handleCallTool(callRequest('oracle_list_connections'));
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('正在关闭');
+  });
+
+  it('超时后应该中断仍在执行的语句', async () => {
+    const server = new OracleMcpServer({ configPath: null, shutdownTimeout: 10 });
+    let finish;
+    vi.spyOn(server, 'callToolWithReconnect').mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+    const interruptAll = vi.spyOn(server.connections, 'interruptAll').mockImplementation(async () => {
+      finish({ content: [], isError: true });
+      return 1;
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    server.handleCallTool(callRequest('oracle_query', { sql: 'SELECT 1 FROM DUAL' }));
+    await server.shutdown();
+    expect(interruptAll).toHaveBeenCalledTimes(1);
+    expect(server.inFlight.size).toBe(0);
+  });
+
+  it('应该读取 ORACLE_SHUTDOWN_TIMEOUT', () => {
+    const server = new OracleMcpServer({ configPath: null });
+    expect(server.getShutdownTimeout()).toBe(DEFAULT_SHUTDOWN_TIMEOUT);
+    process.env.ORACLE_SHUTDOWN_TIMEOUT = '2500';
+    expect(server.getShutdownTimeout()).toBe(2500);
+  });
+});